@@ -2,6 +2,10 @@
 (async function() {
   let currentView = null;  // Start as null so first navigation always renders
 
+  // Bill reminder checks: while the app is open, and the background sync interval asked for
+  const BILL_REMINDER_CHECK_MS = 60 * 60 * 1000;
+  const BILL_REMINDER_SYNC_MS = 12 * 60 * 60 * 1000;
+
   /**
    * Initialize application
    */
@@ -24,8 +28,20 @@
       CrossTabSync.init();
     }
 
+    // Drop old tombstones that the phone already has
+    compactTrash();
+
+    // Goal allocations due while the app was closed (month ends)
+    GoalAllocation.check();
+
+    setupBudgetRollover();
+
+    // Net worth snapshot of this month, for the chart on the Net Worth view
+    recordNetWorthSnapshot();
+
     // Register service worker
     registerServiceWorker();
+    setupBillReminders();
 
     // Set up event listeners
     setupNavigation();
@@ -81,8 +97,25 @@
       document.body.classList.remove('landing-mode');
     }
 
+    // A bookmarked transactions search opens straight into the filtered list
+    const requested = TransactionQuery.parseLocationHash(window.location.hash);
+    if (initialView === 'dashboard' && requested.view === 'transactions') {
+      applyFiltersFromHash(requested.params);
+      initialView = 'transactions';
+    }
+    if (initialView === 'dashboard' && requested.view === 'goal') {
+      UI.setSelectedGoal(parseInt(requested.params.get('id')) || null);
+      initialView = 'goal';
+    }
+
     await navigateToView(initialView);
 
+    // Opened from a bill reminder's "Mark paid"
+    if (requested.view === 'recurring' && requested.params.get('paid') && initialView !== 'sync') {
+      await navigateToView('recurring');
+      await CrudUI.markRecurringPaid(requested.params.get('paid'), requested.params.get('due'));
+    }
+
     // Show sync prompt if needed (after dashboard loads)
     if (shouldShowSyncPrompt && typeof Utils !== 'undefined' && Utils.showNotification) {
       setTimeout(() => {
@@ -106,7 +139,7 @@
     // Listen for data updates and refresh current view
     window.addEventListener('data-updated', async () => {
       console.log('Data updated, refreshing view:', currentView);
-      await renderCurrentView();
+      await renderCurrentView({ preserveScroll: true });
     });
 
     console.log('BudgetTact Web initialized');
@@ -116,9 +149,7 @@
    * Register service worker for PWA
    */
   function registerServiceWorker() {
-    // Temporarily disabled for testing
-    console.log('Service Worker registration disabled for testing');
-    /*
+    // Needed for offline use and for budget alerts while the tab is in the background
     if ('serviceWorker' in navigator) {
       navigator.serviceWorker.register('./service-worker.js')
         .then(registration => {
@@ -128,7 +159,105 @@
           console.log('Service Worker registration failed:', error);
         });
     }
-    */
+  }
+
+  /**
+   * Bill reminders: checked here while the app is open, and by the service
+   * worker's periodic background sync while it is closed
+   */
+  function setupBillReminders() {
+    let checkTimer = null;
+    const scheduleCheck = () => {
+      clearTimeout(checkTimer);
+      checkTimer = setTimeout(checkBillReminders, 1000);
+    };
+
+    window.addEventListener('data-updated', (e) => {
+      if (e.detail?.type === 'bill-reminders-updated') {
+        updateBillReminderSync();
+      }
+      scheduleCheck();
+    });
+
+    // Bills come due as days pass, not only when data changes
+    setInterval(checkBillReminders, BILL_REMINDER_CHECK_MS);
+
+    // System notification clicks while the app is open: switch view, or "Mark paid"
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', async (event) => {
+        if (event.data?.type === 'OPEN_VIEW' && event.data.hash) {
+          window.location.hash = event.data.hash;
+        }
+        if (event.data?.type === 'MARK_RECURRING_PAID') {
+          await navigateToView('recurring');
+          await CrudUI.markRecurringPaid(event.data.ruleId, event.data.dueDate);
+        }
+      });
+    }
+
+    updateBillReminderSync();
+    scheduleCheck();
+  }
+
+  /**
+   * Deliver new bill reminders: system notifications while the tab is hidden, in the app otherwise
+   */
+  async function checkBillReminders() {
+    const inApp = [];
+    try {
+      await BillReminders.check(Storage.db, async (reminder, currency) => {
+        if (document.visibilityState === 'hidden' && typeof Notification !== 'undefined' &&
+            Notification.permission === 'granted' && 'serviceWorker' in navigator) {
+          const registration = await navigator.serviceWorker.getRegistration();
+          if (registration) {
+            const { title } = BillReminders.formatReminder(reminder, currency);
+            await registration.showNotification(title, BillReminders.getNotificationOptions(reminder, currency));
+            return;
+          }
+        }
+        inApp.push({ reminder, currency });
+      });
+    } catch (error) {
+      console.error('Bill reminder check failed:', error);
+      return;
+    }
+
+    if (inApp.length === 1) {
+      const { reminder, currency } = inApp[0];
+      const { title, body } = BillReminders.formatReminder(reminder, currency);
+      Utils.showNotification(`${title}: ${body}`, 'info', 10000, {
+        label: 'Mark paid',
+        onClick: () => CrudUI.markRecurringPaid(reminder.rule.id, reminder.dueDate)
+      });
+    } else if (inApp.length > 1) {
+      const names = inApp.map(({ reminder }) => reminder.template.merchantName || 'Bill').join(', ');
+      Utils.showNotification(`${inApp.length} bills due soon: ${names}`, 'info', 10000, {
+        label: 'View',
+        onClick: () => navigateToView('recurring')
+      });
+    }
+  }
+
+  /**
+   * Register the periodic background sync that checks reminders while the app is closed
+   * Only installed apps get it, in browsers that support it.
+   */
+  async function updateBillReminderSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (!registration.periodicSync) return;
+
+      const settings = await BillReminders.getSettings(Storage.db);
+      if (settings.enabled) {
+        await registration.periodicSync.register(BillReminders.PERIODIC_SYNC_TAG, { minInterval: BILL_REMINDER_SYNC_MS });
+      } else {
+        await registration.periodicSync.unregister(BillReminders.PERIODIC_SYNC_TAG);
+      }
+    } catch (error) {
+      // Refused unless the app is installed
+      console.log('Periodic sync for bill reminders unavailable:', error.message);
+    }
   }
 
   /**
@@ -171,8 +300,24 @@
 
     // Handle browser back/forward
     window.addEventListener('hashchange', async () => {
-      const hash = window.location.hash.slice(1) || 'dashboard';
-      await navigateToView(hash);
+      const { view, params } = TransactionQuery.parseLocationHash(window.location.hash);
+      if (view === 'transactions' && applyFiltersFromHash(params) && currentView === 'transactions') {
+        await UI.renderTransactions();
+        return;
+      }
+      if (view === 'goal') {
+        const goalId = parseInt(params.get('id')) || null;
+        if (currentView === 'goal') {
+          // navigateToView('goal') sets the hash of the goal it has just rendered
+          if (goalId !== UI.getSelectedGoal()) {
+            UI.setSelectedGoal(goalId);
+            await UI.renderGoalDetail();
+          }
+          return;
+        }
+        UI.setSelectedGoal(goalId);
+      }
+      await navigateToView(view || 'dashboard');
     });
   }
 
@@ -194,10 +339,11 @@
       document.body.classList.remove('landing-mode');
     }
 
-    // Update active nav item
+    // Update active nav item (a goal's detail page belongs to Savings Goals)
+    const navView = viewName === 'goal' ? 'goals' : viewName;
     document.querySelectorAll('.nav-item').forEach(item => {
       item.classList.remove('active');
-      if (item.dataset.view === viewName) {
+      if (item.dataset.view === navView) {
         item.classList.add('active');
       }
     });
@@ -216,9 +362,15 @@
       console.error('View element not found:', `view-${viewName}`);
     }
 
-    // Update hash
-    window.location.hash = viewName;
+    // Update hash (the transactions view keeps its filters in it, the goal view its goal)
     currentView = viewName;
+    if (viewName === 'transactions') {
+      window.location.hash = getTransactionsHash();
+    } else if (viewName === 'goal') {
+      window.location.hash = TransactionQuery.buildLocationHash('goal', { id: UI.getSelectedGoal() });
+    } else {
+      window.location.hash = viewName;
+    }
 
     // Render view content
     await renderCurrentView();
@@ -226,8 +378,9 @@
 
   /**
    * Render current view
+   * @param {Object} options - { preserveScroll: keep the transactions list position, for data refreshes }
    */
-  async function renderCurrentView() {
+  async function renderCurrentView({ preserveScroll = false } = {}) {
     console.log('Rendering view:', currentView);
 
     // Remove any existing FAB button
@@ -251,7 +404,7 @@
         addFabButton('transaction');
         break;
       case 'transactions':
-        await UI.renderTransactions();
+        await UI.renderTransactions({ preserveScroll });
         addFabButton('transaction');
         break;
       case 'categories':
@@ -262,12 +415,81 @@
         await UI.renderGoals();
         addFabButton('goal');
         break;
+      case 'goal':
+        await UI.renderGoalDetail();
+        break;
+      case 'recurring':
+        await UI.renderRecurring();
+        addFabButton('recurring');
+        break;
+      case 'planning':
+        await UI.renderPlanning();
+        break;
+      case 'forecast':
+        await UI.renderForecast();
+        break;
+      case 'reports':
+        await UI.renderReports();
+        break;
+      case 'networth':
+        await UI.renderNetWorth();
+        addFabButton('networth');
+        break;
+      case 'rules':
+        await UI.renderRules();
+        addFabButton('rule');
+        break;
+      case 'trash':
+        await UI.renderTrash();
+        break;
+    }
+  }
+
+  /**
+   * Purge trash entries whose deletion has synced and is past the retention period
+   */
+  async function compactTrash() {
+    try {
+      await Storage.compactTrash();
+    } catch (error) {
+      console.error('Failed to compact trash:', error);
+    }
+  }
+
+  /**
+   * Roll budgets over if a new month started since the last visit
+   * When paired, this waits for the session's first sync: the phone owns the
+   * rollover, and budgets it set this month must be in first.
+   */
+  function setupBudgetRollover() {
+    if (!PairingManager.isPaired()) {
+      Storage.propagateMonthlyBudgets({ ownsRollover: true });
+      return;
+    }
+
+    const sessionStart = Date.now();
+    const onDataUpdated = () => {
+      if ((PairingManager.getLastSyncTime() || 0) < sessionStart) return;
+      window.removeEventListener('data-updated', onDataUpdated);
+      Storage.propagateMonthlyBudgets();
+    };
+    window.addEventListener('data-updated', onDataUpdated);
+  }
+
+  /**
+   * Record this month's net worth snapshot
+   */
+  async function recordNetWorthSnapshot() {
+    try {
+      await Storage.recordNetWorthSnapshot();
+    } catch (error) {
+      console.error('Failed to record net worth snapshot:', error);
     }
   }
 
   /**
    * Add Floating Action Button to current view
-   * @param {string} type - Type of FAB: 'transaction', 'category', 'goal'
+   * @param {string} type - Type of FAB: 'transaction', 'category', 'goal', 'recurring', 'rule', 'networth'
    */
   function addFabButton(type) {
     const fab = document.createElement('button');
@@ -292,6 +514,21 @@
             CrudUI.showAddGoalModal();
           }
           break;
+        case 'recurring':
+          if (typeof CrudUI !== 'undefined') {
+            CrudUI.showAddRecurringModal();
+          }
+          break;
+        case 'rule':
+          if (typeof CrudUI !== 'undefined') {
+            CrudUI.showAddRuleModal();
+          }
+          break;
+        case 'networth':
+          if (typeof CrudUI !== 'undefined') {
+            CrudUI.showAddNetWorthItemModal();
+          }
+          break;
       }
     };
 
@@ -312,6 +549,12 @@
     const importError = document.getElementById('import-error');
     const importSuccess = document.getElementById('import-success');
 
+    // Export button - open the export menu
+    const exportBtn = document.getElementById('export-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => CrudUI.showExportModal());
+    }
+
     // Sync button - navigate to sync view
     if (syncBtn) {
       syncBtn.addEventListener('click', () => {
@@ -342,6 +585,12 @@
       });
     }
 
+    // Restore encrypted backup button
+    const restoreBackupBtn = document.getElementById('restoreBackupBtn');
+    if (restoreBackupBtn) {
+      restoreBackupBtn.addEventListener('click', () => CrudUI.showRestoreBackupModal());
+    }
+
     // Close manual import modal
     if (closeManualImportBtn) {
       closeManualImportBtn.addEventListener('click', () => {
@@ -451,6 +700,7 @@
         // Update filter and re-render
         const type = btn.dataset.type;
         UI.setFilters({ type: type === 'all' ? null : type });
+        updateFiltersHash();
         await UI.renderTransactions();
       });
     });
@@ -461,15 +711,98 @@
       categorySelect.addEventListener('change', async (e) => {
         const categoryId = e.target.value ? parseInt(e.target.value) : null;
         UI.setFilters({ categoryId });
+        updateFiltersHash();
         await UI.renderTransactions();
       });
     }
 
+    // Saved filters - choosing one applies it through the location hash
+    const savedFilterSelect = document.getElementById('saved-filter-select');
+    if (savedFilterSelect) {
+      savedFilterSelect.addEventListener('change', async (e) => {
+        const savedFilter = (await Storage.getSavedFilters()).find(f => f.id === e.target.value);
+        const filters = savedFilter ? Storage.getSavedFilterFilters(savedFilter) : {};
+        window.location.hash = TransactionQuery.buildTransactionsHash(filters);
+      });
+    }
+
+    const saveFilterBtn = document.getElementById('save-filter-btn');
+    if (saveFilterBtn) {
+      saveFilterBtn.addEventListener('click', () => {
+        CrudUI.showSaveFilterModal(UI.getFilters(), savedFilterSelect?.value || null);
+      });
+    }
+
+    const deleteFilterBtn = document.getElementById('delete-filter-btn');
+    if (deleteFilterBtn) {
+      deleteFilterBtn.addEventListener('click', () => {
+        if (savedFilterSelect?.value) {
+          CrudUI.deleteSavedFilter(savedFilterSelect.value);
+        }
+      });
+    }
+
+    // Multi-select and bulk actions
+    const selectTransactionsBtn = document.getElementById('select-transactions-btn');
+    if (selectTransactionsBtn) {
+      selectTransactionsBtn.addEventListener('click', () => {
+        UI.setSelectionMode(!UI.isSelectionMode());
+      });
+    }
+
+    document.querySelectorAll('[data-bulk]').forEach(button => {
+      button.addEventListener('click', () => {
+        const ids = UI.getSelectedTransactionIds();
+        switch (button.dataset.bulk) {
+          case 'select-all':
+            UI.selectAllLoadedTransactions();
+            break;
+          case 'category':
+            CrudUI.showBulkCategoryModal(ids);
+            break;
+          case 'biller':
+            CrudUI.showBulkBillerModal(ids);
+            break;
+          case 'reviewed':
+            CrudUI.bulkMarkReviewed(ids);
+            break;
+          case 'delete':
+            CrudUI.bulkDeleteTransactions(ids);
+            break;
+        }
+      });
+    });
+
+    // Bill reminders
+    const billRemindersBtn = document.getElementById('bill-reminders-btn');
+    if (billRemindersBtn) {
+      billRemindersBtn.addEventListener('click', () => CrudUI.showBillRemindersModal());
+    }
+
+    // Categorization rules
+    const rerunRulesBtn = document.getElementById('rerun-rules-btn');
+    if (rerunRulesBtn) {
+      rerunRulesBtn.addEventListener('click', () => CrudUI.showRerunRulesModal());
+    }
+
+    // Trash
+    const emptyTrashBtn = document.getElementById('empty-trash-btn');
+    if (emptyTrashBtn) {
+      emptyTrashBtn.addEventListener('click', () => CrudUI.emptyTrash());
+    }
+
+    // Bank statement import
+    const importStatementBtn = document.getElementById('import-statement-btn');
+    if (importStatementBtn) {
+      importStatementBtn.addEventListener('click', () => CrudUI.showStatementImportModal());
+    }
+
     // Search input
     const searchInput = document.getElementById('search-transactions');
     if (searchInput) {
       const debouncedSearch = Utils.debounce(async (value) => {
-        UI.setFilters({ search: value });
+        UI.setFilters({ query: value.trim() });
+        updateFiltersHash();
         await UI.renderTransactions();
       }, 300);
 
@@ -479,6 +812,54 @@
     }
   }
 
+  /**
+   * Location hash of the transactions view for the current filters
+   * e.g. "transactions?q=cat%3Agroceries+amount%3E50&type=expense"
+   */
+  function getTransactionsHash() {
+    return TransactionQuery.buildTransactionsHash(UI.getFilters());
+  }
+
+  /**
+   * Reflect the transaction filters in the URL so the view can be bookmarked
+   * replaceState doesn't fire hashchange, so typing doesn't fill the history
+   */
+  function updateFiltersHash() {
+    history.replaceState(null, '', `#${getTransactionsHash()}`);
+  }
+
+  /**
+   * Apply filters from location hash parameters to the filter state and controls
+   * @param {URLSearchParams} params - Parameters of the hash
+   * @returns {boolean} True when the filters changed
+   */
+  function applyFiltersFromHash(params) {
+    const type = ['expense', 'income'].includes(params.get('type')) ? params.get('type') : null;
+    const categoryId = parseInt(params.get('category')) || null;
+    const query = (params.get('q') || '').trim();
+
+    const current = UI.getFilters();
+    const currentType = current.type && current.type !== 'all' ? current.type : null;
+    if (currentType === type && (current.categoryId || null) === categoryId && (current.query || '') === query) {
+      return false;
+    }
+
+    UI.setFilters({ type, categoryId, query });
+
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.type === (type || 'all'));
+    });
+    const searchInput = document.getElementById('search-transactions');
+    if (searchInput) {
+      searchInput.value = query;
+    }
+    const categorySelect = document.getElementById('filter-category');
+    if (categorySelect) {
+      categorySelect.value = categoryId ? String(categoryId) : '';
+    }
+    return true;
+  }
+
   /**
    * Set up theme toggle functionality
    */
@@ -551,9 +932,12 @@
   }
 
   // Re-render when data changes (e.g., after sync)
-  window.addEventListener('data-updated', async () => {
+  window.addEventListener('data-updated', async (e) => {
+    if (e.detail?.type === 'sync-completed') {
+      compactTrash();
+    }
     if (currentView) {
-      await renderCurrentView();
+      await renderCurrentView({ preserveScroll: true });
     }
     if (typeof syncStatus !== 'undefined') {
       syncStatus.updateLastSyncTime();
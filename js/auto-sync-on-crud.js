@@ -9,6 +9,12 @@ class AutoSyncOnCRUD {
     this.DEBOUNCE_MS = 2000;
     this.STORAGE_KEY = 'pendingSync';
 
+    // Primary key per table, used to collapse repeated changes to one record
+    this.KEY_FIELDS = {
+      transactions: 'transactionID',
+      billers: 'billerID'
+    };
+
     // Load any persisted changes
     this.loadPersistedQueue();
 
@@ -27,20 +33,51 @@ class AutoSyncOnCRUD {
    * @param {Object} record - The modified record
    */
   recordChange(tableName, operation, record) {
+    this.queueRecord(tableName, operation, record);
+
+    // Schedule sync
+    this.scheduleSend();
+
+    // Update pending indicator
+    this.updatePendingIndicator();
+  }
+
+  /**
+   * Record a batch of changes to one table (bulk edits, undo)
+   * Sent straight away as one changes message instead of waiting for the debounce.
+   * @param {string} tableName - Table that was modified
+   * @param {string} operation - 'insert', 'update', or 'delete'
+   * @param {Array} records - The modified records
+   */
+  recordChanges(tableName, operation, records) {
+    if (records.length === 0) return;
+
+    records.forEach(record => this.queueRecord(tableName, operation, record));
+    console.log(`📝 Queued batch of ${records.length} ${operation}(s) for ${tableName}`);
+
+    clearTimeout(this.debounceTimer);
+    this.sendPendingChanges();
+
+    this.updatePendingIndicator();
+  }
+
+  /**
+   * Add a change to the queue, replacing an older change to the same record
+   */
+  queueRecord(tableName, operation, record) {
+    const keyField = this.KEY_FIELDS[tableName] || 'id';
     const change = {
       table: tableName,
       operation: operation,
       record: record,
       timestamp: Date.now(),
-      id: `${tableName}-${record.transactionID || record.id || record.billerID}-${Date.now()}`
+      id: `${tableName}-${record[keyField]}-${Date.now()}`
     };
 
-    // Check for duplicate/superseding change
+    // Check for duplicate/superseding change to the same record
+    // (compare on the table's own key: transactions also carry a billerID)
     const existingIndex = this.pendingChanges.findIndex(c =>
-      c.table === tableName &&
-      (c.record.transactionID === record.transactionID ||
-       c.record.id === record.id ||
-       c.record.billerID === record.billerID)
+      c.table === tableName && c.record[keyField] === record[keyField]
     );
 
     if (existingIndex > -1) {
@@ -50,14 +87,7 @@ class AutoSyncOnCRUD {
       this.pendingChanges.push(change);
     }
 
-    console.log(`📝 Queued ${operation} for ${tableName}:`,
-      record.transactionID || record.id || record.billerID);
-
-    // Schedule sync
-    this.scheduleSend();
-
-    // Update pending indicator
-    this.updatePendingIndicator();
+    console.log(`📝 Queued ${operation} for ${tableName}:`, record[keyField]);
   }
 
   /**
@@ -130,6 +160,8 @@ class AutoSyncOnCRUD {
       goalTransactions: [],
       recurringTransactions: [],
       billers: [],
+      savedFilters: [],
+      netWorthItems: [],
       deviceId: 'web',
       timestamp: Date.now()
     };
@@ -0,0 +1,304 @@
+/**
+ * Encrypted Backup
+ * Snapshots every table of Storage.db (including metadata, sync fields and
+ * data_hash) into a single file encrypted with a passphrase, and restores it
+ * either by replacing the local database or by merging through
+ * IncrementalSyncManager.applyIncomingChanges.
+ *
+ * File format (JSON):
+ *   { format, version, createdAt, kdf: { name, hash, iterations, salt },
+ *     cipher: { name, iv }, data }
+ * where salt, iv and data are base64 and data decrypts to the snapshot:
+ *   { dbVersion, createdAt, tables: { name: rows }, hashReport: { name: result } }
+ */
+const Backup = (() => {
+  const FORMAT = 'budgettact-encrypted-backup';
+  const VERSION = 1;
+  const PBKDF2_ITERATIONS = 600000;
+  const MIN_PASSPHRASE_LENGTH = 8;
+
+  // Tables IncrementalSyncManager.applyIncomingChanges can merge
+  const MERGE_TABLES = [
+    'transactions',
+    'categories',
+    'budgetHistory',
+    'savingsGoals',
+    'goalTransactions',
+    'recurringTransactions',
+    'billers',
+    'netWorthItems'
+  ];
+
+  // ============================================
+  // ENCODING & CRYPTO
+  // ============================================
+
+  function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Derive the AES-GCM key from a passphrase
+   */
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // ============================================
+  // SNAPSHOT
+  // ============================================
+
+  /**
+   * Verify the data_hash of every synced table
+   * Tables without a hash definition (metadata) are skipped.
+   * @param {Object} tables - Table name -> rows
+   * @returns {Promise<Object>} Table name -> { total, verified, failed, missing }
+   */
+  async function verifyTables(tables) {
+    const report = {};
+    for (const [name, rows] of Object.entries(tables)) {
+      if (!MERGE_TABLES.includes(name)) continue;
+      report[name] = await DataHashService.verifyBatchHashes(name, rows);
+    }
+    return report;
+  }
+
+  /**
+   * Snapshot every table of the local database
+   * The hash report records records whose data_hash came from another device
+   * and so cannot be verified here; restore only rejects new mismatches.
+   */
+  async function snapshotDatabase() {
+    const tables = {};
+    for (const table of Storage.db.tables) {
+      tables[table.name] = await table.toArray();
+    }
+
+    return {
+      dbVersion: Storage.db.verno,
+      createdAt: new Date().toISOString(),
+      tables,
+      hashReport: await verifyTables(tables)
+    };
+  }
+
+  /**
+   * Create an encrypted backup of the whole database
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<string>} Backup file content
+   */
+  async function createBackup(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const snapshot = await snapshotDatabase();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(snapshot))
+    );
+
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      createdAt: snapshot.createdAt,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+      data: toBase64(ciphertext)
+    });
+  }
+
+  /**
+   * Create an encrypted backup and offer it as a download
+   * @param {string} passphrase - User passphrase
+   */
+  async function downloadBackup(passphrase) {
+    const content = await createBackup(passphrase);
+    const today = new Date().toISOString().slice(0, 10);
+    Utils.downloadFile(`budgettact-encrypted-backup-${today}.json`, content, 'application/json');
+    console.log('✅ Encrypted backup created');
+  }
+
+  /**
+   * Decrypt a backup file
+   * @param {string} fileText - Backup file content
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<Object>} Snapshot
+   */
+  async function readBackup(fileText, passphrase) {
+    let envelope;
+    try {
+      envelope = JSON.parse(fileText);
+    } catch (error) {
+      throw new Error('This file is not a BudgetTact backup');
+    }
+    if (envelope?.format !== FORMAT) {
+      throw new Error('This file is not a BudgetTact encrypted backup');
+    }
+    if (envelope.version > VERSION) {
+      throw new Error('This backup was made by a newer version of BudgetTact');
+    }
+
+    let plaintext;
+    try {
+      const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+        key,
+        fromBase64(envelope.data)
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase or damaged backup file');
+    }
+
+    const snapshot = JSON.parse(new TextDecoder().decode(plaintext));
+    if (!snapshot.tables || typeof snapshot.tables !== 'object') {
+      throw new Error('Backup contains no tables');
+    }
+    return snapshot;
+  }
+
+  /**
+   * Check the records of a snapshot against their data_hash
+   * @param {Object} snapshot - Decrypted snapshot
+   * @returns {Promise<Object>} { valid, report, mismatches }
+   */
+  async function verifySnapshot(snapshot) {
+    const report = await verifyTables(snapshot.tables);
+    let mismatches = 0;
+    Object.entries(report).forEach(([name, result]) => {
+      const expected = snapshot.hashReport?.[name]?.failed || 0;
+      mismatches += Math.max(0, result.failed - expected);
+    });
+    return { valid: mismatches === 0, report, mismatches };
+  }
+
+  /**
+   * Throw when a snapshot fails verification
+   */
+  async function assertVerified(snapshot) {
+    const verification = await verifySnapshot(snapshot);
+    if (!verification.valid) {
+      throw new Error(`Backup failed verification: ${verification.mismatches} record(s) do not match their data_hash`);
+    }
+    return verification;
+  }
+
+  // ============================================
+  // RESTORE
+  // ============================================
+
+  /**
+   * Replace the whole local database with a snapshot
+   * Runs in one transaction, so a failed restore leaves the data untouched.
+   * @param {Object} snapshot - Decrypted snapshot
+   * @returns {Promise<Object>} { restored, skippedTables }
+   */
+  async function restoreReplace(snapshot) {
+    await assertVerified(snapshot);
+
+    const db = Storage.db;
+    const known = new Set(db.tables.map(table => table.name));
+    const skippedTables = Object.keys(snapshot.tables).filter(name => !known.has(name));
+    let restored = 0;
+
+    await db.transaction('rw', db.tables, async () => {
+      for (const table of db.tables) {
+        await table.clear();
+        const rows = snapshot.tables[table.name] || [];
+        if (rows.length > 0) {
+          await table.bulkPut(rows);
+          restored += rows.length;
+        }
+      }
+    });
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'backup-restored' } }));
+
+    console.log(`✅ Restored ${restored} records from backup`);
+    return { restored, skippedTables };
+  }
+
+  /**
+   * Merge a snapshot into the local database
+   * Records missing locally are added; records present on both sides go through
+   * the sync conflict rules with the newer copy winning. Local metadata is kept,
+   * apart from saved filters, which merge like the other synced records.
+   * @param {Object} snapshot - Decrypted snapshot
+   * @returns {Promise<Object>} { applied, conflicts }
+   */
+  async function restoreMerge(snapshot) {
+    await assertVerified(snapshot);
+
+    const changes = {};
+    MERGE_TABLES.forEach(name => {
+      changes[name] = snapshot.tables[name] || [];
+    });
+    // Saved filters live in metadata but sync as their own record type
+    changes.savedFilters = (snapshot.tables.metadata || [])
+      .filter(row => String(row.key).startsWith('savedFilter:'))
+      .map(({ key, ...record }) => record);
+
+    // Restored transactions keep their categories; rules are only for new ones from Android
+    const result = await incrementalSyncManager.applyIncomingChanges(changes, 'newerWins', { applyRules: false });
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'backup-merged' } }));
+
+    console.log(`✅ Merged backup: ${result.applied} applied, ${result.conflicts} conflicts`);
+    return { applied: result.applied, conflicts: result.conflicts };
+  }
+
+  /**
+   * Decrypt, verify and restore a backup file
+   * @param {string} fileText - Backup file content
+   * @param {string} passphrase - User passphrase
+   * @param {string} mode - 'replace' or 'merge'
+   */
+  async function restoreBackup(fileText, passphrase, mode = 'replace') {
+    const snapshot = await readBackup(fileText, passphrase);
+    return mode === 'merge' ? restoreMerge(snapshot) : restoreReplace(snapshot);
+  }
+
+  // Public API
+  return {
+    MIN_PASSPHRASE_LENGTH,
+    createBackup,
+    downloadBackup,
+    readBackup,
+    verifySnapshot,
+    restoreReplace,
+    restoreMerge,
+    restoreBackup
+  };
+})();
@@ -260,7 +260,9 @@ const BidirectionalSync = (() => {
            (changes.budgetHistory?.length || 0) +
            (changes.goalTransactions?.length || 0) +
            (changes.recurringTransactions?.length || 0) +
-           (changes.billers?.length || 0);
+           (changes.billers?.length || 0) +
+           (changes.savedFilters?.length || 0) +
+           (changes.netWorthItems?.length || 0);
   }
 
   /**
@@ -0,0 +1,215 @@
+/**
+ * Bill Reminders
+ * Finds recurring bills coming due within a set number of days and delivers a
+ * reminder for each upcoming payment.
+ *
+ * Settings and the reminders already shown live in one metadata row on this
+ * device. Each due date is reminded once, or again after a snooze.
+ *
+ * Kept free of DOM and Storage access: every function takes the Dexie database,
+ * so the service worker can run the same check from IndexedDB while the app is
+ * closed (periodic background sync). Depends on RecurringSchedule.
+ */
+const BillReminders = (() => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const DEFAULT_DAYS_BEFORE = 3;
+  const MAX_DAYS_BEFORE = 30;
+
+  // A snoozed reminder comes back after this long
+  const SNOOZE_MS = DAY_MS;
+
+  // Metadata row: { enabled, daysBefore, shown: { "<ruleId>:<YYYY-MM-DD>": ms }, snoozed: { "<ruleId>:<YYYY-MM-DD>": until ms } }
+  const SETTINGS_KEY = 'billReminders';
+
+  // Tag of the periodic background sync that runs the check from the service worker
+  const PERIODIC_SYNC_TAG = 'bill-reminders';
+
+  // Entries for due dates this far back are dropped
+  const HISTORY_DAYS = 60;
+
+  /**
+   * Reminder settings and history
+   * @param {Dexie} db - BudgetTactDB
+   * @returns {Promise<Object>} { enabled, daysBefore, shown, snoozed }
+   */
+  async function getSettings(db) {
+    const row = await db.table('metadata').get(SETTINGS_KEY);
+    return {
+      enabled: !!row?.enabled,
+      daysBefore: Number.isInteger(row?.daysBefore) ? row.daysBefore : DEFAULT_DAYS_BEFORE,
+      shown: row?.shown || {},
+      snoozed: row?.snoozed || {}
+    };
+  }
+
+  async function saveSettings(db, settings) {
+    await db.table('metadata').put({ key: SETTINGS_KEY, ...settings, updatedAt: Date.now() });
+  }
+
+  /**
+   * Turn reminders on or off and set how early they come
+   * @param {Dexie} db - BudgetTactDB
+   * @param {Object} options - { enabled, daysBefore }
+   * @returns {Promise<Object>} Saved settings
+   */
+  async function setOptions(db, { enabled, daysBefore }) {
+    const days = parseInt(daysBefore);
+    if (isNaN(days) || days < 0 || days > MAX_DAYS_BEFORE) {
+      throw new Error(`Remind between 0 and ${MAX_DAYS_BEFORE} days before the due date`);
+    }
+
+    const settings = await getSettings(db);
+    settings.enabled = !!enabled;
+    settings.daysBefore = days;
+    await saveSettings(db, settings);
+    return settings;
+  }
+
+  function reminderKey(ruleId, dueDay) {
+    return `${ruleId}:${RecurringSchedule.toIso(dueDay).slice(0, 10)}`;
+  }
+
+  /**
+   * Reminders due for a set of rules, without recording them
+   * Overdue payments are included until the rule is advanced.
+   * @param {Array} rules - Recurring transactions
+   * @param {Object} settings - Reminder settings
+   * @param {Date} now - Reference time
+   * @returns {Array} [{ key, rule, dueDate, daysUntil }], soonest first
+   */
+  function findDue(rules, settings, now = new Date()) {
+    const today = RecurringSchedule.toUtcDay(now);
+
+    return rules
+      .filter(rule => !rule.deleted && rule.status === 'active' && rule.nextDueDate)
+      .map(rule => {
+        const dueDay = RecurringSchedule.toUtcDay(rule.nextDueDate);
+        return {
+          key: reminderKey(rule.id, dueDay),
+          rule,
+          dueDate: RecurringSchedule.toIso(dueDay),
+          daysUntil: Math.round((dueDay - today) / DAY_MS)
+        };
+      })
+      .filter(reminder => reminder.daysUntil <= settings.daysBefore &&
+        !settings.shown[reminder.key] &&
+        !((settings.snoozed[reminder.key] || 0) > now.getTime()))
+      .sort((a, b) => a.daysUntil - b.daysUntil);
+  }
+
+  function formatAmount(amount, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return `${amount} ${currency}`;
+    }
+  }
+
+  /**
+   * Text of a reminder
+   * @param {Object} reminder - From findDue, with the rule's template transaction
+   * @param {string} currency - Currency code
+   * @returns {Object} { title, body }
+   */
+  function formatReminder(reminder, currency) {
+    const name = reminder.template.merchantName || 'Bill';
+    const amount = formatAmount(reminder.template.transactionAmount, reminder.template.currency || currency);
+    const when = reminder.daysUntil < 0
+      ? `was due ${-reminder.daysUntil === 1 ? 'yesterday' : `${-reminder.daysUntil} days ago`}`
+      : reminder.daysUntil === 0
+        ? 'is due today'
+        : `is due ${reminder.daysUntil === 1 ? 'tomorrow' : `in ${reminder.daysUntil} days`}`;
+    return { title: `${name} ${when}`, body: `${amount} on ${reminder.dueDate.slice(0, 10)}` };
+  }
+
+  /**
+   * Options for a system notification carrying a reminder
+   * "Mark paid" and "Snooze" are handled by the service worker's notificationclick.
+   */
+  function getNotificationOptions(reminder, currency) {
+    return {
+      body: formatReminder(reminder, currency).body,
+      tag: `bill-${reminder.key}`,
+      icon: './assets/icons/icon-192.png',
+      actions: [
+        { action: 'paid', title: 'Mark paid' },
+        { action: 'snooze', title: 'Snooze' }
+      ],
+      data: {
+        type: 'bill-reminder',
+        key: reminder.key,
+        ruleId: reminder.rule.id,
+        dueDate: reminder.dueDate,
+        url: './#recurring'
+      }
+    };
+  }
+
+  /**
+   * Find new reminders, record them as shown and deliver them
+   * @param {Dexie} db - BudgetTactDB
+   * @param {Function} deliver - async (reminder, currency) => void
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Reminders delivered
+   */
+  async function check(db, deliver, now = new Date()) {
+    const settings = await getSettings(db);
+    if (!settings.enabled) return [];
+
+    const rules = await db.table('recurringTransactions').toArray();
+    const due = findDue(rules, settings, now);
+    const templates = await db.table('transactions').bulkGet(due.map(reminder => reminder.rule.transactionID || ''));
+    const reminders = due
+      .map((reminder, index) => ({ ...reminder, template: templates[index] }))
+      .filter(reminder => reminder.template && !reminder.template.deleted);
+
+    // Drop history for due dates long past
+    const oldestKept = RecurringSchedule.toIso(new Date(RecurringSchedule.toUtcDay(now).getTime() - HISTORY_DAYS * DAY_MS)).slice(0, 10);
+    ['shown', 'snoozed'].forEach(field => {
+      Object.keys(settings[field]).forEach(key => {
+        if (key.slice(key.lastIndexOf(':') + 1) < oldestKept) delete settings[field][key];
+      });
+    });
+
+    reminders.forEach(reminder => {
+      settings.shown[reminder.key] = now.getTime();
+      delete settings.snoozed[reminder.key];
+    });
+    await saveSettings(db, settings);
+
+    const metadata = await db.table('metadata').get('lastSync');
+    const currency = metadata?.currency || 'USD';
+    for (const reminder of reminders) {
+      await deliver(reminder, currency);
+    }
+    return reminders;
+  }
+
+  /**
+   * Hide a reminder for a while; it is shown again by the first check after that
+   * @param {Dexie} db - BudgetTactDB
+   * @param {string} key - Reminder key
+   * @param {Date} now - Reference time
+   */
+  async function snooze(db, key, now = new Date()) {
+    const settings = await getSettings(db);
+    delete settings.shown[key];
+    settings.snoozed[key] = now.getTime() + SNOOZE_MS;
+    await saveSettings(db, settings);
+  }
+
+  // Public API
+  return {
+    DEFAULT_DAYS_BEFORE,
+    MAX_DAYS_BEFORE,
+    PERIODIC_SYNC_TAG,
+    getSettings,
+    setOptions,
+    findDue,
+    formatReminder,
+    getNotificationOptions,
+    check,
+    snooze
+  };
+})();
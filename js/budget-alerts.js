@@ -0,0 +1,231 @@
+/**
+ * Budget Alerts
+ * Warns when a category's spending crosses a share of its monthly budget
+ *
+ * Only categories with budgetNotificationsEnabled are checked. The thresholds
+ * (80% and 100% unless set per category) and the history of alerts already
+ * shown are kept in metadata rows on this device; each threshold fires at most
+ * once per category and month.
+ *
+ * Spending is checked after transactions are created, imported or synced in.
+ * While the tab is hidden, alerts go through the service worker's Notifications
+ * API (when permitted); otherwise they are shown in the app.
+ */
+const BudgetAlerts = (() => {
+  const DEFAULT_THRESHOLDS = [80, 100];
+
+  // Metadata rows: { thresholds: { categoryId: [percent] } } and { fired: { "<categoryId>:<YYYY-MM>": [percent] } }
+  const SETTINGS_KEY = 'budgetAlertSettings';
+  const HISTORY_KEY = 'budgetAlertHistory';
+
+  // Changes that can add spending
+  const CHECK_UPDATE_TYPES = ['transaction-created', 'transactions-imported', 'sync-completed', 'realtime-sync'];
+
+  const CHECK_DELAY_MS = 1000;
+
+  let checkTimer = null;
+  let checking = null;
+
+  /**
+   * Parse a threshold list such as "80, 100"
+   * @param {string} text - Comma separated percentages
+   * @returns {Array<number>} Sorted unique percentages
+   */
+  function parseThresholds(text) {
+    const values = String(text || '').split(/[,;\s]+/).filter(Boolean).map(value => parseFloat(value.replace('%', '')));
+    if (values.length === 0) {
+      throw new Error('Enter at least one alert threshold');
+    }
+    if (values.some(value => isNaN(value) || value <= 0 || value > 1000)) {
+      throw new Error('Alert thresholds must be percentages between 1 and 1000');
+    }
+    return [...new Set(values.map(value => Math.round(value)))].sort((a, b) => a - b);
+  }
+
+  async function loadSettings() {
+    const row = await Storage.db.metadata.get(SETTINGS_KEY);
+    return row?.thresholds || {};
+  }
+
+  /**
+   * Alert thresholds of a category
+   * @param {number} categoryId - Category ID
+   * @returns {Promise<Array<number>>} Percentages of the monthly budget
+   */
+  async function getThresholds(categoryId) {
+    const thresholds = await loadSettings();
+    return thresholds[categoryId] || DEFAULT_THRESHOLDS;
+  }
+
+  /**
+   * Set the alert thresholds of a category
+   * @param {number} categoryId - Category ID
+   * @param {Array<number>} values - Percentages of the monthly budget
+   */
+  async function setThresholds(categoryId, values) {
+    const thresholds = await loadSettings();
+    thresholds[categoryId] = values;
+    await Storage.db.metadata.put({ key: SETTINGS_KEY, thresholds, updatedAt: Date.now() });
+  }
+
+  /**
+   * Alerts due for a month, without recording them
+   * @param {string} yearMonth - YYYY-MM
+   * @param {Object} fired - Alert history
+   * @returns {Promise<Array>} [{ category, threshold, percent, spent, limit, crossed }]
+   */
+  async function findAlerts(yearMonth, fired) {
+    const [categories, availability, thresholds] = await Promise.all([
+      Storage.getActiveCategories(),
+      Storage.getCategoryAvailability(yearMonth),
+      loadSettings()
+    ]);
+
+    const alerts = [];
+    categories
+      .filter(category => category.budgetNotificationsEnabled)
+      .forEach(category => {
+        const entry = availability.get(category.id);
+        const limit = entry ? entry.budgetAmount + entry.carryover : 0;
+        if (!entry || limit <= 0) return;
+
+        const percent = (entry.spent / limit) * 100;
+        const alreadyFired = fired[`${category.id}:${yearMonth}`] || [];
+        const crossed = (thresholds[category.id] || DEFAULT_THRESHOLDS)
+          .filter(threshold => percent >= threshold && !alreadyFired.includes(threshold));
+        if (crossed.length === 0) return;
+
+        // One alert per category, for the highest threshold reached
+        alerts.push({
+          category,
+          threshold: crossed[crossed.length - 1],
+          percent,
+          spent: entry.spent,
+          limit,
+          crossed
+        });
+      });
+    return alerts;
+  }
+
+  /**
+   * Check every category against its thresholds and deliver new alerts
+   * @param {Date} now - Reference date (the month checked)
+   * @returns {Promise<Array>} Alerts delivered
+   */
+  async function check(now = new Date()) {
+    if (checking) return checking;
+
+    checking = (async () => {
+      const yearMonth = Utils.getMonthYear(now.toISOString());
+      const row = await Storage.db.metadata.get(HISTORY_KEY);
+      const fired = row?.fired || {};
+
+      const alerts = await findAlerts(yearMonth, fired);
+      if (alerts.length === 0) return [];
+
+      alerts.forEach(alert => {
+        const key = `${alert.category.id}:${yearMonth}`;
+        fired[key] = [...(fired[key] || []), ...alert.crossed];
+      });
+
+      // History older than last month is no longer needed
+      const oldestKept = Utils.addMonths(yearMonth, -1);
+      Object.keys(fired).forEach(key => {
+        if (key.split(':')[1] < oldestKept) delete fired[key];
+      });
+      await Storage.db.metadata.put({ key: HISTORY_KEY, fired, updatedAt: Date.now() });
+
+      const currency = await getCurrency();
+      for (const alert of alerts) {
+        await deliver(alert, currency);
+      }
+      return alerts;
+    })();
+
+    try {
+      return await checking;
+    } catch (error) {
+      console.error('Budget alert check failed:', error);
+      return [];
+    } finally {
+      checking = null;
+    }
+  }
+
+  async function getCurrency() {
+    const metadata = await Storage.getMetadata();
+    return metadata?.currency || 'USD';
+  }
+
+  /**
+   * Text of an alert
+   */
+  function formatAlert(alert, currency) {
+    const name = alert.category.categoryType;
+    const amounts = `${Utils.formatCurrency(alert.spent, currency)} of ${Utils.formatCurrency(alert.limit, currency)}`;
+    return alert.threshold >= 100
+      ? { title: `${name} is over budget`, body: `${amounts} spent this month` }
+      : { title: `${name} at ${Math.floor(alert.percent)}% of budget`, body: `${amounts} spent this month` };
+  }
+
+  /**
+   * Show an alert: a system notification while the tab is hidden, in the app otherwise
+   */
+  async function deliver(alert, currency) {
+    const { title, body } = formatAlert(alert, currency);
+    console.log(`🔔 Budget alert: ${title}`);
+
+    if (document.visibilityState === 'hidden' && typeof Notification !== 'undefined' &&
+        Notification.permission === 'granted' && 'serviceWorker' in navigator) {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration) {
+        await registration.showNotification(title, {
+          body,
+          tag: `budget-${alert.category.id}`,
+          icon: './assets/icons/icon-192.png',
+          data: { url: './#categories' }
+        });
+        return;
+      }
+    }
+
+    Utils.showNotification(`${title}: ${body}`, alert.threshold >= 100 ? 'error' : 'warning', 6000);
+  }
+
+  /**
+   * Ask for permission to show system notifications, if not decided yet
+   * Call from a user action (browsers ignore the request otherwise).
+   */
+  async function requestPermission() {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+    try {
+      await Notification.requestPermission();
+    } catch (error) {
+      console.warn('Notification permission request failed:', error);
+    }
+  }
+
+  function scheduleCheck() {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(check, CHECK_DELAY_MS);
+  }
+
+  window.addEventListener('data-updated', (e) => {
+    const type = e.detail?.type;
+    // Some sync paths dispatch without a type
+    if (!type || CHECK_UPDATE_TYPES.includes(type)) {
+      scheduleCheck();
+    }
+  });
+
+  // Public API
+  return {
+    DEFAULT_THRESHOLDS,
+    parseThresholds,
+    getThresholds,
+    setThresholds,
+    check,
+    requestPermission
+  };
+})();
@@ -0,0 +1,230 @@
+/**
+ * Cash-Flow Forecast
+ * Projects each biller/account balance, and the total, day by day from today.
+ *
+ * Three kinds of money movement are projected:
+ * - Recurring transactions, on their scheduled dates (overdue ones today)
+ * - Discretionary spending: the average daily spend per category over the
+ *   last 90 days, leaving out merchants that have a recurring rule
+ * - The part of monthlyIncome (sync payload) not covered by recurring income
+ *
+ * Averages land on the accounts in the proportions they were paid from (or
+ * into) before; money with no account only moves the total.
+ * Kept free of DOM and storage access, like RecurringSchedule.
+ */
+const CashFlowForecast = (() => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DAYS_PER_MONTH = 365.25 / 12;
+
+  const HORIZONS = [30, 60, 90];
+
+  // History used for the averages; a shorter history is used as far as it goes
+  const LOOKBACK_DAYS = 90;
+  const MIN_LOOKBACK_DAYS = 30;
+
+  // Flows without an account
+  const UNASSIGNED = '';
+
+  function isTotalBiller(biller) {
+    return biller.billerName === 'Total' || biller.billerName === 'Total Balance';
+  }
+
+  function toIsoDay(date) {
+    return RecurringSchedule.toIso(date).slice(0, 10);
+  }
+
+  function merchantKey(transaction) {
+    return `${transaction.transactionType}:${String(transaction.merchantName || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * Account a transaction belongs to
+   * @returns {string} billerID, or UNASSIGNED
+   */
+  function getAccountKey(transaction, accounts) {
+    const account = accounts.find(a => Utils.belongsToBiller(transaction, a));
+    return account ? account.billerID : UNASSIGNED;
+  }
+
+  /**
+   * Scheduled occurrences of active recurring rules inside the horizon
+   * @returns {Array} [{ date, dayIndex, ruleId, name, amount (signed), accountKey, overdue }], by date
+   */
+  function getRecurringEvents(rules, accounts, start, days) {
+    const end = new Date(start.getTime() + days * DAY_MS);
+    const events = [];
+
+    rules
+      .filter(rule => !rule.deleted && rule.status === 'active' && rule.nextDueDate && rule.template &&
+        !rule.template.deleted && !Utils.isTransfer(rule.template))
+      .forEach(rule => {
+        const template = rule.template;
+        const sign = template.transactionType === 'income' ? 1 : -1;
+        const nextDue = RecurringSchedule.toUtcDay(rule.nextDueDate);
+        const from = nextDue < start ? nextDue : start;
+
+        RecurringSchedule.getOccurrencesBetween(rule, from, end, { fromNextDue: true }).forEach(occurrence => {
+          const day = RecurringSchedule.toUtcDay(occurrence);
+          events.push({
+            date: toIsoDay(day < start ? start : day),
+            dayIndex: Math.max(0, Math.round((day - start) / DAY_MS)),
+            ruleId: rule.id,
+            name: template.merchantName || 'Recurring transaction',
+            amount: sign * Math.abs(template.transactionAmount),
+            accountKey: getAccountKey(template, accounts),
+            overdue: day < start
+          });
+        });
+      });
+
+    return events.sort((a, b) => a.dayIndex - b.dayIndex);
+  }
+
+  /**
+   * Average daily amounts from recent history
+   * @returns {Object} { lookbackDays, categories: [{ categoryId, monthly }], spendByAccount, incomeShares }
+   */
+  function getAverages(transactions, rules, accounts, start) {
+    const recurringMerchants = new Set(rules
+      .filter(rule => !rule.deleted && rule.template)
+      .map(rule => merchantKey(rule.template)));
+
+    const recent = transactions.filter(t => !t.deleted && !Utils.isTransfer(t));
+    const oldest = recent.reduce((min, t) => {
+      const day = RecurringSchedule.toUtcDay(t.transactionDate);
+      return day && day < min ? day : min;
+    }, start);
+    const lookbackDays = Math.min(LOOKBACK_DAYS, Math.max(MIN_LOOKBACK_DAYS, Math.round((start - oldest) / DAY_MS)));
+    const since = new Date(start.getTime() - lookbackDays * DAY_MS);
+
+    const spendByCategory = new Map();
+    const spendByAccount = new Map();
+    const incomeByAccount = new Map();
+    const add = (map, key, amount) => map.set(key, (map.get(key) || 0) + amount);
+
+    recent.forEach(t => {
+      const day = RecurringSchedule.toUtcDay(t.transactionDate);
+      if (!day || day < since || day >= start) return;
+
+      const accountKey = getAccountKey(t, accounts);
+      const amount = Math.abs(t.transactionAmount);
+      if (t.transactionType === 'income') {
+        add(incomeByAccount, accountKey, amount);
+        return;
+      }
+      if (t.transactionType !== 'expense' || recurringMerchants.has(merchantKey(t))) return;
+
+      Utils.getTransactionSplits(t).forEach(split => add(spendByCategory, split.categoryId, Math.abs(split.amount)));
+      add(spendByAccount, accountKey, amount);
+    });
+
+    const incomeTotal = [...incomeByAccount.values()].reduce((sum, amount) => sum + amount, 0);
+    const incomeShares = new Map([...incomeByAccount].map(([key, amount]) => [key, amount / incomeTotal]));
+
+    return {
+      lookbackDays,
+      categories: [...spendByCategory]
+        .map(([categoryId, amount]) => ({ categoryId, monthly: (amount / lookbackDays) * DAYS_PER_MONTH }))
+        .sort((a, b) => b.monthly - a.monthly),
+      dailySpendByAccount: new Map([...spendByAccount].map(([key, amount]) => [key, amount / lookbackDays])),
+      incomeShares
+    };
+  }
+
+  /**
+   * Summary of a projected balance series
+   */
+  function summarize(series, dates) {
+    const negativeIndex = series.findIndex(balance => balance < -0.005);
+    const lowestIndex = series.reduce((low, balance, index) => (balance < series[low] ? index : low), 0);
+    return {
+      current: series[0],
+      series,
+      checkpoints: HORIZONS
+        .filter(days => days < series.length)
+        .map(days => ({ days, date: dates[days], balance: series[days] })),
+      firstNegative: negativeIndex === -1 ? null : dates[negativeIndex],
+      lowest: { date: dates[lowestIndex], balance: series[lowestIndex] }
+    };
+  }
+
+  /**
+   * Project balances
+   * @param {Object} input - {
+   *   billers: billers with `balance` (Storage.getBillerBalances),
+   *   rules: recurring transactions with `template` (Storage.getRecurringTransactionsWithTemplates),
+   *   transactions: recent transactions, at least the last 90 days,
+   *   monthlyIncome: budgeted monthly income,
+   *   now: reference date, days: horizon (default 90) }
+   * @returns {Object} { dates, accounts: [{ billerID, name, ...summary }], total: summary, events, averages }
+   */
+  function project({ billers = [], rules = [], transactions = [], monthlyIncome = 0, now = new Date(), days = HORIZONS[HORIZONS.length - 1] }) {
+    const start = RecurringSchedule.toUtcDay(now);
+    const dates = Array.from({ length: days + 1 }, (_, index) => toIsoDay(new Date(start.getTime() + index * DAY_MS)));
+
+    const accounts = billers.filter(b => !b.deleted && !isTotalBiller(b));
+    const events = getRecurringEvents(rules, accounts, start, days);
+    const averages = getAverages(transactions, rules, accounts, start);
+
+    // Income the recurring rules do not already schedule
+    const recurringIncome = events
+      .filter(event => event.amount > 0 && !event.overdue)
+      .reduce((sum, event) => sum + event.amount, 0);
+    const recurringIncomeMonthly = (recurringIncome / days) * DAYS_PER_MONTH;
+    const extraIncomeMonthly = Math.max(0, (monthlyIncome || 0) - recurringIncomeMonthly);
+    const extraIncomeDaily = extraIncomeMonthly / DAYS_PER_MONTH;
+
+    // Daily change per account, on top of the scheduled events
+    const keys = [...accounts.map(a => a.billerID), UNASSIGNED];
+    const daily = new Map(keys.map(key => [key, 0]));
+    averages.dailySpendByAccount.forEach((amount, key) => daily.set(key, daily.get(key) - amount));
+    if (averages.incomeShares.size === 0) {
+      daily.set(UNASSIGNED, daily.get(UNASSIGNED) + extraIncomeDaily);
+    } else {
+      averages.incomeShares.forEach((share, key) => daily.set(key, daily.get(key) + extraIncomeDaily * share));
+    }
+
+    const seriesByKey = new Map(keys.map(key => {
+      const account = accounts.find(a => a.billerID === key);
+      const series = new Array(days + 1).fill(0);
+      let balance = account ? account.balance || 0 : 0;
+      for (let index = 0; index <= days; index++) {
+        // Today's spending is already partly recorded, so averages start tomorrow
+        if (index > 0) balance += daily.get(key);
+        events.forEach(event => {
+          if (event.dayIndex === index && event.accountKey === key) balance += event.amount;
+        });
+        series[index] = balance;
+      }
+      return [key, series];
+    }));
+
+    const totalSeries = dates.map((_, index) => keys.reduce((sum, key) => sum + seriesByKey.get(key)[index], 0));
+
+    return {
+      dates,
+      accounts: accounts.map(account => ({
+        billerID: account.billerID,
+        name: account.billerActualName || account.billerName,
+        ...summarize(seriesByKey.get(account.billerID), dates)
+      })),
+      total: summarize(totalSeries, dates),
+      events,
+      averages: {
+        lookbackDays: averages.lookbackDays,
+        categories: averages.categories,
+        discretionaryMonthly: averages.categories.reduce((sum, c) => sum + c.monthly, 0),
+        monthlyIncome: monthlyIncome || 0,
+        recurringIncomeMonthly,
+        extraIncomeMonthly
+      }
+    };
+  }
+
+  // Public API
+  return {
+    HORIZONS,
+    LOOKBACK_DAYS,
+    project
+  };
+})();
@@ -0,0 +1,199 @@
+/**
+ * Categorization Rules Engine
+ * Matches transactions against user-defined merchant rules, e.g.
+ *
+ *   merchant contains "UBER"  ->  category Transport, biller Credit Card
+ *
+ * Rules are checked in order. Each action (category, biller) comes from the
+ * first matching rule that sets it, so a later rule can still fill in the
+ * biller when an earlier one only set the category. Transfers are never
+ * touched, and split transactions keep their categories.
+ *
+ * Rules are stored by Storage (see Storage.getCategorizationRules); this module
+ * stays free of storage access so the same logic serves the transaction modal,
+ * statement import, incoming sync and the history re-run.
+ */
+const CategorizationRules = (() => {
+  const MATCH_TYPES = {
+    contains: 'contains',
+    startsWith: 'starts with',
+    equals: 'is',
+    regex: 'matches pattern'
+  };
+
+  const TYPES = ['expense', 'income'];
+
+  /**
+   * Validate and normalize rule input
+   * @param {Object} data - { name, match, pattern, transactionType, minAmount, maxAmount, categoryId, billerID, enabled }
+   * @returns {Object} Rule fields (without id)
+   */
+  function normalizeRule(data) {
+    const pattern = String(data.pattern || '').trim();
+    if (!pattern) {
+      throw new Error('Enter the merchant text to match');
+    }
+
+    const match = MATCH_TYPES[data.match] ? data.match : 'contains';
+    if (match === 'regex') {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid pattern: ${error.message}`);
+      }
+    }
+
+    const toAmount = value => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+    const minAmount = toAmount(data.minAmount);
+    const maxAmount = toAmount(data.maxAmount);
+    if ([minAmount, maxAmount].some(value => value !== null && (isNaN(value) || value < 0))) {
+      throw new Error('Amounts must be positive numbers');
+    }
+    if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+      throw new Error('The minimum amount is larger than the maximum');
+    }
+
+    const categoryId = data.categoryId ? parseInt(data.categoryId) : null;
+    const billerID = data.billerID || null;
+    if (!categoryId && !billerID) {
+      throw new Error('Choose a category or a biller to set');
+    }
+
+    return {
+      name: String(data.name || '').trim() || pattern,
+      match,
+      pattern,
+      transactionType: TYPES.includes(data.transactionType) ? data.transactionType : null,
+      minAmount,
+      maxAmount,
+      categoryId,
+      billerID,
+      enabled: data.enabled !== false
+    };
+  }
+
+  /**
+   * Whether a rule applies to a transaction
+   * Merchant text is compared case-insensitively.
+   * @param {Object} rule - Categorization rule
+   * @param {Object} transaction - { merchantName, transactionType, transactionAmount }
+   * @returns {boolean}
+   */
+  function matches(rule, transaction) {
+    if (!rule.enabled) return false;
+    if (rule.transactionType && transaction.transactionType !== rule.transactionType) return false;
+
+    const amount = Math.abs(parseFloat(transaction.transactionAmount) || 0);
+    if (rule.minAmount !== null && rule.minAmount !== undefined && amount < rule.minAmount) return false;
+    if (rule.maxAmount !== null && rule.maxAmount !== undefined && amount > rule.maxAmount) return false;
+
+    const merchant = String(transaction.merchantName || '').toLowerCase();
+    const pattern = rule.pattern.toLowerCase();
+    switch (rule.match) {
+      case 'startsWith':
+        return merchant.startsWith(pattern);
+      case 'equals':
+        return merchant.trim() === pattern;
+      case 'regex':
+        try {
+          return new RegExp(rule.pattern, 'i').test(transaction.merchantName || '');
+        } catch (error) {
+          return false;
+        }
+      case 'contains':
+      default:
+        return merchant.includes(pattern);
+    }
+  }
+
+  /**
+   * Category and biller the rules give a transaction
+   * @param {Array} rules - Rules in priority order
+   * @param {Object} transaction - Transaction or draft
+   * @returns {Object} { categoryId, billerID, rules: names of the rules used } (ids null when unset)
+   */
+  function evaluate(rules, transaction) {
+    const result = { categoryId: null, billerID: null, rules: [] };
+    if (Utils.isTransfer(transaction)) return result;
+
+    for (const rule of rules) {
+      if (result.categoryId && result.billerID) break;
+      if (!matches(rule, transaction)) continue;
+
+      let used = false;
+      if (!result.categoryId && rule.categoryId && !Utils.isSplit(transaction)) {
+        result.categoryId = rule.categoryId;
+        used = true;
+      }
+      if (!result.billerID && rule.billerID) {
+        result.billerID = rule.billerID;
+        used = true;
+      }
+      if (used) result.rules.push(rule.name);
+    }
+    return result;
+  }
+
+  /**
+   * Changes the rules would make to a stored transaction
+   * @param {Array} rules - Rules in priority order
+   * @param {Object} transaction - Stored transaction
+   * @returns {Object|null} { transactionCategory?, billerID?, rules } or null when nothing changes
+   */
+  function getChanges(rules, transaction) {
+    const result = evaluate(rules, transaction);
+    const changes = {};
+    if (result.categoryId && result.categoryId !== transaction.transactionCategory) {
+      changes.transactionCategory = result.categoryId;
+    }
+    if (result.billerID && result.billerID !== transaction.billerID) {
+      changes.billerID = result.billerID;
+    }
+    return Object.keys(changes).length > 0 ? { ...changes, rules: result.rules } : null;
+  }
+
+  /**
+   * What re-running the rules over existing transactions would change
+   * @param {Array} rules - Rules in priority order
+   * @param {Array} transactions - Transactions (deleted ones are skipped)
+   * @returns {Array} [{ transaction, changes }], newest first
+   */
+  function previewHistory(rules, transactions) {
+    return transactions
+      .filter(t => !t.deleted)
+      .map(transaction => ({ transaction, changes: getChanges(rules, transaction) }))
+      .filter(entry => entry.changes)
+      .sort((a, b) => new Date(b.transaction.transactionDate) - new Date(a.transaction.transactionDate));
+  }
+
+  /**
+   * Human readable condition of a rule, e.g. 'Merchant contains "uber", expenses over 10'
+   * @param {Object} rule - Categorization rule
+   * @returns {string}
+   */
+  function describe(rule) {
+    const parts = [`Merchant ${MATCH_TYPES[rule.match] || MATCH_TYPES.contains} "${rule.pattern}"`];
+    if (rule.transactionType) {
+      parts.push(rule.transactionType === 'expense' ? 'expenses only' : 'income only');
+    }
+    if (rule.minAmount !== null && rule.minAmount !== undefined && rule.maxAmount !== null && rule.maxAmount !== undefined) {
+      parts.push(`amount ${rule.minAmount}–${rule.maxAmount}`);
+    } else if (rule.minAmount !== null && rule.minAmount !== undefined) {
+      parts.push(`amount at least ${rule.minAmount}`);
+    } else if (rule.maxAmount !== null && rule.maxAmount !== undefined) {
+      parts.push(`amount up to ${rule.maxAmount}`);
+    }
+    return parts.join(', ');
+  }
+
+  // Public API
+  return {
+    MATCH_TYPES,
+    normalizeRule,
+    matches,
+    evaluate,
+    getChanges,
+    previewHistory,
+    describe
+  };
+})();
@@ -0,0 +1,211 @@
+/**
+ * Category Suggester
+ * Suggests a category for a new transaction from past behaviour, using a small
+ * naive Bayes model over merchant words, an amount bucket, the biller and the type.
+ *
+ * The model is trained in the browser from the transactions table and lives only
+ * in memory: nothing is stored or sent anywhere, and it works offline.
+ * Training is incremental: local edits (data-updated events) only retrain the
+ * transactions changed since the last pass, while syncs and restores, which can
+ * bring in records with older timestamps, trigger a full rebuild. Either happens
+ * lazily on the next suggestion.
+ */
+const CategorySuggester = (() => {
+  // Suggestions below this confidence are not shown
+  const MIN_CONFIDENCE = 0.35;
+
+  // Categories need this many examples before they are suggested
+  const MIN_EXAMPLES = 2;
+
+  // Changes that can bring in records with older timestamps
+  const REBUILD_UPDATE_TYPES = [
+    'sync-completed', 'realtime-sync', 'cross-tab-sync', 'cross-tab-change', 'backup-restored', 'backup-merged'
+  ];
+
+  // Model state: category ID -> { examples, features: Map(feature -> count), total }
+  let classes = new Map();
+  const vocabulary = new Map(); // feature -> number of training examples using it
+  const trained = new Map(); // transactionID -> { categoryId, features }
+  let trainedUntil = null; // updatedAt watermark of the last pass, null when untrained
+  let needsRebuild = true;
+  let stale = true;
+  let training = null;
+
+  /**
+   * Features of a transaction or draft
+   * @param {Object} transaction - { merchantName, transactionAmount, transactionType, billerID }
+   * @returns {Array<string>}
+   */
+  function extractFeatures(transaction) {
+    const words = String(transaction.merchantName || '')
+      .toLowerCase()
+      .replace(/\d{3,}/g, ' ')
+      .split(/[^\p{L}\p{N}&]+/u)
+      .filter(word => word.length >= 2);
+
+    const features = [...new Set(words)].map(word => `w:${word}`);
+
+    const amount = Math.abs(parseFloat(transaction.transactionAmount) || 0);
+    if (amount > 0) {
+      // Power-of-two buckets: 1-2, 2-4, 4-8, ...
+      features.push(`a:${Math.floor(Math.log2(amount))}`);
+    }
+    if (transaction.transactionType) {
+      features.push(`t:${transaction.transactionType}`);
+    }
+    if (transaction.billerID) {
+      features.push(`b:${transaction.billerID}`);
+    }
+    return features;
+  }
+
+  /**
+   * Whether a stored transaction is a usable training example
+   */
+  function isTrainable(t) {
+    return !t.deleted && t.transactionCategory && !Utils.isTransfer(t) && !Utils.isSplit(t);
+  }
+
+  function toMillis(value) {
+    if (typeof value === 'number') return value;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  function addExample(transactionID, categoryId, features) {
+    let cls = classes.get(categoryId);
+    if (!cls) {
+      cls = { examples: 0, features: new Map(), total: 0 };
+      classes.set(categoryId, cls);
+    }
+    cls.examples++;
+    features.forEach(feature => {
+      cls.features.set(feature, (cls.features.get(feature) || 0) + 1);
+      vocabulary.set(feature, (vocabulary.get(feature) || 0) + 1);
+    });
+    cls.total += features.length;
+    trained.set(transactionID, { categoryId, features });
+  }
+
+  function removeExample(transactionID) {
+    const example = trained.get(transactionID);
+    if (!example) return;
+
+    const cls = classes.get(example.categoryId);
+    cls.examples--;
+    example.features.forEach(feature => {
+      const count = cls.features.get(feature) - 1;
+      if (count > 0) cls.features.set(feature, count); else cls.features.delete(feature);
+      const used = vocabulary.get(feature) - 1;
+      if (used > 0) vocabulary.set(feature, used); else vocabulary.delete(feature);
+    });
+    cls.total -= example.features.length;
+    if (cls.examples === 0) classes.delete(example.categoryId);
+    trained.delete(transactionID);
+  }
+
+  /**
+   * Apply stored transactions to the model, replacing what it learned from them before
+   */
+  function learn(transactions) {
+    transactions.forEach(t => {
+      removeExample(t.transactionID);
+      if (isTrainable(t)) {
+        addExample(t.transactionID, t.transactionCategory, extractFeatures(t));
+      }
+    });
+  }
+
+  /**
+   * Bring the model up to date with the transactions table
+   */
+  async function train() {
+    const startedAt = Date.now();
+    stale = false;
+
+    if (needsRebuild || trainedUntil === null) {
+      needsRebuild = false;
+      const transactions = await Storage.db.transactions.toArray();
+      classes = new Map();
+      vocabulary.clear();
+      trained.clear();
+      learn(transactions);
+      console.log(`🧠 Category suggester trained on ${trained.size} transaction(s)`);
+    } else {
+      const since = trainedUntil;
+      const changed = await Storage.db.transactions.filter(t => toMillis(t.updatedAt) >= since).toArray();
+      learn(changed);
+    }
+
+    // Writes landing while this pass read the table are picked up by the next one
+    trainedUntil = startedAt;
+  }
+
+  function ensureTrained() {
+    if (!training && (stale || needsRebuild)) {
+      training = train().finally(() => { training = null; });
+    }
+    return training || Promise.resolve();
+  }
+
+  /**
+   * Suggest a category for a draft transaction
+   * @param {Object} draft - { merchantName, transactionAmount, transactionType, billerID }
+   * @param {Array} categories - Categories that may be suggested (e.g. the active ones)
+   * @returns {Promise<Object|null>} { categoryId, confidence (0..1) }, or null when unsure
+   */
+  async function suggest(draft, categories) {
+    if (!String(draft.merchantName || '').trim()) return null;
+
+    await ensureTrained();
+
+    const allowed = new Set(categories.map(c => c.id));
+    const candidates = [...classes.entries()]
+      .filter(([categoryId, cls]) => allowed.has(categoryId) && cls.examples >= MIN_EXAMPLES);
+    // With a single known category there is nothing to weigh the confidence against
+    if (candidates.length < 2) return null;
+
+    // Words never seen in training carry no information
+    const features = extractFeatures(draft).filter(feature => vocabulary.has(feature));
+    if (!features.some(feature => feature.startsWith('w:'))) return null;
+
+    const examples = candidates.reduce((sum, [, cls]) => sum + cls.examples, 0);
+    const scores = candidates.map(([categoryId, cls]) => {
+      let score = Math.log(cls.examples / examples);
+      features.forEach(feature => {
+        // Laplace smoothing
+        score += Math.log(((cls.features.get(feature) || 0) + 1) / (cls.total + vocabulary.size));
+      });
+      return { categoryId, score };
+    });
+
+    // Softmax over the log scores for a confidence between 0 and 1
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    const sum = scores.reduce((total, s) => total + Math.exp(s.score - best.score), 0);
+    const confidence = 1 / sum;
+
+    return confidence >= MIN_CONFIDENCE ? { categoryId: best.categoryId, confidence } : null;
+  }
+
+  /**
+   * Drop the model; it is rebuilt on the next suggestion
+   */
+  function reset() {
+    needsRebuild = true;
+  }
+
+  window.addEventListener('data-updated', (e) => {
+    const type = e.detail?.type;
+    stale = true;
+    if (!type || REBUILD_UPDATE_TYPES.includes(type)) {
+      needsRebuild = true;
+    }
+  });
+
+  // Public API
+  return {
+    extractFeatures,
+    suggest,
+    reset
+  };
+})();
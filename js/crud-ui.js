@@ -23,18 +23,14 @@ const CrudUI = (() => {
     }
     currency = currency || 'USD';
 
-    const categoryOptions = categories
-      .map(c => `<option value="${c.id}">${c.categoryType}</option>`)
-      .join('');
-
     const billerOptions = billers
-      .map(b => `<option value="${b.billerName}">${b.billerName}</option>`)
+      .map(b => `<option value="${b.billerID}">${b.billerName}</option>`)
       .join('');
 
     // Default to current date (no time)
     const today = new Date().toISOString().slice(0, 10);
 
-    Modals.show({
+    const modal = Modals.show({
       title: 'Add Transaction',
       body: `
         <form id="transaction-form" class="crud-form">
@@ -74,13 +70,12 @@ const CrudUI = (() => {
           </div>
 
           <div class="form-group">
-            <label for="category">Category</label>
-            <select id="category" required>
-              <option value="">Select category...</option>
-              ${categoryOptions}
-            </select>
+            <label for="notes">Notes (optional)</label>
+            <textarea id="notes" rows="2" placeholder="Anything to remember about this transaction"></textarea>
           </div>
 
+          ${renderCategoryFields(categories)}
+
           ${billerOptions ? `
             <div class="form-group">
               <label for="biller">Biller (optional)</label>
@@ -99,15 +94,20 @@ const CrudUI = (() => {
           transactionType: form.querySelector('input[name="transactionType"]:checked').value,
           transactionAmount: parseFloat(document.getElementById('amount').value),
           merchantName: document.getElementById('merchant').value.trim(),
-          transactionCategory: parseInt(document.getElementById('category').value),
+          notes: document.getElementById('notes').value,
+          ...readCategoryFields(),
           transactionDate: new Date(document.getElementById('date').value + 'T00:00:00').toISOString(),
-          billerName: document.getElementById('biller')?.value || null
+          billerID: document.getElementById('biller')?.value || null
         };
 
         console.log('Creating transaction with data:', data);
-        await Storage.createTransaction(data);
+        await UndoManager.run('Transaction added', () => Storage.createTransaction(data));
       }
     });
+
+    bindCategoryFields(modal, categories, currency);
+    await bindCategorizationRules(modal);
+    bindCategorySuggestion(modal, categories);
   }
 
   /**
@@ -120,6 +120,9 @@ const CrudUI = (() => {
       Modals.showError('Transaction not found');
       return;
     }
+    if (Utils.isTransfer(transaction)) {
+      return showEditTransferModal(transaction.transferId);
+    }
 
     const categories = await Storage.getActiveCategories();
     const billers = await Storage.getAllBillers();
@@ -131,17 +134,13 @@ const CrudUI = (() => {
     }
     currency = currency || 'USD';
 
-    const categoryOptions = categories
-      .map(c => `<option value="${c.id}" ${c.id === transaction.transactionCategory ? 'selected' : ''}>${c.categoryType}</option>`)
-      .join('');
-
     const billerOptions = billers
-      .map(b => `<option value="${b.billerName}" ${b.billerName === transaction.billerName ? 'selected' : ''}>${b.billerName}</option>`)
+      .map(b => `<option value="${b.billerID}" ${Utils.belongsToBiller(transaction, b) ? 'selected' : ''}>${b.billerName}</option>`)
       .join('');
 
     const dateValue = new Date(transaction.transactionDate).toISOString().slice(0, 10);
 
-    Modals.show({
+    const modal = Modals.show({
       title: 'Edit Transaction',
       body: `
         <form id="transaction-form" class="crud-form">
@@ -181,12 +180,12 @@ const CrudUI = (() => {
           </div>
 
           <div class="form-group">
-            <label for="category">Category</label>
-            <select id="category" required>
-              ${categoryOptions}
-            </select>
+            <label for="notes">Notes (optional)</label>
+            <textarea id="notes" rows="2">${Utils.escapeHtml(transaction.notes || '')}</textarea>
           </div>
 
+          ${renderCategoryFields(categories, transaction)}
+
           ${billerOptions ? `
             <div class="form-group">
               <label for="biller">Biller (optional)</label>
@@ -205,14 +204,265 @@ const CrudUI = (() => {
           transactionType: form.querySelector('input[name="transactionType"]:checked').value,
           transactionAmount: parseFloat(document.getElementById('amount').value),
           merchantName: document.getElementById('merchant').value.trim(),
-          transactionCategory: parseInt(document.getElementById('category').value),
+          notes: document.getElementById('notes').value,
+          ...readCategoryFields(),
           transactionDate: new Date(document.getElementById('date').value + 'T00:00:00').toISOString(),
-          billerName: document.getElementById('biller')?.value || null
+          billerID: document.getElementById('biller')?.value || null
         };
 
-        await Storage.updateTransaction(transactionID, updates);
+        await UndoManager.run('Transaction updated', () => Storage.updateTransaction(transactionID, updates));
+      }
+    });
+
+    bindCategoryFields(modal, categories, currency);
+  }
+
+  /**
+   * Render the category picker of the transaction form
+   * A single category select, or a split editor with one row per category
+   * @param {Array} categories - Active categories
+   * @param {Object|null} transaction - Transaction being edited
+   */
+  function renderCategoryFields(categories, transaction = null) {
+    const splits = transaction && Utils.isSplit(transaction) ? transaction.splits : null;
+    const categoryOptions = categories
+      .map(c => `<option value="${c.id}" ${transaction && c.id === transaction.transactionCategory ? 'selected' : ''}>${c.categoryType}</option>`)
+      .join('');
+
+    return `
+      <div class="form-group" id="singleCategoryGroup" ${splits ? 'style="display: none;"' : ''}>
+        <label for="category">Category</label>
+        <select id="category">
+          <option value="">Select category...</option>
+          ${categoryOptions}
+        </select>
+      </div>
+
+      <div class="form-group split-editor" id="splitEditor" ${splits ? '' : 'style="display: none;"'}>
+        <label>Category splits</label>
+        <div id="splitRows">
+          ${(splits || []).map(split => renderSplitRow(categories, split)).join('')}
+        </div>
+        <div class="split-footer">
+          <button type="button" class="btn-text" id="addSplitRow">＋ Add category</button>
+          <span class="split-remaining" id="splitRemaining"></span>
+        </div>
+      </div>
+
+      <button type="button" class="btn-text split-toggle" id="splitToggle">
+        ${splits ? 'Use a single category' : 'Split across categories'}
+      </button>
+    `;
+  }
+
+  /**
+   * Render one row of the split editor
+   */
+  function renderSplitRow(categories, split = {}) {
+    const categoryOptions = categories
+      .map(c => `<option value="${c.id}" ${c.id === split.categoryId ? 'selected' : ''}>${c.categoryType}</option>`)
+      .join('');
+
+    return `
+      <div class="split-row">
+        <select class="split-category">
+          <option value="">Category...</option>
+          ${categoryOptions}
+        </select>
+        <input type="number" class="split-amount" step="0.01" min="0.01" placeholder="0.00" value="${split.amount ?? ''}">
+        <button type="button" class="action-btn delete split-remove" title="Remove">✕</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up the split toggle, row buttons and remaining-amount hint
+   * @param {HTMLElement} modal - Modal element returned by Modals.show
+   * @param {Array} categories - Active categories
+   * @param {string} currency - Currency code for the remaining amount
+   */
+  function bindCategoryFields(modal, categories, currency) {
+    const singleGroup = modal.querySelector('#singleCategoryGroup');
+    const editor = modal.querySelector('#splitEditor');
+    const rows = modal.querySelector('#splitRows');
+    const toggle = modal.querySelector('#splitToggle');
+    const remaining = modal.querySelector('#splitRemaining');
+    const amountInput = modal.querySelector('#amount');
+
+    const updateRemaining = () => {
+      const total = parseFloat(amountInput.value) || 0;
+      const allocated = [...rows.querySelectorAll('.split-amount')]
+        .reduce((sum, input) => sum + (parseFloat(input.value) || 0), 0);
+      const left = Math.round((total - allocated) * 100) / 100;
+      remaining.textContent = left === 0
+        ? 'Fully allocated'
+        : `${left > 0 ? 'Left' : 'Over'}: ${Utils.formatCurrency(Math.abs(left), currency)}`;
+      remaining.classList.toggle('over', left < 0);
+    };
+
+    const addRow = (split) => {
+      rows.insertAdjacentHTML('beforeend', renderSplitRow(categories, split));
+      updateRemaining();
+    };
+
+    toggle.addEventListener('click', () => {
+      const splitting = editor.style.display === 'none';
+      const select = modal.querySelector('#category');
+
+      if (splitting && rows.children.length === 0) {
+        // Start from the chosen category holding the whole amount
+        addRow({
+          categoryId: parseInt(select.value) || undefined,
+          amount: parseFloat(amountInput.value) || undefined
+        });
+        addRow();
+      } else if (!splitting) {
+        const first = rows.querySelector('.split-category');
+        if (first && first.value) select.value = first.value;
+      }
+
+      editor.style.display = splitting ? '' : 'none';
+      singleGroup.style.display = splitting ? 'none' : '';
+      toggle.textContent = splitting ? 'Use a single category' : 'Split across categories';
+    });
+
+    modal.querySelector('#addSplitRow').addEventListener('click', () => addRow());
+
+    rows.addEventListener('click', (e) => {
+      if (e.target.closest('.split-remove')) {
+        e.target.closest('.split-row').remove();
+        updateRemaining();
+      }
+    });
+    rows.addEventListener('input', updateRemaining);
+    amountInput.addEventListener('input', updateRemaining);
+    updateRemaining();
+  }
+
+  /**
+   * Fill in the category and biller from the categorization rules while the form is filled in
+   * A field the user has picked themselves is left alone.
+   * @param {HTMLElement} modal - Modal element returned by Modals.show
+   */
+  async function bindCategorizationRules(modal) {
+    const { rules } = await Storage.getCategorizationRules();
+    if (!rules.some(rule => rule.enabled)) return;
+
+    const form = modal.querySelector('#transaction-form');
+    const merchantInput = modal.querySelector('#merchant');
+    const fields = {
+      categoryId: modal.querySelector('#category'),
+      billerID: modal.querySelector('#biller')
+    };
+    const chosen = new Set();
+    const filled = {};
+
+    const hint = document.createElement('p');
+    hint.className = 'form-hint';
+    merchantInput.insertAdjacentElement('afterend', hint);
+
+    const apply = () => {
+      const result = CategorizationRules.evaluate(rules, {
+        merchantName: merchantInput.value,
+        transactionType: form.querySelector('input[name="transactionType"]:checked').value,
+        transactionAmount: modal.querySelector('#amount').value
+      });
+
+      Object.entries(fields).forEach(([field, select]) => {
+        if (!select || chosen.has(field)) return;
+        const value = result[field] ? String(result[field]) : '';
+        if (value && select.querySelector(`option[value="${value}"]`)) {
+          select.value = value;
+          filled[field] = value;
+        } else if (filled[field] && select.value === filled[field]) {
+          // The rule no longer matches: undo what it filled in
+          select.value = '';
+          delete filled[field];
+        }
+      });
+      hint.textContent = result.rules.length > 0 ? `Filled in by rule: ${result.rules.join(', ')}` : '';
+    };
+
+    Object.entries(fields).forEach(([field, select]) => {
+      if (select) select.addEventListener('change', () => chosen.add(field));
+    });
+    form.addEventListener('input', (e) => {
+      if (e.target === merchantInput || e.target.id === 'amount') apply();
+    });
+    form.addEventListener('change', (e) => {
+      if (e.target.name === 'transactionType') apply();
+    });
+  }
+
+  /**
+   * Offer a learned category suggestion (see CategorySuggester) while no category is chosen
+   * Runs after the categorization rules, which win when they fill in the category.
+   * @param {HTMLElement} modal - Modal element returned by Modals.show
+   * @param {Array} categories - Active categories
+   */
+  function bindCategorySuggestion(modal, categories) {
+    const form = modal.querySelector('#transaction-form');
+    const select = modal.querySelector('#category');
+    const names = {};
+    categories.forEach(c => { names[c.id] = c.categoryType; });
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-text category-suggestion';
+    button.style.display = 'none';
+    select.insertAdjacentElement('afterend', button);
+
+    let requestId = 0;
+    const update = async () => {
+      const id = ++requestId;
+      const suggestion = select.value ? null : await CategorySuggester.suggest({
+        merchantName: modal.querySelector('#merchant').value,
+        transactionAmount: modal.querySelector('#amount').value,
+        transactionType: form.querySelector('input[name="transactionType"]:checked').value,
+        billerID: modal.querySelector('#biller')?.value || null
+      }, categories);
+
+      // A newer keystroke has started its own lookup
+      if (id !== requestId) return;
+
+      if (!suggestion || select.value) {
+        button.style.display = 'none';
+        return;
       }
+      button.dataset.categoryId = suggestion.categoryId;
+      button.textContent = `Suggested: ${names[suggestion.categoryId]} (${Math.round(suggestion.confidence * 100)}% sure)`;
+      button.style.display = '';
+    };
+
+    button.addEventListener('click', () => {
+      select.value = button.dataset.categoryId;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      button.style.display = 'none';
     });
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+  }
+
+  /**
+   * Read the category picker of the transaction form
+   * @returns {Object} { transactionCategory, splits: null } or { splits }
+   */
+  function readCategoryFields() {
+    if (document.getElementById('splitEditor').style.display === 'none') {
+      return {
+        transactionCategory: parseInt(document.getElementById('category').value),
+        splits: null
+      };
+    }
+
+    const splits = [...document.querySelectorAll('#splitRows .split-row')].map(row => ({
+      categoryId: parseInt(row.querySelector('.split-category').value),
+      amount: parseFloat(row.querySelector('.split-amount').value)
+    }));
+    if (splits.length === 0) {
+      throw new Error('Add at least one category split');
+    }
+    return { splits };
   }
 
   /**
@@ -221,9 +471,117 @@ const CrudUI = (() => {
    */
   function deleteTransaction(transactionID) {
     Modals.confirm(
-      'Are you sure you want to delete this transaction? This action cannot be undone.',
+      'Are you sure you want to delete this transaction?',
+      async () => {
+        await UndoManager.run('Transaction deleted', () => Storage.deleteTransaction(transactionID));
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
+  // ============================================
+  // BULK EDIT
+  // ============================================
+
+  /**
+   * Apply a bulk change to the selected transactions and offer to undo it
+   * @param {Array<string>} transactionIDs - Selected transactions
+   * @param {Object} changes - See Storage.bulkUpdateTransactions
+   * @param {Function} describe - Count -> notification text, e.g. "Deleted 3 transaction(s)"
+   */
+  async function applyBulkEdit(transactionIDs, changes, describe) {
+    await UndoManager.run(result => {
+      const skipped = result.skipped > 0 ? ` (${result.skipped} skipped)` : '';
+      return `${describe(result.updated.length)}${skipped}`;
+    }, () => Storage.bulkUpdateTransactions(transactionIDs, changes));
+    UI.setSelectionMode(false);
+  }
+
+  /**
+   * Show the modal to move the selected transactions to one category
+   */
+  async function showBulkCategoryModal(transactionIDs) {
+    if (transactionIDs.length === 0) return;
+    const categories = await Storage.getActiveCategories();
+
+    Modals.show({
+      title: `Change Category of ${transactionIDs.length} Transaction(s)`,
+      body: `
+        <form id="bulk-category-form" class="crud-form">
+          <div class="form-group">
+            <label for="bulkCategory">Category</label>
+            <select id="bulkCategory" required>
+              ${categories.map(c => `<option value="${c.id}">${Utils.getCategoryIcon(c.iconName)} ${Utils.escapeHtml(c.categoryType)}</option>`).join('')}
+            </select>
+            <p class="form-hint">Split transactions get this single category. Transfers are left unchanged.</p>
+          </div>
+        </form>
+      `,
+      submitText: 'Change Category',
+      onSubmit: async () => {
+        const categoryId = document.getElementById('bulkCategory').value;
+        if (!categoryId) {
+          throw new Error('Choose a category');
+        }
+        await applyBulkEdit(transactionIDs, { transactionCategory: categoryId },
+          count => `Recategorized ${count} transaction(s)`);
+      }
+    });
+  }
+
+  /**
+   * Show the modal to move the selected transactions to one account
+   */
+  async function showBulkBillerModal(transactionIDs) {
+    if (transactionIDs.length === 0) return;
+    const billers = await Storage.getAllBillers();
+
+    Modals.show({
+      title: `Change Account of ${transactionIDs.length} Transaction(s)`,
+      body: `
+        <form id="bulk-biller-form" class="crud-form">
+          <div class="form-group">
+            <label for="bulkBiller">Account</label>
+            <select id="bulkBiller">
+              <option value="">No account</option>
+              ${billers.map(b => `<option value="${b.billerID}">${Utils.escapeHtml(b.billerName)}</option>`).join('')}
+            </select>
+            <p class="form-hint">Transfers are left unchanged.</p>
+          </div>
+        </form>
+      `,
+      submitText: 'Change Account',
+      onSubmit: async () => {
+        const billerID = document.getElementById('bulkBiller').value || null;
+        await applyBulkEdit(transactionIDs, { billerID },
+          count => `Moved ${count} transaction(s)`);
+      }
+    });
+  }
+
+  /**
+   * Mark the selected transactions as reviewed
+   */
+  async function bulkMarkReviewed(transactionIDs) {
+    if (transactionIDs.length === 0) return;
+    try {
+      await applyBulkEdit(transactionIDs, { reviewed: true },
+        count => `Marked ${count} transaction(s) as reviewed`);
+    } catch (error) {
+      Utils.showNotification(error.message || 'Failed to update transactions', 'error');
+    }
+  }
+
+  /**
+   * Delete the selected transactions with confirmation
+   */
+  function bulkDeleteTransactions(transactionIDs) {
+    if (transactionIDs.length === 0) return;
+    Modals.confirm(
+      `Delete ${transactionIDs.length} transaction(s)? Deleting one leg of a transfer deletes the whole transfer.`,
       async () => {
-        await Storage.deleteTransaction(transactionID);
+        await applyBulkEdit(transactionIDs, { deleted: true },
+          count => `Deleted ${count} transaction(s)`);
       },
       { danger: true, confirmText: 'Delete' }
     );
@@ -285,6 +643,16 @@ const CrudUI = (() => {
               <span class="checkbox-text">Auto-propagate budget to next month</span>
             </label>
           </div>
+
+          <div class="form-group checkbox-group">
+            <label class="checkbox-option">
+              <input type="checkbox" id="rolloverEnabled">
+              <span class="checkbox-indicator"></span>
+              <span class="checkbox-text">Roll unspent budget into next month</span>
+            </label>
+          </div>
+
+          ${renderBudgetAlertFields(false, BudgetAlerts.DEFAULT_THRESHOLDS)}
         </form>
       `,
       submitText: 'Add Category',
@@ -294,12 +662,52 @@ const CrudUI = (() => {
           budgetAmount: parseFloat(document.getElementById('budgetAmount').value) || 0,
           iconName: document.getElementById('iconName').value,
           colorCode: document.getElementById('colorCode').value,
-          autoPropagateToNextMonth: document.getElementById('autoPropagateToNextMonth').checked
+          autoPropagateToNextMonth: document.getElementById('autoPropagateToNextMonth').checked,
+          rolloverEnabled: document.getElementById('rolloverEnabled').checked,
+          budgetNotificationsEnabled: document.getElementById('budgetNotificationsEnabled').checked
         };
+        const thresholds = BudgetAlerts.parseThresholds(document.getElementById('budgetAlertThresholds').value);
 
-        await Storage.createCategory(data);
+        const category = await UndoManager.run('Category added', () => Storage.createCategory(data));
+        await BudgetAlerts.setThresholds(category.id, thresholds);
       }
     });
+
+    bindBudgetAlertFields();
+  }
+
+  /**
+   * Render the budget alert switch and thresholds of the category form
+   * @param {boolean} enabled - budgetNotificationsEnabled
+   * @param {Array<number>} thresholds - Alert thresholds in percent
+   */
+  function renderBudgetAlertFields(enabled, thresholds) {
+    return `
+      <div class="form-group checkbox-group">
+        <label class="checkbox-option">
+          <input type="checkbox" id="budgetNotificationsEnabled" ${enabled ? 'checked' : ''}>
+          <span class="checkbox-indicator"></span>
+          <span class="checkbox-text">Alert me when spending reaches the budget</span>
+        </label>
+      </div>
+
+      <div class="form-group" id="budgetAlertThresholdsGroup" ${enabled ? '' : 'style="display: none;"'}>
+        <label for="budgetAlertThresholds">Alert at (% of budget)</label>
+        <input type="text" id="budgetAlertThresholds" value="${thresholds.join(', ')}" placeholder="80, 100">
+        <p class="form-hint">Each level alerts once a month. Alerts are shown on this device only.</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the thresholds while alerts are on, and ask for notification permission when they are switched on
+   */
+  function bindBudgetAlertFields() {
+    const toggle = document.getElementById('budgetNotificationsEnabled');
+    toggle.addEventListener('change', () => {
+      document.getElementById('budgetAlertThresholdsGroup').style.display = toggle.checked ? '' : 'none';
+      if (toggle.checked) BudgetAlerts.requestPermission();
+    });
   }
 
   /**
@@ -312,6 +720,7 @@ const CrudUI = (() => {
       Modals.showError('Category not found');
       return;
     }
+    const thresholds = await BudgetAlerts.getThresholds(categoryId);
 
     const iconOptions = [
       { value: 'groceries', label: '🛒 Groceries' },
@@ -338,7 +747,7 @@ const CrudUI = (() => {
 
           <div class="form-row">
             <div class="form-group" style="flex: 1;">
-              <label for="budgetAmount">Monthly Budget</label>
+              <label for="budgetAmount">This Month's Budget</label>
               <input type="number" id="budgetAmount" step="0.01" min="0" value="${category.budgetAmount || 0}">
             </div>
             <div class="form-group" style="flex: 1;">
@@ -361,6 +770,16 @@ const CrudUI = (() => {
               <span class="checkbox-text">Auto-propagate budget to next month</span>
             </label>
           </div>
+
+          <div class="form-group checkbox-group">
+            <label class="checkbox-option">
+              <input type="checkbox" id="rolloverEnabled" ${category.rolloverEnabled ? 'checked' : ''}>
+              <span class="checkbox-indicator"></span>
+              <span class="checkbox-text">Roll unspent budget into next month</span>
+            </label>
+          </div>
+
+          ${renderBudgetAlertFields(category.budgetNotificationsEnabled, thresholds)}
         </form>
       `,
       submitText: 'Save Changes',
@@ -370,12 +789,18 @@ const CrudUI = (() => {
           budgetAmount: parseFloat(document.getElementById('budgetAmount').value) || 0,
           iconName: document.getElementById('iconName').value,
           colorCode: document.getElementById('colorCode').value,
-          autoPropagateToNextMonth: document.getElementById('autoPropagateToNextMonth').checked
+          autoPropagateToNextMonth: document.getElementById('autoPropagateToNextMonth').checked,
+          rolloverEnabled: document.getElementById('rolloverEnabled').checked,
+          budgetNotificationsEnabled: document.getElementById('budgetNotificationsEnabled').checked
         };
+        const newThresholds = BudgetAlerts.parseThresholds(document.getElementById('budgetAlertThresholds').value);
 
-        await Storage.updateCategory(categoryId, updates);
+        await UndoManager.run('Category updated', () => Storage.updateCategory(categoryId, updates));
+        await BudgetAlerts.setThresholds(categoryId, newThresholds);
       }
     });
+
+    bindBudgetAlertFields();
   }
 
   /**
@@ -384,9 +809,9 @@ const CrudUI = (() => {
    */
   function deleteCategory(categoryId) {
     Modals.confirm(
-      'Are you sure you want to delete this category? This action cannot be undone if there are no transactions using it.',
+      'Are you sure you want to delete this category?',
       async () => {
-        await Storage.deleteCategory(categoryId);
+        await UndoManager.run('Category deleted', () => Storage.deleteCategory(categoryId));
       },
       { danger: true, confirmText: 'Delete' }
     );
@@ -402,21 +827,198 @@ const CrudUI = (() => {
     if (newAmount !== null) {
       const parsed = parseFloat(newAmount);
       if (!isNaN(parsed) && parsed >= 0) {
-        await Storage.updateCategory(categoryId, { budgetAmount: parsed });
+        await UndoManager.run('Budget updated', () => Storage.updateCategory(categoryId, { budgetAmount: parsed }));
       } else {
         Modals.showError('Please enter a valid positive number');
       }
     }
   }
 
+  /**
+   * Show modal to edit a category's budget for one month
+   * Writes a budgetHistory row, other months keep their budget.
+   * @param {number} categoryId - Category ID
+   * @param {string} yearMonth - Month to edit (YYYY-MM)
+   */
+  async function showMonthlyBudgetModal(categoryId, yearMonth) {
+    const category = await Storage.getCategoryById(categoryId);
+    if (!category) {
+      Modals.showError('Category not found');
+      return;
+    }
+
+    const budgetAmount = await Storage.getBudgetForMonth(categoryId, yearMonth);
+    const currentMonth = Utils.getCurrentMonthYear();
+
+    let hint = 'Only this month changes, other months keep their budget.';
+    if (yearMonth === currentMonth) {
+      hint = 'This is the category\'s current budget. Past months keep their budget.';
+    } else if (yearMonth > currentMonth) {
+      hint = category.autoPropagateToNextMonth
+        ? 'Following months carry this budget forward until another one is set.'
+        : 'Auto-propagate is off for this category, so following months are not affected.';
+    }
+
+    Modals.show({
+      title: `${Utils.escapeHtml(category.categoryType)} Budget`,
+      body: `
+        <form id="monthly-budget-form" class="crud-form">
+          <div class="form-group">
+            <label for="monthlyBudget">Budget for ${Utils.formatMonthYear(yearMonth)}</label>
+            <input type="number" id="monthlyBudget" step="0.01" min="0" required value="${budgetAmount}" autofocus>
+          </div>
+          <p class="form-hint">${hint}</p>
+        </form>
+      `,
+      submitText: 'Save Budget',
+      onSubmit: async () => {
+        const amount = parseFloat(document.getElementById('monthlyBudget').value) || 0;
+        await UndoManager.run('Monthly budget updated', () => Storage.setMonthlyBudget(categoryId, yearMonth, amount));
+      }
+    });
+  }
+
+  // ============================================
+  // BUDGET PLANNING
+  // ============================================
+
+  /**
+   * Give a category's budget the month's unallocated income
+   * @param {number} categoryId - Category ID
+   * @param {string} yearMonth - Month (YYYY-MM)
+   */
+  async function assignUnallocatedIncome(categoryId, yearMonth) {
+    try {
+      const metadata = await Storage.getMetadata();
+      const currency = metadata?.currency || 'USD';
+      await UndoManager.run(
+        amount => `Added ${Utils.formatCurrency(amount, currency)} to the budget`,
+        () => Storage.assignUnallocatedIncome(categoryId, yearMonth)
+      );
+    } catch (error) {
+      console.error('Failed to assign unallocated income:', error);
+      Utils.showNotification(error.message || 'Failed to update the budget', 'error');
+    }
+  }
+
+  /**
+   * Turn zero-based budgeting on or off
+   * @param {boolean} enabled
+   */
+  async function setZeroBasedBudgeting(enabled) {
+    try {
+      await Storage.setZeroBasedBudgeting(enabled);
+    } catch (error) {
+      console.error('Failed to save planning settings:', error);
+      Utils.showNotification('Failed to save planning settings', 'error');
+    }
+  }
+
   // ============================================
   // SAVINGS GOAL CRUD
   // ============================================
 
+  /**
+   * Auto-allocation fields of the goal modals
+   * @param {Object} goal - Goal being edited, or {} for a new one
+   * @param {Array} categories - Active categories, for the leftover budget
+   */
+  function renderGoalAllocationFields(goal, categories) {
+    const type = goal.autoAllocateType || 'manual';
+    const categoryId = type === 'budget_leftover' ? Math.round(goal.autoAllocateValue) : null;
+    const categoryOptions = categories
+      .map(c => `<option value="${c.id}" ${c.id === categoryId ? 'selected' : ''}>${Utils.escapeHtml(c.categoryType)}</option>`)
+      .join('');
+
+    return `
+      <div class="form-group">
+        <label for="autoAllocateType">Automatic Saving</label>
+        <select id="autoAllocateType">
+          <option value="manual" ${type === 'manual' ? 'selected' : ''}>Off (manual contributions)</option>
+          <option value="income_percent" ${type === 'income_percent' ? 'selected' : ''}>Share of each income</option>
+          <option value="budget_leftover" ${type === 'budget_leftover' ? 'selected' : ''}>Leftover budget at month end</option>
+        </select>
+      </div>
+
+      <div class="form-group" data-allocation="income_percent" ${type === 'income_percent' ? '' : 'style="display: none;"'}>
+        <label for="incomePercent">Share of income (%)</label>
+        <input type="number" id="incomePercent" step="0.1" min="0.1" max="100" value="${type === 'income_percent' ? goal.autoAllocateValue : 10}">
+      </div>
+
+      <div data-allocation="budget_leftover" ${type === 'budget_leftover' ? '' : 'style="display: none;"'}>
+        <div class="form-group">
+          <label for="leftoverCategory">Leftover of</label>
+          <select id="leftoverCategory">
+            <option value="">All budgets</option>
+            ${categoryOptions}
+          </select>
+        </div>
+        <div class="form-row">
+          <div class="form-group" style="flex: 1;">
+            <label for="leftoverPercent">Share of leftover (%)</label>
+            <input type="number" id="leftoverPercent" step="1" min="1" max="100" value="${goal.autoAllocationPercentage || 100}">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label for="monthEndDate">Month ends on day</label>
+            <input type="number" id="monthEndDate" step="1" min="1" max="31" value="${goal.monthEndDate || ''}" placeholder="Last day">
+          </div>
+        </div>
+      </div>
+
+      <div class="form-group checkbox-group" data-allocation="auto" ${type === 'manual' ? 'style="display: none;"' : ''}>
+        <label class="checkbox-option">
+          <input type="checkbox" id="requireApprovalBeforeAllocation" ${goal.requireApprovalBeforeAllocation ? 'checked' : ''}>
+          <span class="checkbox-indicator"></span>
+          <span class="checkbox-text">Ask me before saving</span>
+        </label>
+        <p class="form-hint">Only income recorded from now on is counted.</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the fields of the chosen kind of automatic saving
+   */
+  function bindGoalAllocationFields() {
+    const select = document.getElementById('autoAllocateType');
+    const update = () => {
+      document.querySelectorAll('#goal-form [data-allocation]').forEach(group => {
+        const kind = group.dataset.allocation;
+        const shown = kind === 'auto' ? select.value !== 'manual' : kind === select.value;
+        group.style.display = shown ? '' : 'none';
+      });
+    };
+    select.addEventListener('change', update);
+  }
+
+  /**
+   * Auto-allocation fields entered in the goal modal
+   * @returns {Object} Fields for Storage.createSavingsGoal / updateSavingsGoal
+   */
+  function readGoalAllocationFields() {
+    const type = document.getElementById('autoAllocateType').value;
+    const fields = {
+      autoAllocateType: type,
+      autoAllocateValue: 0,
+      autoAllocationPercentage: 0,
+      monthEndDate: null,
+      requireApprovalBeforeAllocation: type !== 'manual' && document.getElementById('requireApprovalBeforeAllocation').checked
+    };
+    if (type === 'income_percent') {
+      fields.autoAllocateValue = parseFloat(document.getElementById('incomePercent').value);
+    } else if (type === 'budget_leftover') {
+      fields.autoAllocateValue = parseInt(document.getElementById('leftoverCategory').value) || 0;
+      fields.autoAllocationPercentage = parseFloat(document.getElementById('leftoverPercent').value) || 100;
+      fields.monthEndDate = parseInt(document.getElementById('monthEndDate').value) || null;
+    }
+    return fields;
+  }
+
   /**
    * Show add savings goal modal
    */
-  function showAddGoalModal() {
+  async function showAddGoalModal() {
+    const categories = await Storage.getActiveCategories();
     const categoryOptions = [
       'emergency', 'vacation', 'vehicle', 'investment', 'home', 'education', 'custom'
     ].map(cat => `<option value="${cat}">${cat.charAt(0).toUpperCase() + cat.slice(1)}</option>`).join('');
@@ -467,6 +1069,8 @@ const CrudUI = (() => {
             <label for="description">Description (optional)</label>
             <textarea id="description" rows="2" placeholder="Notes about this goal..."></textarea>
           </div>
+
+          ${renderGoalAllocationFields({}, categories)}
         </form>
       `,
       submitText: 'Create Goal',
@@ -479,12 +1083,15 @@ const CrudUI = (() => {
           category: document.getElementById('category').value,
           priority: document.getElementById('priority').value,
           targetDate: targetDate ? new Date(targetDate).toISOString() : null,
-          description: document.getElementById('description').value.trim()
+          description: document.getElementById('description').value.trim(),
+          ...readGoalAllocationFields()
         };
 
-        await Storage.createSavingsGoal(data);
+        await UndoManager.run('Goal added', () => Storage.createSavingsGoal(data));
       }
     });
+
+    bindGoalAllocationFields();
   }
 
   /**
@@ -492,7 +1099,10 @@ const CrudUI = (() => {
    * @param {number} goalId - Goal ID to edit
    */
   async function showEditGoalModal(goalId) {
-    const goal = await Storage.db.savingsGoals.get(goalId);
+    const [goal, categories] = await Promise.all([
+      Storage.db.savingsGoals.get(goalId),
+      Storage.getActiveCategories()
+    ]);
     if (!goal) {
       Modals.showError('Goal not found');
       return;
@@ -552,6 +1162,8 @@ const CrudUI = (() => {
               <span class="checkbox-text">Goal is active</span>
             </label>
           </div>
+
+          ${renderGoalAllocationFields(goal, categories)}
         </form>
       `,
       submitText: 'Save Changes',
@@ -564,22 +1176,34 @@ const CrudUI = (() => {
           priority: document.getElementById('priority').value,
           targetDate: targetDate ? new Date(targetDate).toISOString() : null,
           description: document.getElementById('description').value.trim(),
-          isActive: document.getElementById('isActive').checked ? 1 : 0
+          isActive: document.getElementById('isActive').checked ? 1 : 0,
+          ...readGoalAllocationFields()
         };
 
-        await Storage.updateSavingsGoal(goalId, updates);
+        await UndoManager.run('Goal updated', () => Storage.updateSavingsGoal(goalId, updates));
       }
     });
+
+    bindGoalAllocationFields();
   }
 
   /**
    * Show add contribution/withdrawal modal
    * @param {number} goalId - Goal ID
-   * @param {string} goalName - Goal name for display
+   * @param {string} goalName - Goal name for display (looked up when omitted)
    */
-  function showAddGoalTransactionModal(goalId, goalName) {
+  async function showAddGoalTransactionModal(goalId, goalName = null) {
+    if (!goalName) {
+      const goal = await Storage.db.savingsGoals.get(goalId);
+      if (!goal) {
+        Modals.showError('Goal not found');
+        return;
+      }
+      goalName = goal.goalName;
+    }
+
     Modals.show({
-      title: `Add to: ${goalName}`,
+      title: `Add to: ${Utils.escapeHtml(goalName)}`,
       body: `
         <form id="goal-txn-form" class="crud-form">
           <div class="form-group">
@@ -619,11 +1243,97 @@ const CrudUI = (() => {
           description: document.getElementById('description').value.trim()
         };
 
-        await Storage.createGoalTransaction(data);
+        await UndoManager.run('Goal contribution saved', () => Storage.createGoalTransaction(data));
+      }
+    });
+  }
+
+  /**
+   * Show edit modal for a goal contribution or withdrawal
+   * Automatic allocations keep their type.
+   * @param {number} id - Goal transaction ID
+   */
+  async function showEditGoalTransactionModal(id) {
+    const goalTransaction = await Storage.db.goalTransactions.get(id);
+    if (!goalTransaction || goalTransaction.deleted) {
+      Modals.showError('Goal transaction not found');
+      return;
+    }
+
+    const manual = ['contribution', 'withdrawal'].includes(goalTransaction.transactionType);
+    const dateValue = new Date(goalTransaction.transactionDate).toISOString().slice(0, 10);
+
+    Modals.show({
+      title: 'Edit Goal Transaction',
+      body: `
+        <form id="goal-txn-form" class="crud-form">
+          ${manual ? `
+            <div class="form-group">
+              <label>Type</label>
+              <div class="radio-group">
+                <label class="radio-option">
+                  <input type="radio" name="txnType" value="contribution" ${goalTransaction.transactionType === 'contribution' ? 'checked' : ''}>
+                  <span class="radio-indicator"></span>
+                  <span class="radio-text income-text">Contribution</span>
+                </label>
+                <label class="radio-option">
+                  <input type="radio" name="txnType" value="withdrawal" ${goalTransaction.transactionType === 'withdrawal' ? 'checked' : ''}>
+                  <span class="radio-indicator"></span>
+                  <span class="radio-text expense-text">Withdrawal</span>
+                </label>
+              </div>
+            </div>
+          ` : ''}
+
+          <div class="form-row">
+            <div class="form-group" style="flex: 1;">
+              <label for="amount">Amount</label>
+              <input type="number" id="amount" step="0.01" min="0.01" required value="${goalTransaction.amount}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label for="transactionDate">Date</label>
+              <input type="date" id="transactionDate" required value="${dateValue}">
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label for="description">Note</label>
+            <input type="text" id="description" value="${Utils.escapeHtml(goalTransaction.description || '')}">
+          </div>
+        </form>
+      `,
+      submitText: 'Save Changes',
+      onSubmit: async () => {
+        const form = document.getElementById('goal-txn-form');
+        const date = document.getElementById('transactionDate').value;
+        const updates = {
+          amount: parseFloat(document.getElementById('amount').value),
+          transactionDate: date ? new Date(date).toISOString() : null,
+          description: document.getElementById('description').value.trim()
+        };
+        if (manual) {
+          updates.transactionType = form.querySelector('input[name="txnType"]:checked').value;
+        }
+
+        await UndoManager.run('Goal transaction updated', () => Storage.updateGoalTransaction(id, updates));
       }
     });
   }
 
+  /**
+   * Delete a goal contribution or withdrawal with confirmation
+   * @param {number} id - Goal transaction ID
+   */
+  function deleteGoalTransaction(id) {
+    Modals.confirm(
+      'Delete this goal transaction? The amount saved toward the goal is adjusted.',
+      async () => {
+        await UndoManager.run('Goal transaction deleted', () => Storage.deleteGoalTransaction(id));
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
   /**
    * Delete a savings goal with confirmation
    * @param {number} goalId - Goal ID to delete
@@ -632,13 +1342,1569 @@ const CrudUI = (() => {
     Modals.confirm(
       'Are you sure you want to delete this savings goal? All associated transactions will be preserved but marked as orphaned.',
       async () => {
-        await Storage.deleteSavingsGoal(goalId);
+        await UndoManager.run('Goal deleted', () => Storage.deleteSavingsGoal(goalId));
       },
       { danger: true, confirmText: 'Delete' }
     );
   }
 
-  // ============================================
+  /**
+   * Add a queued automatic allocation to its goal
+   * @param {string} id - Proposal ID
+   */
+  async function approveGoalAllocation(id) {
+    try {
+      const metadata = await Storage.getMetadata();
+      const currency = metadata?.currency || 'USD';
+      await UndoManager.run(
+        gt => `Saved ${Utils.formatCurrency(gt.amount, currency)} to the goal`,
+        () => GoalAllocation.approve(id)
+      );
+    } catch (error) {
+      console.error('Failed to approve goal allocation:', error);
+      Utils.showNotification(error.message || 'Failed to save to the goal', 'error');
+    }
+  }
+
+  /**
+   * Approve every queued allocation
+   */
+  async function approveAllGoalAllocations() {
+    try {
+      const pending = await GoalAllocation.getPending();
+      await UndoManager.run(
+        `${pending.length === 1 ? 'Allocation' : `${pending.length} allocations`} approved`,
+        async () => {
+          for (const proposal of pending) {
+            try {
+              await GoalAllocation.approve(proposal.id);
+            } catch (error) {
+              // A deleted or reached goal drops its proposal; the others still go through
+              Utils.showNotification(error.message, 'info');
+            }
+          }
+        }
+      );
+    } catch (error) {
+      console.error('Failed to approve goal allocations:', error);
+      Utils.showNotification(error.message || 'Failed to save to the goals', 'error');
+    }
+  }
+
+  /**
+   * Skip a queued allocation
+   * @param {string} id - Proposal ID
+   */
+  async function dismissGoalAllocation(id) {
+    try {
+      await GoalAllocation.dismiss(id);
+    } catch (error) {
+      console.error('Failed to skip goal allocation:', error);
+      Utils.showNotification(error.message || 'Failed to skip the allocation', 'error');
+    }
+  }
+
+  // ============================================
+  // RECURRING TRANSACTION CRUD
+  // ============================================
+
+  /**
+   * Build the schedule part of the recurring form
+   * @param {Object} rule - Existing rule (empty object for new rules)
+   */
+  function renderRecurringScheduleFields(rule = {}) {
+    const intervalOptions = Object.entries(RecurringSchedule.INTERVALS)
+      .map(([value, def]) => `<option value="${value}" ${value === (rule.recurrenceInterval || 'monthly') ? 'selected' : ''}>${def.label}</option>`)
+      .join('');
+
+    const weekdayOptions = RecurringSchedule.WEEKDAY_NAMES
+      .map((name, i) => `<option value="${i + 1}" ${rule.dayOfWeek === i + 1 ? 'selected' : ''}>${name}</option>`)
+      .join('');
+
+    const startValue = (rule.startDate || new Date().toISOString()).slice(0, 10);
+    const endValue = rule.endDate ? rule.endDate.slice(0, 10) : '';
+
+    return `
+      <div class="form-row">
+        <div class="form-group" style="flex: 1;">
+          <label for="recurrenceInterval">Repeats</label>
+          <select id="recurrenceInterval">
+            ${intervalOptions}
+          </select>
+        </div>
+        <div class="form-group" style="flex: 1;" id="dayOfWeekGroup">
+          <label for="dayOfWeek">On</label>
+          <select id="dayOfWeek">
+            <option value="">Same weekday as start</option>
+            ${weekdayOptions}
+          </select>
+        </div>
+        <div class="form-group" style="flex: 1;" id="dayOfMonthGroup">
+          <label for="dayOfMonth">Day of month</label>
+          <input type="number" id="dayOfMonth" min="1" max="31" step="1" placeholder="Same as start" value="${rule.dayOfMonth || ''}">
+        </div>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group" style="flex: 1;">
+          <label for="startDate">Starts</label>
+          <input type="date" id="startDate" required value="${startValue}">
+        </div>
+        <div class="form-group" style="flex: 1;">
+          <label for="endDate">Ends (optional)</label>
+          <input type="date" id="endDate" value="${endValue}">
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show day-of-week for weekly intervals and day-of-month for the rest
+   * @param {HTMLElement} modal - Modal element returned by Modals.show
+   */
+  function bindRecurringScheduleFields(modal) {
+    const intervalSelect = modal.querySelector('#recurrenceInterval');
+    const update = () => {
+      const isWeekly = RecurringSchedule.INTERVALS[intervalSelect.value]?.unit === 'week';
+      modal.querySelector('#dayOfWeekGroup').style.display = isWeekly ? '' : 'none';
+      modal.querySelector('#dayOfMonthGroup').style.display = isWeekly ? 'none' : '';
+    };
+    intervalSelect.addEventListener('change', update);
+    update();
+  }
+
+  /**
+   * Read the schedule fields from the recurring form
+   * @returns {Object} Schedule fields for Storage
+   */
+  function readRecurringScheduleFields() {
+    const recurrenceInterval = document.getElementById('recurrenceInterval').value;
+    const isWeekly = RecurringSchedule.INTERVALS[recurrenceInterval]?.unit === 'week';
+    const startDate = document.getElementById('startDate').value;
+    const endDate = document.getElementById('endDate').value;
+    const dayOfWeek = document.getElementById('dayOfWeek').value;
+    const dayOfMonth = document.getElementById('dayOfMonth').value;
+
+    if (!startDate) {
+      throw new Error('Start date is required');
+    }
+
+    return {
+      recurrenceInterval,
+      startDate: `${startDate}T00:00:00Z`,
+      endDate: endDate ? `${endDate}T00:00:00Z` : null,
+      dayOfWeek: isWeekly && dayOfWeek ? parseInt(dayOfWeek) : null,
+      dayOfMonth: !isWeekly && dayOfMonth ? parseInt(dayOfMonth) : null
+    };
+  }
+
+  /**
+   * Show add recurring transaction modal
+   */
+  async function showAddRecurringModal() {
+    const categories = await Storage.getActiveCategories();
+    const billers = await Storage.getAllBillers();
+
+    let currency = await Storage.getMetadata('currency');
+    if (typeof currency === 'object' && currency !== null) {
+      currency = currency.value || currency.currency || 'USD';
+    }
+    currency = currency || 'USD';
+
+    const categoryOptions = categories
+      .map(c => `<option value="${c.id}">${c.categoryType}</option>`)
+      .join('');
+
+    const billerOptions = billers
+      .map(b => `<option value="${b.billerID}">${b.billerName}</option>`)
+      .join('');
+
+    const modal = Modals.show({
+      title: 'Add Recurring Transaction',
+      body: `
+        <form id="recurring-form" class="crud-form">
+          <div class="form-group">
+            <label>Type</label>
+            <div class="radio-group">
+              <label class="radio-option">
+                <input type="radio" name="transactionType" value="expense" checked>
+                <span class="radio-indicator"></span>
+                <span class="radio-text expense-text">Expense</span>
+              </label>
+              <label class="radio-option">
+                <input type="radio" name="transactionType" value="income">
+                <span class="radio-indicator"></span>
+                <span class="radio-text income-text">Income</span>
+              </label>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group" style="flex: 2;">
+              <label for="amount">Amount</label>
+              <div class="input-with-prefix">
+                <span class="input-prefix">${currency === 'USD' ? '$' : currency}</span>
+                <input type="number" id="amount" step="0.01" min="0.01" required placeholder="0.00" autofocus>
+              </div>
+            </div>
+            <div class="form-group" style="flex: 2;">
+              <label for="merchant">Description</label>
+              <input type="text" id="merchant" required placeholder="e.g., Rent, Netflix, Salary">
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group" style="flex: 1;">
+              <label for="category">Category</label>
+              <select id="category" required>
+                <option value="">Select category...</option>
+                ${categoryOptions}
+              </select>
+            </div>
+            ${billerOptions ? `
+              <div class="form-group" style="flex: 1;">
+                <label for="biller">Biller (optional)</label>
+                <select id="biller">
+                  <option value="">None</option>
+                  ${billerOptions}
+                </select>
+              </div>
+            ` : ''}
+          </div>
+
+          ${renderRecurringScheduleFields()}
+
+          <p class="form-hint">The first occurrence is recorded as a transaction and used as the template for the following ones.</p>
+        </form>
+      `,
+      submitText: 'Add Recurring',
+      onSubmit: async () => {
+        const form = document.getElementById('recurring-form');
+        const data = {
+          transactionType: form.querySelector('input[name="transactionType"]:checked').value,
+          transactionAmount: parseFloat(document.getElementById('amount').value),
+          merchantName: document.getElementById('merchant').value.trim(),
+          transactionCategory: parseInt(document.getElementById('category').value),
+          billerID: document.getElementById('biller')?.value || null,
+          currency,
+          ...readRecurringScheduleFields()
+        };
+
+        await UndoManager.run('Recurring transaction added', () => Storage.createRecurringTransaction(data));
+      }
+    });
+
+    bindRecurringScheduleFields(modal);
+  }
+
+  /**
+   * Show edit recurring transaction modal
+   * Only the schedule is editable, the template transaction is a real past
+   * occurrence and is edited from the transactions list.
+   * @param {string} recurringId - Recurring transaction ID
+   */
+  async function showEditRecurringModal(recurringId) {
+    const rule = await Storage.getRecurringTransactionById(recurringId);
+    if (!rule) {
+      Modals.showError('Recurring transaction not found');
+      return;
+    }
+
+    const template = rule.transactionID ? await Storage.db.transactions.get(rule.transactionID) : null;
+
+    const modal = Modals.show({
+      title: 'Edit Recurring Transaction',
+      body: `
+        <form id="recurring-form" class="crud-form">
+          ${template ? `
+            <div class="form-group">
+              <label>Template</label>
+              <p class="form-hint">${Utils.escapeHtml(template.merchantName || '')} &bull; ${Utils.formatCurrency(template.transactionAmount, template.currency)} &bull; ${template.transactionType}</p>
+            </div>
+          ` : ''}
+
+          ${renderRecurringScheduleFields(rule)}
+        </form>
+      `,
+      submitText: 'Save Changes',
+      onSubmit: async () => {
+        const updates = readRecurringScheduleFields();
+        await UndoManager.run('Recurring transaction updated', () => Storage.updateRecurringTransaction(recurringId, updates));
+      }
+    });
+
+    bindRecurringScheduleFields(modal);
+  }
+
+  /**
+   * Pause an active rule or resume a paused one
+   * @param {string} recurringId - Recurring transaction ID
+   */
+  async function toggleRecurringStatus(recurringId) {
+    try {
+      const rule = await Storage.getRecurringTransactionById(recurringId);
+      if (!rule) return;
+
+      if (rule.status === 'paused') {
+        await UndoManager.run('Recurring transaction resumed', () => Storage.resumeRecurringTransaction(recurringId));
+      } else {
+        await UndoManager.run('Recurring transaction paused', () => Storage.pauseRecurringTransaction(recurringId));
+      }
+    } catch (error) {
+      console.error('Failed to toggle recurring status:', error);
+      Utils.showNotification(error.message || 'Failed to update recurring transaction', 'error');
+    }
+  }
+
+  /**
+   * Delete a recurring rule with confirmation
+   * @param {string} recurringId - Recurring transaction ID
+   */
+  function deleteRecurring(recurringId) {
+    Modals.confirm(
+      'Delete this recurring transaction? Past transactions it created are kept.',
+      async () => {
+        await UndoManager.run('Recurring transaction deleted', () => Storage.deleteRecurringTransaction(recurringId));
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
+  /**
+   * Record the next payment of a rule and move it to the following due date
+   * @param {string} recurringId - Recurring transaction ID
+   * @param {string} dueDate - Occurrence being paid, when coming from a reminder
+   */
+  async function markRecurringPaid(recurringId, dueDate = null) {
+    try {
+      await UndoManager.run(
+        ({ transaction }) => `${transaction.merchantName || 'Bill'} marked paid`,
+        () => Storage.markRecurringPaid(recurringId, dueDate)
+      );
+    } catch (error) {
+      console.error('Failed to mark recurring transaction paid:', error);
+      Utils.showNotification(error.message || 'Failed to record the payment', 'error');
+    }
+  }
+
+  /**
+   * Show the bill reminder settings
+   */
+  async function showBillRemindersModal() {
+    const settings = await BillReminders.getSettings(Storage.db);
+    const blocked = typeof Notification !== 'undefined' && Notification.permission === 'denied';
+
+    Modals.show({
+      title: 'Bill Reminders',
+      body: `
+        <form id="bill-reminders-form" class="crud-form">
+          <div class="form-group checkbox-group">
+            <label class="checkbox-option">
+              <input type="checkbox" id="billRemindersEnabled" ${settings.enabled ? 'checked' : ''}>
+              <span class="checkbox-indicator"></span>
+              <span class="checkbox-text">Remind me before recurring bills are due</span>
+            </label>
+          </div>
+
+          <div class="form-group">
+            <label for="billRemindersDaysBefore">Days before the due date</label>
+            <input type="number" id="billRemindersDaysBefore" min="0" max="${BillReminders.MAX_DAYS_BEFORE}" step="1" value="${settings.daysBefore}">
+            <p class="form-hint">
+              Reminders can mark the bill paid or snooze it for a day. With the app installed they also arrive while it is closed, where the browser supports it.
+              ${blocked ? ' Notifications are blocked for this site, so reminders only show while the app is open.' : ''}
+            </p>
+          </div>
+        </form>
+      `,
+      submitText: 'Save',
+      onSubmit: async () => {
+        await BillReminders.setOptions(Storage.db, {
+          enabled: document.getElementById('billRemindersEnabled').checked,
+          daysBefore: document.getElementById('billRemindersDaysBefore').value
+        });
+        window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'bill-reminders-updated' } }));
+        Utils.showNotification('Reminder settings saved', 'success');
+      }
+    });
+
+    const toggle = document.getElementById('billRemindersEnabled');
+    toggle.addEventListener('change', () => {
+      if (toggle.checked) BudgetAlerts.requestPermission();
+    });
+  }
+
+  // ============================================
+  // BILLER CRUD
+  // ============================================
+
+  /**
+   * Render the shared biller form fields
+   * @param {Object} biller - Existing biller (empty for add)
+   */
+  function renderBillerFields(biller = {}) {
+    const actualName = biller.billerActualName && biller.billerActualName !== biller.billerName
+      ? biller.billerActualName
+      : '';
+
+    return `
+      <div class="form-group">
+        <label for="billerName">Account Name</label>
+        <input type="text" id="billerName" required placeholder="e.g., Wallet, Savings, Visa" value="${Utils.escapeHtml(biller.billerName || '')}" autofocus>
+      </div>
+
+      <div class="form-group">
+        <label for="billerActualName">Official Name (optional)</label>
+        <input type="text" id="billerActualName" placeholder="e.g., First National Bank" value="${Utils.escapeHtml(actualName)}">
+      </div>
+    `;
+  }
+
+  /**
+   * Show add biller / account modal
+   */
+  function showAddBillerModal() {
+    Modals.show({
+      title: 'Add Account',
+      body: `
+        <form id="biller-form" class="crud-form">
+          ${renderBillerFields()}
+        </form>
+      `,
+      submitText: 'Add Account',
+      onSubmit: async () => {
+        const data = {
+          billerName: document.getElementById('billerName').value.trim(),
+          billerActualName: document.getElementById('billerActualName').value.trim()
+        };
+        await UndoManager.run('Account added', () => Storage.createBiller(data));
+      }
+    });
+  }
+
+  /**
+   * Show edit biller / account modal
+   * @param {string} billerID - Biller ID to edit
+   */
+  async function showEditBillerModal(billerID) {
+    const biller = await Storage.getBillerById(billerID);
+    if (!biller) {
+      Modals.showError('Account not found');
+      return;
+    }
+
+    Modals.show({
+      title: 'Edit Account',
+      body: `
+        <form id="biller-form" class="crud-form">
+          ${renderBillerFields(biller)}
+          <p class="form-hint">Renaming an account also renames it on its transactions.</p>
+        </form>
+      `,
+      submitText: 'Save Changes',
+      onSubmit: async () => {
+        const billerName = document.getElementById('billerName').value.trim();
+        const updates = {
+          billerName,
+          billerActualName: document.getElementById('billerActualName').value.trim() || billerName
+        };
+        await UndoManager.run('Account updated', () => Storage.updateBiller(billerID, updates));
+      }
+    });
+  }
+
+  /**
+   * Delete a biller / account with confirmation
+   * @param {string} billerID - Biller ID to delete
+   */
+  function deleteBiller(billerID) {
+    Modals.confirm(
+      'Are you sure you want to delete this account? Accounts that still have transactions cannot be deleted.',
+      async () => {
+        await UndoManager.run('Account deleted', () => Storage.deleteBiller(billerID));
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
+  // ============================================
+  // TRANSFERS
+  // ============================================
+
+  /**
+   * Render the shared transfer form
+   * @param {Array} billers - Billers to choose from
+   * @param {Object} transfer - { fromBillerID, toBillerID, transactionAmount, transactionDate }
+   * @param {string} currency - Currency code for the amount prefix
+   */
+  function renderTransferFields(billers, transfer, currency) {
+    const options = (selectedId) => billers
+      .map(b => `<option value="${b.billerID}" ${b.billerID === selectedId ? 'selected' : ''}>${Utils.escapeHtml(b.billerName)}</option>`)
+      .join('');
+
+    return `
+      <div class="form-row">
+        <div class="form-group" style="flex: 1;">
+          <label for="fromBiller">From</label>
+          <select id="fromBiller" required>
+            <option value="">Select account...</option>
+            ${options(transfer.fromBillerID)}
+          </select>
+        </div>
+        <div class="form-group" style="flex: 1;">
+          <label for="toBiller">To</label>
+          <select id="toBiller" required>
+            <option value="">Select account...</option>
+            ${options(transfer.toBillerID)}
+          </select>
+        </div>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group" style="flex: 2;">
+          <label for="amount">Amount</label>
+          <div class="input-with-prefix">
+            <span class="input-prefix">${currency === 'USD' ? '$' : currency}</span>
+            <input type="number" id="amount" step="0.01" min="0.01" required placeholder="0.00" value="${transfer.transactionAmount || ''}">
+          </div>
+        </div>
+        <div class="form-group" style="flex: 1;">
+          <label for="date">Date</label>
+          <input type="date" id="date" required value="${transfer.transactionDate}">
+        </div>
+      </div>
+
+      <p class="form-hint">Transfers move money between your accounts and are not counted as income or expenses.</p>
+    `;
+  }
+
+  /**
+   * Read the transfer form values
+   */
+  function readTransferFields() {
+    return {
+      fromBillerID: document.getElementById('fromBiller').value,
+      toBillerID: document.getElementById('toBiller').value,
+      transactionAmount: parseFloat(document.getElementById('amount').value),
+      transactionDate: new Date(document.getElementById('date').value + 'T00:00:00').toISOString()
+    };
+  }
+
+  /**
+   * Get billers a transfer can use (the synthetic Total biller is excluded)
+   */
+  async function getTransferBillers() {
+    const billers = await Storage.getAllBillers();
+    return billers.filter(b => b.billerName !== 'Total' && b.billerName !== 'Total Balance');
+  }
+
+  /**
+   * Show transfer modal
+   * @param {string} fromBillerID - Optional preselected source account
+   */
+  async function showTransferModal(fromBillerID = null) {
+    const billers = await getTransferBillers();
+    const metadata = await Storage.getMetadata();
+    const currency = metadata?.currency || 'USD';
+
+    Modals.show({
+      title: 'Transfer Between Accounts',
+      body: `
+        <form id="transfer-form" class="crud-form">
+          ${renderTransferFields(billers, {
+            fromBillerID,
+            transactionDate: new Date().toISOString().slice(0, 10)
+          }, currency)}
+        </form>
+      `,
+      submitText: 'Transfer',
+      onSubmit: async () => {
+        const data = { ...readTransferFields(), currency };
+        await UndoManager.run('Transfer added', () => Storage.createTransfer(data));
+      }
+    });
+  }
+
+  /**
+   * Show edit transfer modal
+   * @param {string} transferId - Transfer ID to edit
+   */
+  async function showEditTransferModal(transferId) {
+    const transfer = await Storage.getTransfer(transferId);
+    if (!transfer || !transfer.from || !transfer.to) {
+      Modals.showError('Transfer not found');
+      return;
+    }
+
+    const billers = await getTransferBillers();
+
+    Modals.show({
+      title: 'Edit Transfer',
+      body: `
+        <form id="transfer-form" class="crud-form">
+          ${renderTransferFields(billers, {
+            fromBillerID: transfer.from.billerID,
+            toBillerID: transfer.to.billerID,
+            transactionAmount: transfer.from.transactionAmount,
+            transactionDate: new Date(transfer.from.transactionDate).toISOString().slice(0, 10)
+          }, transfer.from.currency || 'USD')}
+        </form>
+      `,
+      submitText: 'Save Changes',
+      onSubmit: async () => {
+        const updates = readTransferFields();
+        await UndoManager.run('Transfer updated', () => Storage.updateTransfer(transferId, updates));
+      }
+    });
+  }
+
+  // ============================================
+  // STATEMENT IMPORT
+  // ============================================
+
+  /**
+   * Show the bank statement import wizard
+   * Choosing a file parses it; CSV files then show a column mapping.
+   * Every change refreshes the preview, and submitting imports the selected rows.
+   */
+  async function showStatementImportModal() {
+    const [categories, accounts, metadata] = await Promise.all([
+      Storage.getActiveCategories(),
+      getTransferBillers(),
+      Storage.getMetadata()
+    ]);
+    const currency = metadata?.currency || 'USD';
+
+    // Parsed file: { format, table, mapping, qifText, rows, skipped }
+    let statement = null;
+
+    const modal = Modals.show({
+      title: 'Import Bank Statement',
+      body: `
+        <form id="statement-import-form" class="crud-form">
+          <div class="form-row">
+            <div class="form-group" style="flex: 2;">
+              <label for="statementFile">Statement file</label>
+              <input type="file" id="statementFile" accept=".csv,.txt,.ofx,.qfx,.qif">
+            </div>
+            ${accounts.length > 0 ? `
+              <div class="form-group" style="flex: 1;">
+                <label for="statementBiller">Account (optional)</label>
+                <select id="statementBiller">
+                  <option value="">None</option>
+                  ${accounts.map(b => `<option value="${b.billerID}">${Utils.escapeHtml(b.billerName)}</option>`).join('')}
+                </select>
+              </div>
+            ` : ''}
+          </div>
+
+          <p class="form-hint">CSV, OFX/QFX and QIF files are supported. Negative amounts are imported as expenses.</p>
+
+          <div id="statementMapping"></div>
+          <div id="statementPreview"></div>
+        </form>
+      `,
+      submitText: 'Import',
+      onSubmit: async () => {
+        if (!statement || statement.rows.length === 0) {
+          throw new Error('Choose a statement file with at least one transaction');
+        }
+
+        const options = {
+          billerID: document.getElementById('statementBiller')?.value || null,
+          currency
+        };
+        const result = await UndoManager.run(
+          ({ imported }) => `Imported ${imported} transaction(s)`,
+          () => StatementImport.importRows(statement.rows, options)
+        );
+
+        if (result.failed.length > 0) {
+          Utils.showNotification(`Imported ${result.imported} transaction(s), ${result.failed.length} failed: ${result.failed[0].error}`, 'error');
+        }
+      }
+    });
+    modal.classList.add('modal-wide');
+
+    const mappingContainer = modal.querySelector('#statementMapping');
+    const previewContainer = modal.querySelector('#statementPreview');
+
+    const refresh = async () => {
+      try {
+        if (statement.format === 'csv') {
+          Object.assign(statement, StatementImport.csvToRows(statement.table, statement.mapping));
+        } else if (statement.format === 'qif') {
+          Object.assign(statement, StatementImport.parseQif(statement.qifText, statement.mapping.dateFormat));
+        }
+        await StatementImport.analyze(statement.rows);
+        previewContainer.innerHTML = renderStatementPreview(statement, categories, currency);
+      } catch (error) {
+        statement.rows = [];
+        previewContainer.innerHTML = `<p class="form-hint import-error">${Utils.escapeHtml(error.message)}</p>`;
+      }
+    };
+
+    modal.querySelector('#statementFile').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const text = await file.text();
+      const format = StatementImport.detectFormat(text, file.name);
+      statement = { format, rows: [], skipped: 0 };
+
+      if (format === 'csv') {
+        statement.table = StatementImport.parseCsv(text);
+        statement.mapping = StatementImport.guessCsvMapping(statement.table);
+      } else if (format === 'qif') {
+        statement.qifText = text;
+        statement.mapping = { dateFormat: StatementImport.parseQif(text).dateFormat };
+      } else {
+        Object.assign(statement, StatementImport.parseOfx(text));
+      }
+
+      mappingContainer.innerHTML = statement.mapping ? renderStatementMapping(statement) : '';
+      await refresh();
+    });
+
+    mappingContainer.addEventListener('change', async () => {
+      Object.assign(statement.mapping, readStatementMapping(mappingContainer));
+      mappingContainer.innerHTML = renderStatementMapping(statement);
+      await refresh();
+    });
+
+    previewContainer.addEventListener('change', (e) => {
+      const rowElement = e.target.closest('[data-row]');
+      if (!rowElement) return;
+      const row = statement.rows[parseInt(rowElement.dataset.row)];
+
+      if (e.target.classList.contains('import-select')) {
+        row.selected = e.target.checked;
+        return;
+      }
+
+      // A category chosen for one row applies to the other rows of that merchant
+      row.categoryId = parseInt(e.target.value) || null;
+      row.categoryChosen = true;
+      statement.rows.forEach((other, index) => {
+        if (other === row || other.categoryChosen || other.merchantKey !== row.merchantKey) return;
+        other.categoryId = row.categoryId;
+        const select = previewContainer.querySelector(`[data-row="${index}"] .import-category`);
+        if (select) select.value = row.categoryId || '';
+      });
+    });
+  }
+
+  /**
+   * Render the column mapping of a CSV statement (or the date format of a QIF one)
+   * @param {Object} statement - Parsed statement with mapping
+   */
+  function renderStatementMapping(statement) {
+    const { mapping } = statement;
+    const dateFormatOptions = Object.entries(StatementImport.DATE_FORMATS)
+      .map(([key, label]) => `<option value="${key}" ${mapping.dateFormat === key ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const dateFormatField = `
+      <div class="form-group" style="flex: 1;">
+        <label for="mapDateFormat">Date format</label>
+        <select id="mapDateFormat" data-field="dateFormat">${dateFormatOptions}</select>
+      </div>
+    `;
+
+    if (statement.format !== 'csv') {
+      return `<div class="form-row">${dateFormatField}</div>`;
+    }
+
+    const header = statement.table[0] || [];
+    const columnSelect = (field, label, optional = true) => {
+      const options = header
+        .map((name, i) => `<option value="${i}" ${mapping[field] === i ? 'selected' : ''}>${Utils.escapeHtml(mapping.hasHeader ? name : `Column ${i + 1} (${name})`)}</option>`)
+        .join('');
+      return `
+        <div class="form-group">
+          <label>${label}</label>
+          <select data-field="${field}">
+            <option value="-1">${optional ? 'Not in file' : 'Select column...'}</option>
+            ${options}
+          </select>
+        </div>
+      `;
+    };
+
+    return `
+      <div class="import-mapping">
+        ${columnSelect('date', 'Date', false)}
+        ${columnSelect('description', 'Description')}
+        ${columnSelect('amount', 'Amount (signed)')}
+        ${columnSelect('debit', 'Debit / money out')}
+        ${columnSelect('credit', 'Credit / money in')}
+        ${columnSelect('category', 'Category')}
+        ${columnSelect('transactionId', 'Transaction ID')}
+      </div>
+      <div class="form-row">
+        ${dateFormatField}
+        <div class="form-group checkbox-group" style="flex: 1;">
+          <label class="checkbox-option">
+            <input type="checkbox" data-field="hasHeader" ${mapping.hasHeader ? 'checked' : ''}>
+            <span class="checkbox-indicator"></span>
+            <span class="checkbox-text">First row is a header</span>
+          </label>
+          <label class="checkbox-option">
+            <input type="checkbox" data-field="invertSigns" ${mapping.invertSigns ? 'checked' : ''}>
+            <span class="checkbox-indicator"></span>
+            <span class="checkbox-text">Positive amounts are expenses</span>
+          </label>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Read the mapping fields back into a mapping object
+   * @param {HTMLElement} container - Mapping container
+   */
+  function readStatementMapping(container) {
+    const mapping = {};
+    container.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      if (input.type === 'checkbox') {
+        mapping[field] = input.checked;
+      } else if (field === 'dateFormat') {
+        mapping[field] = input.value;
+      } else {
+        mapping[field] = parseInt(input.value);
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Render the preview table of parsed statement rows
+   * @param {Object} statement - Parsed statement with analyzed rows
+   * @param {Array} categories - Active categories
+   * @param {string} currency - Currency code
+   */
+  function renderStatementPreview(statement, categories, currency) {
+    const { rows, skipped } = statement;
+    if (rows.length === 0) {
+      return '<p class="form-hint">No transactions found in this file.</p>';
+    }
+
+    const duplicates = rows.filter(row => row.duplicateOf).length;
+    const summary = [
+      `${rows.length} transaction(s)`,
+      duplicates > 0 ? `${duplicates} already imported` : '',
+      skipped > 0 ? `${skipped} unreadable line(s) skipped` : ''
+    ].filter(Boolean).join(' · ');
+
+    const categoryOptions = (selectedId) => categories
+      .map(c => `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${Utils.escapeHtml(c.categoryType)}</option>`)
+      .join('');
+
+    const body = rows.map((row, index) => `
+      <tr data-row="${index}" class="${row.duplicateOf ? 'import-duplicate' : ''}">
+        <td><input type="checkbox" class="import-select" ${row.selected ? 'checked' : ''}></td>
+        <td>${Utils.formatDate(row.date + 'T00:00:00')}</td>
+        <td>
+          ${Utils.escapeHtml(row.merchantName || 'Imported transaction')}
+          ${row.duplicateOf ? '<span class="import-badge" title="Matches an existing transaction">Duplicate</span>' : ''}
+          ${row.ruleNames?.length ? `<span class="import-badge rule-badge" title="Set by rule: ${Utils.escapeHtml(row.ruleNames.join(', '))}">Rule</span>` : ''}
+        </td>
+        <td class="transaction-amount ${row.amount < 0 ? 'expense' : 'income'}">
+          ${row.amount < 0 ? '-' : '+'}${Utils.formatCurrency(Math.abs(row.amount), currency)}
+        </td>
+        <td>
+          <select class="import-category">
+            <option value="">Category...</option>
+            ${categoryOptions(row.categoryId)}
+          </select>
+        </td>
+      </tr>
+    `).join('');
+
+    return `
+      <p class="form-hint">${summary}</p>
+      <div class="import-preview">
+        <table>
+          <thead>
+            <tr><th></th><th>Date</th><th>Description</th><th>Amount</th><th>Category</th></tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  /**
+   * Show the export menu: filtered transactions CSV, JSON backup or monthly report
+   */
+  function showExportModal() {
+    const currentMonth = Utils.getCurrentMonthYear();
+
+    const modal = Modals.show({
+      title: 'Export',
+      body: `
+        <form id="export-form" class="crud-form">
+          <div class="form-group export-options">
+            <label class="radio-option">
+              <input type="radio" name="exportType" value="csv" checked>
+              <span class="radio-indicator"></span>
+              <span class="radio-text">Transactions (CSV)</span>
+            </label>
+            <p class="form-hint">The transactions list with its current type, category and search filters.</p>
+
+            <label class="radio-option">
+              <input type="radio" name="exportType" value="backup">
+              <span class="radio-indicator"></span>
+              <span class="radio-text">Full backup (JSON)</span>
+            </label>
+            <p class="form-hint">All data in the sync format. Restore it with "Import JSON instead" on the sync screen.</p>
+
+            <label class="radio-option">
+              <input type="radio" name="exportType" value="report">
+              <span class="radio-indicator"></span>
+              <span class="radio-text">Monthly report (print / PDF)</span>
+            </label>
+            <p class="form-hint">Category totals, goal progress and charts, ready to print or save as PDF.</p>
+
+            <label class="radio-option">
+              <input type="radio" name="exportType" value="encrypted">
+              <span class="radio-indicator"></span>
+              <span class="radio-text">Encrypted backup</span>
+            </label>
+            <p class="form-hint">The whole local database, locked with a passphrase. Restore it from the sync screen.</p>
+          </div>
+
+          <div class="form-group" id="reportMonthGroup" style="display: none;">
+            <label for="reportMonth">Month</label>
+            <input type="month" id="reportMonth" value="${currentMonth}" max="${currentMonth}">
+          </div>
+
+          <div id="backupPassphraseGroup" style="display: none;">
+            <div class="form-group">
+              <label for="backupPassphrase">Passphrase *</label>
+              <input type="password" id="backupPassphrase" autocomplete="new-password" minlength="${Backup.MIN_PASSPHRASE_LENGTH}">
+            </div>
+            <div class="form-group">
+              <label for="backupPassphraseConfirm">Confirm passphrase *</label>
+              <input type="password" id="backupPassphraseConfirm" autocomplete="new-password">
+              <p class="form-hint">There is no way to recover a backup if the passphrase is lost.</p>
+            </div>
+          </div>
+        </form>
+      `,
+      submitText: 'Export',
+      onSubmit: async () => {
+        const type = document.querySelector('input[name="exportType"]:checked').value;
+
+        if (type === 'csv') {
+          const count = await Export.exportTransactionsCsv();
+          Utils.showNotification(`Exported ${count} transaction(s)`, 'success');
+        } else if (type === 'backup') {
+          await Export.exportBackupJson();
+          Utils.showNotification('Backup downloaded', 'success');
+        } else if (type === 'encrypted') {
+          const passphrase = document.getElementById('backupPassphrase').value;
+          if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+            throw new Error('Passphrases do not match');
+          }
+          await Backup.downloadBackup(passphrase);
+          Utils.showNotification('Encrypted backup downloaded', 'success');
+        } else {
+          const yearMonth = document.getElementById('reportMonth').value;
+          if (!/^\d{4}-\d{2}$/.test(yearMonth)) {
+            throw new Error('Choose a month for the report');
+          }
+          await Export.showMonthlyReport(yearMonth);
+        }
+      }
+    });
+
+    modal.querySelectorAll('input[name="exportType"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        const type = modal.querySelector('input[name="exportType"]:checked').value;
+        modal.querySelector('#reportMonthGroup').style.display = type === 'report' ? '' : 'none';
+        modal.querySelector('#backupPassphraseGroup').style.display = type === 'encrypted' ? '' : 'none';
+      });
+    });
+  }
+
+  /**
+   * Show modal to restore an encrypted backup
+   */
+  function showRestoreBackupModal() {
+    const modal = Modals.show({
+      title: 'Restore Encrypted Backup',
+      body: `
+        <form id="restore-backup-form" class="crud-form">
+          <div class="form-group">
+            <label for="restoreFile">Backup file *</label>
+            <input type="file" id="restoreFile" accept=".json,application/json" required>
+          </div>
+
+          <div class="form-group">
+            <label for="restorePassphrase">Passphrase *</label>
+            <input type="password" id="restorePassphrase" autocomplete="current-password" required>
+          </div>
+
+          <div class="form-group">
+            <label class="radio-option">
+              <input type="radio" name="restoreMode" value="merge" checked>
+              <span class="radio-indicator"></span>
+              <span class="radio-text">Merge with current data</span>
+            </label>
+            <p class="form-hint">Adds missing records and keeps the newer copy of records that exist on both sides.</p>
+
+            <label class="radio-option">
+              <input type="radio" name="restoreMode" value="replace">
+              <span class="radio-indicator"></span>
+              <span class="radio-text">Replace all data</span>
+            </label>
+            <p class="form-hint">Restores the database exactly as it was, including pairing and settings.</p>
+          </div>
+
+          <div class="form-group" id="restoreReplaceConfirm" style="display: none;">
+            <label class="checkbox-option">
+              <input type="checkbox" id="restoreReplaceAck">
+              <span class="checkbox-indicator"></span>
+              <span class="checkbox-text">I understand all current data on this device will be replaced</span>
+            </label>
+          </div>
+        </form>
+      `,
+      submitText: 'Restore',
+      onSubmit: async () => {
+        const file = document.getElementById('restoreFile').files[0];
+        const passphrase = document.getElementById('restorePassphrase').value;
+        const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+
+        if (!file) {
+          throw new Error('Choose a backup file');
+        }
+        if (!passphrase) {
+          throw new Error('Enter the backup passphrase');
+        }
+        if (mode === 'replace' && !document.getElementById('restoreReplaceAck').checked) {
+          throw new Error('Confirm that current data will be replaced');
+        }
+
+        const result = await Backup.restoreBackup(await file.text(), passphrase, mode);
+
+        if (mode === 'merge') {
+          Utils.showNotification(`Backup merged: ${result.applied} record(s) updated`, 'success');
+        } else {
+          Utils.showNotification(`Backup restored: ${result.restored} record(s)`, 'success');
+        }
+      }
+    });
+
+    modal.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        const isReplace = modal.querySelector('input[name="restoreMode"]:checked').value === 'replace';
+        modal.querySelector('#restoreReplaceConfirm').style.display = isReplace ? '' : 'none';
+      });
+    });
+  }
+
+  // ============================================
+  // SAVED FILTERS
+  // ============================================
+
+  /**
+   * Show modal to save the current transaction filters, or edit the saved filter they match
+   * @param {Object} filters - Current filters { type, categoryId, query }
+   * @param {string|null} savedFilterId - Saved filter matching the filters, if any
+   */
+  async function showSaveFilterModal(filters, savedFilterId = null) {
+    const savedFilter = savedFilterId
+      ? (await Storage.getSavedFilters()).find(f => f.id === savedFilterId)
+      : null;
+    const type = filters.type && filters.type !== 'all' ? filters.type : null;
+    const category = filters.categoryId ? await Storage.getCategoryById(parseInt(filters.categoryId)) : null;
+
+    const parts = [
+      filters.query ? `<code>${Utils.escapeHtml(filters.query)}</code>` : null,
+      type ? (type === 'expense' ? 'Expenses' : 'Income') : null,
+      category ? Utils.escapeHtml(category.categoryType) : null
+    ].filter(Boolean);
+
+    Modals.show({
+      title: savedFilter ? 'Edit Saved Filter' : 'Save Filter',
+      body: `
+        <form id="saved-filter-form" class="crud-form">
+          <div class="form-group">
+            <label for="savedFilterName">Name *</label>
+            <input type="text" id="savedFilterName" required placeholder="e.g., Eating out this quarter" value="${Utils.escapeHtml(savedFilter?.name || '')}">
+            <p class="form-hint">${parts.length > 0 ? `Filters: ${parts.join(' &bull; ')}` : 'No filters are set'}</p>
+          </div>
+
+          <div class="form-group">
+            <label class="checkbox-option">
+              <input type="checkbox" id="savedFilterPinned" ${savedFilter?.pinned ? 'checked' : ''}>
+              <span class="checkbox-indicator"></span>
+              <span class="checkbox-text">Pin to dashboard</span>
+            </label>
+            <p class="form-hint">Shows the total and count of matching transactions on the dashboard. Use on:this-month or on:this-quarter to keep the period current.</p>
+          </div>
+        </form>
+      `,
+      submitText: savedFilter ? 'Save Changes' : 'Save Filter',
+      onSubmit: async () => {
+        const data = {
+          name: document.getElementById('savedFilterName').value,
+          pinned: document.getElementById('savedFilterPinned').checked
+        };
+
+        if (savedFilter) {
+          await UndoManager.run('Saved filter updated', () => Storage.updateSavedFilter(savedFilter.id, data));
+        } else {
+          await UndoManager.run('Filter saved', () => Storage.createSavedFilter({
+            ...data,
+            query: filters.query,
+            transactionType: type,
+            categoryId: filters.categoryId
+          }));
+        }
+      }
+    });
+  }
+
+  /**
+   * Delete a saved filter with confirmation
+   * @param {string} savedFilterId - Saved filter ID
+   */
+  function deleteSavedFilter(savedFilterId) {
+    Modals.confirm(
+      'Delete this saved filter? The transactions it matches are not affected.',
+      async () => {
+        await UndoManager.run('Saved filter deleted', () => Storage.deleteSavedFilter(savedFilterId));
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
+  // ============================================
+  // NET WORTH
+  // ============================================
+
+  /**
+   * Show modal to add a manually tracked asset or liability
+   */
+  function showAddNetWorthItemModal() {
+    showNetWorthItemModal(null);
+  }
+
+  /**
+   * Show modal to edit an asset or liability
+   * @param {string} itemId - Net worth item ID
+   */
+  async function showEditNetWorthItemModal(itemId) {
+    const item = await Storage.db.netWorthItems.get(itemId);
+    if (!item || item.deleted) {
+      Modals.showError('Item not found');
+      return;
+    }
+    showNetWorthItemModal(item);
+  }
+
+  function showNetWorthItemModal(item) {
+    const itemType = item?.itemType || 'asset';
+
+    Modals.show({
+      title: item ? 'Edit Asset or Liability' : 'Add Asset or Liability',
+      body: `
+        <form id="networth-item-form" class="crud-form">
+          <div class="form-group">
+            <label>Type</label>
+            <div class="radio-group">
+              <label class="radio-option">
+                <input type="radio" name="itemType" value="asset" ${itemType === 'asset' ? 'checked' : ''}>
+                <span class="radio-indicator"></span>
+                <span class="radio-text income-text">Asset</span>
+              </label>
+              <label class="radio-option">
+                <input type="radio" name="itemType" value="liability" ${itemType === 'liability' ? 'checked' : ''}>
+                <span class="radio-indicator"></span>
+                <span class="radio-text expense-text">Liability</span>
+              </label>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group" style="flex: 2;">
+              <label for="networthName">Name *</label>
+              <input type="text" id="networthName" required placeholder="e.g., Car, Student loan" value="${Utils.escapeHtml(item?.name || '')}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label for="networthValue">Value *</label>
+              <input type="number" id="networthValue" step="0.01" min="0" required value="${item ? item.value : ''}">
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label for="networthNotes">Notes</label>
+            <input type="text" id="networthNotes" value="${Utils.escapeHtml(item?.notes || '')}">
+            <p class="form-hint">For a liability, enter the amount still owed. Update the value now and then to keep net worth current.</p>
+          </div>
+        </form>
+      `,
+      submitText: item ? 'Save Changes' : 'Add',
+      onSubmit: async () => {
+        const form = document.getElementById('networth-item-form');
+        const data = {
+          itemType: form.querySelector('input[name="itemType"]:checked').value,
+          name: document.getElementById('networthName').value,
+          value: document.getElementById('networthValue').value,
+          notes: document.getElementById('networthNotes').value
+        };
+
+        if (item) {
+          await UndoManager.run('Net worth item updated', () => Storage.updateNetWorthItem(item.id, data));
+        } else {
+          await UndoManager.run('Net worth item added', () => Storage.createNetWorthItem(data));
+        }
+      }
+    });
+  }
+
+  /**
+   * Delete an asset or liability with confirmation
+   * @param {string} itemId - Net worth item ID
+   */
+  function deleteNetWorthItem(itemId) {
+    Modals.confirm(
+      'Delete this item? Past net worth snapshots keep its value.',
+      async () => {
+        await UndoManager.run('Net worth item deleted', () => Storage.deleteNetWorthItem(itemId));
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
+  // ============================================
+  // CATEGORIZATION RULES
+  // ============================================
+
+  /**
+   * Render the categorization rule form
+   * @param {Array} categories - Active categories
+   * @param {Array} billers - Billers
+   * @param {Object} rule - Rule being edited, or prefilled fields
+   */
+  function renderRuleForm(categories, billers, rule = {}) {
+    const matchOptions = Object.entries(CategorizationRules.MATCH_TYPES)
+      .map(([value, label]) => `<option value="${value}" ${rule.match === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const categoryOptions = categories
+      .map(c => `<option value="${c.id}" ${c.id === rule.categoryId ? 'selected' : ''}>${Utils.escapeHtml(c.categoryType)}</option>`)
+      .join('');
+    const billerOptions = billers
+      .map(b => `<option value="${b.billerID}" ${b.billerID === rule.billerID ? 'selected' : ''}>${Utils.escapeHtml(b.billerName)}</option>`)
+      .join('');
+    const amountValue = value => (value === null || value === undefined ? '' : value);
+
+    return `
+      <form id="rule-form" class="crud-form">
+        <div class="form-row">
+          <div class="form-group" style="flex: 1;">
+            <label for="ruleMatch">Merchant</label>
+            <select id="ruleMatch">${matchOptions}</select>
+          </div>
+          <div class="form-group" style="flex: 2;">
+            <label for="rulePattern">Text</label>
+            <input type="text" id="rulePattern" required placeholder="e.g., UBER" value="${Utils.escapeHtml(rule.pattern || '')}">
+          </div>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group" style="flex: 1;">
+            <label for="ruleType">Type</label>
+            <select id="ruleType">
+              <option value="">Any</option>
+              <option value="expense" ${rule.transactionType === 'expense' ? 'selected' : ''}>Expense</option>
+              <option value="income" ${rule.transactionType === 'income' ? 'selected' : ''}>Income</option>
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label for="ruleMinAmount">Min amount</label>
+            <input type="number" id="ruleMinAmount" step="0.01" min="0" placeholder="Any" value="${amountValue(rule.minAmount)}">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label for="ruleMaxAmount">Max amount</label>
+            <input type="number" id="ruleMaxAmount" step="0.01" min="0" placeholder="Any" value="${amountValue(rule.maxAmount)}">
+          </div>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group" style="flex: 1;">
+            <label for="ruleCategory">Set category</label>
+            <select id="ruleCategory">
+              <option value="">Leave unchanged</option>
+              ${categoryOptions}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label for="ruleBiller">Set biller</label>
+            <select id="ruleBiller">
+              <option value="">Leave unchanged</option>
+              ${billerOptions}
+            </select>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label for="ruleName">Name (optional)</label>
+          <input type="text" id="ruleName" placeholder="Defaults to the merchant text" value="${Utils.escapeHtml(rule.id ? rule.name : '')}">
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Read the categorization rule form
+   */
+  function readRuleForm() {
+    return {
+      name: document.getElementById('ruleName').value,
+      match: document.getElementById('ruleMatch').value,
+      pattern: document.getElementById('rulePattern').value,
+      transactionType: document.getElementById('ruleType').value || null,
+      minAmount: document.getElementById('ruleMinAmount').value,
+      maxAmount: document.getElementById('ruleMaxAmount').value,
+      categoryId: document.getElementById('ruleCategory').value || null,
+      billerID: document.getElementById('ruleBiller').value || null
+    };
+  }
+
+  /**
+   * Show add categorization rule modal
+   * @param {Object} prefill - Optional rule fields to start from
+   */
+  async function showAddRuleModal(prefill = {}) {
+    const [categories, billers] = await Promise.all([
+      Storage.getActiveCategories(),
+      Storage.getAllBillers()
+    ]);
+
+    Modals.show({
+      title: 'Add Rule',
+      body: renderRuleForm(categories, billers, prefill),
+      submitText: 'Add Rule',
+      onSubmit: async () => {
+        const rule = await Storage.createCategorizationRule(readRuleForm());
+        Utils.showNotification(`Rule "${rule.name}" added`, 'success');
+      }
+    });
+  }
+
+  /**
+   * Show edit categorization rule modal
+   * @param {string} ruleId - Rule ID
+   */
+  async function showEditRuleModal(ruleId) {
+    const [{ rules }, categories, billers] = await Promise.all([
+      Storage.getCategorizationRules(),
+      Storage.getActiveCategories(),
+      Storage.getAllBillers()
+    ]);
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) {
+      Modals.showError('Rule not found');
+      return;
+    }
+
+    Modals.show({
+      title: 'Edit Rule',
+      body: renderRuleForm(categories, billers, rule),
+      submitText: 'Save Changes',
+      onSubmit: async () => {
+        await Storage.updateCategorizationRule(ruleId, readRuleForm());
+        Utils.showNotification('Rule updated', 'success');
+      }
+    });
+  }
+
+  /**
+   * Delete a categorization rule with confirmation
+   * @param {string} ruleId - Rule ID
+   */
+  function deleteRule(ruleId) {
+    Modals.confirm(
+      'Delete this rule? Transactions it already categorized keep their category.',
+      async () => {
+        await Storage.deleteCategorizationRule(ruleId);
+        Utils.showNotification('Rule deleted', 'success');
+      },
+      { danger: true, confirmText: 'Delete' }
+    );
+  }
+
+  /**
+   * Turn a rule on or off
+   * @param {string} ruleId - Rule ID
+   */
+  async function toggleRule(ruleId) {
+    try {
+      const { rules } = await Storage.getCategorizationRules();
+      const rule = rules.find(r => r.id === ruleId);
+      if (rule) await Storage.updateCategorizationRule(ruleId, { enabled: !rule.enabled });
+    } catch (error) {
+      Utils.showNotification(error.message || 'Failed to update rule', 'error');
+    }
+  }
+
+  /**
+   * Move a rule earlier or later in the checking order
+   * @param {string} ruleId - Rule ID
+   * @param {number} offset - -1 or 1
+   */
+  async function moveRule(ruleId, offset) {
+    await Storage.moveCategorizationRule(ruleId, offset);
+  }
+
+  async function setApplyRulesToSynced(enabled) {
+    await Storage.setApplyRulesToSynced(enabled);
+    Utils.showNotification(enabled ? 'Rules will apply to transactions from Android' : 'Rules no longer apply to transactions from Android', 'info');
+  }
+
+  /**
+   * Preview what the rules would change in existing transactions, then apply it
+   */
+  async function showRerunRulesModal() {
+    const [preview, categories, billers, metadata] = await Promise.all([
+      Storage.previewCategorizationRules(),
+      Storage.getAllCategories(),
+      Storage.getAllBillers(),
+      Storage.getMetadata()
+    ]);
+
+    if (preview.length === 0) {
+      Utils.showNotification('The rules would not change any transaction', 'info');
+      return;
+    }
+
+    const currency = metadata?.currency || 'USD';
+    const categoryNames = {};
+    categories.forEach(c => { categoryNames[c.id] = c.categoryType; });
+    const billerNames = {};
+    billers.forEach(b => { billerNames[b.billerID] = b.billerName; });
+
+    const describeChange = (label, from, to) =>
+      `<div class="rule-change">${label}: <span class="rule-change-from">${Utils.escapeHtml(from || 'None')}</span> &rarr; ${Utils.escapeHtml(to)}</div>`;
+
+    const rows = preview.map(({ transaction: t, changes }) => `
+      <tr>
+        <td>${Utils.formatDate(t.transactionDate)}</td>
+        <td>
+          ${Utils.escapeHtml(t.merchantName || '')}
+          <div class="form-hint">${Utils.formatCurrency(t.transactionAmount, currency)} &bull; ${Utils.escapeHtml(changes.rules.join(', '))}</div>
+        </td>
+        <td>
+          ${changes.transactionCategory ? describeChange('Category', categoryNames[t.transactionCategory], categoryNames[changes.transactionCategory]) : ''}
+          ${changes.billerID ? describeChange('Biller', t.billerName || billerNames[t.billerID], billerNames[changes.billerID]) : ''}
+        </td>
+      </tr>
+    `).join('');
+
+    Modals.show({
+      title: 'Re-run Rules',
+      body: `
+        <p class="form-hint">${preview.length} transaction(s) would change.</p>
+        <div class="import-preview">
+          <table>
+            <thead>
+              <tr><th>Date</th><th>Transaction</th><th>Change</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `,
+      submitText: `Apply ${preview.length} change(s)`,
+      onSubmit: async () => {
+        await UndoManager.run(
+          count => `Rules updated ${count} transaction(s)`,
+          () => Storage.applyCategorizationChanges(preview)
+        );
+      }
+    });
+  }
+
+  // ============================================
+  // TRASH
+  // ============================================
+
+  const TRASH_LABELS = {
+    transactions: 'Transaction',
+    categories: 'Category',
+    savingsGoals: 'Goal',
+    goalTransactions: 'Goal contribution'
+  };
+
+  /**
+   * Restore a soft-deleted record from the trash
+   * @param {string} storeName - Table the record is in
+   * @param {*} id - Record ID
+   */
+  async function restoreFromTrash(storeName, id) {
+    try {
+      await UndoManager.run(`${TRASH_LABELS[storeName]} restored`, () => Storage.restoreFromTrash(storeName, id));
+    } catch (error) {
+      console.error('Failed to restore from trash:', error);
+      Utils.showNotification(error.message || 'Failed to restore', 'error');
+    }
+  }
+
+  /**
+   * Remove a record from the trash for good, with confirmation
+   * @param {string} storeName - Table the record is in
+   * @param {*} id - Record ID
+   * @param {boolean} acknowledged - Whether the phone already has the deletion
+   */
+  function purgeFromTrash(storeName, id, acknowledged = true) {
+    const warning = acknowledged
+      ? ''
+      : ' This deletion has not synced with your phone yet; a full sync may bring the record back.';
+
+    Modals.confirm(
+      `Delete this ${TRASH_LABELS[storeName].toLowerCase()} forever? This cannot be undone.${warning}`,
+      async () => {
+        await Storage.purgeFromTrash([{ storeName, id }]);
+        Utils.showNotification(`${TRASH_LABELS[storeName]} deleted forever`, 'success');
+      },
+      { danger: true, confirmText: 'Delete forever' }
+    );
+  }
+
+  /**
+   * Remove everything in the trash for good, with confirmation
+   */
+  async function emptyTrash() {
+    const trash = await Storage.getTrash();
+    const entries = [];
+    Object.entries(trash).forEach(([storeName, items]) => {
+      items.forEach(({ record }) => {
+        entries.push({ storeName, id: storeName === 'transactions' ? record.transactionID : record.id });
+      });
+    });
+
+    if (entries.length === 0) {
+      Utils.showNotification('Trash is already empty', 'info');
+      return;
+    }
+
+    Modals.confirm(
+      `Delete all ${entries.length} item(s) in the trash forever? This cannot be undone.`,
+      async () => {
+        const count = await Storage.purgeFromTrash(entries);
+        Utils.showNotification(`${count} record(s) deleted forever`, 'success');
+      },
+      { danger: true, confirmText: 'Empty trash' }
+    );
+  }
+
+  // ============================================
   // PUBLIC API
   // ============================================
 
@@ -648,16 +2914,75 @@ const CrudUI = (() => {
     showEditTransactionModal,
     deleteTransaction,
 
+    // Bulk edit
+    showBulkCategoryModal,
+    showBulkBillerModal,
+    bulkMarkReviewed,
+    bulkDeleteTransactions,
+
     // Categories
     showAddCategoryModal,
     showEditCategoryModal,
     deleteCategory,
     quickEditBudget,
+    showMonthlyBudgetModal,
+    assignUnallocatedIncome,
+    setZeroBasedBudgeting,
 
     // Goals
     showAddGoalModal,
     showEditGoalModal,
     showAddGoalTransactionModal,
-    deleteGoal
+    showEditGoalTransactionModal,
+    deleteGoalTransaction,
+    deleteGoal,
+    approveGoalAllocation,
+    approveAllGoalAllocations,
+    dismissGoalAllocation,
+
+    // Billers
+    showAddBillerModal,
+    showEditBillerModal,
+    deleteBiller,
+
+    // Transfers
+    showTransferModal,
+    showEditTransferModal,
+
+    // Statement import and export
+    showStatementImportModal,
+    showExportModal,
+    showRestoreBackupModal,
+
+    // Saved filters
+    showSaveFilterModal,
+    deleteSavedFilter,
+
+    // Net worth
+    showAddNetWorthItemModal,
+    showEditNetWorthItemModal,
+    deleteNetWorthItem,
+
+    // Recurring
+    showAddRecurringModal,
+    showEditRecurringModal,
+    toggleRecurringStatus,
+    deleteRecurring,
+    markRecurringPaid,
+    showBillRemindersModal,
+
+    // Categorization rules
+    showAddRuleModal,
+    showEditRuleModal,
+    deleteRule,
+    toggleRule,
+    moveRule,
+    setApplyRulesToSynced,
+    showRerunRulesModal,
+
+    // Trash
+    restoreFromTrash,
+    purgeFromTrash,
+    emptyTrash
   };
 })();
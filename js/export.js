@@ -0,0 +1,402 @@
+/**
+ * Export
+ * Gets data out of the web app: a CSV of the filtered transactions list,
+ * a full JSON backup in the SYNC_CONTRACT.md payload format (restorable with
+ * Sync.importSyncData) and a print-optimised monthly report.
+ */
+const Export = (() => {
+  // Tables of the full sync payload, in SYNC_CONTRACT.md order
+  const PAYLOAD_TABLES = [
+    'transactions',
+    'categories',
+    'budgetHistory',
+    'savingsGoals',
+    'goalTransactions',
+    'recurringTransactions',
+    'billers',
+    'netWorthItems'
+  ];
+
+  const CSV_COLUMNS = ['Date', 'Description', 'Type', 'Amount', 'Category', 'Account', 'Currency', 'Transaction ID'];
+
+  const CHART_COLORS = [
+    '#6E61EF', '#59d666', '#ff6b6b', '#ff9800', '#2196F3',
+    '#e91e63', '#00bcd4', '#9c27b0', '#4caf50', '#ff5722'
+  ];
+
+  /**
+   * Today's date for file names (YYYY-MM-DD, local time)
+   */
+  function fileDate() {
+    return toLocalDay(new Date().toISOString());
+  }
+
+  /**
+   * Local calendar day of an ISO date
+   */
+  function toLocalDay(isoDate) {
+    const date = new Date(isoDate);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // ============================================
+  // CSV
+  // ============================================
+
+  /**
+   * Escape a CSV cell
+   * Text starting with a formula character is prefixed with ' so
+   * spreadsheets do not evaluate it.
+   */
+  function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Build a CSV of transactions
+   * Amounts are signed (expenses negative) so the file can be imported again.
+   * @param {Array} transactions - Transactions to export
+   * @param {Array} categories - All categories
+   * @param {Array} billers - All billers
+   * @returns {string} CSV content
+   */
+  function transactionsToCsv(transactions, categories, billers) {
+    const categoryNames = new Map(categories.map(c => [c.id, c.categoryType]));
+    const billerNames = new Map(billers.map(b => [b.billerID, b.billerName]));
+
+    const lines = transactions.map(t => {
+      const category = Utils.isTransfer(t)
+        ? 'Transfer'
+        : Utils.getTransactionSplits(t).map(split => categoryNames.get(split.categoryId) || 'Unknown').join(' + ');
+      const amount = Math.abs(t.transactionAmount) * (t.transactionType === 'expense' ? -1 : 1);
+
+      return [
+        toLocalDay(t.transactionDate),
+        t.merchantName,
+        t.transactionType,
+        amount.toFixed(2),
+        category,
+        billerNames.get(t.billerID) || t.billerName || '',
+        t.currency || '',
+        t.transactionID
+      ].map(csvCell).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Download the transactions list as CSV, honouring the current list filters
+   * @returns {Promise<number>} Number of exported transactions
+   */
+  async function exportTransactionsCsv() {
+    const [transactions, categories, billers] = await Promise.all([
+      Storage.getAllTransactions(UI.getFilters()),
+      Storage.db.categories.toArray(),
+      Storage.db.billers.toArray()
+    ]);
+    const visible = transactions.filter(t => !t.deleted);
+
+    Utils.downloadFile(
+      `budgettact-transactions-${fileDate()}.csv`,
+      transactionsToCsv(visible, categories, billers),
+      'text/csv;charset=utf-8'
+    );
+
+    console.log(`✅ Exported ${visible.length} transactions to CSV`);
+    return visible.length;
+  }
+
+  // ============================================
+  // JSON BACKUP
+  // ============================================
+
+  /**
+   * Build a full sync payload of the local database
+   * Records keep their sync metadata and tombstones so a restore is exact.
+   * @returns {Promise<Object>} Payload in SYNC_CONTRACT.md format
+   */
+  async function buildBackupPayload() {
+    const metadata = await Storage.getMetadata();
+    const tables = await Promise.all(PAYLOAD_TABLES.map(table => Storage.db[table].toArray()));
+
+    const data = {};
+    PAYLOAD_TABLES.forEach((table, i) => {
+      data[table] = tables[i];
+    });
+    data.savedFilters = await Storage.getMetadataRecords('savedFilters');
+
+    return {
+      version: '1.0',
+      exportedAt: new Date().toISOString(),
+      deviceId: (typeof PairingManager !== 'undefined' && PairingManager.getWebPeerId?.()) || 'web',
+      deviceName: 'BudgetTact Web',
+      currency: metadata?.currency || 'USD',
+      monthlyIncome: metadata?.monthlyIncome || 0,
+      data
+    };
+  }
+
+  /**
+   * Download a full JSON backup
+   * @returns {Promise<Object>} The exported payload
+   */
+  async function exportBackupJson() {
+    const payload = await buildBackupPayload();
+    Utils.downloadFile(
+      `budgettact-backup-${fileDate()}.json`,
+      JSON.stringify(payload, null, 2),
+      'application/json'
+    );
+
+    console.log('✅ Exported JSON backup');
+    return payload;
+  }
+
+  // ============================================
+  // MONTHLY REPORT
+  // ============================================
+
+  /**
+   * Gather the figures of a monthly report
+   * @param {string} yearMonth - Format: YYYY-MM
+   */
+  async function buildMonthlyReport(yearMonth) {
+    const [transactions, categories, availability, goals, metadata] = await Promise.all([
+      Storage.getTransactionsByMonth(yearMonth),
+      Storage.getActiveCategories(),
+      Storage.getCategoryAvailability(yearMonth),
+      Storage.getAllSavingsGoals(true),
+      Storage.getMetadata()
+    ]);
+
+    const counted = transactions.filter(t => !t.deleted && !Utils.isTransfer(t));
+    const income = counted
+      .filter(t => t.transactionType === 'income')
+      .reduce((sum, t) => sum + Math.abs(t.transactionAmount), 0);
+    const expenses = counted
+      .filter(t => t.transactionType === 'expense')
+      .reduce((sum, t) => sum + Math.abs(t.transactionAmount), 0);
+
+    const [year, month] = yearMonth.split('-').map(Number);
+    const dailyExpenses = new Array(new Date(year, month, 0).getDate()).fill(0);
+    counted
+      .filter(t => t.transactionType === 'expense')
+      .forEach(t => {
+        dailyExpenses[new Date(t.transactionDate).getDate() - 1] += Math.abs(t.transactionAmount);
+      });
+
+    const categoryRows = categories
+      .map(c => ({ ...c, ...(availability.get(c.id) || { budgetAmount: 0, carryover: 0, spent: 0, available: 0 }) }))
+      .filter(c => c.budgetAmount > 0 || c.spent > 0)
+      .sort((a, b) => b.spent - a.spent);
+
+    return {
+      yearMonth,
+      currency: metadata?.currency || 'USD',
+      income,
+      expenses,
+      transactionCount: counted.length,
+      categories: categoryRows,
+      goals,
+      dailyExpenses
+    };
+  }
+
+  /**
+   * Render the report page
+   */
+  function renderMonthlyReport(report) {
+    const { currency } = report;
+    const money = amount => Utils.formatCurrency(amount, currency);
+    const net = report.income - report.expenses;
+    const totals = report.categories.reduce((sum, c) => ({
+      budget: sum.budget + c.budgetAmount + (c.carryover || 0),
+      spent: sum.spent + c.spent
+    }), { budget: 0, spent: 0 });
+
+    const categoryRows = report.categories.map(c => {
+      const funds = c.budgetAmount + (c.carryover || 0);
+      const percentage = funds > 0 ? Utils.calculatePercentage(c.spent, funds) : (c.spent > 0 ? 100 : 0);
+      return `
+        <tr>
+          <td>${Utils.getCategoryIcon(c.iconName)} ${Utils.escapeHtml(c.categoryType)}</td>
+          <td>${money(funds)}</td>
+          <td>${money(c.spent)}</td>
+          <td class="${c.available < 0 ? 'negative' : ''}">${money(c.available)}</td>
+          <td>${percentage.toFixed(0)}%</td>
+        </tr>
+      `;
+    }).join('');
+
+    const goalRows = report.goals.map(goal => {
+      const percentage = Utils.calculatePercentage(goal.currentAmount, goal.targetAmount);
+      return `
+        <tr>
+          <td>${Utils.escapeHtml(goal.goalName)}</td>
+          <td>${money(goal.currentAmount)}</td>
+          <td>${money(goal.targetAmount)}</td>
+          <td>${percentage.toFixed(0)}%</td>
+          <td>${goal.targetDate ? Utils.formatDate(goal.targetDate) : '—'}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="print-report-toolbar">
+        <button class="btn btn-secondary" id="report-close">Close</button>
+        <button class="btn btn-primary" id="report-print">Print</button>
+      </div>
+      <div class="print-report-page">
+        <header class="report-header">
+          <h1>BudgetTact Monthly Report</h1>
+          <p>${Utils.formatMonthYear(report.yearMonth)} &bull; Generated ${Utils.formatDate(new Date().toISOString())}</p>
+        </header>
+
+        <section class="report-section report-summary">
+          <div><span>Income</span><strong>${money(report.income)}</strong></div>
+          <div><span>Expenses</span><strong>${money(report.expenses)}</strong></div>
+          <div><span>Net</span><strong class="${net < 0 ? 'negative' : ''}">${money(net)}</strong></div>
+          <div><span>Transactions</span><strong>${report.transactionCount}</strong></div>
+        </section>
+
+        <section class="report-section report-charts">
+          <div class="report-chart">
+            <h2>Spending by Category</h2>
+            <div class="report-chart-canvas"><canvas id="report-category-chart"></canvas></div>
+          </div>
+          <div class="report-chart">
+            <h2>Daily Expenses</h2>
+            <div class="report-chart-canvas"><canvas id="report-daily-chart"></canvas></div>
+          </div>
+        </section>
+
+        <section class="report-section">
+          <h2>Categories</h2>
+          ${categoryRows ? `
+            <table class="report-table">
+              <thead><tr><th>Category</th><th>Budget</th><th>Spent</th><th>Left</th><th>Used</th></tr></thead>
+              <tbody>${categoryRows}</tbody>
+              <tfoot>
+                <tr>
+                  <td>Total</td>
+                  <td>${money(totals.budget)}</td>
+                  <td>${money(totals.spent)}</td>
+                  <td class="${totals.budget - totals.spent < 0 ? 'negative' : ''}">${money(totals.budget - totals.spent)}</td>
+                  <td></td>
+                </tr>
+              </tfoot>
+            </table>
+          ` : '<p>No category activity this month.</p>'}
+        </section>
+
+        <section class="report-section">
+          <h2>Savings Goals</h2>
+          ${goalRows ? `
+            <table class="report-table">
+              <thead><tr><th>Goal</th><th>Saved</th><th>Target</th><th>Progress</th><th>Target date</th></tr></thead>
+              <tbody>${goalRows}</tbody>
+            </table>
+          ` : '<p>No active goals.</p>'}
+        </section>
+      </div>
+    `;
+  }
+
+  /**
+   * Draw the report charts (no animation, so they are complete when printing)
+   */
+  function renderReportCharts(container, report) {
+    if (typeof Chart === 'undefined') return;
+
+    const spending = report.categories.filter(c => c.spent > 0);
+    const categoryCanvas = container.querySelector('#report-category-chart');
+    if (spending.length > 0) {
+      new Chart(categoryCanvas.getContext('2d'), {
+        type: 'doughnut',
+        data: {
+          labels: spending.map(c => c.categoryType),
+          datasets: [{
+            data: spending.map(c => c.spent),
+            backgroundColor: spending.map((_, i) => CHART_COLORS[i % CHART_COLORS.length]),
+            borderWidth: 1
+          }]
+        },
+        options: {
+          animation: false,
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: { legend: { position: 'right' } }
+        }
+      });
+    } else {
+      categoryCanvas.parentElement.innerHTML = '<p>No spending this month.</p>';
+    }
+
+    new Chart(container.querySelector('#report-daily-chart').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: report.dailyExpenses.map((_, i) => i + 1),
+        datasets: [{
+          data: report.dailyExpenses,
+          backgroundColor: '#6E61EF'
+        }]
+      },
+      options: {
+        animation: false,
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: { legend: { display: false } },
+        scales: {
+          y: { beginAtZero: true },
+          x: { grid: { display: false } }
+        }
+      }
+    });
+  }
+
+  /**
+   * Close the report page
+   */
+  function closeMonthlyReport() {
+    const container = document.getElementById('monthly-report');
+    if (container) container.remove();
+    document.body.classList.remove('printing-report');
+  }
+
+  /**
+   * Open the print-optimised report page for a month
+   * @param {string} yearMonth - Format: YYYY-MM
+   */
+  async function showMonthlyReport(yearMonth) {
+    const report = await buildMonthlyReport(yearMonth);
+
+    closeMonthlyReport();
+    const container = document.createElement('div');
+    container.id = 'monthly-report';
+    container.className = 'print-report';
+    container.innerHTML = renderMonthlyReport(report);
+    document.body.appendChild(container);
+    document.body.classList.add('printing-report');
+
+    renderReportCharts(container, report);
+    container.querySelector('#report-print').addEventListener('click', () => window.print());
+    container.querySelector('#report-close').addEventListener('click', closeMonthlyReport);
+  }
+
+  // Public API
+  return {
+    transactionsToCsv,
+    exportTransactionsCsv,
+    buildBackupPayload,
+    exportBackupJson,
+    buildMonthlyReport,
+    showMonthlyReport,
+    closeMonthlyReport
+  };
+})();
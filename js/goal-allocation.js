@@ -0,0 +1,355 @@
+/**
+ * Goal Allocation
+ * Moves money into savings goals on their own, following the goal's
+ * auto-allocation settings (the same fields the Android app uses):
+ * - income_percent: autoAllocateValue % of every income, when it lands
+ *   (auto_income, linked to the income through sourceTransactionId)
+ * - budget_leftover: at month end (monthEndDate, else the last day), the part
+ *   of a category's budget left unspent, or of every budget when
+ *   autoAllocateValue names no category; autoAllocationPercentage takes a
+ *   share of it (auto_leftover)
+ *
+ * Goals with requireApprovalBeforeAllocation get proposals queued for
+ * approval instead. A goal never receives more than it is missing.
+ *
+ * The queue and the allocations already handled live in a metadata row on this
+ * device. Income recorded before a goal started allocating is left alone, and
+ * an allocation the phone already made (same goal and source) is not repeated.
+ * The phone runs the same allocations, so only income recorded on this device
+ * is allocated here, and when paired a month's leftover only once a sync after
+ * the month end has brought in what the phone allocated for it.
+ */
+const GoalAllocation = (() => {
+  const AUTO_TYPES = ['income_percent', 'budget_leftover'];
+
+  // Metadata row: { started: { goalId: ms }, handled: { key: ms }, pending: [proposal] }
+  const STATE_KEY = 'goalAllocation';
+
+  // Changes that can bring income or change a goal's settings
+  const CHECK_UPDATE_TYPES = [
+    'transaction-created', 'transactions-imported', 'sync-completed', 'realtime-sync', 'goal-created', 'goal-updated'
+  ];
+
+  const CHECK_DELAY_MS = 1000;
+
+  // Month ends pass without any data change
+  const MONTH_END_CHECK_MS = 60 * 60 * 1000;
+
+  // Handled entries older than this are dropped
+  const HISTORY_MS = 400 * 24 * 60 * 60 * 1000;
+
+  let checkTimer = null;
+  let checking = null;
+
+  async function loadState() {
+    const row = await Storage.db.metadata.get(STATE_KEY);
+    return {
+      started: row?.started || {},
+      handled: row?.handled || {},
+      pending: row?.pending || []
+    };
+  }
+
+  async function saveState(state) {
+    await Storage.db.metadata.put({ key: STATE_KEY, ...state, updatedAt: Date.now() });
+  }
+
+  function toTime(value) {
+    const time = typeof value === 'number' ? value : new Date(value).getTime();
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Recorded on this device: web transaction IDs keep their prefix, while deviceId changes on every edit
+   */
+  function isWebTransaction(transaction) {
+    return String(transaction.transactionID).startsWith('web-');
+  }
+
+  function round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Day a month's leftover is allocated
+   * @param {Object} goal - Savings goal
+   * @param {string} yearMonth - YYYY-MM
+   * @returns {Date} Local midnight of monthEndDate, capped to the month's last day
+   */
+  function getMonthEnd(goal, yearMonth) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    const lastDay = new Date(year, month, 0).getDate();
+    return new Date(year, month - 1, Math.min(goal.monthEndDate || lastDay, lastDay));
+  }
+
+  /**
+   * Short description of a goal's auto-allocation, for display
+   * @param {Object} goal - Savings goal
+   * @param {Array} categories - Categories, for names
+   * @returns {string} Empty for manual goals
+   */
+  function describe(goal, categories = []) {
+    if (goal.autoAllocateType === 'income_percent') {
+      return `${goal.autoAllocateValue}% of each income`;
+    }
+    if (goal.autoAllocateType === 'budget_leftover') {
+      const category = categories.find(c => c.id === Math.round(goal.autoAllocateValue));
+      const share = goal.autoAllocationPercentage > 0 ? `${goal.autoAllocationPercentage}% of ` : '';
+      const day = goal.monthEndDate ? `on day ${goal.monthEndDate}` : 'at month end';
+      return `${share}${category ? `${category.categoryType} leftover` : 'leftover budgets'} ${day}`;
+    }
+    return '';
+  }
+
+  /**
+   * Leftover budget a goal takes for a month
+   */
+  function getLeftover(goal, availability) {
+    const categoryId = Math.round(goal.autoAllocateValue);
+    const entries = availability.has(categoryId) ? [availability.get(categoryId)] : [...availability.values()];
+    const leftover = entries.reduce((sum, entry) => sum + Math.max(0, entry.budgetAmount - entry.spent), 0);
+    const share = goal.autoAllocationPercentage > 0 ? goal.autoAllocationPercentage : 100;
+    return (leftover * share) / 100;
+  }
+
+  /**
+   * Allocations due, without recording them
+   * @param {Object} state - Allocation state (started is filled in for new goals)
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} [{ key, goal, data }] with data for Storage.createGoalTransaction
+   */
+  async function findAllocations(state, now) {
+    const [goals, goalTransactions] = await Promise.all([
+      Storage.db.savingsGoals.toArray(),
+      Storage.db.goalTransactions.filter(gt => !gt.deleted).toArray()
+    ]);
+    const autoGoals = goals.filter(goal => !goal.deleted && goal.isActive && AUTO_TYPES.includes(goal.autoAllocateType));
+
+    // A goal allocates from the first check that sees it set up
+    const started = {};
+    autoGoals.forEach(goal => { started[goal.id] = state.started[goal.id] || now.getTime(); });
+    state.started = started;
+    if (autoGoals.length === 0) return [];
+
+    const linked = new Set(goalTransactions
+      .filter(gt => gt.sourceTransactionId)
+      .map(gt => `${gt.goalId}:${gt.sourceTransactionId}`));
+    const leftoverMonths = new Set(goalTransactions
+      .filter(gt => gt.transactionType === 'auto_leftover')
+      .map(gt => `${gt.goalId}:leftover:${Utils.getMonthYear(gt.transactionDate)}`));
+
+    // What each goal still misses, less what is already proposed
+    const missing = new Map(autoGoals.map(goal => [goal.id, goal.targetAmount - (goal.currentAmount || 0)]));
+    state.pending.forEach(proposal => {
+      if (missing.has(proposal.goalId)) missing.set(proposal.goalId, missing.get(proposal.goalId) - proposal.amount);
+    });
+
+    const allocations = [];
+    const add = (key, goal, amount, data) => {
+      const capped = round(Math.min(amount, missing.get(goal.id)));
+      state.handled[key] = now.getTime();
+      if (capped < 0.01) return;
+      missing.set(goal.id, missing.get(goal.id) - capped);
+      allocations.push({ key, goal, data: { goalId: goal.id, amount: capped, ...data } });
+    };
+
+    const incomeGoals = autoGoals.filter(goal => goal.autoAllocateType === 'income_percent' && goal.autoAllocateValue > 0);
+    if (incomeGoals.length > 0) {
+      const earliest = Math.min(...incomeGoals.map(goal => started[goal.id]));
+      const incomes = await Storage.db.transactions
+        .filter(t => t.transactionType === 'income' && !t.deleted && !Utils.isTransfer(t) && isWebTransaction(t) && toTime(t.createdAt) >= earliest)
+        .toArray();
+
+      incomes
+        .sort((a, b) => toTime(a.createdAt) - toTime(b.createdAt))
+        .forEach(income => {
+          incomeGoals.forEach(goal => {
+            const key = `${goal.id}:${income.transactionID}`;
+            if (toTime(income.createdAt) < started[goal.id] || state.handled[key] || linked.has(key)) return;
+            add(key, goal, (Math.abs(income.transactionAmount) * goal.autoAllocateValue) / 100, {
+              transactionType: 'auto_income',
+              transactionDate: income.transactionDate,
+              description: `${goal.autoAllocateValue}% of ${income.merchantName || 'income'}`,
+              sourceTransactionId: income.transactionID,
+              sourceTransactionType: 'income'
+            });
+          });
+        });
+    }
+
+    const leftoverGoals = autoGoals.filter(goal => goal.autoAllocateType === 'budget_leftover');
+    const availabilityByMonth = new Map();
+    const lastSync = PairingManager.isPaired() ? PairingManager.getLastSyncTime() || 0 : null;
+    for (const goal of leftoverGoals) {
+      const currentMonth = Utils.getMonthYear(now.toISOString());
+      const firstMonth = Utils.getMonthYear(new Date(started[goal.id]).toISOString());
+
+      for (let month = firstMonth; month <= currentMonth; month = Utils.addMonths(month, 1)) {
+        const monthEnd = getMonthEnd(goal, month);
+        const key = `${goal.id}:leftover:${month}`;
+        if (monthEnd.getTime() < started[goal.id] || monthEnd > now || state.handled[key] || leftoverMonths.has(key)) continue;
+        // Waits for the phone's allocation of the month, which may already be made
+        if (lastSync !== null && lastSync <= monthEnd.getTime()) continue;
+
+        if (!availabilityByMonth.has(month)) {
+          availabilityByMonth.set(month, await Storage.getCategoryAvailability(month));
+        }
+        add(key, goal, getLeftover(goal, availabilityByMonth.get(month)), {
+          transactionType: 'auto_leftover',
+          // Midday UTC keeps the date in its month in every time zone
+          transactionDate: `${month}-${String(monthEnd.getDate()).padStart(2, '0')}T12:00:00.000Z`,
+          description: `Leftover budget, ${Utils.formatMonthYear(month)}`,
+          sourceTransactionId: null,
+          sourceTransactionType: 'expense_leftover'
+        });
+      }
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Find due allocations: make them, or queue them for goals that need approval
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { allocated: [goal transaction], queued: [proposal] }
+   */
+  async function check(now = new Date()) {
+    if (checking) return checking;
+
+    checking = (async () => {
+      const state = await loadState();
+      const allocations = await findAllocations(state, now);
+
+      const queued = allocations
+        .filter(({ goal }) => goal.requireApprovalBeforeAllocation)
+        .map(({ key, goal, data }) => ({ id: key, goalName: goal.goalName, ...data, proposedAt: now.getTime() }));
+      state.pending.push(...queued);
+
+      Object.keys(state.handled).forEach(key => {
+        if (state.handled[key] < now.getTime() - HISTORY_MS) delete state.handled[key];
+      });
+      // Marked handled before allocating, so a failure is not retried over and over
+      await saveState(state);
+
+      const allocated = [];
+      for (const { goal, data } of allocations.filter(({ goal }) => !goal.requireApprovalBeforeAllocation)) {
+        try {
+          // Automatic, so it stays out of the undo history of an edit made meanwhile
+          allocated.push(await Storage.runInBackground(() => Storage.createGoalTransaction(data)));
+        } catch (error) {
+          console.error(`Auto-allocation to goal ${goal.id} failed:`, error);
+        }
+      }
+
+      if (queued.length > 0) {
+        window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'goal-allocations-queued' } }));
+      }
+      await notify(allocations, allocated, queued);
+      return { allocated, queued };
+    })();
+
+    try {
+      return await checking;
+    } catch (error) {
+      console.error('Goal allocation check failed:', error);
+      return { allocated: [], queued: [] };
+    } finally {
+      checking = null;
+    }
+  }
+
+  async function notify(allocations, allocated, queued) {
+    if (allocated.length === 0 && queued.length === 0) return;
+
+    const metadata = await Storage.getMetadata();
+    const currency = metadata?.currency || 'USD';
+
+    if (allocated.length > 0) {
+      const total = allocated.reduce((sum, gt) => sum + gt.amount, 0);
+      const names = [...new Set(allocated.map(gt => allocations.find(a => a.goal.id === gt.goalId).goal.goalName))];
+      Utils.showNotification(`Saved ${Utils.formatCurrency(total, currency)} to ${names.join(', ')}`, 'success', 6000);
+    }
+    if (queued.length > 0) {
+      const total = queued.reduce((sum, proposal) => sum + proposal.amount, 0);
+      Utils.showNotification(
+        `${queued.length === 1 ? 'A goal allocation' : `${queued.length} goal allocations`} (${Utils.formatCurrency(total, currency)}) waiting for approval`,
+        'info',
+        8000
+      );
+    }
+  }
+
+  /**
+   * Allocations waiting for approval
+   * @returns {Promise<Array>} [{ id, goalId, goalName, amount, transactionType, transactionDate, description, sourceTransactionId, sourceTransactionType, proposedAt }]
+   */
+  async function getPending() {
+    const state = await loadState();
+    return state.pending;
+  }
+
+  async function takePending(id) {
+    const state = await loadState();
+    const proposal = state.pending.find(p => p.id === id);
+    if (!proposal) {
+      throw new Error('This allocation is no longer waiting for approval');
+    }
+    state.pending = state.pending.filter(p => p.id !== id);
+    await saveState(state);
+    return proposal;
+  }
+
+  /**
+   * Approve a queued allocation: add it to its goal
+   * The goal may have been deleted or filled up since it was proposed; the
+   * amount is capped at what the goal still misses.
+   * @param {string} id - Proposal ID
+   * @returns {Promise<Object>} Created goal transaction
+   */
+  async function approve(id) {
+    const proposal = await takePending(id);
+    const goal = await Storage.db.savingsGoals.get(proposal.goalId);
+    if (!goal || goal.deleted) {
+      throw new Error('The goal of this allocation was deleted');
+    }
+
+    const amount = round(Math.min(proposal.amount, goal.targetAmount - (goal.currentAmount || 0)));
+    if (amount < 0.01) {
+      throw new Error(`${goal.goalName} is already reached`);
+    }
+    return Storage.createGoalTransaction({ ...proposal, amount });
+  }
+
+  /**
+   * Drop a queued allocation; it is not proposed again
+   * @param {string} id - Proposal ID
+   */
+  async function dismiss(id) {
+    await takePending(id);
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'goal-allocations-updated' } }));
+  }
+
+  function scheduleCheck() {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(check, CHECK_DELAY_MS);
+  }
+
+  window.addEventListener('data-updated', (e) => {
+    const type = e.detail?.type;
+    // Some sync paths dispatch without a type
+    if (!type || CHECK_UPDATE_TYPES.includes(type)) {
+      scheduleCheck();
+    }
+  });
+
+  setInterval(scheduleCheck, MONTH_END_CHECK_MS);
+
+  // Public API
+  return {
+    describe,
+    check,
+    getPending,
+    approve,
+    dismiss
+  };
+})();
@@ -0,0 +1,125 @@
+/**
+ * Goal Progress
+ * History and outlook of a savings goal for the goal detail view: the balance
+ * month by month, the average monthly saving, when the goal is reached at that
+ * pace and how much a month it takes to reach it by its targetDate.
+ *
+ * Works on a goal and its goal transactions and stays free of DOM access.
+ */
+const GoalProgress = (() => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DAYS_PER_MONTH = 365.25 / 12;
+
+  // The average monthly saving covers at most this many recent months
+  const AVERAGE_MONTHS = 6;
+
+  /**
+   * Signed amount of a goal transaction: withdrawals take from the goal, every other type adds
+   */
+  function getSignedAmount(goalTransaction) {
+    return goalTransaction.transactionType === 'withdrawal' ? -goalTransaction.amount : goalTransaction.amount;
+  }
+
+  /**
+   * Monthly deposits, withdrawals and month-end balance from the first month with a transaction
+   * @returns {Array} [{ yearMonth, deposits, withdrawals, balance }]
+   */
+  function getMonths(transactions, startBalance, currentMonth) {
+    if (transactions.length === 0) return [];
+
+    const byMonth = Utils.groupBy(transactions, t => Utils.getMonthYear(t.transactionDate));
+    const months = [];
+    let balance = startBalance;
+    for (let month = Utils.getMonthYear(transactions[0].transactionDate); month <= currentMonth; month = Utils.addMonths(month, 1)) {
+      const rows = byMonth[month] || [];
+      const deposits = rows.filter(t => t.transactionType !== 'withdrawal').reduce((sum, t) => sum + t.amount, 0);
+      const withdrawals = rows.filter(t => t.transactionType === 'withdrawal').reduce((sum, t) => sum + t.amount, 0);
+      balance += deposits - withdrawals;
+      months.push({ yearMonth: month, deposits, withdrawals, balance });
+    }
+    return months;
+  }
+
+  /**
+   * Net amount saved per month over the recent months (at most AVERAGE_MONTHS,
+   * at least one), counted from the goal's start
+   */
+  function getAverageMonthly(goal, transactions, now) {
+    const firstDate = transactions.length > 0 ? new Date(transactions[0].transactionDate) : null;
+    const created = goal.createdDate ? new Date(goal.createdDate) : null;
+    const startTime = Math.min(...[firstDate, created, now].filter(date => date && !isNaN(date)).map(date => date.getTime()));
+
+    const windowStart = Math.max(startTime, now.getTime() - AVERAGE_MONTHS * DAYS_PER_MONTH * DAY_MS);
+    const months = Math.max(1, (now.getTime() - windowStart) / (DAYS_PER_MONTH * DAY_MS));
+    const net = transactions
+      .filter(t => new Date(t.transactionDate).getTime() >= windowStart)
+      .reduce((sum, t) => sum + getSignedAmount(t), 0);
+    return net / months;
+  }
+
+  function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Summarize a goal
+   * @param {Object} goal - Savings goal
+   * @param {Array} goalTransactions - Its goal transactions (deleted ones are left out)
+   * @param {Date} now - Reference date
+   * @returns {Object} {
+   *   transactions: newest first, months: [{ yearMonth, deposits, withdrawals, balance }],
+   *   remaining, complete, averageMonthly,
+   *   projectedDate: ISO date the goal is reached at the average pace (null when it is not growing or is complete),
+   *   targetDate, monthsLeft, requiredMonthly (null without a targetDate), overdue,
+   *   onTrack: projected no later than targetDate (null without a targetDate or when complete)
+   * }
+   */
+  function summarize(goal, goalTransactions, now = new Date()) {
+    const transactions = goalTransactions
+      .filter(t => !t.deleted)
+      .sort((a, b) => new Date(a.transactionDate) - new Date(b.transactionDate));
+
+    const currentAmount = goal.currentAmount || 0;
+    const net = transactions.reduce((sum, t) => sum + getSignedAmount(t), 0);
+    const months = getMonths(transactions, currentAmount - net, Utils.getMonthYear(now.toISOString()));
+
+    const remaining = Math.max(0, goal.targetAmount - currentAmount);
+    const complete = remaining < 0.005;
+    const averageMonthly = getAverageMonthly(goal, transactions, now);
+
+    const projectedDate = !complete && averageMonthly > 0
+      ? addDays(now, (remaining / averageMonthly) * DAYS_PER_MONTH).toISOString()
+      : null;
+
+    let monthsLeft = null;
+    let requiredMonthly = null;
+    let overdue = false;
+    if (goal.targetDate && !complete) {
+      monthsLeft = (new Date(goal.targetDate) - now) / (DAYS_PER_MONTH * DAY_MS);
+      overdue = monthsLeft <= 0;
+      // One contribution per month left, counting this one
+      requiredMonthly = overdue ? remaining : remaining / Math.max(1, Math.ceil(monthsLeft));
+    }
+
+    return {
+      transactions: transactions.slice().reverse(),
+      months,
+      remaining,
+      complete,
+      averageMonthly,
+      projectedDate,
+      targetDate: goal.targetDate || null,
+      monthsLeft,
+      requiredMonthly,
+      overdue,
+      onTrack: goal.targetDate && !complete ? Boolean(projectedDate && projectedDate <= new Date(goal.targetDate).toISOString()) : null
+    };
+  }
+
+  // Public API
+  return {
+    AVERAGE_MONTHS,
+    getSignedAmount,
+    summarize
+  };
+})();
@@ -22,6 +22,23 @@ class DataHashService {
       deleted: transaction.deleted ? '1' : '0',
     };
 
+    // Optional fields (splits, notes, reviewed) were added after hashes were in use
+    // and are only hashed when set, so transactions without them keep the hash
+    // they already have on both devices and are not resent as changed.
+    if (Array.isArray(transaction.splits) && transaction.splits.length > 1) {
+      criticalFields.splits = transaction.splits
+        .map(split => `${split.categoryId}:${this._normalizeNumber(split.amount)}`)
+        .join(',');
+    }
+
+    if (transaction.notes) {
+      criticalFields.notes = String(transaction.notes);
+    }
+
+    if (transaction.reviewed) {
+      criticalFields.reviewed = '1';
+    }
+
     return this._computeHash(criticalFields);
   }
 
@@ -40,6 +57,12 @@ class DataHashService {
       deleted: category.deleted ? '1' : '0',
     };
 
+    // Only hashed when enabled so categories without rollover keep their existing hash
+    if (category.rolloverEnabled) {
+      criticalFields.rolloverEnabled = '1';
+      criticalFields.rolloverStartMonth = String(category.rolloverStartMonth || '');
+    }
+
     return this._computeHash(criticalFields);
   }
 
@@ -134,6 +157,38 @@ class DataHashService {
     return this._computeHash(criticalFields);
   }
 
+  /**
+   * Compute hash for a saved transaction filter
+   */
+  static async computeSavedFilterHash(savedFilter) {
+    const criticalFields = {
+      id: String(savedFilter.id || ''),
+      name: String(savedFilter.name || ''),
+      query: String(savedFilter.query || ''),
+      transactionType: String(savedFilter.transactionType || ''),
+      categoryId: String(savedFilter.categoryId || ''),
+      pinned: savedFilter.pinned ? '1' : '0',
+      deleted: savedFilter.deleted ? '1' : '0',
+    };
+
+    return this._computeHash(criticalFields);
+  }
+
+  /**
+   * Compute hash for a manually tracked asset or liability
+   */
+  static async computeNetWorthItemHash(item) {
+    const criticalFields = {
+      id: String(item.id || ''),
+      name: String(item.name || ''),
+      itemType: String(item.itemType || ''),
+      value: this._normalizeNumber(item.value),
+      deleted: item.deleted ? '1' : '0',
+    };
+
+    return this._computeHash(criticalFields);
+  }
+
   /**
    * Normalize numeric values for consistent hashing
    * MUST match Android's _normalizeNumber
@@ -206,6 +261,10 @@ class DataHashService {
         return this.computeRecurringTransactionHash(data);
       case 'billers':
         return this.computeBillerHash(data);
+      case 'savedFilters':
+        return this.computeSavedFilterHash(data);
+      case 'netWorthItems':
+        return this.computeNetWorthItemHash(data);
       default:
         console.warn('⚠️ Unknown table for hash computation:', tableName);
         return null;
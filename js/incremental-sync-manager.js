@@ -7,7 +7,9 @@ class IncrementalSyncManager {
       savingsGoals: 'id',
       goalTransactions: 'id',
       recurringTransactions: 'id',
-      billers: 'billerID'
+      billers: 'billerID',
+      savedFilters: 'id',
+      netWorthItems: 'id'
     };
   }
 
@@ -26,7 +28,7 @@ class IncrementalSyncManager {
    * Ensure all records in snapshot have hashes computed
    */
   async ensureHashesForSnapshot(snapshot) {
-    const tables = ['transactions', 'categories', 'budgetHistory', 'savingsGoals', 'goalTransactions', 'recurringTransactions', 'billers'];
+    const tables = ['transactions', 'categories', 'budgetHistory', 'savingsGoals', 'goalTransactions', 'recurringTransactions', 'billers', 'savedFilters', 'netWorthItems'];
 
     for (const tableName of tables) {
       if (snapshot[tableName] && snapshot[tableName].length > 0) {
@@ -62,12 +64,12 @@ class IncrementalSyncManager {
           hashesComputed++;
 
           // Update database with the new hash
-          const table = Storage.db[tableName];
           const keyField = this.storeKeyMap[tableName];
           const recordId = record[keyField];
+          const stored = recordId ? await Storage.getStoredRecord(tableName, recordId) : null;
 
-          if (recordId && table) {
-            await table.update(recordId, { data_hash: hash });
+          if (stored) {
+            await Storage.upsertRecord(tableName, { ...stored, data_hash: hash }, { queue: false });
           }
         }
       } catch (error) {
@@ -80,7 +82,13 @@ class IncrementalSyncManager {
     }
   }
 
-  async applyIncomingChanges(incomingChanges, strategy = null) {
+  /**
+   * Apply changes received from the phone (or merged from a backup)
+   * @param {Object} incomingChanges - Records by type
+   * @param {string|null} strategy - Conflict strategy, the paired default when null
+   * @param {Object} options - { applyRules: run categorization rules on new transactions (sync only) }
+   */
+  async applyIncomingChanges(incomingChanges, strategy = null, { applyRules = true } = {}) {
     strategy = strategy || PairingManager.getConflictStrategy();
 
     let applied = 0;
@@ -95,6 +103,8 @@ class IncrementalSyncManager {
     const goalTransactions = incomingChanges.goalTransactions || [];
     const recurringTransactions = incomingChanges.recurringTransactions || [];
     const billers = incomingChanges.billers || [];
+    const savedFilters = incomingChanges.savedFilters || [];
+    const netWorthItems = incomingChanges.netWorthItems || [];
 
     console.log('📥 Applying incoming changes:', {
       transactions: transactions.length,
@@ -103,17 +113,21 @@ class IncrementalSyncManager {
       savingsGoals: savingsGoals.length,
       goalTransactions: goalTransactions.length,
       recurringTransactions: recurringTransactions.length,
-      billers: billers.length
+      billers: billers.length,
+      savedFilters: savedFilters.length,
+      netWorthItems: netWorthItems.length
     });
 
     const applyResults = await Promise.all([
-      this.applyStoreChanges('transactions', transactions, strategy),
+      this.applyStoreChanges('transactions', transactions, strategy, { applyRules }),
       this.applyStoreChanges('categories', categories, strategy),
       this.applyStoreChanges('budgetHistory', budgetHistory, strategy),
       this.applyStoreChanges('savingsGoals', savingsGoals, strategy),
       this.applyStoreChanges('goalTransactions', goalTransactions, strategy),
       this.applyStoreChanges('recurringTransactions', recurringTransactions, strategy),
-      this.applyStoreChanges('billers', billers, strategy)
+      this.applyStoreChanges('billers', billers, strategy),
+      this.applyStoreChanges('savedFilters', savedFilters, strategy),
+      this.applyStoreChanges('netWorthItems', netWorthItems, strategy)
     ]);
 
     applyResults.forEach((result) => {
@@ -129,7 +143,7 @@ class IncrementalSyncManager {
     return { applied, conflicts, conflictDetails };
   }
 
-  async applyStoreChanges(storeName, records = [], strategy) {
+  async applyStoreChanges(storeName, records = [], strategy, options = {}) {
     if (!records || records.length === 0) {
       console.log(`📝 [ISM] applyStoreChanges: ${storeName} - no records to apply`);
       return { applied: 0, conflicts: 0, conflictDetails: [] };
@@ -145,7 +159,7 @@ class IncrementalSyncManager {
     for (let i = 0; i < records.length; i++) {
       const record = records[i];
       try {
-        const result = await this.applyRecordChange(storeName, record, strategy);
+        const result = await this.applyRecordChange(storeName, record, strategy, options);
         if (result.applied) applied++;
         if (result.conflict) {
           conflicts++;
@@ -166,8 +180,7 @@ class IncrementalSyncManager {
     return { applied, conflicts, conflictDetails };
   }
 
-  async applyRecordChange(storeName, incoming, strategy) {
-    const table = Storage.db.table(storeName);
+  async applyRecordChange(storeName, incoming, strategy, { applyRules = false } = {}) {
     const keyField = this.storeKeyMap[storeName] || 'id';
     const incomingRecord = this.normalizeIncomingRecord(incoming, keyField, storeName);
 
@@ -190,7 +203,7 @@ class IncrementalSyncManager {
       return { applied: false, conflict: false };
     }
 
-    const existing = await table.get(incomingRecord[keyField]);
+    const existing = await Storage.getStoredRecord(storeName, incomingRecord[keyField]);
     const lastSync = PairingManager.getLastSyncTime() || 0;
     const incomingUpdated = incomingRecord.updatedAt || 0;
     const localUpdated = existing ? this.normalizeTimestamp(existing.updatedAt) : 0;
@@ -201,12 +214,16 @@ class IncrementalSyncManager {
       if (incomingRecord.deleted) {
         return { applied: false, conflict: false };
       }
-      await Storage.upsertRecord(storeName, incomingRecord, { queue: false });
+      const stored = await Storage.upsertRecord(storeName, incomingRecord, { queue: false });
+      if (storeName === 'transactions' && applyRules) {
+        // New transactions from Android go through the categorization rules, when enabled
+        await Storage.categorizeSyncedTransaction(stored);
+      }
       return { applied: true, conflict: false };
     }
 
     if (localModified && incomingModified) {
-      return this.resolveConflict(storeName, existing, incomingRecord, strategy, table, keyField);
+      return this.resolveConflict(storeName, existing, incomingRecord, strategy, keyField);
     }
 
     if (incomingModified) {
@@ -217,7 +234,7 @@ class IncrementalSyncManager {
     return { applied: false, conflict: false };
   }
 
-  async resolveConflict(storeName, local, incoming, strategy, table, keyField) {
+  async resolveConflict(storeName, local, incoming, strategy, keyField) {
     console.warn(`⚠️ Conflict detected in ${storeName}:`, incoming[keyField]);
 
     let winner = incoming;
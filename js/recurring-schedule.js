@@ -0,0 +1,320 @@
+/**
+ * Recurring Schedule Engine
+ * Expands recurring transaction rules (SYNC_CONTRACT.md §6) into concrete due dates
+ *
+ * All date math is done on UTC calendar days, matching the
+ * "YYYY-MM-DDT00:00:00Z" dates the contract and the web modals use.
+ * Kept free of DOM access so it can also be loaded by the service worker.
+ */
+const RecurringSchedule = (() => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // recurrenceInterval -> step definition
+  const INTERVALS = {
+    weekly: { unit: 'week', step: 1, recurrenceType: 'weekly', label: 'Weekly' },
+    biWeekly: { unit: 'week', step: 2, recurrenceType: 'weekly', label: 'Bi-weekly' },
+    everyOtherWeek: { unit: 'week', step: 2, recurrenceType: 'weekly', label: 'Every other week' },
+    monthly: { unit: 'month', step: 1, recurrenceType: 'monthly', label: 'Monthly' },
+    quarterly: { unit: 'month', step: 3, recurrenceType: 'monthly', label: 'Quarterly' },
+    biannually: { unit: 'month', step: 6, recurrenceType: 'monthly', label: 'Every 6 months' },
+    yearly: { unit: 'month', step: 12, recurrenceType: 'yearly', label: 'Yearly' }
+  };
+
+  const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+  // Safety net against malformed rules producing endless loops
+  const MAX_ITERATIONS = 5000;
+
+  /**
+   * Parse a date-like value into a UTC midnight Date
+   * @param {string|number|Date} value - ISO string, timestamp or Date
+   * @returns {Date|null} Date at 00:00:00Z of that calendar day
+   */
+  function toUtcDay(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    // Plain YYYY-MM-DD strings are calendar days, not instants
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Format a Date as the contract's ISO 8601 representation
+   * @param {Date} date - UTC midnight date
+   * @returns {string} e.g. 2024-12-15T00:00:00Z
+   */
+  function toIso(date) {
+    return date.toISOString().replace('.000Z', 'Z');
+  }
+
+  function daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  }
+
+  /**
+   * Convert a JS weekday (0 = Sunday) to the contract's 1-7 (Monday-Sunday)
+   */
+  function isoWeekday(date) {
+    return ((date.getUTCDay() + 6) % 7) + 1;
+  }
+
+  /**
+   * Get the step definition for a rule's recurrenceInterval
+   * @param {Object} rule - Recurring transaction
+   * @returns {Object|null} { unit, step, recurrenceType }
+   */
+  function getInterval(rule) {
+    return INTERVALS[rule?.recurrenceInterval] || null;
+  }
+
+  /**
+   * Derive the coarse recurrenceType the contract stores alongside the interval
+   * @param {string} recurrenceInterval - Interval enum value
+   * @returns {string} weekly | monthly | yearly
+   */
+  function getRecurrenceType(recurrenceInterval) {
+    return INTERVALS[recurrenceInterval]?.recurrenceType || 'monthly';
+  }
+
+  /**
+   * Resolve the anchor (first occurrence on or after startDate) for a rule
+   * @param {Object} rule - Recurring transaction
+   * @returns {Date|null} First occurrence
+   */
+  function getFirstOccurrence(rule) {
+    const interval = getInterval(rule);
+    const start = toUtcDay(rule?.startDate);
+    if (!interval || !start) return null;
+
+    if (interval.unit === 'week') {
+      if (!rule.dayOfWeek) return start;
+      const offset = (rule.dayOfWeek - isoWeekday(start) + 7) % 7;
+      return new Date(start.getTime() + offset * DAY_MS);
+    }
+
+    // Month based intervals: yearly rules may pin a month via specificDate
+    const specific = toUtcDay(rule.specificDate);
+    const targetDay = rule.dayOfMonth || (specific ? specific.getUTCDate() : start.getUTCDate());
+
+    let year = start.getUTCFullYear();
+    let month = start.getUTCMonth();
+    if (interval.recurrenceType === 'yearly' && specific) {
+      month = specific.getUTCMonth();
+      if (month < start.getUTCMonth()) year += 1;
+    }
+
+    let candidate = monthOccurrence(year, month, targetDay);
+    if (candidate < start) {
+      const next = new Date(Date.UTC(year, month + interval.step, 1));
+      candidate = monthOccurrence(next.getUTCFullYear(), next.getUTCMonth(), targetDay);
+    }
+    return candidate;
+  }
+
+  /**
+   * Day-of-month occurrence, clamped to short months (31st -> 30th/28th)
+   */
+  function monthOccurrence(year, monthIndex, targetDay) {
+    const day = Math.min(targetDay, daysInMonth(year, monthIndex));
+    return new Date(Date.UTC(year, monthIndex, day));
+  }
+
+  /**
+   * Get the nth occurrence counted from the anchor
+   * @param {Object} rule - Recurring transaction
+   * @param {Date} first - Anchor from getFirstOccurrence
+   * @param {number} n - Occurrence index (0 = anchor)
+   * @returns {Date} Occurrence date
+   */
+  function nthOccurrence(rule, first, n) {
+    const interval = getInterval(rule);
+
+    if (interval.unit === 'week') {
+      return new Date(first.getTime() + n * interval.step * 7 * DAY_MS);
+    }
+
+    const specific = toUtcDay(rule.specificDate);
+    const targetDay = rule.dayOfMonth || (specific ? specific.getUTCDate() : toUtcDay(rule.startDate).getUTCDate());
+    const base = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + n * interval.step, 1));
+    return monthOccurrence(base.getUTCFullYear(), base.getUTCMonth(), targetDay);
+  }
+
+  /**
+   * Estimate how many steps separate the anchor from a date, so long-running
+   * rules don't have to be walked from the beginning every time
+   */
+  function estimateIndex(rule, first, date) {
+    const interval = getInterval(rule);
+    if (date <= first) return 0;
+
+    if (interval.unit === 'week') {
+      const days = Math.floor((date - first) / DAY_MS);
+      return Math.max(0, Math.floor(days / (interval.step * 7)) - 1);
+    }
+
+    const months = (date.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+      (date.getUTCMonth() - first.getUTCMonth());
+    return Math.max(0, Math.floor(months / interval.step) - 1);
+  }
+
+  /**
+   * Get the first occurrence strictly after a date
+   * @param {Object} rule - Recurring transaction
+   * @param {string|Date|null} afterDate - Exclusive lower bound (null = from start)
+   * @returns {string|null} ISO date, or null when the rule has ended
+   */
+  function getNextOccurrence(rule, afterDate = null) {
+    const first = getFirstOccurrence(rule);
+    if (!first) return null;
+
+    const end = toUtcDay(rule.endDate);
+    const after = toUtcDay(afterDate);
+
+    let candidate = first;
+    if (after) {
+      let n = estimateIndex(rule, first, after);
+      candidate = nthOccurrence(rule, first, n);
+      let guard = 0;
+      while (candidate <= after && guard < MAX_ITERATIONS) {
+        n++;
+        candidate = nthOccurrence(rule, first, n);
+        guard++;
+      }
+    }
+
+    if (end && candidate > end) return null;
+    return toIso(candidate);
+  }
+
+  /**
+   * Get the first occurrence on or after a date
+   * @param {Object} rule - Recurring transaction
+   * @param {string|Date} date - Inclusive lower bound
+   * @returns {string|null} ISO date, or null when the rule has ended
+   */
+  function getOccurrenceOnOrAfter(rule, date) {
+    const day = toUtcDay(date);
+    if (!day) return getNextOccurrence(rule, null);
+    return getNextOccurrence(rule, new Date(day.getTime() - DAY_MS));
+  }
+
+  /**
+   * Expand a rule into all occurrences inside a date range
+   * @param {Object} rule - Recurring transaction
+   * @param {string|Date} from - Inclusive start
+   * @param {string|Date} to - Inclusive end
+   * @param {Object} options - { limit: max occurrences, fromNextDue: start at nextDueDate }
+   * @returns {string[]} ISO dates
+   */
+  function getOccurrencesBetween(rule, from, to, { limit = 500, fromNextDue = false } = {}) {
+    const occurrences = [];
+    const end = toUtcDay(to);
+    if (!end) return occurrences;
+
+    let start = toUtcDay(from);
+    // Occurrences before nextDueDate have already been processed
+    const nextDue = toUtcDay(rule.nextDueDate);
+    if (fromNextDue && nextDue && (!start || nextDue > start)) {
+      start = nextDue;
+    }
+
+    let current = getOccurrenceOnOrAfter(rule, start);
+    while (current && occurrences.length < limit) {
+      if (toUtcDay(current) > end) break;
+      occurrences.push(current);
+      current = getNextOccurrence(rule, current);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Compute the schedule fields after an occurrence has been processed
+   * @param {Object} rule - Recurring transaction
+   * @param {string|null} processedDate - Occurrence that was handled (default: nextDueDate)
+   * @returns {Object} { lastProcessedDate, nextDueDate, status }
+   */
+  function advance(rule, processedDate = null) {
+    const processed = processedDate || rule.nextDueDate || getNextOccurrence(rule, null);
+    const nextDueDate = getNextOccurrence(rule, processed);
+
+    return {
+      lastProcessedDate: processed ? toIso(toUtcDay(processed)) : null,
+      nextDueDate,
+      status: nextDueDate ? rule.status || 'active' : 'completed'
+    };
+  }
+
+  /**
+   * Recompute nextDueDate after the schedule definition of a rule changed
+   * @param {Object} rule - Recurring transaction (with new schedule fields)
+   * @returns {Object} { recurrenceType, nextDueDate, status }
+   */
+  function reschedule(rule) {
+    const nextDueDate = getNextOccurrence(rule, rule.lastProcessedDate || null);
+    let status = rule.status || 'active';
+    if (!nextDueDate) status = 'completed';
+    else if (status === 'completed') status = 'active';
+
+    return {
+      recurrenceType: getRecurrenceType(rule.recurrenceInterval),
+      nextDueDate,
+      status
+    };
+  }
+
+  /**
+   * Human readable summary of a rule's schedule
+   * @param {Object} rule - Recurring transaction
+   * @returns {string} e.g. "Monthly on day 15", "Weekly on Friday"
+   */
+  function describe(rule) {
+    const interval = getInterval(rule);
+    if (!interval) return 'Unknown schedule';
+
+    if (interval.unit === 'week') {
+      return rule.dayOfWeek ? `${interval.label} on ${WEEKDAY_NAMES[rule.dayOfWeek - 1]}` : interval.label;
+    }
+
+    const specific = toUtcDay(rule.specificDate);
+    if (interval.recurrenceType === 'yearly' && specific) {
+      const month = specific.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+      return `${interval.label} on ${month} ${rule.dayOfMonth || specific.getUTCDate()}`;
+    }
+
+    return rule.dayOfMonth ? `${interval.label} on day ${rule.dayOfMonth}` : interval.label;
+  }
+
+  /**
+   * Check whether an active rule has an occurrence due
+   * @param {Object} rule - Recurring transaction
+   * @param {string|Date} asOf - Reference date (default: today)
+   * @returns {boolean} True if nextDueDate is on or before asOf
+   */
+  function isDue(rule, asOf = new Date()) {
+    if (!rule || rule.status !== 'active' || rule.deleted || !rule.nextDueDate) return false;
+    return toUtcDay(rule.nextDueDate) <= toUtcDay(asOf);
+  }
+
+  return {
+    INTERVALS,
+    WEEKDAY_NAMES,
+    toUtcDay,
+    toIso,
+    getRecurrenceType,
+    getFirstOccurrence,
+    getNextOccurrence,
+    getOccurrenceOnOrAfter,
+    getOccurrencesBetween,
+    advance,
+    reschedule,
+    describe,
+    isDue
+  };
+})();
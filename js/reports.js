@@ -0,0 +1,144 @@
+/**
+ * Reports
+ * Period figures for the Reports view: ranges of months, savings rate and
+ * month-over-month / year-over-year changes per category.
+ *
+ * Works on the per-month totals from Storage.getMonthlyTotals and stays free
+ * of DOM access.
+ */
+const Reports = (() => {
+  const RANGES = {
+    '3m': { label: '3 months', months: 3 },
+    '6m': { label: '6 months', months: 6 },
+    '12m': { label: '12 months', months: 12 },
+    ytd: { label: 'Year to date' },
+    custom: { label: 'Custom' }
+  };
+
+  // Longest custom range, in months
+  const MAX_MONTHS = 36;
+
+  /**
+   * First and last month of a range, ending with the current month
+   * @param {string} range - Key of RANGES
+   * @param {Object} custom - { startMonth, endMonth } (YYYY-MM) for the custom range
+   * @param {Date} now - Reference date
+   * @returns {Object} { startMonth, endMonth }
+   */
+  function resolveRange(range, custom = {}, now = new Date()) {
+    const currentMonth = Utils.getMonthYear(now.toISOString());
+
+    if (range === 'ytd') {
+      return { startMonth: `${currentMonth.slice(0, 4)}-01`, endMonth: currentMonth };
+    }
+    if (range === 'custom') {
+      const { startMonth, endMonth } = custom;
+      if (!/^\d{4}-\d{2}$/.test(startMonth || '') || !/^\d{4}-\d{2}$/.test(endMonth || '')) {
+        throw new Error('Choose the first and last month');
+      }
+      if (startMonth > endMonth) {
+        throw new Error('The first month is after the last one');
+      }
+      if (Utils.addMonths(startMonth, MAX_MONTHS - 1) < endMonth) {
+        throw new Error(`Reports cover at most ${MAX_MONTHS} months`);
+      }
+      return { startMonth, endMonth };
+    }
+
+    const months = (RANGES[range] || RANGES['6m']).months;
+    return { startMonth: Utils.addMonths(currentMonth, -(months - 1)), endMonth: currentMonth };
+  }
+
+  /**
+   * Share of income not spent
+   * @returns {number|null} Percentage, null without income
+   */
+  function savingsRate(income, expenses) {
+    return income > 0 ? ((income - expenses) / income) * 100 : null;
+  }
+
+  /**
+   * Relative change
+   * @returns {number|null} Percentage, null when there is nothing to compare with
+   */
+  function change(current, previous) {
+    return previous > 0 ? ((current - previous) / previous) * 100 : null;
+  }
+
+  function sumMonths(months) {
+    return months.reduce((totals, month) => {
+      totals.income += month.income;
+      totals.expenses += month.expenses;
+      Object.entries(month.byCategory).forEach(([categoryId, spent]) => {
+        totals.byCategory[categoryId] = (totals.byCategory[categoryId] || 0) + spent;
+      });
+      return totals;
+    }, { income: 0, expenses: 0, byCategory: {} });
+  }
+
+  /**
+   * Build the report of a range
+   * @param {Array} months - Monthly totals from a year before startMonth up to the last month of the range
+   * @param {string} startMonth - First month of the range, YYYY-MM
+   * @param {Array} categories - Categories, for names
+   * @returns {Object} {
+   *   months: monthly totals of the range with `savingsRate`,
+   *   totals: { income, expenses, net, savingsRate, expensesYoyChange },
+   *   categories: [{ categoryId, name, total, average, lastMonth, momChange, yoyChange }], by total spent
+   * }
+   */
+  function build(months, startMonth, categories) {
+    const inRange = months
+      .filter(month => month.yearMonth >= startMonth)
+      .map(month => ({ ...month, savingsRate: savingsRate(month.income, month.expenses) }));
+    const last = inRange[inRange.length - 1];
+    const previous = months[months.length - 2];
+
+    // The same months a year earlier
+    const lastYearStart = Utils.addMonths(startMonth, -12);
+    const lastYearEnd = Utils.addMonths(last.yearMonth, -12);
+    const lastYear = months.filter(month => month.yearMonth >= lastYearStart && month.yearMonth <= lastYearEnd);
+
+    const totals = sumMonths(inRange);
+    const lastYearTotals = lastYear.length === inRange.length ? sumMonths(lastYear) : null;
+
+    const names = {};
+    categories.forEach(c => { names[c.id] = c.categoryType; });
+
+    const categoryRows = Object.entries(totals.byCategory)
+      .map(([categoryId, total]) => {
+        const lastMonth = last.byCategory[categoryId] || 0;
+        return {
+          categoryId: parseInt(categoryId),
+          name: names[categoryId] || 'Uncategorized',
+          total,
+          average: total / inRange.length,
+          lastMonth,
+          momChange: previous ? change(lastMonth, previous.byCategory[categoryId] || 0) : null,
+          yoyChange: lastYearTotals ? change(total, lastYearTotals.byCategory[categoryId] || 0) : null
+        };
+      })
+      .sort((a, b) => b.total - a.total);
+
+    return {
+      months: inRange,
+      totals: {
+        income: totals.income,
+        expenses: totals.expenses,
+        net: totals.income - totals.expenses,
+        savingsRate: savingsRate(totals.income, totals.expenses),
+        expensesYoyChange: lastYearTotals ? change(totals.expenses, lastYearTotals.expenses) : null
+      },
+      categories: categoryRows
+    };
+  }
+
+  // Public API
+  return {
+    RANGES,
+    MAX_MONTHS,
+    resolveRange,
+    savingsRate,
+    build
+  };
+})();
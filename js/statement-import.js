@@ -0,0 +1,675 @@
+/**
+ * Statement Import
+ * Parses bank statement files (CSV, OFX/QFX, QIF) into transaction rows,
+ * flags rows that already exist and suggests a category per merchant
+ * (categorization rules first, see CategorizationRules).
+ *
+ * Parsed rows look like:
+ *   { line, date: 'YYYY-MM-DD', amount, merchantName, externalId, categoryName, importRef }
+ * where a negative amount is money leaving the account (an expense).
+ * Rows are written through Storage.createTransaction so they sync like manual entries.
+ */
+const StatementImport = (() => {
+  // Metadata row remembering which category the user picked per merchant
+  const MERCHANT_MAP_KEY = 'importMerchantCategories';
+
+  const DATE_FORMATS = {
+    YMD: 'YYYY-MM-DD',
+    DMY: 'DD/MM/YYYY',
+    MDY: 'MM/DD/YYYY'
+  };
+
+  // Header patterns for CSV column guessing, checked in order
+  const COLUMN_PATTERNS = {
+    date: [/^(transaction |posting |booking )?date$/i, /posted|date/i],
+    description: [/description|payee|merchant|narrative|details/i, /^name$|memo|reference|text/i],
+    amount: [/^amount|amount$/i, /^value$|betrag/i],
+    debit: [/debit|withdrawal|paid out|money out|outflow/i],
+    credit: [/credit|deposit|paid in|money in|inflow/i],
+    transactionId: [/^transaction ?id$|^fitid$|^id$/i],
+    category: [/category/i]
+  };
+
+  // ============================================
+  // FORMAT DETECTION
+  // ============================================
+
+  /**
+   * Detect the statement format from the file name and content
+   * @param {string} text - File content
+   * @param {string} fileName - Original file name
+   * @returns {string} 'ofx', 'qif' or 'csv'
+   */
+  function detectFormat(text, fileName = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) return 'ofx';
+    if (extension === 'qif' || /^\s*!Type:/i.test(text)) return 'qif';
+    return 'csv';
+  }
+
+  // ============================================
+  // VALUE PARSING
+  // ============================================
+
+  /**
+   * Parse a statement amount
+   * Handles currency symbols, thousands separators, decimal commas,
+   * "(12.00)" and "12.00-" negatives and DR/CR suffixes.
+   * @param {string|number} value - Raw amount
+   * @returns {number|null} Signed amount, or null when unreadable
+   */
+  function parseAmount(value) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+
+    let text = String(value || '').trim();
+    if (!text) return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    if (/\s*DR$/i.test(text)) {
+      negative = !negative;
+      text = text.replace(/\s*DR$/i, '');
+    }
+    text = text.replace(/\s*CR$/i, '');
+    if (text.endsWith('-')) {
+      negative = !negative;
+      text = text.slice(0, -1);
+    }
+
+    text = text.replace(/[^\d,.+-]/g, '');
+    if (text.startsWith('-')) {
+      negative = !negative;
+      text = text.slice(1);
+    } else if (text.startsWith('+')) {
+      text = text.slice(1);
+    }
+
+    // The last separator followed by 1-2 digits is the decimal separator
+    if (text.lastIndexOf(',') > text.lastIndexOf('.') && /,\d{1,2}$/.test(text)) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return null;
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Split a date into its numeric parts
+   */
+  function dateParts(value) {
+    const text = String(value || '').trim().replace(/'/g, '/');
+    if (/^\d{8}/.test(text)) {
+      return [text.slice(0, 4), text.slice(4, 6), text.slice(6, 8)].map(Number);
+    }
+    const match = /^(\d{1,4})[\s/.-]+(\d{1,2})[\s/.-]+(\d{1,4})(?!\d)/.exec(text);
+    return match ? match.slice(1, 4).map(Number) : null;
+  }
+
+  /**
+   * Parse a statement date
+   * @param {string} value - Raw date
+   * @param {string} format - Key of DATE_FORMATS
+   * @returns {string|null} YYYY-MM-DD, or null when unreadable
+   */
+  function parseDate(value, format) {
+    const parts = dateParts(value);
+    if (!parts) return null;
+
+    let [year, month, day] = parts;
+    if (parts[0] < 1000) {
+      [day, month, year] = format === 'MDY' ? [parts[1], parts[0], parts[2]] : parts;
+    }
+    if (year < 100) year += 2000;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Guess the date format of a column of dates
+   * Day-first and month-first dates are only told apart by a part above 12;
+   * ambiguous columns default to month-first.
+   * @param {Array<string>} values - Raw dates
+   * @returns {string} Key of DATE_FORMATS
+   */
+  function guessDateFormat(values) {
+    const parsed = values.map(dateParts).filter(Boolean);
+    if (parsed.length > 0 && parsed.every(parts => parts[0] >= 1000)) return 'YMD';
+    if (parsed.some(parts => parts[0] > 12 && parts[0] < 1000)) return 'DMY';
+    return 'MDY';
+  }
+
+  /**
+   * Normalize a merchant name for matching
+   * Drops case, punctuation and long digit runs (card numbers, store ids)
+   * @param {string} name - Merchant name
+   * @returns {string} Normalized name
+   */
+  function normalizeMerchant(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/\d{3,}/g, ' ')
+      .replace(/[^\p{L}\p{N}&]+/gu, ' ')
+      .trim()
+      .replace(/\s+/g, ' ');
+  }
+
+  // ============================================
+  // CSV
+  // ============================================
+
+  /**
+   * Parse CSV text into a table of cells
+   * Detects comma, semicolon and tab delimiters and handles quoted cells.
+   * @param {string} text - CSV content
+   * @returns {Array<Array<string>>} Rows of cells (blank lines dropped)
+   */
+  function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+  }
+
+  /**
+   * Guess the column mapping of a CSV table
+   * @param {Array<Array<string>>} table - Output of parseCsv
+   * @returns {Object} Mapping of column indexes (-1 when absent) and options
+   */
+  function guessCsvMapping(table) {
+    const first = table[0] || [];
+    const isValue = cell => parseAmount(cell) !== null || dateParts(cell) !== null;
+    const hasHeader = first.filter(cell => cell && !isValue(cell)).length > first.length / 2;
+
+    const mapping = {
+      hasHeader,
+      date: -1,
+      description: -1,
+      amount: -1,
+      debit: -1,
+      credit: -1,
+      transactionId: -1,
+      category: -1,
+      dateFormat: 'MDY',
+      invertSigns: false
+    };
+
+    if (hasHeader) {
+      const taken = new Set();
+      Object.entries(COLUMN_PATTERNS).forEach(([field, patterns]) => {
+        for (const pattern of patterns) {
+          const index = first.findIndex((name, i) => !taken.has(i) && pattern.test(name));
+          if (index !== -1) {
+            mapping[field] = index;
+            taken.add(index);
+            break;
+          }
+        }
+      });
+      // Separate debit/credit columns are only used without a signed amount column
+      if (mapping.amount !== -1) {
+        mapping.debit = -1;
+        mapping.credit = -1;
+      }
+    } else {
+      const sample = table.slice(0, 10);
+      const columnCount = Math.max(...sample.map(cells => cells.length));
+      const columns = Array.from({ length: columnCount }, (_, i) => sample.map(cells => cells[i] || ''));
+      const allMatch = (values, test) => values.every(value => value && test(value));
+
+      mapping.date = columns.findIndex(values => allMatch(values, value => dateParts(value) !== null));
+      mapping.amount = columns.findIndex((values, i) =>
+        i !== mapping.date && allMatch(values, value => parseAmount(value) !== null));
+
+      let longest = 0;
+      columns.forEach((values, i) => {
+        if (i === mapping.date || i === mapping.amount) return;
+        const length = values.join('').length;
+        if (length > longest) {
+          longest = length;
+          mapping.description = i;
+        }
+      });
+    }
+
+    if (mapping.date !== -1) {
+      const dates = table.slice(hasHeader ? 1 : 0).map(cells => cells[mapping.date]);
+      mapping.dateFormat = guessDateFormat(dates);
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Convert a CSV table into statement rows using a column mapping
+   * @param {Array<Array<string>>} table - Output of parseCsv
+   * @param {Object} mapping - Output of guessCsvMapping, possibly edited by the user
+   * @returns {Object} { rows, skipped } where skipped counts unreadable lines
+   */
+  function csvToRows(table, mapping) {
+    if (mapping.date === -1 || (mapping.amount === -1 && mapping.debit === -1 && mapping.credit === -1)) {
+      throw new Error('Choose the date and amount columns');
+    }
+
+    const rows = [];
+    let skipped = 0;
+
+    table.slice(mapping.hasHeader ? 1 : 0).forEach((cells, index) => {
+      const cell = field => (mapping[field] === -1 ? '' : cells[mapping[field]] || '');
+      const date = parseDate(cell('date'), mapping.dateFormat);
+
+      let amount;
+      if (mapping.amount !== -1) {
+        amount = parseAmount(cell('amount'));
+      } else {
+        const credit = Math.abs(parseAmount(cell('credit')) || 0);
+        const debit = Math.abs(parseAmount(cell('debit')) || 0);
+        amount = credit - debit;
+      }
+      if (mapping.invertSigns && amount !== null) amount = -amount;
+
+      if (!date || !amount) {
+        skipped++;
+        return;
+      }
+
+      const externalId = cell('transactionId');
+      rows.push({
+        line: index + (mapping.hasHeader ? 2 : 1),
+        date,
+        amount,
+        merchantName: cell('description'),
+        externalId: externalId || null,
+        categoryName: cell('category') || null,
+        importRef: externalId ? `csv:${externalId}` : null
+      });
+    });
+
+    return { rows, skipped };
+  }
+
+  // ============================================
+  // OFX / QFX
+  // ============================================
+
+  /**
+   * Decode the XML entities OFX files use
+   */
+  function decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Parse an OFX/QFX statement (SGML v1 or XML v2)
+   * @param {string} text - File content
+   * @returns {Object} { rows, skipped }
+   */
+  function parseOfx(text) {
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+    const tag = (block, name) => {
+      const match = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+      return match ? decodeEntities(match[1].trim()) : '';
+    };
+
+    const rows = [];
+    let skipped = 0;
+
+    blocks.forEach((block, index) => {
+      const date = parseDate(tag(block, 'DTPOSTED').slice(0, 8), 'YMD');
+      const amount = parseAmount(tag(block, 'TRNAMT'));
+      if (!date || !amount) {
+        skipped++;
+        return;
+      }
+
+      const externalId = tag(block, 'FITID');
+      rows.push({
+        line: index + 1,
+        date,
+        amount,
+        merchantName: tag(block, 'NAME') || tag(block, 'PAYEE') || tag(block, 'MEMO'),
+        externalId: externalId || null,
+        categoryName: null,
+        importRef: externalId ? `ofx:${externalId}` : null
+      });
+    });
+
+    return { rows, skipped };
+  }
+
+  // ============================================
+  // QIF
+  // ============================================
+
+  /**
+   * Parse a QIF statement
+   * @param {string} text - File content
+   * @param {string} dateFormat - Key of DATE_FORMATS, or 'auto'
+   * @returns {Object} { rows, skipped, dateFormat }
+   */
+  function parseQif(text, dateFormat = 'auto') {
+    const records = [];
+    let record = {};
+
+    text.split(/\r?\n/).forEach(line => {
+      const code = line.charAt(0);
+      const value = line.slice(1).trim();
+      if (code === '^') {
+        if (Object.keys(record).length > 0) records.push(record);
+        record = {};
+      } else if (code === 'D' || code === 'T' || code === 'U' || code === 'P' || code === 'M' || code === 'L') {
+        // Split lines (S, $, E) are ignored; the total is imported
+        if (!(code === 'U' && record.T)) record[code === 'U' ? 'T' : code] = value;
+      }
+    });
+    if (Object.keys(record).length > 0) records.push(record);
+
+    const format = dateFormat === 'auto' ? guessDateFormat(records.map(r => r.D)) : dateFormat;
+    const rows = [];
+    let skipped = 0;
+
+    records.forEach((entry, index) => {
+      const date = parseDate(entry.D, format);
+      const amount = parseAmount(entry.T);
+      if (!date || !amount) {
+        skipped++;
+        return;
+      }
+
+      // [Account] categories are transfers in Quicken, not budget categories
+      const category = entry.L && !entry.L.startsWith('[') ? entry.L.split(':')[0] : null;
+      rows.push({
+        line: index + 1,
+        date,
+        amount,
+        merchantName: entry.P || entry.M || '',
+        externalId: null,
+        categoryName: category,
+        importRef: null
+      });
+    });
+
+    return { rows, skipped, dateFormat: format };
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * Local calendar day of a stored transaction date
+   */
+  function toLocalDay(isoDate) {
+    const date = new Date(isoDate);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Check whether two normalized merchant names describe the same merchant
+   */
+  function sameMerchant(a, b) {
+    if (!a || !b) return !a && !b;
+    return a === b || a.includes(b) || b.includes(a);
+  }
+
+  /**
+   * Flag rows that already exist as transactions
+   * A row matches an existing transaction by transactionID or import reference,
+   * or by same day, amount, type and merchant. Each existing transaction
+   * matches at most one row, so repeated purchases in one file stay separate.
+   * @param {Array} rows - Statement rows
+   * @param {Array} transactions - Existing (not deleted) transactions
+   */
+  function markDuplicates(rows, transactions) {
+    const byId = new Map();
+    const byDay = new Map();
+    transactions.forEach(t => {
+      byId.set(t.transactionID, t);
+      if (t.importRef) byId.set(t.importRef, t);
+      const key = `${toLocalDay(t.transactionDate)}|${Math.round(Math.abs(t.transactionAmount) * 100)}|${t.transactionType}`;
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(t);
+    });
+
+    const used = new Set();
+    rows.forEach(row => {
+      row.duplicateOf = null;
+
+      const byReference = [row.externalId, row.importRef]
+        .map(ref => ref && byId.get(ref))
+        .find(t => t && !used.has(t.transactionID));
+
+      const key = `${row.date}|${Math.round(Math.abs(row.amount) * 100)}|${row.amount < 0 ? 'expense' : 'income'}`;
+      const merchant = normalizeMerchant(row.merchantName);
+      const match = byReference || (byDay.get(key) || []).find(t =>
+        !used.has(t.transactionID) && sameMerchant(normalizeMerchant(t.merchantName), merchant));
+
+      if (match) {
+        row.duplicateOf = match.transactionID;
+        used.add(match.transactionID);
+      }
+    });
+  }
+
+  /**
+   * Suggest a category for each row
+   * In order: the category named in the file, the category last chosen for the
+   * merchant in an import, then the category most used for the merchant.
+   * @param {Array} rows - Statement rows
+   * @param {Array} transactions - Existing (not deleted) transactions
+   * @param {Array} categories - Active categories
+   * @param {Object} merchantMap - Normalized merchant -> category ID
+   */
+  function suggestCategories(rows, transactions, categories, merchantMap) {
+    const categoryIds = new Set(categories.map(c => c.id));
+    const byName = new Map(categories.map(c => [c.categoryType.toLowerCase(), c.id]));
+
+    // Normalized merchant -> category ID -> { count, last }
+    const history = {};
+    transactions.forEach(t => {
+      if (Utils.isTransfer(t) || Utils.isSplit(t) || !categoryIds.has(t.transactionCategory)) return;
+      const merchant = normalizeMerchant(t.merchantName);
+      if (!merchant) return;
+      const counts = history[merchant] || (history[merchant] = {});
+      const entry = counts[t.transactionCategory] || (counts[t.transactionCategory] = { count: 0, last: 0 });
+      entry.count++;
+      entry.last = Math.max(entry.last, new Date(t.transactionDate).getTime());
+    });
+
+    rows.forEach(row => {
+      const merchant = normalizeMerchant(row.merchantName);
+      const fromFile = row.categoryName ? byName.get(row.categoryName.toLowerCase()) : null;
+      const remembered = categoryIds.has(merchantMap[merchant]) ? merchantMap[merchant] : null;
+      const used = Object.entries(history[merchant] || {})
+        .sort(([, a], [, b]) => b.count - a.count || b.last - a.last)[0];
+
+      row.categoryId = fromFile || remembered || (used ? parseInt(used[0]) : null);
+    });
+  }
+
+  /**
+   * Apply the categorization rules to rows
+   * A matching rule's category wins over the other suggestions; its biller is used
+   * for rows imported without an account.
+   * @param {Array} rows - Statement rows with suggested categories
+   * @param {Array} rules - Categorization rules in priority order
+   */
+  function applyRules(rows, rules) {
+    rows.forEach(row => {
+      const result = CategorizationRules.evaluate(rules, {
+        merchantName: row.merchantName,
+        transactionType: row.amount < 0 ? 'expense' : 'income',
+        transactionAmount: Math.abs(row.amount)
+      });
+      if (result.categoryId) row.categoryId = result.categoryId;
+      row.billerID = result.billerID;
+      row.ruleNames = result.rules;
+    });
+  }
+
+  /**
+   * Load the remembered merchant -> category choices
+   */
+  async function loadMerchantMap() {
+    const row = await Storage.db.metadata.get(MERCHANT_MAP_KEY);
+    return row?.merchants || {};
+  }
+
+  /**
+   * Annotate parsed rows with duplicates, suggested categories and selection
+   * @param {Array} rows - Statement rows
+   * @returns {Promise<Array>} The same rows, annotated
+   */
+  async function analyze(rows) {
+    const [transactions, categories, merchantMap, { rules }] = await Promise.all([
+      Storage.db.transactions.filter(t => !t.deleted).toArray(),
+      Storage.getActiveCategories(),
+      loadMerchantMap(),
+      Storage.getCategorizationRules()
+    ]);
+
+    markDuplicates(rows, transactions);
+    suggestCategories(rows, transactions, categories, merchantMap);
+    const categoryIds = new Set(categories.map(c => c.id));
+    applyRules(rows, rules.filter(rule => !rule.categoryId || categoryIds.has(rule.categoryId)));
+    rows.forEach(row => {
+      row.merchantKey = normalizeMerchant(row.merchantName);
+      row.selected = !row.duplicateOf;
+    });
+    return rows;
+  }
+
+  // ============================================
+  // IMPORT
+  // ============================================
+
+  /**
+   * Build the Storage.createTransaction input for a row
+   * @param {Object} row - Analyzed statement row
+   * @param {Object} options - { billerID (falls back to the row's rule biller), currency }
+   */
+  function toTransactionData(row, { billerID = null, currency } = {}) {
+    return {
+      transactionType: row.amount < 0 ? 'expense' : 'income',
+      transactionAmount: Math.abs(row.amount),
+      merchantName: row.merchantName || 'Imported transaction',
+      transactionCategory: row.categoryId,
+      transactionDate: new Date(row.date + 'T00:00:00').toISOString(),
+      billerID: billerID || row.billerID || null,
+      currency,
+      importRef: row.importRef
+    };
+  }
+
+  /**
+   * Create transactions for the selected rows
+   * Remembers the chosen category per merchant for the next import.
+   * @param {Array} rows - Analyzed statement rows
+   * @param {Object} options - { billerID, currency }
+   * @returns {Promise<Object>} { imported, failed: [{ row, error }] }
+   */
+  async function importRows(rows, options = {}) {
+    const selected = rows.filter(row => row.selected);
+    if (selected.length === 0) {
+      throw new Error('No rows selected for import');
+    }
+
+    const uncategorized = selected.filter(row => !row.categoryId).length;
+    if (uncategorized > 0) {
+      throw new Error(`Choose a category for ${uncategorized} selected row(s)`);
+    }
+
+    let imported = 0;
+    const failed = [];
+    const merchants = await loadMerchantMap();
+    for (const row of selected) {
+      try {
+        await Storage.createTransaction(toTransactionData(row, options), { notify: false });
+        imported++;
+        // Only categories of rows that made it in are remembered
+        if (row.merchantKey) merchants[row.merchantKey] = row.categoryId;
+      } catch (error) {
+        failed.push({ row, error: error.message });
+      }
+    }
+
+    await Storage.db.metadata.put({ key: MERCHANT_MAP_KEY, merchants, updatedAt: Date.now() });
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transactions-imported' } }));
+
+    console.log(`✅ Imported ${imported} statement row(s), ${failed.length} failed`);
+    return { imported, failed };
+  }
+
+  // Public API
+  return {
+    DATE_FORMATS,
+    detectFormat,
+    parseAmount,
+    parseDate,
+    guessDateFormat,
+    normalizeMerchant,
+    parseCsv,
+    guessCsvMapping,
+    csvToRows,
+    parseOfx,
+    parseQif,
+    markDuplicates,
+    suggestCategories,
+    applyRules,
+    analyze,
+    toTransactionData,
+    importRows
+  };
+})();
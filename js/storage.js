@@ -137,6 +137,74 @@ const Storage = (() => {
     console.log('✅ Database upgraded to v4 successfully');
   });
 
+  // Version 5: Index the categories of split transactions so category filters
+  // can use indexes (transactionCategory only holds the first split)
+  db.version(5).stores({
+    metadata: 'key',
+    transactions: 'transactionID, updatedAt, deleted, deviceId, data_hash, transactionDate, transactionCategory, transactionType, *splitCategoryIds',
+    categories: 'id, updatedAt, deleted, deviceId, data_hash, categoryType',
+    budgetHistory: '++id, [categoryId+yearMonth], updatedAt, deleted, deviceId, data_hash',
+    savingsGoals: 'id, isActive, category, updatedAt, deleted, deviceId, data_hash',
+    goalTransactions: '++id, goalId, transactionDate, updatedAt, deleted, deviceId, data_hash',
+    recurringTransactions: 'id, transactionID, nextDueDate, status, updatedAt, deleted, deviceId, data_hash',
+    billers: 'billerID, updatedAt, deleted, deviceId, data_hash'
+  }).upgrade(async (tx) => {
+    console.log('🔄 Upgrading database to v5: Indexing split transaction categories...');
+    await tx.table('transactions').toCollection().modify(transaction => {
+      const ids = getSplitCategoryIds(transaction);
+      if (ids) {
+        transaction.splitCategoryIds = ids;
+      }
+    });
+    console.log('✅ Database upgraded to v5 successfully');
+  });
+
+  // Version 6: Manually tracked assets and liabilities (synced) and monthly
+  // net worth snapshots (this device only)
+  db.version(6).stores({
+    metadata: 'key',
+    transactions: 'transactionID, updatedAt, deleted, deviceId, data_hash, transactionDate, transactionCategory, transactionType, *splitCategoryIds',
+    categories: 'id, updatedAt, deleted, deviceId, data_hash, categoryType',
+    budgetHistory: '++id, [categoryId+yearMonth], updatedAt, deleted, deviceId, data_hash',
+    savingsGoals: 'id, isActive, category, updatedAt, deleted, deviceId, data_hash',
+    goalTransactions: '++id, goalId, transactionDate, updatedAt, deleted, deviceId, data_hash',
+    recurringTransactions: 'id, transactionID, nextDueDate, status, updatedAt, deleted, deviceId, data_hash',
+    billers: 'billerID, updatedAt, deleted, deviceId, data_hash',
+    netWorthItems: 'id, itemType, updatedAt, deleted, deviceId, data_hash',
+    netWorthSnapshots: 'yearMonth'
+  });
+
+  /**
+   * Category ids of a split transaction, or undefined for a single-category one
+   * Stored as splitCategoryIds (local index only, not part of data_hash).
+   */
+  function getSplitCategoryIds(transaction) {
+    return Utils.isSplit(transaction)
+      ? Utils.getTransactionSplits(transaction).map(split => split.categoryId)
+      : undefined;
+  }
+
+  // Keep splitCategoryIds in step with splits on every write path (CRUD, sync, import, restore)
+  db.transactions.hook('creating', (primKey, transaction) => {
+    const ids = getSplitCategoryIds(transaction);
+    if (ids) {
+      transaction.splitCategoryIds = ids;
+    } else {
+      delete transaction.splitCategoryIds;
+    }
+  });
+
+  db.transactions.hook('updating', (modifications, primKey, transaction) => {
+    const next = Dexie.deepClone(transaction);
+    Object.entries(modifications).forEach(([keyPath, value]) => Dexie.setByKeyPath(next, keyPath, value));
+
+    const ids = getSplitCategoryIds(next);
+    if (JSON.stringify(ids) !== JSON.stringify(transaction.splitCategoryIds)) {
+      return { splitCategoryIds: ids };
+    }
+    return undefined;
+  });
+
   /**
    * Initialize database
    */
@@ -208,6 +276,21 @@ const Storage = (() => {
         console.log(`✅ Migrated ${migratedCategories} categories`);
       }
 
+      // Link transactions to billers by ID (older and Android records only carry billerName).
+      // billerID is a local link, so this doesn't touch updatedAt and isn't re-synced.
+      const billerIdsByName = new Map();
+      (await db.billers.toArray())
+        .filter(b => !b.deleted)
+        .forEach(b => billerIdsByName.set(b.billerName, b.billerID));
+      if (billerIdsByName.size > 0) {
+        const linkedTransactions = await db.transactions
+          .filter(t => !t.billerID && Boolean(t.billerName) && billerIdsByName.has(t.billerName))
+          .modify(t => { t.billerID = billerIdsByName.get(t.billerName); });
+        if (linkedTransactions > 0) {
+          console.log(`✅ Linked ${linkedTransactions} transactions to billers`);
+        }
+      }
+
       await normalizeSyncMetadataTables();
       console.log('✅ Sync metadata normalized');
     } catch (error) {
@@ -235,9 +318,52 @@ const Storage = (() => {
     savingsGoals: 'id',
     goalTransactions: 'id',
     recurringTransactions: 'id',
-    billers: 'billerID'
+    billers: 'billerID',
+    savedFilters: 'id',
+    netWorthItems: 'id'
+  };
+
+  // Synced record types kept as metadata rows keyed "<prefix><id>" rather than in their own table
+  const metadataRecordPrefixes = {
+    savedFilters: 'savedFilter:'
   };
 
+  /**
+   * Read a synced record by id, including record types kept in metadata
+   * @param {string} storeName - Table or record type name
+   * @param {*} id - Record id
+   */
+  async function getStoredRecord(storeName, id) {
+    const prefix = metadataRecordPrefixes[storeName];
+    if (!prefix) {
+      return db.table(storeName).get(id);
+    }
+    const row = await db.metadata.get(`${prefix}${id}`);
+    if (!row) return undefined;
+    const { key, ...record } = row;
+    return record;
+  }
+
+  /**
+   * Write a synced record, including record types kept in metadata
+   */
+  async function putStoredRecord(storeName, record) {
+    const prefix = metadataRecordPrefixes[storeName];
+    if (!prefix) {
+      return db.table(storeName).put(record);
+    }
+    const keyField = storePrimaryKeys[storeName] || 'id';
+    return db.metadata.put({ ...record, key: `${prefix}${record[keyField]}` });
+  }
+
+  /**
+   * All records of a type kept in metadata
+   */
+  async function getMetadataRecords(storeName) {
+    const rows = await db.metadata.where('key').startsWith(metadataRecordPrefixes[storeName]).toArray();
+    return rows.map(({ key, ...record }) => record);
+  }
+
   async function upsertRecord(storeName, record, { operation = null, queue = true } = {}) {
     const startTime = Date.now();
     const keyField = storePrimaryKeys[storeName] || 'id';
@@ -252,8 +378,7 @@ const Storage = (() => {
       }
     };
 
-    const table = db.table(storeName);
-    const existing = recordId ? await table.get(recordId) : null;
+    const existing = recordId ? await getStoredRecord(storeName, recordId) : null;
     const base = existing ? { ...existing, ...record } : record;
     const withMeta = ensureSyncMetadata(base, { isDelete: base.deleted });
 
@@ -271,7 +396,8 @@ const Storage = (() => {
     }
 
     try {
-      await table.put(withMeta);
+      // Sync writes are not user actions and stay out of undo
+      await (queue ? putStoredRecord(storeName, withMeta) : runInBackground(() => putStoredRecord(storeName, withMeta)));
       const elapsed = Date.now() - startTime;
 
       // Only log every 10th record to avoid log spam during bulk operations
@@ -291,9 +417,7 @@ const Storage = (() => {
   }
 
   async function markDeleted(storeName, id, { queue = true } = {}) {
-    const keyField = storePrimaryKeys[storeName] || 'id';
-    const table = db.table(storeName);
-    const existing = await table.get(id);
+    const existing = await getStoredRecord(storeName, id);
     if (!existing) return null;
     const updated = ensureSyncMetadata({ ...existing, deleted: true, updatedAt: Date.now() }, { isDelete: true });
 
@@ -309,7 +433,7 @@ const Storage = (() => {
       }
     }
 
-    await table.put(updated);
+    await (queue ? putStoredRecord(storeName, updated) : runInBackground(() => putStoredRecord(storeName, updated)));
     if (queue && typeof autoSyncCRUD !== 'undefined') {
       autoSyncCRUD.queueChange(storeName, 'delete', updated);
     }
@@ -341,7 +465,9 @@ const Storage = (() => {
         savingsGoals: await db.savingsGoals.toArray(),
         goalTransactions: await db.goalTransactions.toArray(),
         recurringTransactions: await db.recurringTransactions.toArray(),
-        billers: await db.billers.toArray()
+        billers: await db.billers.toArray(),
+        savedFilters: await getMetadataRecords('savedFilters'),
+        netWorthItems: await db.netWorthItems.toArray()
       };
     }
 
@@ -354,7 +480,9 @@ const Storage = (() => {
       savingsGoals: await getChangedRecords('savingsGoals', since),
       goalTransactions: await getChangedRecords('goalTransactions', since),
       recurringTransactions: await getChangedRecords('recurringTransactions', since),
-      billers: await getChangedRecords('billers', since)
+      billers: await getChangedRecords('billers', since),
+      savedFilters: (await getMetadataRecords('savedFilters')).filter(f => (f.updatedAt || 0) > since),
+      netWorthItems: await getChangedRecords('netWorthItems', since)
     };
   }
 
@@ -366,7 +494,8 @@ const Storage = (() => {
       'savingsGoals',
       'goalTransactions',
       'recurringTransactions',
-      'billers'
+      'billers',
+      'netWorthItems'
     ];
 
     const now = Date.now();
@@ -564,6 +693,24 @@ const Storage = (() => {
         console.log('ℹ️ No billers to import');
       }
 
+      // Saved filters are optional in the payload; local ones are only replaced when it has them
+      if (Array.isArray(data.savedFilters)) {
+        console.log(`💾 Importing ${data.savedFilters.length} saved filters...`);
+        await db.metadata.where('key').startsWith(metadataRecordPrefixes.savedFilters).delete();
+        for (const filter of data.savedFilters) {
+          await putStoredRecord('savedFilters', addSyncMetadata(filter, syncPayload.deviceId));
+        }
+        console.log(`✅ Imported ${data.savedFilters.length} saved filters`);
+      }
+
+      // Net worth items are optional as well
+      if (Array.isArray(data.netWorthItems)) {
+        console.log(`💾 Importing ${data.netWorthItems.length} net worth items...`);
+        await db.netWorthItems.clear();
+        await db.netWorthItems.bulkPut(data.netWorthItems.map(item => addSyncMetadata(item, syncPayload.deviceId)));
+        console.log(`✅ Imported ${data.netWorthItems.length} net worth items`);
+      }
+
       console.log('✅ Data imported successfully');
       return true;
     } catch (error) {
@@ -613,32 +760,151 @@ const Storage = (() => {
   }
 
   /**
-   * Get all transactions with optional filters
-   * @param {Object} filters - Filter options
+   * Intersect two id lists, treating null as "no constraint"
    */
-  async function getAllTransactions(filters = {}) {
-    try {
-      let query = db.transactions;
+  function intersectIds(current, ids) {
+    if (!ids) return current;
+    return current ? current.filter(id => ids.includes(id)) : [...new Set(ids)];
+  }
 
-      // Apply filters
-      if (filters.type && filters.type !== 'all') {
-        query = query.where('transactionType').equals(filters.type);
-      }
+  /**
+   * Combine structured filters and a query string into one set of criteria
+   * @param {Object} filters - See getAllTransactions
+   * @returns {Promise<Object|null>} Criteria, or null when nothing can match
+   */
+  async function resolveTransactionFilters(filters) {
+    const parsed = TransactionQuery.parse(filters.query || '');
 
-      if (filters.categoryId) {
-        query = query.where('transactionCategory').equals(filters.categoryId);
+    const types = [filters.type, parsed.type].filter(type => type && type !== 'all');
+    if (new Set(types).size > 1) return null;
+
+    let categoryIds = null;
+    if (filters.categoryId) {
+      categoryIds = intersectIds(categoryIds, [parseInt(filters.categoryId)]);
+    }
+    if (Array.isArray(filters.categoryIds) && filters.categoryIds.length > 0) {
+      categoryIds = intersectIds(categoryIds, filters.categoryIds.map(id => parseInt(id)));
+    }
+    if (parsed.categories.length > 0) {
+      const categories = await db.categories.filter(c => !c.deleted).toArray();
+      categoryIds = intersectIds(categoryIds, TransactionQuery.matchNames(parsed.categories, categories, c => c.categoryType, c => c.id));
+    }
+
+    let billers = null;
+    const billerIds = Array.isArray(filters.billerIds) ? filters.billerIds : [];
+    if (billerIds.length > 0 || parsed.billers.length > 0) {
+      const allBillers = await db.billers.filter(b => !b.deleted).toArray();
+      billers = allBillers;
+      if (billerIds.length > 0) {
+        billers = billers.filter(b => billerIds.includes(b.billerID));
+      }
+      if (parsed.billers.length > 0) {
+        const matched = TransactionQuery.matchNames(parsed.billers, allBillers, b => b.billerName, b => b.billerID);
+        billers = billers.filter(b => matched.includes(b.billerID));
       }
+    }
+
+    if ((categoryIds && categoryIds.length === 0) || (billers && billers.length === 0)) {
+      return null;
+    }
 
-      let transactions = await query.toArray();
+    const toDate = value => (value ? new Date(value) : null);
+    const latest = (a, b) => (a && b ? (a > b ? a : b) : a || b);
+    const earliest = (a, b) => (a && b ? (a < b ? a : b) : a || b);
 
-      // Apply search filter
-      if (filters.search) {
-        const searchLower = filters.search.toLowerCase();
-        transactions = transactions.filter(t =>
-          t.merchantName.toLowerCase().includes(searchLower)
-        );
+    const text = [...parsed.text];
+    if (filters.search) {
+      text.push(filters.search.toLowerCase());
+    }
+
+    // Structured amount bounds are inclusive and take precedence over the query
+    const hasMin = filters.minAmount !== undefined && filters.minAmount !== null;
+    const hasMax = filters.maxAmount !== undefined && filters.maxAmount !== null;
+
+    return {
+      type: types[0] || null,
+      categoryIds,
+      billers,
+      minAmount: hasMin ? Number(filters.minAmount) : parsed.minAmount,
+      maxAmount: hasMax ? Number(filters.maxAmount) : parsed.maxAmount,
+      minExclusive: hasMin ? false : parsed.minExclusive,
+      maxExclusive: hasMax ? false : parsed.maxExclusive,
+      startDate: latest(toDate(filters.startDate), parsed.startDate),
+      endDate: earliest(toDate(filters.endDate), parsed.endDate),
+      text
+    };
+  }
+
+  /**
+   * Check a transaction against resolved criteria
+   */
+  function matchesTransactionCriteria(transaction, criteria) {
+    if (transaction.deleted) return false;
+    if (criteria.type && transaction.transactionType !== criteria.type) return false;
+
+    if (criteria.categoryIds && !criteria.categoryIds.some(id => getCategoryShare(transaction, id) > 0)) {
+      return false;
+    }
+    if (criteria.billers && !criteria.billers.some(biller => Utils.belongsToBiller(transaction, biller))) {
+      return false;
+    }
+
+    const amount = transaction.transactionAmount;
+    if (criteria.minAmount !== null && (criteria.minExclusive ? amount <= criteria.minAmount : amount < criteria.minAmount)) {
+      return false;
+    }
+    if (criteria.maxAmount !== null && (criteria.maxExclusive ? amount >= criteria.maxAmount : amount > criteria.maxAmount)) {
+      return false;
+    }
+
+    if (criteria.startDate || criteria.endDate) {
+      const date = new Date(transaction.transactionDate);
+      if (criteria.startDate && date < criteria.startDate) return false;
+      if (criteria.endDate && date > criteria.endDate) return false;
+    }
+
+    if (criteria.text.length > 0) {
+      const haystack = `${transaction.merchantName || ''} ${transaction.notes || ''}`.toLowerCase();
+      if (!criteria.text.every(needle => haystack.includes(needle))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get all transactions (not deleted) with optional filters
+   * The most selective index available is used (transactionDate, then
+   * transactionCategory/splitCategoryIds, then transactionType); the remaining
+   * criteria are checked while reading.
+   * @param {Object} filters - { type, categoryId, categoryIds, billerIds, minAmount, maxAmount,
+   *                             startDate, endDate, search, query } - query uses TransactionQuery syntax
+   */
+  async function getAllTransactions(filters = {}) {
+    try {
+      const criteria = await resolveTransactionFilters(filters);
+      if (!criteria) return [];
+
+      let collection;
+      if (criteria.startDate || criteria.endDate) {
+        // Widened by a day since stored dates mix ISO formats; exact bounds are checked per record
+        const oneDay = 24 * 60 * 60 * 1000;
+        const lower = criteria.startDate ? new Date(criteria.startDate.getTime() - oneDay).toISOString() : Dexie.minKey;
+        const upper = criteria.endDate ? new Date(criteria.endDate.getTime() + oneDay).toISOString() : Dexie.maxKey;
+        collection = db.transactions.where('transactionDate').between(lower, upper, true, true);
+      } else if (criteria.categoryIds) {
+        collection = db.transactions
+          .where('transactionCategory').anyOf(criteria.categoryIds)
+          .or('splitCategoryIds').anyOf(criteria.categoryIds);
+      } else if (criteria.type) {
+        collection = db.transactions.where('transactionType').equals(criteria.type);
+      } else {
+        collection = db.transactions.toCollection();
       }
 
+      const transactions = await collection
+        .filter(t => matchesTransactionCriteria(t, criteria))
+        .toArray();
+
       // Sort by date (newest first)
       transactions.sort((a, b) => new Date(b.transactionDate) - new Date(a.transactionDate));
 
@@ -649,23 +915,124 @@ const Storage = (() => {
     }
   }
 
+  /**
+   * Get one page of transactions (not deleted), newest first, read through the transactionDate index
+   * A page always ends on a whole local day, so day groups and daily totals
+   * never span two pages; it can therefore hold a few more than `limit` rows.
+   * @param {Object} filters - Same as getAllTransactions
+   * @param {Object} options - { before: cursor from the previous page, limit }
+   * @returns {Promise<Object>} { transactions, nextCursor } - nextCursor is null on the last page
+   */
+  async function getTransactionsPage(filters = {}, { before = null, limit = 100 } = {}) {
+    try {
+      const criteria = await resolveTransactionFilters(filters);
+      if (!criteria) return { transactions: [], nextCursor: null };
+
+      // Widened by a day since stored dates mix ISO formats; exact bounds are checked per record
+      const oneDay = 24 * 60 * 60 * 1000;
+      const lower = criteria.startDate ? new Date(criteria.startDate.getTime() - oneDay).toISOString() : Dexie.minKey;
+      let upper = criteria.endDate ? new Date(criteria.endDate.getTime() + oneDay).toISOString() : Dexie.maxKey;
+      if (before && (upper === Dexie.maxKey || before < upper)) {
+        upper = before;
+      }
+
+      const matches = t => matchesTransactionCriteria(t, criteria);
+      const transactions = await db.transactions
+        .where('transactionDate').between(lower, upper, true, false)
+        .reverse()
+        .filter(matches)
+        .limit(limit)
+        .toArray();
+
+      if (transactions.length < limit) {
+        return { transactions, nextCursor: null };
+      }
+
+      // Complete the last day, then continue before its start next time
+      const last = transactions[transactions.length - 1];
+      const lastDay = new Date(last.transactionDate);
+      const dayStart = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate()).toISOString();
+      const seen = new Set(transactions.map(t => t.transactionID));
+      const rest = await db.transactions
+        .where('transactionDate').between(dayStart, last.transactionDate, true, true)
+        .reverse()
+        .filter(t => !seen.has(t.transactionID) && matches(t))
+        .toArray();
+
+      return { transactions: transactions.concat(rest), nextCursor: dayStart };
+    } catch (error) {
+      console.error('Failed to get transactions page:', error);
+      return { transactions: [], nextCursor: null };
+    }
+  }
+
   /**
    * Get transactions for a specific month
    * @param {string} yearMonth - Format: YYYY-MM
    */
   async function getTransactionsByMonth(yearMonth) {
     try {
-      const transactions = await db.transactions.toArray();
-      return transactions.filter(t => {
-        const tYearMonth = Utils.getMonthYear(t.transactionDate);
-        return tYearMonth === yearMonth;
-      });
+      return await getTransactionsInMonths(yearMonth, yearMonth);
     } catch (error) {
       console.error('Failed to get transactions by month:', error);
       return [];
     }
   }
 
+  /**
+   * Get transactions (deleted ones included) of a range of local months, read through the transactionDate index
+   * @param {string} startMonth - First month, YYYY-MM
+   * @param {string} endMonth - Last month, YYYY-MM
+   * @returns {Promise<Array>}
+   */
+  async function getTransactionsInMonths(startMonth, endMonth) {
+    const [startYear, startMonthNumber] = startMonth.split('-').map(Number);
+    const [endYear, endMonthNumber] = endMonth.split('-').map(Number);
+
+    // Widened by a day since stored dates mix ISO formats; the local month is checked per record
+    const oneDay = 24 * 60 * 60 * 1000;
+    const lower = new Date(new Date(startYear, startMonthNumber - 1, 1).getTime() - oneDay).toISOString();
+    const upper = new Date(new Date(endYear, endMonthNumber, 1).getTime() + oneDay).toISOString();
+
+    const transactions = await db.transactions.where('transactionDate').between(lower, upper, true, true).toArray();
+    return transactions.filter(t => {
+      const yearMonth = Utils.getMonthYear(t.transactionDate);
+      return yearMonth >= startMonth && yearMonth <= endMonth;
+    });
+  }
+
+  /**
+   * Income, expenses and spending per category for each month of a range
+   * Transfers are left out; split transactions count towards each of their categories.
+   * @param {string} startMonth - First month, YYYY-MM
+   * @param {string} endMonth - Last month, YYYY-MM
+   * @returns {Promise<Array>} [{ yearMonth, income, expenses, byCategory: { categoryId: spent } }], oldest first, empty months included
+   */
+  async function getMonthlyTotals(startMonth, endMonth) {
+    const months = new Map();
+    for (let yearMonth = startMonth; yearMonth <= endMonth; yearMonth = Utils.addMonths(yearMonth, 1)) {
+      months.set(yearMonth, { yearMonth, income: 0, expenses: 0, byCategory: {} });
+    }
+
+    const transactions = await getTransactionsInMonths(startMonth, endMonth);
+    transactions
+      .filter(t => !t.deleted && !Utils.isTransfer(t))
+      .forEach(t => {
+        const month = months.get(Utils.getMonthYear(t.transactionDate));
+        const amount = Math.abs(t.transactionAmount);
+        if (t.transactionType === 'income') {
+          month.income += amount;
+        } else if (t.transactionType === 'expense') {
+          month.expenses += amount;
+          Utils.getTransactionSplits(t).forEach(split => {
+            month.byCategory[split.categoryId] = (month.byCategory[split.categoryId] || 0) + Math.abs(split.amount);
+          });
+        }
+      });
+
+    return [...months.values()];
+  }
+
   /**
    * Get all categories
    */
@@ -752,7 +1119,7 @@ const Storage = (() => {
   }
 
   /**
-   * Get goal transactions for a specific goal
+   * Get the goal transactions of a goal, deleted ones left out
    * @param {number} goalId - Goal ID
    */
   async function getGoalTransactions(goalId) {
@@ -760,6 +1127,7 @@ const Storage = (() => {
       const transactions = await db.goalTransactions
         .where('goalId')
         .equals(goalId)
+        .filter(t => !t.deleted)
         .toArray();
 
       // Sort by date (newest first)
@@ -772,6 +1140,13 @@ const Storage = (() => {
     }
   }
 
+  /**
+   * Check if a transaction counts as spending against its category
+   */
+  function isCategorySpending(transaction) {
+    return !transaction.deleted && transaction.transactionType === 'expense' && !Utils.isTransfer(transaction);
+  }
+
   /**
    * Calculate spent amount for a category in a specific month
    * @param {number} categoryId - Category ID
@@ -780,13 +1155,9 @@ const Storage = (() => {
   async function getCategorySpent(categoryId, yearMonth) {
     try {
       const transactions = await getTransactionsByMonth(yearMonth);
-      const categoryTransactions = transactions.filter(
-        t => t.transactionCategory === categoryId && t.transactionType === 'expense'
-      );
-
-      // Return absolute value since transaction amounts are stored as negative for expenses
-      const total = categoryTransactions.reduce((sum, t) => sum + t.transactionAmount, 0);
-      return Math.abs(total);
+      return transactions
+        .filter(isCategorySpending)
+        .reduce((sum, t) => sum + getCategoryShare(t, categoryId), 0);
     } catch (error) {
       console.error('Failed to calculate category spent:', error);
       return 0;
@@ -794,17 +1165,74 @@ const Storage = (() => {
   }
 
   /**
-   * Get all billers
+   * Get all billers (not deleted)
    */
   async function getAllBillers() {
     try {
-      return await db.billers.toArray();
+      return await db.billers.filter(b => !b.deleted).toArray();
     } catch (error) {
       console.error('Failed to get billers:', error);
       return [];
     }
   }
 
+  /**
+   * Get a biller by ID
+   * @param {string} billerID - Biller ID
+   */
+  async function getBillerById(billerID) {
+    try {
+      return await db.billers.get(billerID);
+    } catch (error) {
+      console.error('Failed to get biller:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get billers with their current balance
+   * Income adds to a biller and expenses subtract, transfer legs included.
+   * A "Total" / "Total Balance" biller holds the sum of all others.
+   * @returns {Promise<Array>} Billers with `balance` and `transactionCount`
+   */
+  async function getBillerBalances() {
+    try {
+      const [billers, transactions] = await Promise.all([
+        getAllBillers(),
+        db.transactions.filter(t => !t.deleted).toArray()
+      ]);
+
+      const isTotal = b => b.billerName === 'Total' || b.billerName === 'Total Balance';
+
+      const billersWithBalances = billers.map(biller => {
+        const billerTransactions = transactions.filter(t => Utils.belongsToBiller(t, biller));
+        const balance = billerTransactions.reduce((sum, t) => {
+          if (t.transactionType === 'income') return sum + t.transactionAmount;
+          if (t.transactionType === 'expense') return sum - t.transactionAmount;
+          return sum;
+        }, 0);
+
+        return {
+          ...biller,
+          balance,
+          transactionCount: billerTransactions.length
+        };
+      });
+
+      const totalBiller = billersWithBalances.find(isTotal);
+      if (totalBiller) {
+        totalBiller.balance = billersWithBalances
+          .filter(b => !isTotal(b))
+          .reduce((sum, b) => sum + b.balance, 0);
+      }
+
+      return billersWithBalances;
+    } catch (error) {
+      console.error('Failed to get biller balances:', error);
+      return [];
+    }
+  }
+
   /**
    * Get recurring transactions
    * @param {string} status - Filter by status (active, paused, completed)
@@ -812,15 +1240,44 @@ const Storage = (() => {
   async function getRecurringTransactions(status = null) {
     try {
       if (status) {
-        return await db.recurringTransactions.where('status').equals(status).toArray();
+        return await db.recurringTransactions.where('status').equals(status).filter(r => !r.deleted).toArray();
       }
-      return await db.recurringTransactions.toArray();
+      return await db.recurringTransactions.filter(r => !r.deleted).toArray();
     } catch (error) {
       console.error('Failed to get recurring transactions:', error);
       return [];
     }
   }
 
+  /**
+   * Get a recurring transaction by ID
+   * @param {string} id - Recurring transaction ID
+   */
+  async function getRecurringTransactionById(id) {
+    try {
+      return await db.recurringTransactions.get(id);
+    } catch (error) {
+      console.error('Failed to get recurring transaction:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get recurring transactions joined with their template transaction
+   * @param {string} status - Filter by status (active, paused, completed)
+   * @returns {Promise<Array>} Rules with a `template` property (null if missing)
+   */
+  async function getRecurringTransactionsWithTemplates(status = null) {
+    try {
+      const rules = await getRecurringTransactions(status);
+      const templates = await db.transactions.bulkGet(rules.map(r => r.transactionID || ''));
+      return rules.map((rule, index) => ({ ...rule, template: templates[index] || null }));
+    } catch (error) {
+      console.error('Failed to get recurring transactions with templates:', error);
+      return [];
+    }
+  }
+
   // ============================================
   // CRUD OPERATIONS
   // ============================================
@@ -850,6 +1307,78 @@ const Storage = (() => {
     };
   }
 
+  /**
+   * Resolve the biller link for a transaction
+   * billerID is authoritative; billerName is kept alongside it because
+   * Android still links transactions to billers by name.
+   * @param {Object} link - { billerID, billerName }
+   * @returns {Promise<Object>} { billerID, billerName }
+   */
+  async function resolveBillerLink({ billerID = null, billerName = null } = {}) {
+    if (billerID) {
+      const biller = await db.billers.get(billerID);
+      if (!biller || biller.deleted) {
+        throw new Error(`Biller not found: ${billerID}`);
+      }
+      return { billerID: biller.billerID, billerName: biller.billerName };
+    }
+
+    if (billerName) {
+      const biller = await db.billers.filter(b => !b.deleted && b.billerName === billerName).first();
+      return { billerID: biller ? biller.billerID : null, billerName };
+    }
+
+    return { billerID: null, billerName: null };
+  }
+
+  /**
+   * Validate the category splits of a transaction
+   * The first split is the primary category and is mirrored into
+   * transactionCategory for clients that do not understand splits.
+   * @param {Array} splits - [{ categoryId, amount }]
+   * @param {number} transactionAmount - Total the splits must add up to
+   * @returns {Object} { transactionCategory, splits } (splits is null for a single category)
+   */
+  function resolveSplits(splits, transactionAmount) {
+    if (!Array.isArray(splits) || splits.length === 0) {
+      return { splits: null };
+    }
+
+    const normalized = splits.map(split => ({
+      categoryId: parseInt(split.categoryId),
+      amount: Math.round(parseFloat(split.amount) * 100) / 100
+    }));
+
+    if (normalized.some(split => !split.categoryId)) {
+      throw new Error('Each split needs a category');
+    }
+    if (normalized.some(split => !(split.amount > 0))) {
+      throw new Error('Split amounts must be greater than 0');
+    }
+    if (new Set(normalized.map(split => split.categoryId)).size !== normalized.length) {
+      throw new Error('A category can only appear once in a split');
+    }
+
+    const totalCents = normalized.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+    if (totalCents !== Math.round(parseFloat(transactionAmount) * 100)) {
+      throw new Error('Split amounts must add up to the transaction amount');
+    }
+
+    return {
+      transactionCategory: normalized[0].categoryId,
+      splits: normalized.length > 1 ? normalized : null
+    };
+  }
+
+  /**
+   * Amount of a transaction attributed to a category
+   */
+  function getCategoryShare(transaction, categoryId) {
+    return Utils.getTransactionSplits(transaction)
+      .filter(split => split.categoryId === categoryId)
+      .reduce((sum, split) => sum + split.amount, 0);
+  }
+
   /**
    * Get active categories (not deleted)
    */
@@ -869,14 +1398,16 @@ const Storage = (() => {
   /**
    * Create a new transaction
    * @param {Object} data - Transaction data (without ID or sync metadata)
+   * @param {Object} options - { notify: false } skips the data-updated event (bulk callers dispatch one)
    * @returns {Promise<Object>} Created transaction with all fields
    */
-  async function createTransaction(data) {
+  async function createTransaction(data, { notify = true } = {}) {
     // Validate required fields
     if (!data.transactionAmount || data.transactionAmount <= 0) {
       throw new Error('Transaction amount must be greater than 0');
     }
-    if (!data.transactionCategory) {
+    const split = data.splits ? resolveSplits(data.splits, data.transactionAmount) : {};
+    if (!data.transactionCategory && !split.transactionCategory) {
       throw new Error('Transaction category is required');
     }
     if (!data.transactionType || !['expense', 'income'].includes(data.transactionType)) {
@@ -893,8 +1424,11 @@ const Storage = (() => {
       transactionType: data.transactionType,
       transactionAmount: parseFloat(data.transactionAmount),
       transactionCategory: parseInt(data.transactionCategory),
+      ...split,
       currency: data.currency || (await getMetadata('currency')) || 'USD',
-      billerName: data.billerName || null,
+      ...(await resolveBillerLink(data)),
+      ...(data.notes && data.notes.trim() ? { notes: data.notes.trim() } : {}),
+      ...(data.importRef ? { importRef: data.importRef } : {}),
       ...generateSyncMetadata(true),
       data_hash: null
     };
@@ -912,7 +1446,9 @@ const Storage = (() => {
     }
 
     // Dispatch event for UI update
-    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transaction-created' } }));
+    if (notify) {
+      window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transaction-created' } }));
+    }
 
     console.log('✅ Created transaction:', transaction.transactionID);
     return transaction;
@@ -929,6 +1465,9 @@ const Storage = (() => {
     if (!existing) {
       throw new Error(`Transaction not found: ${transactionID}`);
     }
+    if (Utils.isTransfer(existing)) {
+      throw new Error('Transfers must be edited with updateTransfer');
+    }
 
     // Validate updates if provided
     if (updates.transactionAmount !== undefined && updates.transactionAmount <= 0) {
@@ -946,6 +1485,31 @@ const Storage = (() => {
       data_hash: null
     };
 
+    if (updates.billerID !== undefined || updates.billerName !== undefined) {
+      Object.assign(updated, await resolveBillerLink(updates));
+    }
+
+    if (updates.notes !== undefined) {
+      // Notes are only stored when set
+      const notes = (updates.notes || '').trim();
+      if (notes) {
+        updated.notes = notes;
+      } else {
+        delete updated.notes;
+      }
+    }
+
+    if (updates.splits !== undefined) {
+      Object.assign(updated, resolveSplits(updates.splits, updated.transactionAmount));
+    } else if (Utils.isSplit(existing)) {
+      if (updates.transactionCategory !== undefined) {
+        // Choosing a single category replaces the split
+        updated.splits = null;
+      } else if (updates.transactionAmount !== undefined) {
+        Object.assign(updated, resolveSplits(existing.splits, updated.transactionAmount));
+      }
+    }
+
     // Recompute hash
     if (typeof DataHashService !== 'undefined') {
       updated.data_hash = await DataHashService.computeTransactionHash(updated);
@@ -976,6 +1540,11 @@ const Storage = (() => {
       return;
     }
 
+    // A transfer leg never exists alone
+    if (Utils.isTransfer(existing)) {
+      return deleteTransfer(existing.transferId);
+    }
+
     const deleted = {
       ...existing,
       deleted: true,
@@ -1027,6 +1596,8 @@ const Storage = (() => {
       colorCode: data.colorCode || null,
       autoPropagateToNextMonth: data.autoPropagateToNextMonth !== false,
       budgetNotificationsEnabled: data.budgetNotificationsEnabled || false,
+      rolloverEnabled: Boolean(data.rolloverEnabled),
+      rolloverStartMonth: data.rolloverEnabled ? Utils.getCurrentMonthYear() : null,
       ...generateSyncMetadata(true),
       data_hash: null
     };
@@ -1059,6 +1630,14 @@ const Storage = (() => {
       throw new Error(`Category not found: ${id}`);
     }
 
+    // budgetAmount is this month's budget, keep budgetHistory in step
+    if (updates.budgetAmount !== undefined) {
+      const budgetAmount = parseFloat(updates.budgetAmount) || 0;
+      if (budgetAmount !== (existing.budgetAmount || 0)) {
+        await recordMonthlyBudget(existing, Utils.getCurrentMonthYear(), budgetAmount);
+      }
+    }
+
     const updated = {
       ...existing,
       ...updates,
@@ -1067,6 +1646,13 @@ const Storage = (() => {
       data_hash: null
     };
 
+    // Rollover starts fresh from the month it is switched on
+    if (updates.rolloverEnabled !== undefined && updates.rolloverStartMonth === undefined &&
+        Boolean(updates.rolloverEnabled) !== Boolean(existing.rolloverEnabled)) {
+      updated.rolloverEnabled = Boolean(updates.rolloverEnabled);
+      updated.rolloverStartMonth = updated.rolloverEnabled ? Utils.getCurrentMonthYear() : null;
+    }
+
     if (typeof DataHashService !== 'undefined') {
       updated.data_hash = await DataHashService.computeCategoryHash(updated);
     }
@@ -1089,11 +1675,9 @@ const Storage = (() => {
    * @returns {Promise<void>}
    */
   async function deleteCategory(id) {
-    // Check for active transactions using this category
+    // Check for active transactions using this category, including splits
     const transactionCount = await db.transactions
-      .where('transactionCategory')
-      .equals(id)
-      .filter(t => !t.deleted)
+      .filter(t => !t.deleted && Utils.getTransactionSplits(t).some(split => split.categoryId === id))
       .count();
 
     if (transactionCount > 0) {
@@ -1130,31 +1714,506 @@ const Storage = (() => {
   }
 
   // ============================================
-  // SAVINGS GOAL CRUD
+  // BUDGET HISTORY
   // ============================================
 
+  // Metadata row remembering the last month budgets were rolled over for
+  const BUDGET_PROPAGATION_KEY = 'budgetPropagation';
+
   /**
-   * Create a new savings goal
-   * @param {Object} data - Goal data
-   * @returns {Promise<Object>} Created goal
+   * Get a category's budget history rows keyed by month
+   * Duplicate rows for one month (e.g. created on two devices) resolve to
+   * the most recently updated one.
+   * @param {number} categoryId - Category ID
+   * @returns {Promise<Map>} yearMonth -> budgetHistory row
    */
-  async function createSavingsGoal(data) {
-    if (!data.goalName || data.goalName.trim() === '') {
-      throw new Error('Goal name is required');
-    }
-    if (!data.targetAmount || data.targetAmount <= 0) {
-      throw new Error('Target amount must be greater than 0');
-    }
+  async function getBudgetHistoryRows(categoryId) {
+    const rows = await db.budgetHistory
+      .where('[categoryId+yearMonth]')
+      .between([categoryId, Dexie.minKey], [categoryId, Dexie.maxKey])
+      .filter(row => !row.deleted)
+      .toArray();
+    return indexBudgetHistoryRows(rows);
+  }
 
-    const allGoals = await db.savingsGoals.toArray();
-    const maxId = allGoals.reduce((max, g) => Math.max(max, g.id || 0), 0);
+  function indexBudgetHistoryRows(rows) {
+    const byMonth = new Map();
+    rows.forEach(row => {
+      const current = byMonth.get(row.yearMonth);
+      if (!current || normalizeTimestamp(row.updatedAt) >= normalizeTimestamp(current.updatedAt)) {
+        byMonth.set(row.yearMonth, row);
+      }
+    });
+    return byMonth;
+  }
 
-    const now = new Date().toISOString();
-    const goal = {
-      id: maxId + 1,
-      goalName: data.goalName.trim(),
-      targetAmount: parseFloat(data.targetAmount),
-      currentAmount: parseFloat(data.currentAmount) || 0,
+  /**
+   * Resolve the budget of a category for a month
+   * - a budgetHistory row for the month wins
+   * - the current month is category.budgetAmount
+   * - past months use the latest budget recorded before them (or, before any
+   *   recorded change, the earliest one recorded after them)
+   * - future months carry the budget forward only with autoPropagateToNextMonth
+   */
+  function resolveBudget(category, rows, yearMonth, currentMonth) {
+    const amountOf = month => rows.get(month).budgetAmount || 0;
+
+    if (rows.has(yearMonth)) return amountOf(yearMonth);
+    if (yearMonth === currentMonth) return category.budgetAmount || 0;
+
+    const months = [...rows.keys()].sort();
+
+    if (yearMonth > currentMonth) {
+      if (!category.autoPropagateToNextMonth) return 0;
+      const planned = months.filter(m => m > currentMonth && m < yearMonth).pop();
+      return planned ? amountOf(planned) : category.budgetAmount || 0;
+    }
+
+    const earlier = months.filter(m => m < yearMonth).pop();
+    if (earlier) return amountOf(earlier);
+    const later = months.find(m => m > yearMonth && m < currentMonth);
+    return later ? amountOf(later) : category.budgetAmount || 0;
+  }
+
+  /**
+   * Get the budget of a category for a month
+   * @param {number} categoryId - Category ID
+   * @param {string} yearMonth - Format: YYYY-MM
+   * @returns {Promise<number>} Budget amount
+   */
+  async function getBudgetForMonth(categoryId, yearMonth) {
+    try {
+      const category = await db.categories.get(categoryId);
+      if (!category) return 0;
+      const rows = await getBudgetHistoryRows(categoryId);
+      return resolveBudget(category, rows, yearMonth, Utils.getCurrentMonthYear());
+    } catch (error) {
+      console.error('Failed to get budget for month:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the budgets of all categories for a month
+   * @param {string} yearMonth - Format: YYYY-MM
+   * @returns {Promise<Map>} categoryId -> budget amount
+   */
+  async function getBudgetsForMonth(yearMonth) {
+    try {
+      const [categories, history] = await Promise.all([
+        db.categories.toArray(),
+        db.budgetHistory.filter(row => !row.deleted).toArray()
+      ]);
+      const currentMonth = Utils.getCurrentMonthYear();
+      const rowsByCategory = Utils.groupBy(history, 'categoryId');
+
+      const budgets = new Map();
+      categories.forEach(category => {
+        const rows = indexBudgetHistoryRows(rowsByCategory[category.id] || []);
+        budgets.set(category.id, resolveBudget(category, rows, yearMonth, currentMonth));
+      });
+      return budgets;
+    } catch (error) {
+      console.error('Failed to get budgets for month:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Get budget, carried-over amount, spending and what is left per category
+   * Categories in rollover (envelope) mode carry what was left of each month,
+   * positive or overspent, into the next one, starting at rolloverStartMonth:
+   * available = budget + carryover - spent
+   * @param {string} yearMonth - Format: YYYY-MM
+   * @returns {Promise<Map>} categoryId -> { budgetAmount, carryover, spent, available, rollover }
+   */
+  async function getCategoryAvailability(yearMonth) {
+    try {
+      const [categories, history, transactions] = await Promise.all([
+        db.categories.toArray(),
+        db.budgetHistory.filter(row => !row.deleted).toArray(),
+        db.transactions.toArray()
+      ]);
+      const currentMonth = Utils.getCurrentMonthYear();
+      const rowsByCategory = Utils.groupBy(history, 'categoryId');
+
+      // categoryId -> yearMonth -> spent, in one pass over all transactions
+      const spentByCategory = {};
+      transactions.forEach(t => {
+        if (!isCategorySpending(t)) return;
+        const month = Utils.getMonthYear(t.transactionDate);
+        Utils.getTransactionSplits(t).forEach(({ categoryId, amount }) => {
+          const byMonth = spentByCategory[categoryId] || (spentByCategory[categoryId] = {});
+          byMonth[month] = (byMonth[month] || 0) + amount;
+        });
+      });
+
+      const availability = new Map();
+      categories.forEach(category => {
+        const rows = indexBudgetHistoryRows(rowsByCategory[category.id] || []);
+        const budgetIn = month => resolveBudget(category, rows, month, currentMonth);
+        const spentIn = month => spentByCategory[category.id]?.[month] || 0;
+        const rollover = Boolean(category.rolloverEnabled) && Boolean(category.rolloverStartMonth);
+
+        let carryover = 0;
+        if (rollover) {
+          for (let month = category.rolloverStartMonth; month < yearMonth; month = Utils.addMonths(month, 1)) {
+            carryover += budgetIn(month) - spentIn(month);
+          }
+        }
+
+        const budgetAmount = budgetIn(yearMonth);
+        const spent = spentIn(yearMonth);
+        availability.set(category.id, {
+          budgetAmount,
+          carryover,
+          spent,
+          available: budgetAmount + carryover - spent,
+          rollover
+        });
+      });
+      return availability;
+    } catch (error) {
+      console.error('Failed to get category availability:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Insert or update the budgetHistory row of a category for a month
+   * @returns {Promise<Object>} Saved row
+   */
+  async function writeBudgetHistory(categoryId, yearMonth, budgetAmount, existingRow = null) {
+    if (existingRow && (existingRow.budgetAmount || 0) === budgetAmount) {
+      return existingRow;
+    }
+
+    let row;
+    if (existingRow) {
+      row = {
+        ...existingRow,
+        budgetAmount,
+        updatedAt: Date.now(),
+        deviceId: 'web',
+        data_hash: null
+      };
+    } else {
+      const allRows = await db.budgetHistory.toArray();
+      const maxId = allRows.reduce((max, r) => Math.max(max, r.id || 0), 0);
+      row = {
+        id: maxId + 1,
+        categoryId,
+        yearMonth,
+        budgetAmount,
+        ...generateSyncMetadata(true),
+        data_hash: null
+      };
+    }
+
+    if (typeof DataHashService !== 'undefined') {
+      row.data_hash = await DataHashService.computeBudgetHistoryHash(row);
+    }
+
+    await db.budgetHistory.put(row);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('budgetHistory', existingRow ? 'update' : 'insert', row);
+    }
+
+    return row;
+  }
+
+  /**
+   * Record a month's budget in budgetHistory
+   * The neighbouring past months are pinned to the budget they had first, so
+   * changing one month never rewrites another.
+   * @returns {Promise<Object>} The month's budgetHistory row
+   */
+  async function recordMonthlyBudget(category, yearMonth, budgetAmount) {
+    const currentMonth = Utils.getCurrentMonthYear();
+    const rows = await getBudgetHistoryRows(category.id);
+    const pins = [];
+
+    const previous = Utils.addMonths(yearMonth, -1);
+    if (yearMonth <= currentMonth && !rows.has(previous)) {
+      pins.push([previous, resolveBudget(category, rows, previous, currentMonth)]);
+    }
+    const next = Utils.addMonths(yearMonth, 1);
+    if (next < currentMonth && !rows.has(next)) {
+      pins.push([next, resolveBudget(category, rows, next, currentMonth)]);
+    }
+
+    for (const [month, amount] of pins) {
+      await writeBudgetHistory(category.id, month, amount);
+    }
+    return writeBudgetHistory(category.id, yearMonth, budgetAmount, rows.get(yearMonth));
+  }
+
+  /**
+   * Set the budget of a category for a specific month
+   * The current month also updates category.budgetAmount.
+   * @param {number} categoryId - Category ID
+   * @param {string} yearMonth - Format: YYYY-MM
+   * @param {number} budgetAmount - Budget for that month
+   * @returns {Promise<void>}
+   */
+  async function setMonthlyBudget(categoryId, yearMonth, budgetAmount) {
+    if (!/^\d{4}-\d{2}$/.test(yearMonth || '')) {
+      throw new Error('Month must be in YYYY-MM format');
+    }
+    const amount = parseFloat(budgetAmount);
+    if (Number.isNaN(amount) || amount < 0) {
+      throw new Error('Budget amount must be 0 or more');
+    }
+
+    if (yearMonth === Utils.getCurrentMonthYear()) {
+      await updateCategory(categoryId, { budgetAmount: amount });
+      return;
+    }
+
+    const category = await db.categories.get(categoryId);
+    if (!category) {
+      throw new Error(`Category not found: ${categoryId}`);
+    }
+
+    await recordMonthlyBudget(category, yearMonth, amount);
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'budget-updated' } }));
+
+    console.log(`✅ Set ${yearMonth} budget for category ${categoryId}:`, amount);
+  }
+
+  /**
+   * Roll budgets over when a new month starts (runs once per month)
+   * Last month's budget is frozen into budgetHistory. The new month's
+   * budgetAmount is synced and belongs to the phone, which rolls it over itself,
+   * so it is only set here when the web app owns the rollover (not paired): a
+   * budget recorded ahead of time if there is one, otherwise the previous budget
+   * for categories with autoPropagateToNextMonth and 0 for the rest.
+   * Run it after the session's first sync, so the phone's rollover is in.
+   * @param {Object} options - { ownsRollover: set this month's budgetAmount }
+   */
+  async function propagateMonthlyBudgets({ ownsRollover = false } = {}) {
+    try {
+      const currentMonth = Utils.getCurrentMonthYear();
+      const state = await db.metadata.get(BUDGET_PROPAGATION_KEY);
+      if (state && state.yearMonth >= currentMonth) return;
+
+      // On the first run there is no earlier month to roll over from
+      if (state) {
+        const previous = Utils.addMonths(currentMonth, -1);
+        const monthStart = new Date(`${currentMonth}-01T00:00:00`).getTime();
+        const categories = await getActiveCategories();
+
+        for (const category of categories) {
+          // Changed this month (rolled over by the phone, or edited): budgetAmount is not last month's any more
+          if (normalizeTimestamp(category.updatedAt) >= monthStart) continue;
+
+          const rows = await getBudgetHistoryRows(category.id);
+          const budgetAmount = category.budgetAmount || 0;
+
+          // budgetAmount was in effect from the last run until last month
+          for (const month of new Set([state.yearMonth, previous])) {
+            if (!rows.has(month)) {
+              await writeBudgetHistory(category.id, month, budgetAmount);
+            }
+          }
+
+          if (!ownsRollover) continue;
+
+          const planned = rows.get(currentMonth);
+          const nextBudget = planned
+            ? planned.budgetAmount || 0
+            : (category.autoPropagateToNextMonth ? budgetAmount : 0);
+          if (nextBudget !== budgetAmount) {
+            await updateCategory(category.id, { budgetAmount: nextBudget });
+          }
+        }
+
+        console.log(`✅ Rolled budgets over from ${state.yearMonth} to ${currentMonth}`);
+      }
+
+      await db.metadata.put({ key: BUDGET_PROPAGATION_KEY, yearMonth: currentMonth, updatedAt: Date.now() });
+    } catch (error) {
+      console.error('❌ Budget propagation failed:', error);
+    }
+  }
+
+  // ============================================
+  // BUDGET PLANNING
+  // ============================================
+
+  // Metadata row with the planning settings ({ zeroBased }). Web-only, not synced.
+  const BUDGET_PLANNING_KEY = 'budgetPlanning';
+
+  // Goal transaction types that add to a goal
+  const GOAL_DEPOSIT_TYPES = ['contribution', 'auto_income', 'auto_leftover'];
+
+  /**
+   * Income plan of a month: planned (monthlyIncome) and received income, and
+   * how much of it category budgets and savings goals take
+   * Goals allocating a share of income plan that share of monthlyIncome; other
+   * goals count what was contributed in the month.
+   * @param {string} yearMonth - Format: YYYY-MM
+   * @returns {Promise<Object>} { yearMonth, plannedIncome, actualIncome, incomeBase, categories: [{ category, budgetAmount, spent }],
+   *   budgeted, goals: [{ goal, amount, planned }], goalContributions, unallocated, zeroBased }
+   */
+  async function getBudgetPlan(yearMonth) {
+    const [metadata, settings, categories, availability, transactions, goals, goalTransactions] = await Promise.all([
+      getMetadata(),
+      db.metadata.get(BUDGET_PLANNING_KEY),
+      getActiveCategories(),
+      getCategoryAvailability(yearMonth),
+      getTransactionsInMonths(yearMonth, yearMonth),
+      db.savingsGoals.filter(g => !g.deleted && g.isActive).toArray(),
+      db.goalTransactions.where('transactionDate').between(
+        new Date(new Date(`${yearMonth}-01T00:00:00`).getTime() - 24 * 60 * 60 * 1000).toISOString(),
+        new Date(new Date(`${Utils.addMonths(yearMonth, 1)}-01T00:00:00`).getTime() + 24 * 60 * 60 * 1000).toISOString(),
+        true, true
+      ).toArray()
+    ]);
+
+    const plannedIncome = metadata?.monthlyIncome || 0;
+    const actualIncome = transactions
+      .filter(t => !t.deleted && !Utils.isTransfer(t) && t.transactionType === 'income')
+      .reduce((sum, t) => sum + Math.abs(t.transactionAmount), 0);
+    // Without a planned income, plan with what has come in
+    const incomeBase = plannedIncome > 0 ? plannedIncome : actualIncome;
+
+    const categoryRows = categories.map(category => {
+      const funds = availability.get(category.id);
+      return { category, budgetAmount: funds?.budgetAmount || 0, spent: funds?.spent || 0 };
+    });
+    const budgeted = categoryRows.reduce((sum, row) => sum + row.budgetAmount, 0);
+
+    const contributed = {};
+    goalTransactions
+      .filter(gt => !gt.deleted && GOAL_DEPOSIT_TYPES.includes(gt.transactionType) &&
+        Utils.getMonthYear(gt.transactionDate) === yearMonth)
+      .forEach(gt => { contributed[gt.goalId] = (contributed[gt.goalId] || 0) + Math.abs(gt.amount); });
+
+    const goalRows = goals
+      .map(goal => {
+        const planned = goal.autoAllocateType === 'income_percent' && goal.autoAllocateValue > 0;
+        const amount = planned ? (incomeBase * goal.autoAllocateValue) / 100 : contributed[goal.id] || 0;
+        return { goal, amount, planned };
+      })
+      .filter(row => row.amount > 0);
+    const goalContributions = goalRows.reduce((sum, row) => sum + row.amount, 0);
+
+    return {
+      yearMonth,
+      plannedIncome,
+      actualIncome,
+      incomeBase,
+      categories: categoryRows,
+      budgeted,
+      goals: goalRows,
+      goalContributions,
+      unallocated: incomeBase - budgeted - goalContributions,
+      zeroBased: Boolean(settings?.zeroBased)
+    };
+  }
+
+  /**
+   * Turn zero-based budgeting (every unit of income assigned) on or off
+   * @param {boolean} enabled
+   */
+  async function setZeroBasedBudgeting(enabled) {
+    await db.metadata.put({ key: BUDGET_PLANNING_KEY, zeroBased: Boolean(enabled), updatedAt: Date.now() });
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'budget-plan-updated' } }));
+  }
+
+  /**
+   * Add the month's unallocated income to a category's budget for that month
+   * @param {number} categoryId - Category ID
+   * @param {string} yearMonth - Format: YYYY-MM
+   * @returns {Promise<number>} Amount added
+   */
+  async function assignUnallocatedIncome(categoryId, yearMonth) {
+    const plan = await getBudgetPlan(yearMonth);
+    const amount = Math.round(plan.unallocated * 100) / 100;
+    if (amount <= 0) {
+      throw new Error('There is no unallocated income to assign');
+    }
+
+    const row = plan.categories.find(entry => entry.category.id === categoryId);
+    if (!row) {
+      throw new Error(`Category not found: ${categoryId}`);
+    }
+
+    await setMonthlyBudget(categoryId, yearMonth, row.budgetAmount + amount);
+    return amount;
+  }
+
+  // ============================================
+  // SAVINGS GOAL CRUD
+  // ============================================
+
+  const AUTO_ALLOCATE_TYPES = ['manual', 'income_percent', 'budget_leftover'];
+
+  /**
+   * Validate and normalize the auto-allocation fields of a goal
+   * autoAllocateValue is a percentage of each income for income_percent, and
+   * the category whose leftover budget is moved for budget_leftover (none: every budget).
+   * @param {Object} data - Goal fields, merged with the stored goal on update
+   * @returns {Object} Auto-allocation fields to store
+   */
+  function resolveGoalAllocation(data) {
+    const type = data.autoAllocateType || 'manual';
+    if (!AUTO_ALLOCATE_TYPES.includes(type)) {
+      throw new Error(`Unknown auto-allocation type: ${type}`);
+    }
+
+    const value = parseFloat(data.autoAllocateValue) || 0;
+    if (type === 'income_percent' && (value <= 0 || value > 100)) {
+      throw new Error('Share of income must be between 0 and 100%');
+    }
+    const percentage = parseFloat(data.autoAllocationPercentage) || 0;
+    if (percentage < 0 || percentage > 100) {
+      throw new Error('Share of the leftover must be between 0 and 100%');
+    }
+    const monthEndDate = data.monthEndDate ? parseInt(data.monthEndDate) : null;
+    if (monthEndDate !== null && (isNaN(monthEndDate) || monthEndDate < 1 || monthEndDate > 31)) {
+      throw new Error('Month end must be a day between 1 and 31');
+    }
+
+    // Switching automatic saving on or off moves a goal between the manual and automatic strategies; hybrid stays
+    let strategy = data.allocationStrategy || 'manual';
+    if (type !== 'manual' && strategy === 'manual') strategy = 'automatic';
+    if (type === 'manual' && strategy === 'automatic') strategy = 'manual';
+    return {
+      autoAllocateType: type,
+      autoAllocateValue: type === 'manual' ? 0 : value,
+      allocationStrategy: strategy,
+      autoAllocationPercentage: percentage,
+      monthEndDate,
+      requireApprovalBeforeAllocation: Boolean(data.requireApprovalBeforeAllocation)
+    };
+  }
+
+  /**
+   * Create a new savings goal
+   * @param {Object} data - Goal data
+   * @returns {Promise<Object>} Created goal
+   */
+  async function createSavingsGoal(data) {
+    if (!data.goalName || data.goalName.trim() === '') {
+      throw new Error('Goal name is required');
+    }
+    if (!data.targetAmount || data.targetAmount <= 0) {
+      throw new Error('Target amount must be greater than 0');
+    }
+
+    const allGoals = await db.savingsGoals.toArray();
+    const maxId = allGoals.reduce((max, g) => Math.max(max, g.id || 0), 0);
+
+    const now = new Date().toISOString();
+    const goal = {
+      id: maxId + 1,
+      goalName: data.goalName.trim(),
+      targetAmount: parseFloat(data.targetAmount),
+      currentAmount: parseFloat(data.currentAmount) || 0,
       description: data.description || '',
       iconName: data.iconName || 'savings',
       customColor: data.customColor || null,
@@ -1163,9 +2222,9 @@ const Storage = (() => {
       priority: data.priority || 'medium',
       isActive: data.isActive !== false ? 1 : 0,
       category: data.category || 'custom',
-      allocationStrategy: data.allocationStrategy || 'manual',
       fixedAllocationAmount: parseFloat(data.fixedAllocationAmount) || 0,
       percentageOfRemaining: parseFloat(data.percentageOfRemaining) || 0,
+      ...resolveGoalAllocation(data),
       createdAt: now,
       updatedAt: now,
       deleted: 0,
@@ -1208,6 +2267,9 @@ const Storage = (() => {
       deviceId: 'web',
       data_hash: null
     };
+    if ('autoAllocateType' in updates) {
+      Object.assign(updated, resolveGoalAllocation(updated));
+    }
 
     if (typeof DataHashService !== 'undefined') {
       updated.data_hash = await DataHashService.computeSavingsGoalHash(updated);
@@ -1277,8 +2339,8 @@ const Storage = (() => {
     if (!data.amount || data.amount <= 0) {
       throw new Error('Amount must be greater than 0');
     }
-    if (!data.transactionType || !['contribution', 'withdrawal'].includes(data.transactionType)) {
-      throw new Error('Transaction type must be "contribution" or "withdrawal"');
+    if (!data.transactionType || ![...GOAL_DEPOSIT_TYPES, 'withdrawal'].includes(data.transactionType)) {
+      throw new Error(`Transaction type must be one of: ${[...GOAL_DEPOSIT_TYPES, 'withdrawal'].join(', ')}`);
     }
 
     // Verify goal exists
@@ -1312,16 +2374,28 @@ const Storage = (() => {
     }
 
     // Update goal's currentAmount
-    const amountDelta = data.transactionType === 'contribution' ? data.amount : -data.amount;
-    const newCurrentAmount = Math.max(0, (goal.currentAmount || 0) + amountDelta);
+    const amountDelta = data.transactionType === 'withdrawal' ? -data.amount : data.amount;
+    const updatedGoal = {
+      ...goal,
+      currentAmount: Math.max(0, (goal.currentAmount || 0) + amountDelta),
+      updatedAt: new Date().toISOString(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    // Hashed before the database transaction: awaiting crypto inside it would commit it early
+    if (typeof DataHashService !== 'undefined') {
+      updatedGoal.data_hash = await DataHashService.computeSavingsGoalHash(updatedGoal);
+    }
 
     await db.transaction('rw', [db.goalTransactions, db.savingsGoals], async () => {
       await db.goalTransactions.put(goalTransaction);
-      await updateSavingsGoal(data.goalId, { currentAmount: newCurrentAmount });
+      await db.savingsGoals.put(updatedGoal);
     });
 
     if (typeof autoSyncCRUD !== 'undefined') {
       autoSyncCRUD.recordChange('goalTransactions', 'insert', goalTransaction);
+      autoSyncCRUD.recordChange('savingsGoals', 'update', updatedGoal);
     }
 
     window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'goal-transaction-created' } }));
@@ -1330,6 +2404,80 @@ const Storage = (() => {
     return goalTransaction;
   }
 
+  /**
+   * Update a contribution or withdrawal, moving the goal's currentAmount by the difference
+   * @param {number} id - Goal transaction ID
+   * @param {Object} updates - { amount, transactionType, transactionDate, description }
+   * @returns {Promise<Object>} Updated goal transaction
+   */
+  async function updateGoalTransaction(id, updates) {
+    const existing = await db.goalTransactions.get(id);
+    if (!existing || existing.deleted) {
+      throw new Error(`Goal transaction not found: ${id}`);
+    }
+
+    const updated = {
+      ...existing,
+      ...updates,
+      id: existing.id,
+      goalId: existing.goalId,
+      updated_at: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+    updated.amount = parseFloat(updated.amount);
+    if (!updated.amount || updated.amount <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
+    if (![...GOAL_DEPOSIT_TYPES, 'withdrawal'].includes(updated.transactionType)) {
+      throw new Error(`Transaction type must be one of: ${[...GOAL_DEPOSIT_TYPES, 'withdrawal'].join(', ')}`);
+    }
+    if (!updated.transactionDate || isNaN(new Date(updated.transactionDate))) {
+      throw new Error('Date is required');
+    }
+
+    const signed = t => (t.transactionType === 'withdrawal' ? -t.amount : t.amount);
+    const amountDelta = signed(updated) - signed(existing);
+
+    const goal = Math.abs(amountDelta) > 0 ? await db.savingsGoals.get(existing.goalId) : null;
+    const updatedGoal = goal
+      ? {
+        ...goal,
+        currentAmount: Math.max(0, (goal.currentAmount || 0) + amountDelta),
+        updatedAt: new Date().toISOString(),
+        deviceId: 'web',
+        data_hash: null
+      }
+      : null;
+
+    // Hashed before the database transaction, as in createGoalTransaction
+    if (typeof DataHashService !== 'undefined') {
+      updated.data_hash = await DataHashService.computeGoalTransactionHash(updated);
+      if (updatedGoal) {
+        updatedGoal.data_hash = await DataHashService.computeSavingsGoalHash(updatedGoal);
+      }
+    }
+
+    await db.transaction('rw', [db.goalTransactions, db.savingsGoals], async () => {
+      await db.goalTransactions.put(updated);
+      if (updatedGoal) {
+        await db.savingsGoals.put(updatedGoal);
+      }
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('goalTransactions', 'update', updated);
+      if (updatedGoal) {
+        autoSyncCRUD.recordChange('savingsGoals', 'update', updatedGoal);
+      }
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'goal-transaction-updated' } }));
+
+    console.log('✅ Updated goal transaction:', id);
+    return updated;
+  }
+
   /**
    * Delete a goal transaction
    * @param {number} id - Goal transaction ID
@@ -1345,7 +2493,7 @@ const Storage = (() => {
     // Revert the goal's currentAmount
     const goal = await db.savingsGoals.get(existing.goalId);
     if (goal) {
-      const amountDelta = existing.transactionType === 'contribution' ? -existing.amount : existing.amount;
+      const amountDelta = existing.transactionType === 'withdrawal' ? existing.amount : -existing.amount;
       const newCurrentAmount = Math.max(0, (goal.currentAmount || 0) + amountDelta);
       await updateSavingsGoal(existing.goalId, { currentAmount: newCurrentAmount });
     }
@@ -1373,6 +2521,1682 @@ const Storage = (() => {
     console.log('🗑️ Soft deleted goal transaction:', id);
   }
 
+  // ============================================
+  // RECURRING TRANSACTION CRUD
+  // ============================================
+
+  const RECURRING_SCHEDULE_FIELDS = ['recurrenceInterval', 'startDate', 'endDate', 'dayOfWeek', 'dayOfMonth', 'specificDate'];
+
+  /**
+   * Create a recurring rule
+   * The rule points at a template transaction (SYNC_CONTRACT.md §6). Pass an
+   * existing transactionID, or the template fields (merchantName,
+   * transactionAmount, transactionCategory, transactionType, billerID) to
+   * record the first occurrence as a new transaction on startDate.
+   * @param {Object} data - Recurring rule data
+   * @returns {Promise<Object>} Created recurring transaction
+   */
+  async function createRecurringTransaction(data) {
+    if (!data.recurrenceInterval || !RecurringSchedule.INTERVALS[data.recurrenceInterval]) {
+      throw new Error('A valid recurrence interval is required');
+    }
+    if (!data.startDate) {
+      throw new Error('Start date is required');
+    }
+    if (data.endDate && new Date(data.endDate) < new Date(data.startDate)) {
+      throw new Error('End date must be after the start date');
+    }
+    if (data.dayOfWeek && (data.dayOfWeek < 1 || data.dayOfWeek > 7)) {
+      throw new Error('Day of week must be between 1 (Monday) and 7 (Sunday)');
+    }
+    if (data.dayOfMonth && (data.dayOfMonth < 1 || data.dayOfMonth > 31)) {
+      throw new Error('Day of month must be between 1 and 31');
+    }
+
+    const rule = {
+      id: generateWebId(),
+      transactionID: data.transactionID || null,
+      recurrenceType: RecurringSchedule.getRecurrenceType(data.recurrenceInterval),
+      recurrenceInterval: data.recurrenceInterval,
+      startDate: RecurringSchedule.toIso(RecurringSchedule.toUtcDay(data.startDate)),
+      endDate: data.endDate ? RecurringSchedule.toIso(RecurringSchedule.toUtcDay(data.endDate)) : null,
+      dayOfWeek: data.dayOfWeek ? parseInt(data.dayOfWeek) : null,
+      dayOfMonth: data.dayOfMonth ? parseInt(data.dayOfMonth) : null,
+      specificDate: data.specificDate || null,
+      lastProcessedDate: null,
+      nextDueDate: null,
+      status: 'active',
+      ...generateSyncMetadata(true),
+      data_hash: null
+    };
+
+    const firstOccurrence = RecurringSchedule.getNextOccurrence(rule, null);
+    if (!firstOccurrence) {
+      throw new Error('Schedule has no occurrences before its end date');
+    }
+
+    if (rule.transactionID) {
+      const template = await db.transactions.get(rule.transactionID);
+      if (!template) {
+        throw new Error(`Template transaction not found: ${rule.transactionID}`);
+      }
+      rule.nextDueDate = firstOccurrence;
+    } else {
+      // The first occurrence doubles as the template transaction
+      const template = await createTransaction({
+        merchantName: data.merchantName,
+        transactionAmount: data.transactionAmount,
+        transactionCategory: data.transactionCategory,
+        transactionType: data.transactionType,
+        transactionDate: firstOccurrence,
+        billerID: data.billerID,
+        billerName: data.billerName,
+        currency: data.currency
+      });
+      rule.transactionID = template.transactionID;
+      Object.assign(rule, RecurringSchedule.advance(rule, firstOccurrence));
+    }
+
+    if (typeof DataHashService !== 'undefined') {
+      rule.data_hash = await DataHashService.computeRecurringTransactionHash(rule);
+    }
+
+    await db.recurringTransactions.put(rule);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('recurringTransactions', 'insert', rule);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'recurring-created' } }));
+
+    console.log('✅ Created recurring transaction:', rule.id);
+    return rule;
+  }
+
+  /**
+   * Update a recurring rule
+   * Changing any schedule field recomputes recurrenceType and nextDueDate.
+   * @param {string} id - Recurring transaction ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated recurring transaction
+   */
+  async function updateRecurringTransaction(id, updates) {
+    const existing = await db.recurringTransactions.get(id);
+    if (!existing) {
+      throw new Error(`Recurring transaction not found: ${id}`);
+    }
+
+    if (updates.recurrenceInterval && !RecurringSchedule.INTERVALS[updates.recurrenceInterval]) {
+      throw new Error('A valid recurrence interval is required');
+    }
+    if (updates.status && !['active', 'paused', 'completed'].includes(updates.status)) {
+      throw new Error('Status must be "active", "paused" or "completed"');
+    }
+
+    const updated = {
+      ...existing,
+      ...updates,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (updated.endDate && new Date(updated.endDate) < new Date(updated.startDate)) {
+      throw new Error('End date must be after the start date');
+    }
+
+    const scheduleChanged = RECURRING_SCHEDULE_FIELDS.some(
+      field => updates[field] !== undefined && updates[field] !== existing[field]
+    );
+    if (scheduleChanged && updates.nextDueDate === undefined) {
+      Object.assign(updated, RecurringSchedule.reschedule(updated));
+    }
+
+    if (typeof DataHashService !== 'undefined') {
+      updated.data_hash = await DataHashService.computeRecurringTransactionHash(updated);
+    }
+
+    await db.recurringTransactions.put(updated);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('recurringTransactions', 'update', updated);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'recurring-updated' } }));
+
+    console.log('✅ Updated recurring transaction:', id);
+    return updated;
+  }
+
+  /**
+   * Pause a recurring rule (occurrences stop until resumed)
+   * @param {string} id - Recurring transaction ID
+   * @returns {Promise<Object>} Updated recurring transaction
+   */
+  async function pauseRecurringTransaction(id) {
+    return updateRecurringTransaction(id, { status: 'paused' });
+  }
+
+  /**
+   * Resume a paused rule
+   * Occurrences missed while paused are skipped: nextDueDate moves to the
+   * first occurrence on or after today.
+   * @param {string} id - Recurring transaction ID
+   * @returns {Promise<Object>} Updated recurring transaction
+   */
+  async function resumeRecurringTransaction(id) {
+    const existing = await db.recurringTransactions.get(id);
+    if (!existing) {
+      throw new Error(`Recurring transaction not found: ${id}`);
+    }
+
+    let nextDueDate = existing.nextDueDate;
+    if (!nextDueDate || RecurringSchedule.toUtcDay(nextDueDate) < RecurringSchedule.toUtcDay(new Date())) {
+      nextDueDate = RecurringSchedule.getOccurrenceOnOrAfter(existing, new Date());
+    }
+
+    return updateRecurringTransaction(id, {
+      status: nextDueDate ? 'active' : 'completed',
+      nextDueDate
+    });
+  }
+
+  /**
+   * Mark the current occurrence as processed and move to the next one
+   * Completes the rule once its endDate has been passed.
+   * @param {string} id - Recurring transaction ID
+   * @returns {Promise<Object>} Updated recurring transaction
+   */
+  async function advanceRecurringTransaction(id) {
+    const existing = await db.recurringTransactions.get(id);
+    if (!existing) {
+      throw new Error(`Recurring transaction not found: ${id}`);
+    }
+
+    return updateRecurringTransaction(id, RecurringSchedule.advance(existing));
+  }
+
+  /**
+   * Record the current occurrence as paid
+   * Creates a transaction from the template, dated the due date, and advances the schedule.
+   * @param {string} id - Recurring transaction ID
+   * @param {string} dueDate - Occurrence being paid (e.g. from a reminder); refused when it is no longer the next one
+   * @returns {Promise<Object>} { transaction, rule }
+   */
+  async function markRecurringPaid(id, dueDate = null) {
+    const existing = await db.recurringTransactions.get(id);
+    if (!existing || existing.deleted) {
+      throw new Error(`Recurring transaction not found: ${id}`);
+    }
+    if (existing.status !== 'active' || !existing.nextDueDate) {
+      throw new Error('This recurring transaction has no upcoming payment');
+    }
+    if (dueDate && RecurringSchedule.toUtcDay(dueDate).getTime() !== RecurringSchedule.toUtcDay(existing.nextDueDate).getTime()) {
+      throw new Error('This payment has already been recorded');
+    }
+
+    const template = await db.transactions.get(existing.transactionID);
+    if (!template) {
+      throw new Error(`Template transaction not found: ${existing.transactionID}`);
+    }
+    if (Utils.isTransfer(template)) {
+      throw new Error('Recurring transfers cannot be marked paid here');
+    }
+
+    const transaction = await createTransaction({
+      merchantName: template.merchantName,
+      transactionAmount: template.transactionAmount,
+      transactionType: template.transactionType,
+      ...(Utils.isSplit(template) ? { splits: template.splits } : { transactionCategory: template.transactionCategory }),
+      transactionDate: RecurringSchedule.toIso(RecurringSchedule.toUtcDay(existing.nextDueDate)),
+      billerID: template.billerID,
+      currency: template.currency,
+      notes: template.notes
+    });
+    const rule = await advanceRecurringTransaction(id);
+
+    return { transaction, rule };
+  }
+
+  /**
+   * Soft delete a recurring rule
+   * The template transaction is kept, it is a real past occurrence.
+   * @param {string} id - Recurring transaction ID
+   * @returns {Promise<void>}
+   */
+  async function deleteRecurringTransaction(id) {
+    const existing = await db.recurringTransactions.get(id);
+    if (!existing) {
+      console.warn('Recurring transaction not found for deletion:', id);
+      return;
+    }
+
+    const deleted = {
+      ...existing,
+      deleted: true,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      deleted.data_hash = await DataHashService.computeRecurringTransactionHash(deleted);
+    }
+
+    await db.recurringTransactions.put(deleted);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('recurringTransactions', 'delete', deleted);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'recurring-deleted' } }));
+
+    console.log('🗑️ Soft deleted recurring transaction:', id);
+  }
+
+  // ============================================
+  // BILLER CRUD
+  // ============================================
+
+  /**
+   * Ensure no other active biller uses a name (case-insensitive)
+   */
+  async function assertUniqueBillerName(billerName, ignoreBillerID = null) {
+    const lower = billerName.toLowerCase();
+    const clash = await db.billers
+      .filter(b => !b.deleted && b.billerID !== ignoreBillerID && (b.billerName || '').toLowerCase() === lower)
+      .first();
+    if (clash) {
+      throw new Error(`An account named "${billerName}" already exists`);
+    }
+  }
+
+  /**
+   * Get active transactions linked to a biller (by ID, or by name for unlinked records)
+   */
+  async function getBillerTransactions(biller) {
+    return db.transactions
+      .filter(t => !t.deleted && Utils.belongsToBiller(t, biller))
+      .toArray();
+  }
+
+  /**
+   * Create a new biller / account
+   * @param {Object} data - Biller data { billerName, billerActualName }
+   * @returns {Promise<Object>} Created biller
+   */
+  async function createBiller(data) {
+    if (!data.billerName || data.billerName.trim() === '') {
+      throw new Error('Account name is required');
+    }
+
+    const billerName = data.billerName.trim();
+    await assertUniqueBillerName(billerName);
+
+    const biller = {
+      billerID: generateWebId(),
+      billerName,
+      billerActualName: (data.billerActualName || '').trim() || billerName,
+      ...generateSyncMetadata(true),
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      biller.data_hash = await DataHashService.computeBillerHash(biller);
+    }
+
+    await db.billers.put(biller);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('billers', 'insert', biller);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'biller-created' } }));
+
+    console.log('✅ Created biller:', biller.billerID, biller.billerName);
+    return biller;
+  }
+
+  /**
+   * Update a biller
+   * Renaming also rewrites billerName on linked transactions so Android,
+   * which links by name, keeps them on the same account.
+   * @param {string} billerID - Biller ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated biller
+   */
+  async function updateBiller(billerID, updates) {
+    const existing = await db.billers.get(billerID);
+    if (!existing) {
+      throw new Error(`Biller not found: ${billerID}`);
+    }
+
+    if (updates.billerName !== undefined) {
+      if (!updates.billerName || updates.billerName.trim() === '') {
+        throw new Error('Account name is required');
+      }
+      updates = { ...updates, billerName: updates.billerName.trim() };
+      await assertUniqueBillerName(updates.billerName, billerID);
+    }
+
+    const updated = {
+      ...existing,
+      ...updates,
+      billerID,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      updated.data_hash = await DataHashService.computeBillerHash(updated);
+    }
+
+    // Relink transactions before the rename, while old names still match
+    let relinked = [];
+    if (updated.billerName !== existing.billerName) {
+      const now = Date.now();
+      relinked = (await getBillerTransactions(existing)).map(t => ({
+        ...t,
+        billerID,
+        billerName: updated.billerName,
+        updatedAt: now,
+        deviceId: 'web'
+      }));
+      if (typeof DataHashService !== 'undefined') {
+        for (const t of relinked) {
+          t.data_hash = await DataHashService.computeTransactionHash(t);
+        }
+      }
+    }
+
+    await db.transaction('rw', [db.billers, db.transactions], async () => {
+      await db.billers.put(updated);
+      if (relinked.length > 0) {
+        await db.transactions.bulkPut(relinked);
+      }
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('billers', 'update', updated);
+      relinked.forEach(t => autoSyncCRUD.recordChange('transactions', 'update', t));
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'biller-updated' } }));
+
+    console.log('✅ Updated biller:', billerID, relinked.length ? `(${relinked.length} transactions relinked)` : '');
+    return updated;
+  }
+
+  /**
+   * Delete a biller (with validation)
+   * @param {string} billerID - Biller ID
+   * @returns {Promise<void>}
+   */
+  async function deleteBiller(billerID) {
+    const existing = await db.billers.get(billerID);
+    if (!existing) {
+      console.warn('Biller not found for deletion:', billerID);
+      return;
+    }
+
+    const transactionCount = (await getBillerTransactions(existing)).length;
+    if (transactionCount > 0) {
+      throw new Error(`Cannot delete account: ${transactionCount} active transaction(s) use this account`);
+    }
+
+    const deleted = {
+      ...existing,
+      deleted: true,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      deleted.data_hash = await DataHashService.computeBillerHash(deleted);
+    }
+
+    await db.billers.put(deleted);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('billers', 'delete', deleted);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'biller-deleted' } }));
+
+    console.log('🗑️ Soft deleted biller:', billerID);
+  }
+
+  // ============================================
+  // TRANSFERS
+  // ============================================
+
+  // Transfer legs are neither income nor expense, so they carry no category
+  const TRANSFER_CATEGORY = 0;
+
+  /**
+   * Build both legs of a transfer: an expense on the source biller and an
+   * income on the destination biller, linked by a shared transferId
+   */
+  async function buildTransferLegs(transferId, data, existingLegs = {}) {
+    if (!data.transactionAmount || data.transactionAmount <= 0) {
+      throw new Error('Transfer amount must be greater than 0');
+    }
+    if (!data.fromBillerID || !data.toBillerID) {
+      throw new Error('Both accounts are required for a transfer');
+    }
+    if (data.fromBillerID === data.toBillerID) {
+      throw new Error('Cannot transfer to the same account');
+    }
+    if (!data.transactionDate) {
+      throw new Error('Transfer date is required');
+    }
+
+    const from = await resolveBillerLink({ billerID: data.fromBillerID });
+    const to = await resolveBillerLink({ billerID: data.toBillerID });
+    const metadata = await getMetadata();
+    const now = Date.now();
+
+    const shared = {
+      transferId,
+      transactionDate: data.transactionDate,
+      transactionAmount: parseFloat(data.transactionAmount),
+      transactionCategory: TRANSFER_CATEGORY,
+      currency: data.currency || metadata?.currency || 'USD',
+      updatedAt: now,
+      deviceId: 'web',
+      deleted: false,
+      data_hash: null
+    };
+
+    const legs = [
+      {
+        ...existingLegs.from,
+        transactionID: existingLegs.from?.transactionID || generateWebId(),
+        merchantName: `Transfer to ${to.billerName}`,
+        transactionType: 'expense',
+        ...from,
+        ...shared,
+        createdAt: existingLegs.from?.createdAt || now
+      },
+      {
+        ...existingLegs.to,
+        transactionID: existingLegs.to?.transactionID || generateWebId(),
+        merchantName: `Transfer from ${from.billerName}`,
+        transactionType: 'income',
+        ...to,
+        ...shared,
+        createdAt: existingLegs.to?.createdAt || now
+      }
+    ];
+
+    if (typeof DataHashService !== 'undefined') {
+      for (const leg of legs) {
+        leg.data_hash = await DataHashService.computeTransactionHash(leg);
+      }
+    }
+
+    return legs;
+  }
+
+  /**
+   * Get both legs of a transfer
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object|null>} { transferId, from, to } or null if not found
+   */
+  async function getTransfer(transferId) {
+    try {
+      const legs = await db.transactions
+        .filter(t => t.transferId === transferId && !t.deleted)
+        .toArray();
+      if (legs.length === 0) return null;
+
+      return {
+        transferId,
+        from: legs.find(t => t.transactionType === 'expense') || null,
+        to: legs.find(t => t.transactionType === 'income') || null
+      };
+    } catch (error) {
+      console.error('Failed to get transfer:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Move money between two billers
+   * Both legs are regular transactions, so they sync through the normal
+   * transactions changes; transferId keeps them out of income/expense totals.
+   * @param {Object} data - { fromBillerID, toBillerID, transactionAmount, transactionDate }
+   * @returns {Promise<Object>} { transferId, from, to }
+   */
+  async function createTransfer(data) {
+    const transferId = generateWebId();
+    const legs = await buildTransferLegs(transferId, data);
+
+    await db.transaction('rw', db.transactions, async () => {
+      await db.transactions.bulkPut(legs);
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      legs.forEach(leg => autoSyncCRUD.recordChange('transactions', 'insert', leg));
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transfer-created' } }));
+
+    console.log('✅ Created transfer:', transferId);
+    return { transferId, from: legs[0], to: legs[1] };
+  }
+
+  /**
+   * Update a transfer (both legs are rewritten together)
+   * @param {string} transferId - Transfer ID
+   * @param {Object} updates - { fromBillerID, toBillerID, transactionAmount, transactionDate }
+   * @returns {Promise<Object>} { transferId, from, to }
+   */
+  async function updateTransfer(transferId, updates) {
+    const existing = await getTransfer(transferId);
+    if (!existing || !existing.from || !existing.to) {
+      throw new Error(`Transfer not found: ${transferId}`);
+    }
+
+    const legs = await buildTransferLegs(transferId, {
+      fromBillerID: existing.from.billerID,
+      toBillerID: existing.to.billerID,
+      transactionAmount: existing.from.transactionAmount,
+      transactionDate: existing.from.transactionDate,
+      currency: existing.from.currency,
+      ...updates
+    }, existing);
+
+    await db.transaction('rw', db.transactions, async () => {
+      await db.transactions.bulkPut(legs);
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      legs.forEach(leg => autoSyncCRUD.recordChange('transactions', 'update', leg));
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transfer-updated' } }));
+
+    console.log('✅ Updated transfer:', transferId);
+    return { transferId, from: legs[0], to: legs[1] };
+  }
+
+  /**
+   * Soft delete both legs of a transfer
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<void>}
+   */
+  async function deleteTransfer(transferId) {
+    const legs = await db.transactions
+      .filter(t => t.transferId === transferId && !t.deleted)
+      .toArray();
+    if (legs.length === 0) {
+      console.warn('Transfer not found for deletion:', transferId);
+      return;
+    }
+
+    const now = Date.now();
+    const deleted = legs.map(leg => ({
+      ...leg,
+      deleted: true,
+      updatedAt: now,
+      deviceId: 'web',
+      data_hash: null
+    }));
+
+    if (typeof DataHashService !== 'undefined') {
+      for (const leg of deleted) {
+        leg.data_hash = await DataHashService.computeTransactionHash(leg);
+      }
+    }
+
+    await db.transaction('rw', db.transactions, async () => {
+      await db.transactions.bulkPut(deleted);
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      deleted.forEach(leg => autoSyncCRUD.recordChange('transactions', 'delete', leg));
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transfer-deleted' } }));
+
+    console.log('🗑️ Soft deleted transfer:', transferId);
+  }
+
+  // ============================================
+  // BULK EDIT
+  // ============================================
+
+  /**
+   * Apply one change to many transactions in a single database transaction
+   * Transfers keep their accounts and have no category, so only delete and
+   * reviewed apply to them; deleting a transfer leg deletes both legs.
+   * @param {Array<string>} transactionIDs - Selected transactions
+   * @param {Object} changes - One of { transactionCategory }, { billerID }, { deleted: true }, { reviewed }
+   * @returns {Promise<Object>} { updated, skipped }
+   */
+  async function bulkUpdateTransactions(transactionIDs, changes) {
+    const existing = (await db.transactions.bulkGet([...new Set(transactionIDs)]))
+      .filter(t => t && !t.deleted);
+
+    let apply;
+    let operation = 'update';
+    let targets = existing;
+
+    if (changes.transactionCategory !== undefined) {
+      const categoryId = parseInt(changes.transactionCategory);
+      const category = await db.categories.get(categoryId);
+      if (!category || category.deleted) {
+        throw new Error(`Category not found: ${changes.transactionCategory}`);
+      }
+      targets = existing.filter(t => !Utils.isTransfer(t));
+      apply = t => ({ ...t, transactionCategory: categoryId, splits: null });
+    } else if (changes.billerID !== undefined) {
+      const link = await resolveBillerLink({ billerID: changes.billerID });
+      targets = existing.filter(t => !Utils.isTransfer(t));
+      apply = t => ({ ...t, ...link });
+    } else if (changes.deleted === true) {
+      operation = 'delete';
+      const transferIds = new Set(existing.filter(t => Utils.isTransfer(t)).map(t => t.transferId));
+      if (transferIds.size > 0) {
+        const seen = new Set(existing.map(t => t.transactionID));
+        const otherLegs = await db.transactions
+          .filter(t => transferIds.has(t.transferId) && !t.deleted && !seen.has(t.transactionID))
+          .toArray();
+        targets = existing.concat(otherLegs);
+      }
+      apply = t => ({ ...t, deleted: true });
+    } else if (changes.reviewed !== undefined) {
+      // Removed rather than set to false: an unset field keeps the hash (see DataHashService)
+      apply = t => {
+        const updated = { ...t };
+        if (changes.reviewed) {
+          updated.reviewed = true;
+        } else {
+          delete updated.reviewed;
+        }
+        return updated;
+      };
+    } else {
+      throw new Error('No bulk change given');
+    }
+
+    const now = Date.now();
+    const updated = targets.map(t => ({
+      ...apply(t),
+      updatedAt: now,
+      deviceId: 'web',
+      data_hash: null
+    }));
+
+    if (typeof DataHashService !== 'undefined') {
+      for (const t of updated) {
+        t.data_hash = await DataHashService.computeTransactionHash(t);
+      }
+    }
+
+    if (updated.length > 0) {
+      await db.transaction('rw', db.transactions, async () => {
+        await db.transactions.bulkPut(updated);
+      });
+
+      if (typeof autoSyncCRUD !== 'undefined') {
+        autoSyncCRUD.recordChanges('transactions', operation, updated);
+      }
+
+      window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'transactions-bulk-updated' } }));
+    }
+
+    const changedIds = new Set(updated.map(t => t.transactionID));
+    console.log(`✅ Bulk ${operation} of ${updated.length} transaction(s)`);
+    return {
+      updated,
+      skipped: [...new Set(transactionIDs)].filter(id => !changedIds.has(id)).length
+    };
+  }
+
+  // ============================================
+  // CHANGE CAPTURE (UNDO)
+  // ============================================
+
+  // Records written during captureChanges: "<storeName>:<key>" -> { storeName, key, before }
+  let activeCapture = null;
+
+  // Writes running now that are not user actions (incoming sync, automatic goal allocation),
+  // and whether one of them wrote during the active capture
+  let backgroundWrites = 0;
+  let captureInterrupted = false;
+
+  /**
+   * Run writes that are not user actions
+   * The capture is global, so a capture these writes land in is dropped rather
+   * than kept: undoing it would write back over them.
+   * @param {Function} operation - Async function doing the writes
+   */
+  async function runInBackground(operation) {
+    backgroundWrites++;
+    try {
+      return await operation();
+    } finally {
+      backgroundWrites--;
+    }
+  }
+
+  /**
+   * Note the state of a record before its first write in the active capture
+   * @param {Object|null} before - null when the record is being created
+   */
+  function noteCapturedWrite(storeName, key, before) {
+    if (activeCapture && backgroundWrites > 0) {
+      captureInterrupted = true;
+      return;
+    }
+    const id = `${storeName}:${key}`;
+    if (activeCapture && !activeCapture.has(id)) {
+      activeCapture.set(id, { storeName, key, before: before ? Dexie.deepClone(before) : null });
+    }
+  }
+
+  // Only user actions run inside captureChanges; sync and import writes are not tracked,
+  // and writes made by runInBackground meanwhile drop the capture
+  Object.keys(storePrimaryKeys)
+    .filter(storeName => !metadataRecordPrefixes[storeName])
+    .forEach(storeName => {
+      db.table(storeName).hook('creating', function (primKey) {
+        if (!activeCapture) return;
+        if (primKey !== undefined) {
+          noteCapturedWrite(storeName, primKey, null);
+        } else {
+          // Auto-incremented key, known once the record is added
+          this.onsuccess = key => noteCapturedWrite(storeName, key, null);
+        }
+      });
+      db.table(storeName).hook('updating', (modifications, primKey, record) => {
+        if (activeCapture) noteCapturedWrite(storeName, primKey, record);
+      });
+    });
+
+  db.metadata.hook('creating', (primKey) => {
+    if (!activeCapture) return;
+    Object.entries(metadataRecordPrefixes).forEach(([storeName, prefix]) => {
+      if (String(primKey).startsWith(prefix)) {
+        noteCapturedWrite(storeName, primKey.slice(prefix.length), null);
+      }
+    });
+  });
+
+  db.metadata.hook('updating', (modifications, primKey, row) => {
+    if (!activeCapture) return;
+    Object.entries(metadataRecordPrefixes).forEach(([storeName, prefix]) => {
+      if (String(primKey).startsWith(prefix)) {
+        const { key, ...record } = row;
+        noteCapturedWrite(storeName, primKey.slice(prefix.length), record);
+      }
+    });
+  });
+
+  /**
+   * Run an operation and collect every synced record it writes, with its state before and after
+   * Nested captures add to the outer one. When a sync or another background
+   * write lands while the operation runs, no changes are returned, so the edit
+   * cannot be undone over them.
+   * @param {Function} operation - Async function doing the writes
+   * @returns {Promise<Object>} { result, changes: [{ storeName, key, before, after }] }
+   */
+  async function captureChanges(operation) {
+    if (activeCapture) {
+      return { result: await operation(), changes: [] };
+    }
+
+    const capture = new Map();
+    activeCapture = capture;
+    captureInterrupted = false;
+    let result;
+    try {
+      result = await operation();
+    } finally {
+      activeCapture = null;
+    }
+
+    if (captureInterrupted) {
+      console.warn('⚠️ Background changes were written during this edit; it cannot be undone');
+      return { result, changes: [] };
+    }
+
+    const changes = [];
+    for (const change of capture.values()) {
+      const after = await getStoredRecord(change.storeName, change.key);
+      changes.push({ ...change, after: after || null });
+    }
+    return { result, changes };
+  }
+
+  /**
+   * Write earlier states of records back, e.g. to undo or redo a change
+   * Restored records get a new updatedAt so the revert also wins on the phone,
+   * and are queued for sync as one batch per record type.
+   * @param {Object} recordsByStore - storeName -> records
+   * @returns {Promise<number>} Number of records restored
+   */
+  async function restoreRecords(recordsByStore) {
+    const now = Date.now();
+    const restored = {};
+
+    for (const [storeName, records] of Object.entries(recordsByStore)) {
+      restored[storeName] = [];
+      for (const record of records) {
+        const next = { ...record, updatedAt: now, deviceId: 'web', data_hash: null };
+        if (record.updated_at !== undefined) {
+          // Goal transactions carry their own timestamp field
+          next.updated_at = now;
+        }
+        if (typeof DataHashService !== 'undefined') {
+          next.data_hash = await DataHashService.computeHashForEntity(storeName, next);
+        }
+        restored[storeName].push(next);
+      }
+    }
+
+    const tables = [...new Set(Object.keys(restored).map(storeName =>
+      metadataRecordPrefixes[storeName] ? db.metadata : db.table(storeName)))];
+    await db.transaction('rw', tables, async () => {
+      for (const [storeName, records] of Object.entries(restored)) {
+        for (const record of records) {
+          await putStoredRecord(storeName, record);
+        }
+      }
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      Object.entries(restored).forEach(([storeName, records]) => {
+        autoSyncCRUD.recordChanges(storeName, 'update', records);
+      });
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'records-restored' } }));
+
+    const count = Object.values(restored).reduce((sum, records) => sum + records.length, 0);
+    console.log(`↩️ Restored ${count} record(s)`);
+    return count;
+  }
+
+  // ============================================
+  // TRASH
+  // ============================================
+
+  // Record types shown in the trash view
+  const TRASH_STORES = ['transactions', 'categories', 'savingsGoals', 'goalTransactions'];
+
+  // Deleted records stay restorable this long before compaction may remove them
+  const TRASH_RETENTION_DAYS = 30;
+
+  /**
+   * When a soft-deleted record was deleted (its last update), in ms
+   * Goal transactions keep their timestamp in updated_at.
+   */
+  function getDeletedAt(record) {
+    return normalizeTimestamp(record.updatedAt ?? record.updated_at);
+  }
+
+  /**
+   * Whether the phone has the deletion as well
+   * A deletion made before the last completed sync was sent in that sync (or came from the phone).
+   */
+  function isDeletionAcknowledged(record) {
+    const lastSync = typeof PairingManager !== 'undefined' ? PairingManager.getLastSyncTime() : null;
+    return Boolean(lastSync) && getDeletedAt(record) <= lastSync;
+  }
+
+  /**
+   * Soft-deleted records, newest deletion first
+   * The two legs of a deleted transfer are listed once.
+   * @returns {Promise<Object>} storeName -> [{ record, deletedAt, acknowledged }]
+   */
+  async function getTrash() {
+    const trash = {};
+    for (const storeName of TRASH_STORES) {
+      let records = await db.table(storeName).filter(r => Boolean(r.deleted)).toArray();
+
+      if (storeName === 'transactions') {
+        const transfers = new Set();
+        records = records.filter(t => {
+          if (!Utils.isTransfer(t)) return true;
+          if (transfers.has(t.transferId)) return false;
+          transfers.add(t.transferId);
+          return true;
+        });
+      }
+
+      trash[storeName] = records
+        .map(record => ({
+          record,
+          deletedAt: getDeletedAt(record),
+          acknowledged: isDeletionAcknowledged(record)
+        }))
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+    return trash;
+  }
+
+  /**
+   * Deleted records making up one trash entry (both legs for a transfer)
+   */
+  async function getTrashEntryRecords(storeName, id) {
+    const record = await db.table(storeName).get(id);
+    if (!record || !record.deleted) {
+      throw new Error('Record is not in the trash');
+    }
+    if (storeName === 'transactions' && Utils.isTransfer(record)) {
+      return db.transactions.filter(t => t.transferId === record.transferId && Boolean(t.deleted)).toArray();
+    }
+    return [record];
+  }
+
+  /**
+   * Restore a record from the trash
+   * Sent to the phone as an update with deleted cleared. A restored goal contribution
+   * is added back to its goal, undoing what deleteGoalTransaction took off.
+   * @param {string} storeName - One of TRASH_STORES
+   * @param {*} id - Record id (transactionID for transactions)
+   */
+  async function restoreFromTrash(storeName, id) {
+    const records = await getTrashEntryRecords(storeName, id);
+
+    switch (storeName) {
+      case 'transactions':
+        return restoreRecords({ transactions: records.map(t => ({ ...t, deleted: false })) });
+      case 'categories':
+        return restoreRecords({ categories: records.map(c => ({ ...c, deleted: false })) });
+      case 'savingsGoals':
+        return restoreRecords({ savingsGoals: records.map(g => ({ ...g, deleted: 0, isActive: 1 })) });
+      case 'goalTransactions': {
+        const [goalTransaction] = records;
+        const restored = { goalTransactions: [{ ...goalTransaction, deleted: 0 }] };
+        const goal = await db.savingsGoals.get(goalTransaction.goalId);
+        if (goal && !goal.deleted) {
+          // Only withdrawals take from a goal; every other type (auto allocations included) adds
+          const amountDelta = goalTransaction.transactionType === 'withdrawal' ? -goalTransaction.amount : goalTransaction.amount;
+          restored.savingsGoals = [{ ...goal, currentAmount: Math.max(0, (goal.currentAmount || 0) + amountDelta) }];
+        }
+        return restoreRecords(restored);
+      }
+      default:
+        throw new Error(`Cannot restore ${storeName} from the trash`);
+    }
+  }
+
+  /**
+   * Remove trash entries from the database for good
+   * Nothing is sent to the phone; it keeps its own copy of the deletion.
+   * @param {Array} entries - [{ storeName, id }]
+   * @returns {Promise<number>} Number of records removed
+   */
+  async function purgeFromTrash(entries) {
+    const keysByStore = {};
+    for (const { storeName, id } of entries) {
+      if (!TRASH_STORES.includes(storeName)) {
+        throw new Error(`Cannot purge ${storeName}`);
+      }
+      const keyField = storePrimaryKeys[storeName];
+      const records = await getTrashEntryRecords(storeName, id);
+      (keysByStore[storeName] = keysByStore[storeName] || []).push(...records.map(r => r[keyField]));
+    }
+
+    const stores = Object.keys(keysByStore);
+    if (stores.length === 0) return 0;
+
+    await db.transaction('rw', stores.map(storeName => db.table(storeName)), async () => {
+      for (const storeName of stores) {
+        await db.table(storeName).bulkDelete(keysByStore[storeName]);
+      }
+    });
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'trash-purged' } }));
+
+    const count = Object.values(keysByStore).reduce((sum, keys) => sum + keys.length, 0);
+    console.log(`🗑️ Purged ${count} record(s) from the trash`);
+    return count;
+  }
+
+  /**
+   * Remove tombstones that both devices have and that are past the retention period
+   * Run at startup and after each sync.
+   * @returns {Promise<number>} Number of records removed
+   */
+  async function compactTrash(now = Date.now()) {
+    const cutoff = now - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const entries = [];
+    const trash = await getTrash();
+
+    Object.entries(trash).forEach(([storeName, items]) => {
+      items
+        .filter(item => item.acknowledged && item.deletedAt <= cutoff)
+        .forEach(item => entries.push({ storeName, id: item.record[storePrimaryKeys[storeName]] }));
+    });
+
+    if (entries.length === 0) return 0;
+
+    const count = await purgeFromTrash(entries);
+    console.log(`🧹 Compacted ${count} deleted record(s) older than ${TRASH_RETENTION_DAYS} days`);
+    return count;
+  }
+
+  // ============================================
+  // SAVED FILTERS
+  // ============================================
+
+  /**
+   * Get saved transaction filters (not deleted), sorted by name
+   */
+  async function getSavedFilters() {
+    try {
+      const filters = await getMetadataRecords('savedFilters');
+      return filters
+        .filter(f => !f.deleted)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Failed to get saved filters:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Normalize the filter part of a saved filter
+   * @param {Object} data - { query, transactionType, categoryId }
+   */
+  function normalizeSavedFilterCriteria(data) {
+    const criteria = {
+      query: (data.query || '').trim(),
+      transactionType: ['expense', 'income'].includes(data.transactionType) ? data.transactionType : null,
+      categoryId: data.categoryId ? parseInt(data.categoryId) : null
+    };
+    if (!criteria.query && !criteria.transactionType && !criteria.categoryId) {
+      throw new Error('Set a search or filter before saving it');
+    }
+    return criteria;
+  }
+
+  /**
+   * Ensure no other saved filter uses a name (case-insensitive)
+   */
+  async function assertUniqueSavedFilterName(name, ignoreId = null) {
+    const lower = name.toLowerCase();
+    const clash = (await getSavedFilters()).find(f => f.id !== ignoreId && f.name.toLowerCase() === lower);
+    if (clash) {
+      throw new Error(`A saved filter named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Save a transaction filter
+   * @param {Object} data - { name, query, transactionType, categoryId, pinned }
+   * @returns {Promise<Object>} Created saved filter
+   */
+  async function createSavedFilter(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw new Error('Filter name is required');
+    }
+    await assertUniqueSavedFilterName(name);
+
+    const savedFilter = {
+      id: generateWebId(),
+      name,
+      ...normalizeSavedFilterCriteria(data),
+      pinned: Boolean(data.pinned),
+      ...generateSyncMetadata(true),
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      savedFilter.data_hash = await DataHashService.computeSavedFilterHash(savedFilter);
+    }
+
+    await putStoredRecord('savedFilters', savedFilter);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('savedFilters', 'insert', savedFilter);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'saved-filter-created' } }));
+
+    console.log('✅ Created saved filter:', savedFilter.id, savedFilter.name);
+    return savedFilter;
+  }
+
+  /**
+   * Update a saved filter
+   * @param {string} id - Saved filter ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated saved filter
+   */
+  async function updateSavedFilter(id, updates) {
+    const existing = await getStoredRecord('savedFilters', id);
+    if (!existing || existing.deleted) {
+      throw new Error(`Saved filter not found: ${id}`);
+    }
+
+    const updated = {
+      ...existing,
+      id,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (updates.name !== undefined) {
+      const name = (updates.name || '').trim();
+      if (!name) {
+        throw new Error('Filter name is required');
+      }
+      await assertUniqueSavedFilterName(name, id);
+      updated.name = name;
+    }
+    if (updates.query !== undefined || updates.transactionType !== undefined || updates.categoryId !== undefined) {
+      Object.assign(updated, normalizeSavedFilterCriteria({ ...existing, ...updates }));
+    }
+    if (updates.pinned !== undefined) {
+      updated.pinned = Boolean(updates.pinned);
+    }
+
+    if (typeof DataHashService !== 'undefined') {
+      updated.data_hash = await DataHashService.computeSavedFilterHash(updated);
+    }
+
+    await putStoredRecord('savedFilters', updated);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('savedFilters', 'update', updated);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'saved-filter-updated' } }));
+
+    console.log('✅ Updated saved filter:', id);
+    return updated;
+  }
+
+  /**
+   * Soft delete a saved filter
+   * @param {string} id - Saved filter ID
+   */
+  async function deleteSavedFilter(id) {
+    const existing = await getStoredRecord('savedFilters', id);
+    if (!existing) {
+      console.warn('Saved filter not found for deletion:', id);
+      return;
+    }
+
+    const deleted = {
+      ...existing,
+      deleted: true,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      deleted.data_hash = await DataHashService.computeSavedFilterHash(deleted);
+    }
+
+    await putStoredRecord('savedFilters', deleted);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('savedFilters', 'delete', deleted);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'saved-filter-deleted' } }));
+
+    console.log('🗑️ Soft deleted saved filter:', id);
+  }
+
+  /**
+   * Transactions filters (as used by getAllTransactions) of a saved filter
+   */
+  function getSavedFilterFilters(savedFilter) {
+    return {
+      query: savedFilter.query || '',
+      type: savedFilter.transactionType || null,
+      categoryId: savedFilter.categoryId || null
+    };
+  }
+
+  /**
+   * Totals of the transactions matching a saved filter (for dashboard widgets)
+   * Transfers are counted but left out of the income and expense totals. When the
+   * filter narrows categories, split transactions count only their share in them.
+   * @returns {Promise<Object>} { count, expenses, income }
+   */
+  async function getSavedFilterSummary(savedFilter) {
+    const filters = getSavedFilterFilters(savedFilter);
+    const [criteria, transactions] = await Promise.all([
+      resolveTransactionFilters(filters),
+      getAllTransactions(filters)
+    ]);
+    const categoryIds = criteria?.categoryIds || null;
+
+    return transactions.reduce((summary, t) => {
+      summary.count++;
+      if (!Utils.isTransfer(t)) {
+        const amount = categoryIds
+          ? categoryIds.reduce((sum, categoryId) => sum + getCategoryShare(t, categoryId), 0)
+          : t.transactionAmount;
+        summary[t.transactionType === 'income' ? 'income' : 'expenses'] += amount;
+      }
+      return summary;
+    }, { count: 0, expenses: 0, income: 0 });
+  }
+
+  // ============================================
+  // NET WORTH
+  // ============================================
+
+  const NET_WORTH_ITEM_TYPES = ['asset', 'liability'];
+
+  /**
+   * Manually tracked assets and liabilities
+   * @returns {Promise<Array>} Items not deleted, by name
+   */
+  async function getNetWorthItems() {
+    const items = await db.netWorthItems.filter(item => !item.deleted).toArray();
+    return items.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function normalizeNetWorthItem(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw new Error('Name is required');
+    }
+    if (!NET_WORTH_ITEM_TYPES.includes(data.itemType)) {
+      throw new Error('Choose asset or liability');
+    }
+    const value = parseFloat(data.value);
+    if (isNaN(value) || value < 0) {
+      throw new Error('Value must be 0 or more');
+    }
+    return {
+      name,
+      itemType: data.itemType,
+      value,
+      notes: (data.notes || '').trim()
+    };
+  }
+
+  /**
+   * Add an asset (a car, a house) or a liability (a loan, a mortgage)
+   * @param {Object} data - { name, itemType: 'asset'|'liability', value, notes }
+   * @returns {Promise<Object>} Created item
+   */
+  async function createNetWorthItem(data) {
+    const item = {
+      id: generateWebId(),
+      ...normalizeNetWorthItem(data),
+      ...generateSyncMetadata(true),
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      item.data_hash = await DataHashService.computeNetWorthItemHash(item);
+    }
+
+    await db.netWorthItems.put(item);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('netWorthItems', 'insert', item);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'net-worth-item-created' } }));
+
+    console.log('✅ Created net worth item:', item.id, item.name);
+    return item;
+  }
+
+  /**
+   * Update an asset or liability
+   * @param {string} id - Item ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated item
+   */
+  async function updateNetWorthItem(id, updates) {
+    const existing = await db.netWorthItems.get(id);
+    if (!existing || existing.deleted) {
+      throw new Error(`Net worth item not found: ${id}`);
+    }
+
+    const updated = {
+      ...existing,
+      ...normalizeNetWorthItem({ ...existing, ...updates }),
+      id,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      updated.data_hash = await DataHashService.computeNetWorthItemHash(updated);
+    }
+
+    await db.netWorthItems.put(updated);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('netWorthItems', 'update', updated);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'net-worth-item-updated' } }));
+
+    console.log('✅ Updated net worth item:', id);
+    return updated;
+  }
+
+  /**
+   * Soft delete an asset or liability
+   * @param {string} id - Item ID
+   */
+  async function deleteNetWorthItem(id) {
+    const existing = await db.netWorthItems.get(id);
+    if (!existing) {
+      console.warn('Net worth item not found for deletion:', id);
+      return;
+    }
+
+    const deleted = {
+      ...existing,
+      deleted: true,
+      updatedAt: Date.now(),
+      deviceId: 'web',
+      data_hash: null
+    };
+
+    if (typeof DataHashService !== 'undefined') {
+      deleted.data_hash = await DataHashService.computeNetWorthItemHash(deleted);
+    }
+
+    await db.netWorthItems.put(deleted);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('netWorthItems', 'delete', deleted);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'net-worth-item-deleted' } }));
+
+    console.log('🗑️ Soft deleted net worth item:', id);
+  }
+
+  /**
+   * Current net worth: account balances, savings goals and manual items
+   * Goal amounts are added on top of account balances, as the phone tracks
+   * them separately.
+   * @returns {Promise<Object>} { accounts: [biller], goals: [goal], assets: [item], liabilities: [item],
+   *   totals: { accounts, goals, assets, liabilities, netWorth } }
+   */
+  async function getNetWorth() {
+    const [billers, goals, items] = await Promise.all([
+      getBillerBalances(),
+      db.savingsGoals.filter(goal => !goal.deleted).toArray(),
+      getNetWorthItems()
+    ]);
+
+    const accounts = billers.filter(b => b.billerName !== 'Total' && b.billerName !== 'Total Balance');
+    const goalsWithMoney = goals.filter(goal => (goal.currentAmount || 0) > 0);
+    const assets = items.filter(item => item.itemType === 'asset');
+    const liabilities = items.filter(item => item.itemType === 'liability');
+
+    const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const totals = {
+      accounts: sum(accounts, 'balance'),
+      goals: sum(goalsWithMoney, 'currentAmount'),
+      assets: sum(assets, 'value'),
+      liabilities: sum(liabilities, 'value')
+    };
+    totals.netWorth = totals.accounts + totals.goals + totals.assets - totals.liabilities;
+
+    return { accounts, goals: goalsWithMoney, assets, liabilities, totals };
+  }
+
+  /**
+   * Record this month's net worth snapshot
+   * The snapshot of the current month is overwritten until the month ends, so
+   * each month keeps the last value seen in it. Snapshots stay on this device.
+   * @returns {Promise<Object>} Snapshot
+   */
+  async function recordNetWorthSnapshot() {
+    const { totals } = await getNetWorth();
+    const snapshot = {
+      yearMonth: Utils.getCurrentMonthYear(),
+      ...totals,
+      recordedAt: Date.now()
+    };
+    await db.netWorthSnapshots.put(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Monthly net worth snapshots, oldest first
+   * @returns {Promise<Array>} [{ yearMonth, accounts, goals, assets, liabilities, netWorth, recordedAt }]
+   */
+  async function getNetWorthSnapshots() {
+    return db.netWorthSnapshots.orderBy('yearMonth').toArray();
+  }
+
+  // ============================================
+  // CATEGORIZATION RULES
+  // ============================================
+
+  // Metadata row holding the rules (in priority order) and their settings.
+  // Rules are a web-only setting and are not synced.
+  const RULES_KEY = 'categorizationRules';
+
+  /**
+   * Categorization rules and settings
+   * @returns {Promise<Object>} { rules, applyToSynced }
+   */
+  async function getCategorizationRules() {
+    try {
+      const row = await db.metadata.get(RULES_KEY);
+      return { rules: row?.rules || [], applyToSynced: Boolean(row?.applyToSynced) };
+    } catch (error) {
+      console.error('Failed to get categorization rules:', error);
+      return { rules: [], applyToSynced: false };
+    }
+  }
+
+  async function saveCategorizationSettings(settings) {
+    await db.metadata.put({ key: RULES_KEY, ...settings, updatedAt: Date.now() });
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'rules-updated' } }));
+  }
+
+  /**
+   * Ensure the category and biller a rule sets exist
+   */
+  async function assertRuleTargets(rule) {
+    if (rule.categoryId) {
+      const category = await db.categories.get(rule.categoryId);
+      if (!category || category.deleted) {
+        throw new Error(`Category not found: ${rule.categoryId}`);
+      }
+    }
+    if (rule.billerID) {
+      await resolveBillerLink({ billerID: rule.billerID });
+    }
+  }
+
+  /**
+   * Add a categorization rule (checked after the existing ones)
+   * @param {Object} data - See CategorizationRules.normalizeRule
+   * @returns {Promise<Object>} Created rule
+   */
+  async function createCategorizationRule(data) {
+    const rule = { id: generateWebId(), ...CategorizationRules.normalizeRule(data) };
+    await assertRuleTargets(rule);
+
+    const settings = await getCategorizationRules();
+    settings.rules.push(rule);
+    await saveCategorizationSettings(settings);
+
+    console.log('✅ Created categorization rule:', rule.id, rule.name);
+    return rule;
+  }
+
+  /**
+   * Update a categorization rule
+   * @param {string} id - Rule ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated rule
+   */
+  async function updateCategorizationRule(id, updates) {
+    const settings = await getCategorizationRules();
+    const index = settings.rules.findIndex(r => r.id === id);
+    if (index === -1) {
+      throw new Error(`Rule not found: ${id}`);
+    }
+
+    const rule = { id, ...CategorizationRules.normalizeRule({ ...settings.rules[index], ...updates }) };
+    await assertRuleTargets(rule);
+
+    settings.rules[index] = rule;
+    await saveCategorizationSettings(settings);
+
+    console.log('✅ Updated categorization rule:', id);
+    return rule;
+  }
+
+  /**
+   * Delete a categorization rule
+   * @param {string} id - Rule ID
+   */
+  async function deleteCategorizationRule(id) {
+    const settings = await getCategorizationRules();
+    settings.rules = settings.rules.filter(r => r.id !== id);
+    await saveCategorizationSettings(settings);
+
+    console.log('🗑️ Deleted categorization rule:', id);
+  }
+
+  /**
+   * Move a rule up or down in the priority order
+   * @param {string} id - Rule ID
+   * @param {number} offset - -1 to check it earlier, 1 to check it later
+   */
+  async function moveCategorizationRule(id, offset) {
+    const settings = await getCategorizationRules();
+    const index = settings.rules.findIndex(r => r.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= settings.rules.length) return;
+
+    const [rule] = settings.rules.splice(index, 1);
+    settings.rules.splice(target, 0, rule);
+    await saveCategorizationSettings(settings);
+  }
+
+  /**
+   * Turn rule application on transactions arriving from Android on or off
+   * @param {boolean} enabled
+   */
+  async function setApplyRulesToSynced(enabled) {
+    const settings = await getCategorizationRules();
+    await saveCategorizationSettings({ ...settings, applyToSynced: Boolean(enabled) });
+  }
+
+  /**
+   * What re-running the rules over all transactions would change
+   * @returns {Promise<Array>} [{ transaction, changes }] (see CategorizationRules.previewHistory)
+   */
+  async function previewCategorizationRules() {
+    const [{ rules }, transactions] = await Promise.all([
+      getCategorizationRules(),
+      db.transactions.filter(t => !t.deleted).toArray()
+    ]);
+    return CategorizationRules.previewHistory(rules, transactions);
+  }
+
+  /**
+   * Write the changes of a rules preview in one batch
+   * Transactions changed or deleted since the preview are skipped.
+   * @param {Array} entries - [{ transaction, changes }] from previewCategorizationRules
+   * @returns {Promise<number>} Number of transactions updated
+   */
+  async function applyCategorizationChanges(entries) {
+    const current = await db.transactions.bulkGet(entries.map(e => e.transaction.transactionID));
+    const now = Date.now();
+    const updated = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const { transaction, changes } = entries[i];
+      const existing = current[i];
+      if (!existing || existing.deleted || normalizeTimestamp(existing.updatedAt) !== normalizeTimestamp(transaction.updatedAt)) {
+        continue;
+      }
+
+      const next = { ...existing, updatedAt: now, deviceId: 'web', data_hash: null };
+      if (changes.transactionCategory) {
+        next.transactionCategory = changes.transactionCategory;
+      }
+      if (changes.billerID) {
+        Object.assign(next, await resolveBillerLink({ billerID: changes.billerID }));
+      }
+      if (typeof DataHashService !== 'undefined') {
+        next.data_hash = await DataHashService.computeTransactionHash(next);
+      }
+      updated.push(next);
+    }
+
+    if (updated.length === 0) return 0;
+
+    await db.transaction('rw', db.transactions, async () => {
+      await db.transactions.bulkPut(updated);
+    });
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChanges('transactions', 'update', updated);
+    }
+
+    window.dispatchEvent(new CustomEvent('data-updated', { detail: { type: 'rules-applied' } }));
+
+    console.log(`✅ Categorization rules updated ${updated.length} transaction(s)`);
+    return updated.length;
+  }
+
+  /**
+   * Apply the rules to a transaction just received from Android, when enabled
+   * The result is sent back to the phone as a web edit.
+   * @param {Object} transaction - Stored transaction
+   * @returns {Promise<Object|null>} Updated transaction, or null when unchanged
+   */
+  async function categorizeSyncedTransaction(transaction) {
+    const { rules, applyToSynced } = await getCategorizationRules();
+    if (!applyToSynced || transaction.deleted) return null;
+
+    const changes = CategorizationRules.getChanges(rules, transaction);
+    if (!changes) return null;
+
+    const updated = { ...transaction, updatedAt: Date.now(), deviceId: 'web', data_hash: null };
+    try {
+      if (changes.transactionCategory) {
+        const category = await db.categories.get(changes.transactionCategory);
+        if (category && !category.deleted) updated.transactionCategory = changes.transactionCategory;
+      }
+      if (changes.billerID) {
+        Object.assign(updated, await resolveBillerLink({ billerID: changes.billerID }));
+      }
+    } catch (error) {
+      console.warn('⚠️ Skipping rule for synced transaction:', error.message);
+      return null;
+    }
+
+    if (typeof DataHashService !== 'undefined') {
+      updated.data_hash = await DataHashService.computeTransactionHash(updated);
+    }
+    await db.transactions.put(updated);
+
+    if (typeof autoSyncCRUD !== 'undefined') {
+      autoSyncCRUD.recordChange('transactions', 'update', updated);
+    }
+
+    console.log(`🏷️ Rules (${changes.rules.join(', ')}) categorized synced transaction:`, updated.transactionID);
+    return updated;
+  }
+
   // Public API
   return {
     db,
@@ -1382,17 +4206,33 @@ const Storage = (() => {
     getMetadata,
     hasData,
     getAllTransactions,
+    getTransactionsPage,
     getTransactionsByMonth,
+    getMonthlyTotals,
+    getBudgetPlan,
+    setZeroBasedBudgeting,
+    assignUnallocatedIncome,
     getAllCategories,
     getActiveCategories,
     getCategoryById,
     getBudgetHistory,
+    propagateMonthlyBudgets,
+    getBudgetForMonth,
+    getBudgetsForMonth,
+    getCategoryAvailability,
     getAllSavingsGoals,
     getGoalTransactions,
     getCategorySpent,
     getAllBillers,
+    getBillerById,
+    getBillerBalances,
+    getTransfer,
     getRecurringTransactions,
+    getRecurringTransactionById,
+    getRecurringTransactionsWithTemplates,
     ensureSyncMetadata,
+    getStoredRecord,
+    getMetadataRecords,
     upsertRecord,
     markDeleted,
     getChangedRecords,
@@ -1404,10 +4244,56 @@ const Storage = (() => {
     createCategory,
     updateCategory,
     deleteCategory,
+    setMonthlyBudget,
     createSavingsGoal,
     updateSavingsGoal,
     deleteSavingsGoal,
     createGoalTransaction,
-    deleteGoalTransaction
+    updateGoalTransaction,
+    deleteGoalTransaction,
+    createRecurringTransaction,
+    updateRecurringTransaction,
+    pauseRecurringTransaction,
+    resumeRecurringTransaction,
+    advanceRecurringTransaction,
+    markRecurringPaid,
+    deleteRecurringTransaction,
+    createBiller,
+    updateBiller,
+    deleteBiller,
+    createTransfer,
+    updateTransfer,
+    deleteTransfer,
+    bulkUpdateTransactions,
+    captureChanges,
+    runInBackground,
+    restoreRecords,
+    TRASH_RETENTION_DAYS,
+    getTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    compactTrash,
+    getSavedFilters,
+    getSavedFilterFilters,
+    getSavedFilterSummary,
+    createSavedFilter,
+    updateSavedFilter,
+    deleteSavedFilter,
+    getNetWorthItems,
+    createNetWorthItem,
+    updateNetWorthItem,
+    deleteNetWorthItem,
+    getNetWorth,
+    recordNetWorthSnapshot,
+    getNetWorthSnapshots,
+    getCategorizationRules,
+    createCategorizationRule,
+    updateCategorizationRule,
+    deleteCategorizationRule,
+    moveCategorizationRule,
+    setApplyRulesToSynced,
+    previewCategorizationRules,
+    applyCategorizationChanges,
+    categorizeSyncedTransaction
   };
 })();
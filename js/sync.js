@@ -58,6 +58,16 @@ const Sync = (() => {
       }
     }
 
+    // Saved filters are optional (older Android versions don't send them)
+    if (data.savedFilters !== undefined && !Array.isArray(data.savedFilters)) {
+      errors.push('Invalid array: data.savedFilters');
+    }
+
+    // Net worth items are optional as well
+    if (data.netWorthItems !== undefined && !Array.isArray(data.netWorthItems)) {
+      errors.push('Invalid array: data.netWorthItems');
+    }
+
     // Stop here if basic structure is invalid
     if (errors.length > 0) {
       return { valid: false, errors };
@@ -127,6 +137,10 @@ const Sync = (() => {
       if (typeof t.transactionCategory !== 'number') {
         errors.push(`Transaction ${i}: invalid transactionCategory (must be number)`);
       }
+
+      if (t.splits != null && !Array.isArray(t.splits)) {
+        errors.push(`Transaction ${i}: invalid splits (must be array or null)`);
+      }
     }
 
     return errors;
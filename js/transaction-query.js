@@ -0,0 +1,300 @@
+/**
+ * Transaction Query Language
+ * Parses the compact search syntax of the transactions view into filter criteria
+ *
+ *   cat:groceries amount>50 after:2025-01-01 coffee
+ *
+ * Supported terms (all terms must match):
+ *   cat:<name>[,<name>]      category name (also category:), any of the listed
+ *   biller:<name>[,<name>]   biller/account name (also account:)
+ *   type:expense|income
+ *   amount>50 amount>=50 amount<50 amount<=50 amount:50 amount:10..50
+ *   after:<date> before:<date> on:<date>   YYYY-MM-DD or YYYY-MM, days included,
+ *                            or a period relative to today: today, this-week,
+ *                            this-month, last-month, this-quarter, last-quarter,
+ *                            this-year, last-year (e.g. on:this-quarter)
+ *   anything else            free text over merchant and notes
+ * Values with spaces can be quoted: cat:"eating out".
+ *
+ * Names are matched later against the database (see Storage.getAllTransactions),
+ * so parsing stays free of storage access.
+ */
+const TransactionQuery = (() => {
+  const KEY_ALIASES = {
+    cat: 'category',
+    category: 'category',
+    biller: 'biller',
+    account: 'biller',
+    type: 'type',
+    after: 'after',
+    from: 'after',
+    before: 'before',
+    to: 'before',
+    on: 'on',
+    date: 'on',
+    amount: 'amount'
+  };
+
+  const TYPES = ['expense', 'income'];
+
+  /**
+   * Split a query into terms, keeping quoted values together
+   * @param {string} query - Raw query text
+   * @returns {Array<string>} Terms with quotes removed
+   */
+  function tokenize(query) {
+    const tokens = [];
+    const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+      tokens.push(match[0].replace(/"/g, ''));
+    }
+    return tokens.filter(Boolean);
+  }
+
+  /**
+   * Local calendar range of a period relative to a date
+   * Saved filters use these so "this quarter" stays current.
+   * @param {string} period - e.g. "this-month", "last-quarter"
+   * @param {Date} now - Reference date
+   * @returns {Object|null} { start, end }
+   */
+  function getRelativeRange(period, now = new Date()) {
+    const year = now.getFullYear();
+    const month = now.getMonth();
+    const range = (start, end) => ({ start, end: new Date(end.getTime() - 1) });
+    const quarterStart = month - (month % 3);
+
+    switch (period) {
+      case 'today':
+        return range(new Date(year, month, now.getDate()), new Date(year, month, now.getDate() + 1));
+      case 'this-week': {
+        // Weeks start on Monday
+        const monday = now.getDate() - ((now.getDay() + 6) % 7);
+        return range(new Date(year, month, monday), new Date(year, month, monday + 7));
+      }
+      case 'this-month':
+        return range(new Date(year, month, 1), new Date(year, month + 1, 1));
+      case 'last-month':
+        return range(new Date(year, month - 1, 1), new Date(year, month, 1));
+      case 'this-quarter':
+        return range(new Date(year, quarterStart, 1), new Date(year, quarterStart + 3, 1));
+      case 'last-quarter':
+        return range(new Date(year, quarterStart - 3, 1), new Date(year, quarterStart, 1));
+      case 'this-year':
+        return range(new Date(year, 0, 1), new Date(year + 1, 0, 1));
+      case 'last-year':
+        return range(new Date(year - 1, 0, 1), new Date(year, 0, 1));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse YYYY-MM-DD, YYYY-MM or a relative period into a local calendar range
+   * @param {string} value - Date text
+   * @returns {Object|null} { start, end } as Dates (end is the last millisecond)
+   */
+  function parseDateRange(value) {
+    const relative = getRelativeRange(value.toLowerCase());
+    if (relative) return relative;
+
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    if (month < 0 || month > 11) return null;
+
+    if (match[3] === undefined) {
+      return {
+        start: new Date(year, month, 1),
+        end: new Date(new Date(year, month + 1, 1).getTime() - 1)
+      };
+    }
+
+    const day = Number(match[3]);
+    const start = new Date(year, month, day);
+    if (start.getMonth() !== month) return null;
+    return { start, end: new Date(new Date(year, month, day + 1).getTime() - 1) };
+  }
+
+  /**
+   * Apply an amount term to the criteria
+   * @returns {boolean} False when the term is malformed
+   */
+  function applyAmount(criteria, operator, value) {
+    const range = /^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/.exec(value);
+    if (range && (operator === ':' || operator === '=')) {
+      criteria.minAmount = Number(range[1]);
+      criteria.maxAmount = Number(range[2]);
+      return true;
+    }
+
+    if (!/^\d+(?:\.\d+)?$/.test(value)) return false;
+    const amount = Number(value);
+
+    switch (operator) {
+      case '>': criteria.minAmount = amount; criteria.minExclusive = true; break;
+      case '>=': criteria.minAmount = amount; criteria.minExclusive = false; break;
+      case '<': criteria.maxAmount = amount; criteria.maxExclusive = true; break;
+      case '<=': criteria.maxAmount = amount; criteria.maxExclusive = false; break;
+      default: criteria.minAmount = amount; criteria.maxAmount = amount;
+    }
+    return true;
+  }
+
+  /**
+   * Parse a query string
+   * @param {string} query - Raw query text
+   * @returns {Object} { categories, billers, type, minAmount, maxAmount, minExclusive,
+   *                     maxExclusive, startDate, endDate, text, errors }
+   */
+  function parse(query) {
+    const criteria = {
+      categories: [],
+      billers: [],
+      type: null,
+      minAmount: null,
+      maxAmount: null,
+      minExclusive: false,
+      maxExclusive: false,
+      startDate: null,
+      endDate: null,
+      text: [],
+      errors: []
+    };
+
+    tokenize(query).forEach(token => {
+      const term = /^([a-z]+)(>=|<=|>|<|=|:)(.*)$/i.exec(token);
+      const key = term && KEY_ALIASES[term[1].toLowerCase()];
+
+      if (!key) {
+        criteria.text.push(token.toLowerCase());
+        return;
+      }
+
+      const operator = term[2];
+      const value = term[3].trim();
+
+      if (key === 'amount') {
+        if (!applyAmount(criteria, operator, value)) {
+          criteria.errors.push(`Invalid amount: ${token}`);
+        }
+        return;
+      }
+
+      if (operator !== ':' && operator !== '=') {
+        criteria.errors.push(`Unsupported comparison: ${token}`);
+        return;
+      }
+
+      if (key === 'category' || key === 'biller') {
+        const names = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        criteria[key === 'category' ? 'categories' : 'billers'].push(...names);
+        return;
+      }
+
+      if (key === 'type') {
+        if (TYPES.includes(value.toLowerCase())) {
+          criteria.type = value.toLowerCase();
+        } else {
+          criteria.errors.push(`Unknown type: ${value}`);
+        }
+        return;
+      }
+
+      const range = parseDateRange(value);
+      if (!range) {
+        criteria.errors.push(`Invalid date: ${token}`);
+        return;
+      }
+      if (key === 'after' || key === 'on') {
+        criteria.startDate = range.start;
+      }
+      if (key === 'before' || key === 'on') {
+        criteria.endDate = range.end;
+      }
+    });
+
+    return criteria;
+  }
+
+  /**
+   * Find the ids of named records
+   * An exact (case-insensitive) name match wins; otherwise every name containing the text matches.
+   * @param {Array<string>} names - Lowercase names from the query
+   * @param {Array} records - Categories or billers
+   * @param {Function} getName - Record -> display name
+   * @param {Function} getId - Record -> id
+   * @returns {Array} Matching ids (empty when nothing matches)
+   */
+  function matchNames(names, records, getName, getId) {
+    const ids = new Set();
+    names.forEach(name => {
+      const exact = records.filter(r => String(getName(r) || '').toLowerCase() === name);
+      const matches = exact.length > 0
+        ? exact
+        : records.filter(r => String(getName(r) || '').toLowerCase().includes(name));
+      matches.forEach(r => ids.add(getId(r)));
+    });
+    return [...ids];
+  }
+
+  /**
+   * Read the view name and query parameters from a location hash
+   * @param {string} hash - e.g. "#transactions?q=cat%3Afood&type=expense"
+   * @returns {Object} { view, params: URLSearchParams }
+   */
+  function parseLocationHash(hash) {
+    const raw = (hash || '').replace(/^#/, '');
+    const queryIndex = raw.indexOf('?');
+    return {
+      view: (queryIndex === -1 ? raw : raw.slice(0, queryIndex)) || null,
+      params: new URLSearchParams(queryIndex === -1 ? '' : raw.slice(queryIndex + 1))
+    };
+  }
+
+  /**
+   * Build a location hash for a view and its filters
+   * Empty values are left out so an unfiltered view is just "#view".
+   * @param {string} view - View name
+   * @param {Object} params - Parameter name -> value
+   * @returns {string} Hash without the leading "#"
+   */
+  function buildLocationHash(view, params = {}) {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== '') {
+        search.set(name, value);
+      }
+    });
+    const query = search.toString();
+    return query ? `${view}?${query}` : view;
+  }
+
+  /**
+   * Location hash of the transactions view for a set of filters
+   * @param {Object} filters - { query, type, categoryId }
+   * @returns {string} e.g. "transactions?q=cat%3Agroceries&type=expense"
+   */
+  function buildTransactionsHash({ query = '', type = null, categoryId = null } = {}) {
+    return buildLocationHash('transactions', {
+      q: query,
+      type: type && type !== 'all' ? type : null,
+      category: categoryId
+    });
+  }
+
+  // Public API
+  return {
+    tokenize,
+    parse,
+    getRelativeRange,
+    parseDateRange,
+    matchNames,
+    parseLocationHash,
+    buildLocationHash,
+    buildTransactionsHash
+  };
+})();
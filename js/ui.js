@@ -1,8 +1,9 @@
 const UI = (() => {
+  // query uses the TransactionQuery syntax (cat:, amount>, after:, ...)
   let currentFilters = {
     type: 'all',
     categoryId: null,
-    search: ''
+    query: ''
   };
 
   // State for selected month (null = current month)
@@ -14,6 +15,60 @@ const UI = (() => {
   // State for selected week in weekly expenses
   let selectedWeek = null; // null = current week
 
+  // State for the categories view month picker (0 = current month)
+  let categoriesMonthOffset = 0;
+
+  // State for the recurring view calendar (0 = current month)
+  let recurringCalendarOffset = 0;
+
+  // State for the planning view month picker (0 = current month)
+  let planningMonthOffset = 0;
+
+  // State for the goal detail view: goal shown
+  let selectedGoalId = null;
+
+  // State for the forecast view: days shown in the chart
+  let forecastHorizon = 90;
+
+  // State for the reports view: range key (Reports.RANGES) and the months of a custom range
+  let reportRange = '6m';
+  let reportCustomRange = { startMonth: null, endMonth: null };
+
+  // Categories stacked in the reports chart; the rest are shown as "Other"
+  const REPORT_CHART_CATEGORIES = 7;
+
+  // Line colors of the forecast chart accounts (the total is drawn in the primary color)
+  const FORECAST_COLORS = ['#59d666', '#ff9800', '#4fc3f7', '#f06292', '#ffd54f', '#a1887f', '#90a4ae'];
+
+  // Transfer legs have no category, show them as transfers in lists
+  const TRANSFER_CATEGORY_DISPLAY = { name: 'Transfer', icon: '⇄' };
+
+  // Icon for transactions split across several categories
+  const SPLIT_CATEGORY_ICON = '✂️';
+
+  // Transactions view list: pages read from storage so far, grouped by local day
+  const TRANSACTIONS_PAGE_SIZE = 100;
+  let transactionsList = {
+    filtersKey: null,
+    days: [], // [{ key, date, transactions }], newest first
+    nextCursor: null,
+    loading: false,
+    categoryMap: {},
+    currency: 'USD'
+  };
+
+  // Day groups far outside the viewport are collapsed to their height
+  const TRANSACTIONS_WINDOW_MARGIN = '1500px 0px';
+  let transactionDaysObserver = null;
+  let transactionsSentinelObserver = null;
+
+  // Multi-select for bulk edits in the transactions view
+  let selectionMode = false;
+  const selectedTransactionIds = new Set();
+
+  // Discards renders overtaken by a newer one (data-updated can fire in bursts)
+  let transactionsRenderId = 0;
+
   // Store current chart data for re-rendering without full dashboard refresh
   let currentChartData = {
     transactions: [],
@@ -92,7 +147,7 @@ const UI = (() => {
    */
   function getWeekExpenses(transactions, week) {
     return transactions.filter(t => {
-      if (t.transactionType !== 'expense') return false;
+      if (t.transactionType !== 'expense' || Utils.isTransfer(t)) return false;
       const date = new Date(t.transactionDate);
       return date >= week.startDate && date <= week.endDate;
     });
@@ -110,7 +165,7 @@ const UI = (() => {
       date.setDate(day);
 
       const dayExpenses = transactions.filter(t => {
-        if (t.transactionType !== 'expense') return false;
+        if (t.transactionType !== 'expense' || Utils.isTransfer(t)) return false;
         const tDate = new Date(t.transactionDate);
         return tDate.getDate() === day &&
                tDate.getMonth() === date.getMonth() &&
@@ -146,22 +201,28 @@ const UI = (() => {
       }
 
       const currentMonth = getMonthByOffset(selectedMonthOffset);
-      const [transactions, allTransactions, categories, goals, billers, metadata] = await Promise.all([
+      const [transactions, categories, availability, goals, billers, metadata, recurringRules, savedFilters] = await Promise.all([
         Storage.getTransactionsByMonth(currentMonth),
-        Storage.getAllTransactions(),
         Storage.getAllCategories(),
+        Storage.getCategoryAvailability(currentMonth),
         Storage.getAllSavingsGoals(true),
-        Storage.getAllBillers(),
-        Storage.getMetadata()
+        Storage.getBillerBalances(),
+        Storage.getMetadata(),
+        Storage.getRecurringTransactionsWithTemplates('active'),
+        Storage.getSavedFilters()
       ]);
 
-      // Calculate stats
+      // Pinned saved filters are shown as widgets (their own date terms, not the selected month)
+      const pinnedFilters = savedFilters.filter(f => f.pinned);
+      const pinnedSummaries = await Promise.all(pinnedFilters.map(f => Storage.getSavedFilterSummary(f)));
+
+      // Calculate stats (transfers between billers are neither income nor expense)
       const totalSpent = transactions
-        .filter(t => t.transactionType === 'expense')
+        .filter(t => t.transactionType === 'expense' && !Utils.isTransfer(t))
         .reduce((sum, t) => sum + Math.abs(t.transactionAmount), 0);
 
       const totalIncome = transactions
-        .filter(t => t.transactionType === 'income')
+        .filter(t => t.transactionType === 'income' && !Utils.isTransfer(t))
         .reduce((sum, t) => sum + Math.abs(t.transactionAmount), 0);
 
       // Calculate weeks for the current month
@@ -187,24 +248,18 @@ const UI = (() => {
       console.log('Using currency:', currency);
 
       // Calculate category data for doughnut chart
-      const categoriesWithSpent = await Promise.all(
-        categories.map(async (category) => {
-          const spent = await Storage.getCategorySpent(category.id, currentMonth);
-          return {
-            ...category,
-            spent,
-            budgetAmount: category.budgetAmount || 0
-          };
-        })
-      );
+      const categoriesWithSpent = categories.map(category => ({
+        ...category,
+        ...getCategoryFunds(availability, category)
+      }));
 
-      // Calculate total budget and spent (must be after categoriesWithSpent is defined)
+      // Calculate total budget, spent and available (must be after categoriesWithSpent is defined)
       const totalBudget = categoriesWithSpent.reduce((sum, c) => sum + (c.budgetAmount || 0), 0);
       const totalSpentAllCategories = categoriesWithSpent.reduce((sum, c) => sum + c.spent, 0);
-      const totalAvailable = totalBudget - totalSpentAllCategories;
+      const totalAvailable = categoriesWithSpent.reduce((sum, c) => sum + c.available, 0);
 
-      // Calculate biller balances
-      const billersWithBalances = calculateBillerBalances(billers, allTransactions);
+      // Order biller cards
+      const billersWithBalances = sortBillers(billers);
 
       // Generate week selector buttons
       const weekButtons = weeks.map((w, i) => `
@@ -285,6 +340,8 @@ const UI = (() => {
               </div>
             </div>
 
+            ${renderSavedFilterWidgets(pinnedFilters, pinnedSummaries, currency)}
+
             <!-- Middle Row: Expense Trend (left), Category Budget (right expanded) -->
             <div class="dashboard-grid two-col">
               <div class="dashboard-card">
@@ -334,6 +391,15 @@ const UI = (() => {
               </div>
             </div>
 
+            <!-- Upcoming Bills Section -->
+            <div class="full-width-card">
+              <div class="card-header">
+                <h3 class="card-title">Due in the Next 7 Days</h3>
+                <a href="#recurring" class="btn-text">View all</a>
+              </div>
+              ${renderUpcomingBillsPanel(recurringRules, categories, currency)}
+            </div>
+
             <!-- Recent Activity Section -->
             <div class="full-width-card">
               <div class="card-header">
@@ -448,7 +514,7 @@ const UI = (() => {
     }
 
     // Get expense transactions only
-    const expenses = transactions.filter(t => t.transactionType === 'expense');
+    const expenses = transactions.filter(t => t.transactionType === 'expense' && !Utils.isTransfer(t));
 
     // Sort by date
     expenses.sort((a, b) => new Date(a.transactionDate) - new Date(b.transactionDate));
@@ -758,12 +824,19 @@ const UI = (() => {
             callbacks: {
               label: function(context) {
                 const category = validCategories[context.dataIndex];
-                const percentage = Utils.calculatePercentage(category.spent, category.budgetAmount);
-                return [
+                const percentage = getFundsUsedPercentage(category);
+                const lines = [
                   `Spent: ${Utils.formatCurrency(category.spent, currency)}`,
-                  `Budget: ${Utils.formatCurrency(category.budgetAmount, currency)}`,
-                  `${percentage.toFixed(0)}% used`
+                  `Budget: ${Utils.formatCurrency(category.budgetAmount, currency)}`
                 ];
+                if (category.rollover) {
+                  lines.push(
+                    `Carried over: ${Utils.formatCurrency(category.carryover, currency)}`,
+                    `Available: ${Utils.formatCurrency(category.available, currency)}`
+                  );
+                }
+                lines.push(`${percentage.toFixed(0)}% used`);
+                return lines;
               }
             }
           }
@@ -795,7 +868,7 @@ const UI = (() => {
     ];
 
     container.innerHTML = validCategories.map((category, index) => {
-      const percentage = Utils.calculatePercentage(category.spent, category.budgetAmount);
+      const percentage = getFundsUsedPercentage(category);
       const icon = Utils.getCategoryIcon(category.iconName);
       const color = colors[index % colors.length];
       const progressClass = percentage >= 100 ? 'over' : percentage >= 80 ? 'warning' : '';
@@ -814,7 +887,7 @@ const UI = (() => {
           </div>
           <div class="category-breakdown-amounts">
             <span>${Utils.formatCurrency(category.spent, currency)} spent</span>
-            <span>of ${Utils.formatCurrency(category.budgetAmount, currency)}</span>
+            <span>of ${Utils.formatCurrency(category.budgetAmount + (category.carryover || 0), currency)}</span>
           </div>
         </div>
       `;
@@ -839,8 +912,8 @@ const UI = (() => {
     });
 
     return transactions.map(t => {
-      const category = categoryMap[t.transactionCategory] || { name: 'Unknown', icon: '?' };
-      const amountClass = t.transactionType === 'expense' ? 'expense' : 'income';
+      const category = getTransactionCategoryDisplay(t, categoryMap, '?');
+      const amountClass = Utils.isTransfer(t) ? 'transfer' : t.transactionType === 'expense' ? 'expense' : 'income';
       const amountPrefix = t.transactionType === 'expense' ? '-' : '+';
 
       return `
@@ -861,48 +934,27 @@ const UI = (() => {
   }
 
   /**
-   * Calculate biller balances from transactions
+   * Get the category name and icon shown for a transaction in lists
+   * @param {Object} t - Transaction
+   * @param {Object} categoryMap - Category ID -> { name, icon }
+   * @param {string} unknownIcon - Icon for a missing category
    */
-  function calculateBillerBalances(billers, transactions) {
-    const billersWithBalances = billers.map(biller => {
-      // Find all transactions for this biller
-      const billerTransactions = transactions.filter(t =>
-        t.billerName === biller.billerName
-      );
-
-      // Calculate balance (income adds, expenses subtract)
-      const balance = billerTransactions.reduce((sum, t) => {
-        if (t.transactionType === 'income') {
-          return sum + t.transactionAmount;
-        } else if (t.transactionType === 'expense') {
-          return sum - t.transactionAmount;
-        }
-        return sum;
-      }, 0);
-
+  function getTransactionCategoryDisplay(t, categoryMap, unknownIcon) {
+    if (Utils.isTransfer(t)) return TRANSFER_CATEGORY_DISPLAY;
+    if (Utils.isSplit(t)) {
       return {
-        ...biller,
-        balance,
-        transactionCount: billerTransactions.length
+        name: t.splits.map(split => categoryMap[split.categoryId]?.name || 'Unknown').join(' + '),
+        icon: SPLIT_CATEGORY_ICON
       };
-    });
-
-    // Find the "Total" or "Total Balance" biller and update its balance to sum of all others
-    const totalBiller = billersWithBalances.find(b =>
-      b.billerName === 'Total' || b.billerName === 'Total Balance'
-    );
-
-    if (totalBiller) {
-      // Calculate sum of all non-Total billers
-      const totalBalance = billersWithBalances
-        .filter(b => b.billerName !== 'Total' && b.billerName !== 'Total Balance')
-        .reduce((sum, b) => sum + b.balance, 0);
-
-      totalBiller.balance = totalBalance;
     }
+    return categoryMap[t.transactionCategory] || { name: 'Unknown', icon: unknownIcon };
+  }
 
-    return billersWithBalances.sort((a, b) => {
-      // Sort: Total first, then Wallet, then others by balance
+  /**
+   * Sort billers for display: Total first, then Wallet, then others by balance
+   */
+  function sortBillers(billers) {
+    return [...billers].sort((a, b) => {
       if (a.billerName === 'Total' || a.billerName === 'Total Balance') return -1;
       if (b.billerName === 'Total' || b.billerName === 'Total Balance') return 1;
       if (a.billerName === 'Wallet') return -1;
@@ -915,8 +967,21 @@ const UI = (() => {
    * Render biller cards in credit card style
    */
   function renderBillerCards(billers, currency) {
+    const isTotal = (biller) => biller.billerName === 'Total' || biller.billerName === 'Total Balance';
+    const accountCount = (billers || []).filter(b => !isTotal(b)).length;
+
+    const header = `
+      <div class="billers-header">
+        <span>Billers / Accounts</span>
+        <div class="billers-actions">
+          ${accountCount >= 2 ? '<button class="action-btn" onclick="CrudUI.showTransferModal()" title="Transfer between accounts">⇄</button>' : ''}
+          <button class="action-btn" onclick="CrudUI.showAddBillerModal()" title="Add account">＋</button>
+        </div>
+      </div>
+    `;
+
     if (!billers || billers.length === 0) {
-      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No accounts found</p>';
+      return header + '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No accounts found</p>';
     }
 
     const getBillerCardClass = (billerName) => {
@@ -953,8 +1018,6 @@ const UI = (() => {
       `;
     };
 
-    const header = '<div class="billers-header">Billers / Accounts</div>';
-
     const cards = billers.map(biller => {
       const cardClass = getBillerCardClass(biller.billerName);
       const icon = getBillerIcon(biller.billerName);
@@ -976,7 +1039,13 @@ const UI = (() => {
 
           <div class="biller-card-footer">
             <div class="biller-type">${Utils.escapeHtml(biller.billerName)}</div>
-            <div class="biller-chip"></div>
+            ${isTotal(biller) ? '<div class="biller-chip"></div>' : `
+              <div class="row-actions">
+                <button class="action-btn" onclick="CrudUI.showTransferModal('${biller.billerID}')" title="Transfer from this account">⇄</button>
+                <button class="action-btn" onclick="CrudUI.showEditBillerModal('${biller.billerID}')" title="Edit">✏️</button>
+                <button class="action-btn delete" onclick="CrudUI.deleteBiller('${biller.billerID}')" title="Delete">🗑️</button>
+              </div>
+            `}
           </div>
         </div>
       `;
@@ -987,20 +1056,55 @@ const UI = (() => {
 
   /**
    * Render Transactions View
+   * Transactions are read a page at a time through the transactionDate index and
+   * shown in day groups; more pages load as the end of the list comes into view.
+   * @param {Object} options - { preserveScroll: reload what is loaded and keep the scroll position,
+   *                             used when data changes under the view, e.g. after an edit }
    */
-  async function renderTransactions() {
+  async function renderTransactions({ preserveScroll = false } = {}) {
     const container = document.getElementById('transactions-content');
+    const renderId = ++transactionsRenderId;
+    const filtersKey = JSON.stringify(currentFilters);
+    const keepPosition = preserveScroll && filtersKey === transactionsList.filtersKey;
+    const scrollY = window.scrollY;
+    const loadedCount = keepPosition
+      ? transactionsList.days.reduce((sum, day) => sum + day.transactions.length, 0)
+      : 0;
 
     try {
-      const [transactions, categories, metadata] = await Promise.all([
-        Storage.getAllTransactions(currentFilters),
+      const [page, categories, metadata, savedFilters] = await Promise.all([
+        Storage.getTransactionsPage(currentFilters, { limit: Math.max(loadedCount, TRANSACTIONS_PAGE_SIZE) }),
         Storage.getAllCategories(),
-        Storage.getMetadata()
+        Storage.getMetadata(),
+        Storage.getSavedFilters()
       ]);
+      if (renderId !== transactionsRenderId) return;
 
       const currency = metadata?.currency || 'USD';
 
-      if (transactions.length === 0) {
+      // Update category filter dropdown
+      updateCategoryFilter(categories);
+      updateSavedFilterSelect(savedFilters);
+      renderQueryErrors();
+
+      // A selection only applies to the filters it was made under
+      if (filtersKey !== transactionsList.filtersKey) {
+        selectedTransactionIds.clear();
+      }
+
+      transactionsList = {
+        filtersKey,
+        days: groupTransactionsByDay(page.transactions),
+        nextCursor: page.nextCursor,
+        loading: false,
+        categoryMap: buildCategoryDisplayMap(categories),
+        currency
+      };
+      disconnectTransactionObservers();
+
+      updateBulkActions();
+
+      if (page.transactions.length === 0) {
         container.innerHTML = renderEmptyState(
           'No Transactions',
           'No transactions match your filters',
@@ -1010,19 +1114,343 @@ const UI = (() => {
       }
 
       container.innerHTML = `
-        <div class="card">
-          ${renderTransactionsList(transactions, categories, currency)}
+        <div class="card transaction-days${selectionMode ? ' selecting' : ''}" id="transaction-days">
+          ${transactionsList.days.map((day, index) => renderTransactionDay(day, index)).join('')}
         </div>
+        <div class="transactions-more" id="transactions-more">${renderTransactionsMore()}</div>
       `;
+      observeTransactionDays(container.querySelectorAll('.transaction-day'));
+      observeTransactionsSentinel();
 
-      // Update category filter dropdown
-      updateCategoryFilter(categories);
+      if (keepPosition) {
+        window.scrollTo(0, scrollY);
+      }
     } catch (error) {
       console.error('Failed to render transactions:', error);
       container.innerHTML = renderErrorState('Failed to load transactions');
     }
   }
 
+  /**
+   * Load the next page of the transactions view and append its day groups
+   */
+  async function loadMoreTransactions() {
+    const { nextCursor, filtersKey } = transactionsList;
+    if (!nextCursor || transactionsList.loading) return;
+
+    const renderId = transactionsRenderId;
+    transactionsList.loading = true;
+    updateTransactionsMore();
+
+    try {
+      const page = await Storage.getTransactionsPage(currentFilters, {
+        before: nextCursor,
+        limit: TRANSACTIONS_PAGE_SIZE
+      });
+      // The view was re-rendered meanwhile, this page belongs to the old list
+      if (renderId !== transactionsRenderId || filtersKey !== transactionsList.filtersKey) return;
+
+      const firstIndex = transactionsList.days.length;
+      const days = groupTransactionsByDay(page.transactions);
+      transactionsList.days.push(...days);
+      transactionsList.nextCursor = page.nextCursor;
+
+      const list = document.getElementById('transaction-days');
+      if (list && days.length > 0) {
+        list.insertAdjacentHTML('beforeend',
+          days.map((day, i) => renderTransactionDay(day, firstIndex + i)).join(''));
+        observeTransactionDays([...list.querySelectorAll('.transaction-day')].slice(firstIndex));
+      }
+    } catch (error) {
+      console.error('Failed to load more transactions:', error);
+    } finally {
+      if (renderId === transactionsRenderId) {
+        transactionsList.loading = false;
+        updateTransactionsMore();
+      }
+    }
+  }
+
+  /**
+   * Turn multi-select on or off in the transactions view
+   */
+  function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    if (!enabled) {
+      selectedTransactionIds.clear();
+      document.querySelectorAll('.transaction-select input').forEach(input => {
+        input.checked = false;
+      });
+    }
+    const list = document.getElementById('transaction-days');
+    if (list) {
+      list.classList.toggle('selecting', enabled);
+    }
+    updateBulkActions();
+  }
+
+  function isSelectionMode() {
+    return selectionMode;
+  }
+
+  function toggleTransactionSelection(transactionID, selected) {
+    if (selected) {
+      selectedTransactionIds.add(transactionID);
+    } else {
+      selectedTransactionIds.delete(transactionID);
+    }
+    updateBulkActions();
+  }
+
+  /**
+   * Select every transaction loaded so far (further pages are not loaded for this)
+   */
+  function selectAllLoadedTransactions() {
+    transactionsList.days.forEach(day => {
+      day.transactions.forEach(t => selectedTransactionIds.add(t.transactionID));
+    });
+    document.querySelectorAll('.transaction-select input').forEach(input => {
+      input.checked = true;
+    });
+    updateBulkActions();
+  }
+
+  function getSelectedTransactionIds() {
+    return [...selectedTransactionIds];
+  }
+
+  /**
+   * Show the bulk action bar with the selection count while selecting
+   */
+  function updateBulkActions() {
+    const bar = document.getElementById('bulk-actions');
+    if (bar) {
+      bar.style.display = selectionMode ? '' : 'none';
+      bar.querySelectorAll('[data-bulk-needs-selection]').forEach(button => {
+        button.disabled = selectedTransactionIds.size === 0;
+      });
+    }
+    const count = document.getElementById('bulk-selected-count');
+    if (count) {
+      count.textContent = `${selectedTransactionIds.size} selected`;
+    }
+    const toggle = document.getElementById('select-transactions-btn');
+    if (toggle) {
+      toggle.textContent = selectionMode ? 'Done' : 'Select';
+    }
+  }
+
+  /**
+   * Group transactions (newest first) by local calendar day
+   * @returns {Array} [{ key, date, transactions }]
+   */
+  function groupTransactionsByDay(transactions) {
+    const days = [];
+    transactions.forEach(t => {
+      const date = new Date(t.transactionDate);
+      const key = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+      const last = days[days.length - 1];
+      if (last && last.key === key) {
+        last.transactions.push(t);
+      } else {
+        days.push({ key, date: t.transactionDate, transactions: [t] });
+      }
+    });
+    return days;
+  }
+
+  /**
+   * Category ID -> { name, icon } for transaction rows
+   */
+  function buildCategoryDisplayMap(categories) {
+    const categoryMap = {};
+    categories.forEach(c => {
+      categoryMap[c.id] = {
+        name: c.categoryType,
+        icon: Utils.getCategoryIcon(c.iconName)
+      };
+    });
+    return categoryMap;
+  }
+
+  /**
+   * Render one day group of the transactions view
+   * Groups are rendered in full so they can be measured before being windowed.
+   */
+  function renderTransactionDay(day, index) {
+    return `
+      <section class="transaction-day" data-index="${index}">
+        ${renderTransactionDayContent(day)}
+      </section>
+    `;
+  }
+
+  /**
+   * Sticky date header with daily totals, followed by the day's rows
+   * Transfers move money between accounts and are left out of the totals.
+   */
+  function renderTransactionDayContent(day) {
+    const { categoryMap, currency } = transactionsList;
+    let spent = 0;
+    let received = 0;
+    day.transactions.forEach(t => {
+      if (Utils.isTransfer(t)) return;
+      if (t.transactionType === 'expense') {
+        spent += t.transactionAmount;
+      } else {
+        received += t.transactionAmount;
+      }
+    });
+
+    const totals = [
+      spent > 0 ? `<span class="expense">-${Utils.formatCurrency(spent, currency)}</span>` : '',
+      received > 0 ? `<span class="income">+${Utils.formatCurrency(received, currency)}</span>` : ''
+    ].join('');
+
+    return `
+      <div class="transaction-day-header">
+        <span class="transaction-day-date">${Utils.formatRelativeDate(day.date)}</span>
+        <span class="transaction-day-totals">${totals}</span>
+      </div>
+      ${day.transactions.map(t => renderTransactionItem(t, categoryMap, currency, { actions: true })).join('')}
+    `;
+  }
+
+  /**
+   * Window the day groups: fill them near the viewport, collapse them to their height far from it
+   */
+  function observeTransactionDays(sections) {
+    if (typeof IntersectionObserver === 'undefined') return;
+
+    if (!transactionDaysObserver) {
+      transactionDaysObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          const section = entry.target;
+          const day = transactionsList.days[section.dataset.index];
+          if (!day) return;
+
+          const collapsed = section.classList.contains('collapsed');
+          if (entry.isIntersecting && collapsed) {
+            section.innerHTML = renderTransactionDayContent(day);
+            section.style.height = '';
+            section.classList.remove('collapsed');
+          } else if (!entry.isIntersecting && !collapsed) {
+            section.style.height = `${section.offsetHeight}px`;
+            section.innerHTML = '';
+            section.classList.add('collapsed');
+          }
+        });
+      }, { rootMargin: TRANSACTIONS_WINDOW_MARGIN });
+    }
+
+    sections.forEach(section => transactionDaysObserver.observe(section));
+  }
+
+  /**
+   * Load the next page when the end of the list comes near the viewport
+   */
+  function observeTransactionsSentinel() {
+    const sentinel = document.getElementById('transactions-more');
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    transactionsSentinelObserver = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreTransactions();
+      }
+    }, { rootMargin: '600px 0px' });
+    transactionsSentinelObserver.observe(sentinel);
+  }
+
+  /**
+   * Stop windowing the previous list before it is replaced
+   */
+  function disconnectTransactionObservers() {
+    if (transactionDaysObserver) {
+      transactionDaysObserver.disconnect();
+    }
+    if (transactionsSentinelObserver) {
+      transactionsSentinelObserver.disconnect();
+      transactionsSentinelObserver = null;
+    }
+  }
+
+  /**
+   * Footer of the transactions list: load more button, or the end of the history
+   */
+  function renderTransactionsMore() {
+    if (transactionsList.loading) {
+      return '<span class="transactions-more-status">Loading…</span>';
+    }
+    if (transactionsList.nextCursor) {
+      return '<button class="btn-text" onclick="UI.loadMoreTransactions()">Load older transactions</button>';
+    }
+    return '<span class="transactions-more-status">No older transactions</span>';
+  }
+
+  function updateTransactionsMore() {
+    const footer = document.getElementById('transactions-more');
+    if (footer) {
+      footer.innerHTML = renderTransactionsMore();
+    }
+  }
+
+  /**
+   * Render dashboard widgets for pinned saved filters
+   * Each widget links to the transactions view with the filter applied.
+   */
+  function renderSavedFilterWidgets(pinnedFilters, summaries, currency) {
+    if (pinnedFilters.length === 0) return '';
+
+    const widgets = pinnedFilters.map((filter, i) => {
+      const { count, expenses, income } = summaries[i];
+      let label = 'Spent';
+      let total = expenses;
+      if (expenses === 0 && income > 0) {
+        label = 'Received';
+        total = income;
+      } else if (expenses > 0 && income > 0) {
+        label = 'Net';
+        total = income - expenses;
+      }
+
+      return `
+        <a class="stat-card-new saved-filter-widget" href="#${TransactionQuery.buildTransactionsHash(Storage.getSavedFilterFilters(filter))}">
+          <div class="stat-header">
+            <span class="stat-label">${Utils.escapeHtml(filter.name)}</span>
+            <span class="saved-filter-widget-count">${count} transaction${count === 1 ? '' : 's'}</span>
+          </div>
+          <div class="stat-value">${Utils.formatCurrency(total, currency)}</div>
+          <div class="saved-filter-widget-label">${label}</div>
+        </a>
+      `;
+    }).join('');
+
+    return `<div class="saved-filter-widgets">${widgets}</div>`;
+  }
+
+  /**
+   * Get a category's funds for a month from Storage.getCategoryAvailability
+   * @returns {Object} { budgetAmount, carryover, spent, available, rollover }
+   */
+  function getCategoryFunds(availability, category) {
+    return availability.get(category.id) || {
+      budgetAmount: 0,
+      carryover: 0,
+      spent: 0,
+      available: 0,
+      rollover: false
+    };
+  }
+
+  /**
+   * Percentage of a category's funds (budget + carried over) that is spent
+   */
+  function getFundsUsedPercentage(category) {
+    const funds = category.budgetAmount + (category.carryover || 0);
+    if (funds <= 0) return category.spent > 0 ? 100 : 0;
+    return Utils.calculatePercentage(category.spent, funds);
+  }
+
   /**
    * Render Categories View
    */
@@ -1030,8 +1458,10 @@ const UI = (() => {
     const container = document.getElementById('categories-content');
 
     try {
-      const [categories, metadata] = await Promise.all([
-        Storage.getAllCategories(),
+      const selectedMonth = getMonthByOffset(categoriesMonthOffset);
+      const [categories, availability, metadata] = await Promise.all([
+        Storage.getActiveCategories(),
+        Storage.getCategoryAvailability(selectedMonth),
         Storage.getMetadata()
       ]);
 
@@ -1044,23 +1474,20 @@ const UI = (() => {
         return;
       }
 
-      const currentMonth = Utils.getCurrentMonthYear();
       const currency = metadata?.currency || 'USD';
 
-      // Calculate spent for each category
-      const categoriesWithSpent = await Promise.all(
-        categories.map(async (category) => {
-          const spent = await Storage.getCategorySpent(category.id, currentMonth);
-          return { ...category, spent };
-        })
-      );
+      // Budget, carried-over amount and spending in the selected month
+      const categoriesWithSpent = categories.map(category => ({
+        ...category,
+        ...getCategoryFunds(availability, category)
+      }));
 
       // Sort by budget amount (descending)
       categoriesWithSpent.sort((a, b) => b.budgetAmount - a.budgetAmount);
 
-      const html = categoriesWithSpent.map(category => {
-        const remaining = category.budgetAmount - category.spent;
-        const percentage = Utils.calculatePercentage(category.spent, category.budgetAmount);
+      const cards = categoriesWithSpent.map(category => {
+        const remaining = category.available;
+        const percentage = getFundsUsedPercentage(category);
         const progressClass = percentage >= 100 ? 'danger' : percentage >= 80 ? 'warning' : '';
         const icon = Utils.getCategoryIcon(category.iconName);
 
@@ -1070,18 +1497,29 @@ const UI = (() => {
               <div class="category-name">
                 <span class="category-icon">${icon}</span>
                 ${Utils.escapeHtml(category.categoryType)}
+                ${category.rollover ? '<span class="rollover-badge" title="Unspent budget rolls into next month">Rollover</span>' : ''}
+              </div>
+              <div class="row-actions">
+                <button class="action-btn" onclick="CrudUI.showMonthlyBudgetModal(${category.id}, '${selectedMonth}')" title="Edit budget for ${Utils.formatMonthYear(selectedMonth)}">📅</button>
+                <button class="action-btn" onclick="CrudUI.showEditCategoryModal(${category.id})" title="Edit">✏️</button>
+                <button class="action-btn delete" onclick="CrudUI.deleteCategory(${category.id})" title="Delete">🗑️</button>
               </div>
             </div>
             <div class="category-amounts">
               <span class="category-budget">Budget: ${Utils.formatCurrency(category.budgetAmount, currency)}</span>
               <span class="category-spent">Spent: ${Utils.formatCurrency(category.spent, currency)}</span>
             </div>
+            ${category.rollover ? `
+              <div class="category-amounts category-carryover">
+                <span class="${category.carryover < 0 ? 'over-budget' : ''}">Carried over: ${category.carryover > 0 ? '+' : ''}${Utils.formatCurrency(category.carryover, currency)}</span>
+              </div>
+            ` : ''}
             <div class="progress-bar">
               <div class="progress-fill ${progressClass}" style="width: ${Math.min(percentage, 100)}%"></div>
             </div>
             <div class="category-amounts" style="margin-top: 8px;">
               <span class="category-remaining ${remaining < 0 ? 'over-budget' : ''}">
-                Remaining: ${Utils.formatCurrency(remaining, currency)}
+                ${category.rollover ? 'Available' : 'Remaining'}: ${Utils.formatCurrency(remaining, currency)}
               </span>
               <span style="color: var(--text-secondary);">${percentage.toFixed(0)}%</span>
             </div>
@@ -1089,7 +1527,38 @@ const UI = (() => {
         `;
       }).join('');
 
-      container.innerHTML = html;
+      container.innerHTML = `
+        <div class="month-navigation">
+          <button class="month-nav-btn" id="categories-prev-month" title="Previous month">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="15 18 9 12 15 6"></polyline>
+            </svg>
+          </button>
+          <div class="month-display">
+            <div class="month-label">${getMonthNameByOffset(categoriesMonthOffset)}</div>
+            ${categoriesMonthOffset !== 0 ? '<button class="btn-text" id="categories-this-month">Back to this month</button>' : ''}
+          </div>
+          <button class="month-nav-btn" id="categories-next-month" title="Next month">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="9 18 15 12 9 6"></polyline>
+            </svg>
+          </button>
+        </div>
+        ${cards}
+      `;
+
+      document.getElementById('categories-prev-month').addEventListener('click', () => {
+        categoriesMonthOffset--;
+        renderCategories();
+      });
+      document.getElementById('categories-next-month').addEventListener('click', () => {
+        categoriesMonthOffset++;
+        renderCategories();
+      });
+      document.getElementById('categories-this-month')?.addEventListener('click', () => {
+        categoriesMonthOffset = 0;
+        renderCategories();
+      });
     } catch (error) {
       console.error('Failed to render categories:', error);
       container.innerHTML = renderErrorState('Failed to load categories');
@@ -1103,9 +1572,11 @@ const UI = (() => {
     const container = document.getElementById('goals-content');
 
     try {
-      const [goals, metadata] = await Promise.all([
+      const [goals, metadata, categories, pending] = await Promise.all([
         Storage.getAllSavingsGoals(),
-        Storage.getMetadata()
+        Storage.getMetadata(),
+        Storage.getAllCategories(),
+        GoalAllocation.getPending()
       ]);
 
       if (goals.length === 0) {
@@ -1136,14 +1607,21 @@ const UI = (() => {
         const percentage = Utils.calculatePercentage(goal.currentAmount, goal.targetAmount);
         const progressClass = percentage >= 100 ? 'success' : percentage >= 75 ? 'warning' : '';
         const daysText = goal.targetDate ? Utils.formatDaysUntil(goal.targetDate) : '';
+        const allocation = GoalAllocation.describe(goal, categories);
 
         return `
           <div class="goal-card">
             <div class="goal-header">
-              <div class="goal-name">${Utils.escapeHtml(goal.goalName)}</div>
+              <a class="goal-name goal-link" href="#goal?id=${goal.id}">${Utils.escapeHtml(goal.goalName)}</a>
               ${goal.priority ? `<span class="goal-priority ${goal.priority}">${goal.priority}</span>` : ''}
+              <div class="row-actions">
+                <button class="action-btn" onclick="CrudUI.showAddGoalTransactionModal(${goal.id})" title="Add contribution or withdrawal">＋</button>
+                <button class="action-btn" onclick="CrudUI.showEditGoalModal(${goal.id})" title="Edit">✏️</button>
+                <button class="action-btn delete" onclick="CrudUI.deleteGoal(${goal.id})" title="Delete">🗑️</button>
+              </div>
             </div>
             ${goal.description ? `<p class="card-subtitle">${Utils.escapeHtml(goal.description)}</p>` : ''}
+            ${allocation ? `<div class="goal-allocation">Auto: ${Utils.escapeHtml(allocation)}${goal.requireApprovalBeforeAllocation ? ', after approval' : ''}</div>` : ''}
             <div class="goal-progress">${percentage.toFixed(1)}%</div>
             <div class="progress-bar">
               <div class="progress-fill ${progressClass}" style="width: ${Math.min(percentage, 100)}%"></div>
@@ -1162,7 +1640,7 @@ const UI = (() => {
         `;
       }).join('');
 
-      container.innerHTML = html;
+      container.innerHTML = renderPendingAllocations(pending, currency) + html;
     } catch (error) {
       console.error('Failed to render goals:', error);
       container.innerHTML = renderErrorState('Failed to load goals');
@@ -1170,47 +1648,1748 @@ const UI = (() => {
   }
 
   /**
-   * Render transactions list
+   * Choose the goal the detail view shows
+   * @param {number} goalId - Goal ID
    */
-  function renderTransactionsList(transactions, categories, currency) {
-    if (transactions.length === 0) {
-      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No transactions</p>';
-    }
+  function setSelectedGoal(goalId) {
+    selectedGoalId = goalId;
+  }
 
-    // Create category lookup map with name and icon
-    const categoryMap = {};
-    categories.forEach(c => {
-      categoryMap[c.id] = {
-        name: c.categoryType,
-        icon: Utils.getCategoryIcon(c.iconName)
-      };
-    });
+  function getSelectedGoal() {
+    return selectedGoalId;
+  }
 
-    return transactions.map(t => {
-      const category = categoryMap[t.transactionCategory] || { name: 'Unknown', icon: '💰' };
-      const amountClass = t.transactionType === 'expense' ? 'expense' : 'income';
-      const amountPrefix = t.transactionType === 'expense' ? '-' : '+';
+  const GOAL_TRANSACTION_LABELS = {
+    contribution: 'Contribution',
+    withdrawal: 'Withdrawal',
+    auto_income: 'Saved from income',
+    auto_leftover: 'Leftover budget'
+  };
 
-      return `
-        <div class="transaction-item">
-          <div class="transaction-info">
-            <div class="transaction-merchant">
-              <span class="category-icon">${category.icon}</span>
-              ${Utils.escapeHtml(t.merchantName)}
+  /**
+   * Render Goal Detail View
+   * History of one goal's contributions and withdrawals, with its outlook
+   */
+  async function renderGoalDetail() {
+    const container = document.getElementById('goal-content');
+    const title = document.getElementById('goal-detail-title');
+
+    try {
+      const [goal, goalTransactions, metadata] = await Promise.all([
+        selectedGoalId ? Storage.db.savingsGoals.get(selectedGoalId) : null,
+        selectedGoalId ? Storage.getGoalTransactions(selectedGoalId) : [],
+        Storage.getMetadata()
+      ]);
+
+      if (!goal || goal.deleted) {
+        title.textContent = 'Goal';
+        container.innerHTML = renderEmptyState('Goal Not Found', 'This goal no longer exists', 'Pick a goal from Savings Goals');
+        return;
+      }
+
+      const currency = metadata?.currency || 'USD';
+      const money = amount => Utils.formatCurrency(amount, currency);
+      const progress = GoalProgress.summarize(goal, goalTransactions);
+      const percentage = Utils.calculatePercentage(goal.currentAmount, goal.targetAmount);
+
+      title.textContent = goal.goalName;
+      container.innerHTML = `
+        <div class="full-width-card">
+          <div class="goal-amounts">
+            <span>${money(goal.currentAmount)} saved</span>
+            <span>${money(goal.targetAmount)} target</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill ${percentage >= 100 ? 'success' : ''}" style="width: ${Math.min(percentage, 100)}%"></div>
+          </div>
+          <div class="goal-detail-actions">
+            <span class="card-subtitle">${percentage.toFixed(1)}% · ${progress.complete ? 'Target reached' : `${money(progress.remaining)} to go`}</span>
+            <button class="btn-text" onclick="CrudUI.showAddGoalTransactionModal(${goal.id})">＋ Add</button>
+            <button class="btn-text" onclick="CrudUI.showEditGoalModal(${goal.id})">Edit goal</button>
+          </div>
+        </div>
+
+        <div class="stats-grid">
+          <div class="stat-card">
+            <div class="stat-label">Average Monthly Saving</div>
+            <div class="stat-value ${progress.averageMonthly < 0 ? 'negative' : ''}">${money(progress.averageMonthly)}</div>
+            <div class="card-subtitle">Last ${GoalProgress.AVERAGE_MONTHS} months at most</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Projected Completion</div>
+            <div class="stat-value">${progress.complete ? 'Reached' : progress.projectedDate ? Utils.formatDate(progress.projectedDate) : '—'}</div>
+            <div class="card-subtitle">${renderGoalOutlook(progress)}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Target Date</div>
+            <div class="stat-value">${progress.targetDate ? Utils.formatDate(progress.targetDate) : '—'}</div>
+            ${progress.targetDate ? `<div class="card-subtitle">${Utils.formatDaysUntil(progress.targetDate)}</div>` : ''}
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Needed per Month</div>
+            <div class="stat-value">${progress.requiredMonthly !== null ? money(progress.requiredMonthly) : '—'}</div>
+            <div class="card-subtitle">${progress.requiredMonthly === null
+              ? (progress.complete ? 'Nothing left to save' : 'Set a target date to see this')
+              : progress.overdue ? 'Target date has passed' : 'To reach the target on time'}</div>
+          </div>
+        </div>
+
+        ${progress.months.length > 0 ? `
+          <div class="full-width-card">
+            <div class="card-header">
+              <h3 class="card-title">History</h3>
             </div>
-            <div class="transaction-meta">
-              ${Utils.formatRelativeDate(t.transactionDate)} &bull; ${Utils.escapeHtml(category.name)}
+            <div class="chart-container goal-chart">
+              <canvas id="goalHistoryChart"></canvas>
             </div>
           </div>
-          <div class="transaction-amount ${amountClass}">
-            ${amountPrefix}${Utils.formatCurrency(t.transactionAmount, currency)}
+        ` : ''}
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Contributions and Withdrawals</h3>
           </div>
+          ${renderGoalTransactionList(progress.transactions, money)}
         </div>
       `;
-    }).join('');
-  }
 
-  /**
+      if (progress.months.length > 0) {
+        renderGoalHistoryChart(progress.months, currency);
+      }
+    } catch (error) {
+      console.error('Failed to render goal:', error);
+      container.innerHTML = renderErrorState('Failed to load goal');
+    }
+  }
+
+  /**
+   * Projected completion against the target date
+   */
+  function renderGoalOutlook(progress) {
+    if (progress.complete) return 'Target reached';
+    if (!progress.projectedDate) return 'Not growing at the current pace';
+    if (progress.onTrack === null) return 'At the average pace';
+    return progress.onTrack
+      ? '<span class="income-text">On track for the target date</span>'
+      : '<span class="expense-text">Later than the target date</span>';
+  }
+
+  function renderGoalTransactionList(transactions, money) {
+    if (transactions.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No contributions yet</p>';
+    }
+
+    return transactions.map(gt => {
+      const withdrawal = gt.transactionType === 'withdrawal';
+      return `
+        <div class="transaction-item">
+          <div class="transaction-info">
+            <div class="transaction-merchant">${GOAL_TRANSACTION_LABELS[gt.transactionType] || 'Contribution'}</div>
+            <div class="transaction-meta">${Utils.formatDate(gt.transactionDate)}${gt.description ? ` · ${Utils.escapeHtml(gt.description)}` : ''}</div>
+          </div>
+          <div class="transaction-amount ${withdrawal ? 'expense' : 'income'}">${withdrawal ? '-' : '+'}${money(gt.amount)}</div>
+          <div class="row-actions">
+            <button class="action-btn" onclick="CrudUI.showEditGoalTransactionModal(${gt.id})" title="Edit">✏️</button>
+            <button class="action-btn delete" onclick="CrudUI.deleteGoalTransaction(${gt.id})" title="Delete">🗑️</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Monthly deposits and withdrawals as bars, with the goal's balance as a line
+   */
+  function renderGoalHistoryChart(months, currency) {
+    const canvas = document.getElementById('goalHistoryChart');
+    if (!canvas) return;
+
+    if (canvas.chart) {
+      canvas.chart.destroy();
+    }
+
+    canvas.chart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: months.map(month => {
+          const [year, monthNumber] = month.yearMonth.split('-').map(Number);
+          return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        }),
+        datasets: [
+          {
+            label: 'Contributions',
+            data: months.map(month => month.deposits),
+            backgroundColor: '#59d666',
+            borderRadius: 6,
+            yAxisID: 'y'
+          },
+          {
+            label: 'Withdrawals',
+            data: months.map(month => -month.withdrawals),
+            backgroundColor: '#ff6b6b',
+            borderRadius: 6,
+            yAxisID: 'y'
+          },
+          {
+            type: 'line',
+            label: 'Balance',
+            data: months.map(month => month.balance),
+            borderColor: '#6E61EF',
+            backgroundColor: '#6E61EF',
+            borderWidth: 2,
+            tension: 0.3,
+            yAxisID: 'balance'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#cac4cf', boxWidth: 12 } },
+          tooltip: {
+            ...REPORT_CHART_TOOLTIP,
+            callbacks: {
+              label: context => `${context.dataset.label}: ${Utils.formatCurrency(Math.abs(context.parsed.y), currency)}`
+            }
+          }
+        },
+        scales: {
+          x: { stacked: true, grid: { display: false }, ticks: { color: '#cac4cf' } },
+          y: {
+            stacked: true,
+            grid: { color: 'rgba(148, 143, 153, 0.1)', drawBorder: false },
+            ticks: { color: '#cac4cf', callback: value => Utils.formatCurrency(value, currency) }
+          },
+          balance: {
+            position: 'right',
+            beginAtZero: true,
+            grid: { display: false },
+            ticks: { color: '#cac4cf', callback: value => Utils.formatCurrency(value, currency) }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Automatic goal allocations waiting for approval
+   */
+  function renderPendingAllocations(pending, currency) {
+    if (pending.length === 0) return '';
+
+    const rows = pending.map(proposal => `
+      <div class="transaction-item">
+        <div class="transaction-info">
+          <div class="transaction-merchant">${Utils.escapeHtml(proposal.goalName)}</div>
+          <div class="transaction-meta">${Utils.escapeHtml(proposal.description)} · ${Utils.formatDate(proposal.transactionDate)}</div>
+        </div>
+        <div class="transaction-amount income">${Utils.formatCurrency(proposal.amount, currency)}</div>
+        <div class="row-actions">
+          <button class="action-btn" onclick="CrudUI.approveGoalAllocation('${proposal.id}')" title="Save to the goal">✅</button>
+          <button class="action-btn delete" onclick="CrudUI.dismissGoalAllocation('${proposal.id}')" title="Skip">✖️</button>
+        </div>
+      </div>
+    `).join('');
+
+    return `
+      <div class="full-width-card pending-allocations">
+        <div class="card-title-section">
+          <h3>Waiting for Approval</h3>
+          ${pending.length > 1 ? '<button class="btn-text" onclick="CrudUI.approveAllGoalAllocations()">Approve all</button>' : ''}
+        </div>
+        ${rows}
+      </div>
+    `;
+  }
+
+  /**
+   * Render Recurring Transactions View
+   */
+  async function renderRecurring() {
+    const container = document.getElementById('recurring-content');
+
+    try {
+      const [rules, categories, metadata] = await Promise.all([
+        Storage.getRecurringTransactionsWithTemplates(),
+        Storage.getAllCategories(),
+        Storage.getMetadata()
+      ]);
+
+      if (rules.length === 0) {
+        container.innerHTML = renderEmptyState(
+          'No Recurring Transactions',
+          'Rent, salaries and subscriptions you schedule will appear here',
+          'Use the + button to add one'
+        );
+        return;
+      }
+
+      const currency = metadata?.currency || 'USD';
+      const categoryMap = {};
+      categories.forEach(c => { categoryMap[c.id] = c; });
+
+      // Soonest due first; rules without a due date sink to the bottom
+      const byDueDate = (a, b) => (a.nextDueDate || '9999').localeCompare(b.nextDueDate || '9999');
+      const groups = [
+        { status: 'active', title: 'Active' },
+        { status: 'paused', title: 'Paused' },
+        { status: 'completed', title: 'Completed' }
+      ];
+
+      const sections = groups.map(group => {
+        const groupRules = rules.filter(r => (r.status || 'active') === group.status).sort(byDueDate);
+        if (groupRules.length === 0) return '';
+
+        return `
+          <div class="full-width-card">
+            <div class="card-header">
+              <h3 class="card-title">${group.title} <span class="recurring-count">${groupRules.length}</span></h3>
+            </div>
+            ${groupRules.map(rule => renderRecurringItem(rule, categoryMap, currency)).join('')}
+          </div>
+        `;
+      }).join('');
+
+      container.innerHTML = `
+        <div class="full-width-card recurring-calendar-card">
+          <div class="card-title-section">
+            <h3>Upcoming Bills</h3>
+            <div class="recurring-calendar-nav">
+              <button class="month-nav-btn" id="recurring-prev-month" title="Previous month">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <polyline points="15 18 9 12 15 6"></polyline>
+                </svg>
+              </button>
+              <span class="month-label">${getMonthNameByOffset(recurringCalendarOffset)}</span>
+              <button class="month-nav-btn" id="recurring-next-month" title="Next month">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+              </button>
+            </div>
+          </div>
+          ${renderRecurringCalendar(rules, categoryMap, currency, getMonthByOffset(recurringCalendarOffset))}
+        </div>
+        ${sections}
+      `;
+
+      document.getElementById('recurring-prev-month')?.addEventListener('click', () => {
+        recurringCalendarOffset--;
+        renderRecurring();
+      });
+      document.getElementById('recurring-next-month')?.addEventListener('click', () => {
+        recurringCalendarOffset++;
+        renderRecurring();
+      });
+    } catch (error) {
+      console.error('Failed to render recurring transactions:', error);
+      container.innerHTML = renderErrorState('Failed to load recurring transactions');
+    }
+  }
+
+  /**
+   * Render a single recurring rule row
+   */
+  function renderRecurringItem(rule, categoryMap, currency) {
+    const template = rule.template;
+    const category = template ? categoryMap[template.transactionCategory] : null;
+    const icon = Utils.getCategoryIcon(category?.iconName);
+    const amountClass = template?.transactionType === 'income' ? 'income' : 'expense';
+    const amountPrefix = template?.transactionType === 'income' ? '+' : '-';
+    const status = rule.status || 'active';
+
+    let dueText = '';
+    if (status === 'active' && rule.nextDueDate) {
+      const days = Utils.daysUntil(rule.nextDueDate);
+      dueText = `<span class="recurring-due ${days < 0 ? 'overdue' : days <= 7 ? 'soon' : ''}">${Utils.formatDaysUntil(rule.nextDueDate, { due: true })}</span>`;
+    } else if (status === 'completed' && rule.lastProcessedDate) {
+      dueText = `<span class="recurring-due">Last ${Utils.formatDate(rule.lastProcessedDate)}</span>`;
+    }
+
+    const toggleButton = status === 'active'
+      ? `<button class="action-btn" onclick="CrudUI.toggleRecurringStatus('${rule.id}')" title="Pause">⏸️</button>`
+      : status === 'paused'
+        ? `<button class="action-btn" onclick="CrudUI.toggleRecurringStatus('${rule.id}')" title="Resume">▶️</button>`
+        : '';
+
+    return `
+      <div class="transaction-item recurring-item ${status}">
+        <div class="transaction-info">
+          <div class="transaction-merchant">
+            <span class="category-icon">${icon}</span>
+            ${Utils.escapeHtml(template?.merchantName || 'Missing template transaction')}
+          </div>
+          <div class="transaction-meta">
+            ${Utils.escapeHtml(RecurringSchedule.describe(rule))}
+            ${category ? ` &bull; ${Utils.escapeHtml(category.categoryType)}` : ''}
+            ${rule.endDate ? ` &bull; until ${Utils.formatDate(rule.endDate)}` : ''}
+          </div>
+        </div>
+        <div class="recurring-right">
+          ${template ? `<div class="transaction-amount ${amountClass}">${amountPrefix}${Utils.formatCurrency(template.transactionAmount, currency)}</div>` : ''}
+          ${dueText}
+        </div>
+        <div class="row-actions">
+          ${status === 'active' && rule.nextDueDate && template ? `<button class="action-btn" onclick="CrudUI.markRecurringPaid('${rule.id}')" title="Mark paid">✅</button>` : ''}
+          <button class="action-btn" onclick="CrudUI.showEditRecurringModal('${rule.id}')" title="Edit">✏️</button>
+          ${toggleButton}
+          <button class="action-btn delete" onclick="CrudUI.deleteRecurring('${rule.id}')" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render month calendar of upcoming occurrences for active rules
+   * @param {string} monthYear - Format: YYYY-MM
+   */
+  function renderRecurringCalendar(rules, categoryMap, currency, monthYear) {
+    const [year, month] = monthYear.split('-').map(Number);
+    const monthStart = new Date(Date.UTC(year, month - 1, 1));
+    const monthEnd = new Date(Date.UTC(year, month, 0));
+    const todayKey = RecurringSchedule.toIso(RecurringSchedule.toUtcDay(new Date())).slice(0, 10);
+
+    // Bucket occurrences by YYYY-MM-DD
+    const occurrencesByDay = {};
+    rules
+      .filter(r => r.status === 'active' && r.nextDueDate)
+      .forEach(rule => {
+        RecurringSchedule.getOccurrencesBetween(rule, monthStart, monthEnd, { fromNextDue: true })
+          .forEach(date => {
+            const key = date.slice(0, 10);
+            (occurrencesByDay[key] = occurrencesByDay[key] || []).push(rule);
+          });
+      });
+
+    const dayHeaders = RecurringSchedule.WEEKDAY_NAMES
+      .map(name => `<div class="recurring-calendar-weekday">${name.slice(0, 3)}</div>`)
+      .join('');
+
+    // Monday-first grid, padded with blanks before the 1st
+    const leadingBlanks = (monthStart.getUTCDay() + 6) % 7;
+    const cells = [];
+    for (let i = 0; i < leadingBlanks; i++) {
+      cells.push('<div class="recurring-calendar-day empty"></div>');
+    }
+
+    for (let day = 1; day <= monthEnd.getUTCDate(); day++) {
+      const key = `${monthYear}-${String(day).padStart(2, '0')}`;
+      const dayRules = occurrencesByDay[key] || [];
+      const entries = dayRules.map(rule => {
+        const category = rule.template ? categoryMap[rule.template.transactionCategory] : null;
+        const amount = rule.template ? Utils.formatCurrency(rule.template.transactionAmount, currency) : '';
+        const title = `${rule.template?.merchantName || ''} ${amount}`.trim();
+        return `
+          <div class="recurring-calendar-entry ${rule.template?.transactionType === 'income' ? 'income' : 'expense'}" title="${Utils.escapeHtml(title)}">
+            <span>${Utils.getCategoryIcon(category?.iconName)}</span>
+            <span class="recurring-calendar-entry-name">${Utils.escapeHtml(rule.template?.merchantName || '')}</span>
+          </div>
+        `;
+      }).join('');
+
+      cells.push(`
+        <div class="recurring-calendar-day ${key === todayKey ? 'today' : ''} ${dayRules.length ? 'has-entries' : ''}">
+          <div class="recurring-calendar-date">${day}</div>
+          ${entries}
+        </div>
+      `);
+    }
+
+    return `
+      <div class="recurring-calendar">
+        ${dayHeaders}
+        ${cells.join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render "due in the next 7 days" panel for the dashboard
+   */
+  function renderUpcomingBillsPanel(rules, categories, currency) {
+    const categoryMap = {};
+    categories.forEach(c => { categoryMap[c.id] = c; });
+
+    const today = RecurringSchedule.toUtcDay(new Date());
+    const weekAhead = new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    // Overdue occurrences (nextDueDate in the past) are included so they aren't missed
+    const upcoming = [];
+    rules
+      .filter(r => r.status === 'active' && r.nextDueDate)
+      .forEach(rule => {
+        const from = RecurringSchedule.toUtcDay(rule.nextDueDate) < today ? rule.nextDueDate : today;
+        RecurringSchedule.getOccurrencesBetween(rule, from, weekAhead, { fromNextDue: true, limit: 7 })
+          .forEach(date => upcoming.push({ rule, date }));
+      });
+
+    upcoming.sort((a, b) => a.date.localeCompare(b.date));
+
+    if (upcoming.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">Nothing due in the next 7 days</p>';
+    }
+
+    return upcoming.map(({ rule, date }) => {
+      const template = rule.template;
+      const category = template ? categoryMap[template.transactionCategory] : null;
+      const amountClass = template?.transactionType === 'income' ? 'income' : 'expense';
+      const days = Utils.daysUntil(date);
+
+      return `
+        <div class="transaction-item">
+          <div class="transaction-info">
+            <div class="transaction-merchant">
+              <span class="category-icon">${Utils.getCategoryIcon(category?.iconName)}</span>
+              ${Utils.escapeHtml(template?.merchantName || 'Recurring transaction')}
+            </div>
+            <div class="transaction-meta">
+              <span class="recurring-due ${days < 0 ? 'overdue' : 'soon'}">${Utils.formatDaysUntil(date, { due: true })}</span>
+              &bull; ${Utils.formatDate(date)}
+            </div>
+          </div>
+          ${template ? `<div class="transaction-amount ${amountClass}">${Utils.formatCurrency(template.transactionAmount, currency)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render Planning View
+   * Planned income (monthlyIncome) against income received, and how budgets and goals allocate it
+   */
+  async function renderPlanning() {
+    const container = document.getElementById('planning-content');
+
+    try {
+      const selectedMonth = getMonthByOffset(planningMonthOffset);
+      const [plan, metadata] = await Promise.all([
+        Storage.getBudgetPlan(selectedMonth),
+        Storage.getMetadata()
+      ]);
+      const currency = metadata?.currency || 'USD';
+      const money = amount => Utils.formatCurrency(amount, currency);
+      const share = amount => (plan.incomeBase > 0 ? `${Math.round((amount / plan.incomeBase) * 100)}%` : '');
+
+      const receivedPercentage = plan.plannedIncome > 0 ? Utils.calculatePercentage(plan.actualIncome, plan.plannedIncome) : 0;
+      const allocated = plan.budgeted + plan.goalContributions;
+      const segment = amount => (allocated > 0 ? (amount / Math.max(allocated, plan.incomeBase)) * 100 : 0);
+
+      const categoryRows = [...plan.categories]
+        .sort((a, b) => b.budgetAmount - a.budgetAmount)
+        .map(row => `
+          <div class="transaction-item planning-item">
+            <div class="transaction-info">
+              <div class="transaction-merchant">
+                <span class="category-icon">${Utils.getCategoryIcon(row.category.iconName)}</span>
+                ${Utils.escapeHtml(row.category.categoryType)}
+              </div>
+              <div class="transaction-meta">Spent ${money(row.spent)}${plan.incomeBase > 0 ? ` &bull; ${share(row.budgetAmount)} of income` : ''}</div>
+            </div>
+            <div class="transaction-amount">${money(row.budgetAmount)}</div>
+            <div class="row-actions">
+              ${plan.unallocated > 0.005 ? `<button class="action-btn" onclick="CrudUI.assignUnallocatedIncome(${row.category.id}, '${selectedMonth}')" title="Add the unallocated ${money(plan.unallocated)} to this budget">＋</button>` : ''}
+              <button class="action-btn" onclick="CrudUI.showMonthlyBudgetModal(${row.category.id}, '${selectedMonth}')" title="Edit budget for ${Utils.formatMonthYear(selectedMonth)}">📅</button>
+            </div>
+          </div>
+        `).join('');
+
+      const goalRows = plan.goals.map(row => `
+        <div class="transaction-item planning-item">
+          <div class="transaction-info">
+            <div class="transaction-merchant">${Utils.escapeHtml(row.goal.goalName)}</div>
+            <div class="transaction-meta">${row.planned ? `${row.goal.autoAllocateValue}% of income` : 'Contributed this month'}</div>
+          </div>
+          <div class="transaction-amount">${money(row.amount)}</div>
+        </div>
+      `).join('');
+
+      container.innerHTML = `
+        <div class="month-navigation">
+          <button class="month-nav-btn" id="planning-prev-month" title="Previous month">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="15 18 9 12 15 6"></polyline>
+            </svg>
+          </button>
+          <div class="month-display">
+            <div class="month-label">${getMonthNameByOffset(planningMonthOffset)}</div>
+            ${planningMonthOffset !== 0 ? '<button class="btn-text" id="planning-this-month">Back to this month</button>' : ''}
+          </div>
+          <button class="month-nav-btn" id="planning-next-month" title="Next month">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="9 18 15 12 9 6"></polyline>
+            </svg>
+          </button>
+        </div>
+
+        ${renderPlanningAlert(plan, money)}
+
+        <div class="stats-grid">
+          <div class="stat-card">
+            <div class="stat-label">Planned Income</div>
+            <div class="stat-value">${plan.plannedIncome > 0 ? money(plan.plannedIncome) : '—'}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Received</div>
+            <div class="stat-value">${money(plan.actualIncome)}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Allocated</div>
+            <div class="stat-value">${money(allocated)}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Unallocated</div>
+            <div class="stat-value ${plan.unallocated < -0.005 ? 'negative' : ''}">${money(plan.unallocated)}</div>
+          </div>
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Income</h3>
+          </div>
+          ${plan.plannedIncome > 0 ? `
+            <div class="category-amounts">
+              <span>Received ${money(plan.actualIncome)} of ${money(plan.plannedIncome)}</span>
+              <span style="color: var(--text-secondary);">${receivedPercentage.toFixed(0)}%</span>
+            </div>
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${Math.min(receivedPercentage, 100)}%"></div>
+            </div>
+          ` : '<p class="planning-hint">No monthly income is set on the phone, so this month is planned with the income received so far.</p>'}
+
+          <div class="planning-allocation" title="Budgets, goals and unallocated income">
+            <div class="planning-segment budgets" style="width: ${segment(plan.budgeted)}%"></div>
+            <div class="planning-segment goals" style="width: ${segment(plan.goalContributions)}%"></div>
+          </div>
+          <div class="planning-legend">
+            <span><i class="budgets"></i>Budgets ${money(plan.budgeted)}</span>
+            <span><i class="goals"></i>Goals ${money(plan.goalContributions)}</span>
+            <span><i></i>Unallocated ${money(Math.max(plan.unallocated, 0))}</span>
+          </div>
+
+          <div class="form-group checkbox-group planning-zero-based">
+            <label class="checkbox-option">
+              <input type="checkbox" id="planning-zero-based" ${plan.zeroBased ? 'checked' : ''}>
+              <span class="checkbox-indicator"></span>
+              <span class="checkbox-text">Zero-based budgeting: assign every unit of income to a budget or goal</span>
+            </label>
+          </div>
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Budgets</h3>
+          </div>
+          ${categoryRows || '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No categories</p>'}
+        </div>
+
+        ${goalRows ? `
+          <div class="full-width-card">
+            <div class="card-header">
+              <h3 class="card-title">Savings Goals</h3>
+            </div>
+            ${goalRows}
+          </div>
+        ` : ''}
+      `;
+
+      document.getElementById('planning-prev-month').addEventListener('click', () => {
+        planningMonthOffset--;
+        renderPlanning();
+      });
+      document.getElementById('planning-next-month').addEventListener('click', () => {
+        planningMonthOffset++;
+        renderPlanning();
+      });
+      document.getElementById('planning-this-month')?.addEventListener('click', () => {
+        planningMonthOffset = 0;
+        renderPlanning();
+      });
+      document.getElementById('planning-zero-based').addEventListener('change', (e) => {
+        CrudUI.setZeroBasedBudgeting(e.target.checked);
+      });
+    } catch (error) {
+      console.error('Failed to render planning:', error);
+      container.innerHTML = renderErrorState('Failed to load budget plan');
+    }
+  }
+
+  /**
+   * Over-allocation warning, or how far a zero-based plan is from assigning everything
+   */
+  function renderPlanningAlert(plan, money) {
+    if (plan.incomeBase <= 0) {
+      return '<div class="planning-alert info">No income planned or received this month yet.</div>';
+    }
+    if (plan.unallocated < -0.005) {
+      return `<div class="planning-alert danger">⚠️ Budgets and goals exceed income by <strong>${money(-plan.unallocated)}</strong>.</div>`;
+    }
+    if (!plan.zeroBased) return '';
+    if (plan.unallocated > 0.005) {
+      return `<div class="planning-alert warning"><strong>${money(plan.unallocated)}</strong> still to assign. Use ＋ on a budget to give it the rest.</div>`;
+    }
+    return '<div class="planning-alert success">✓ Every unit of income is assigned.</div>';
+  }
+
+  /**
+   * Render Forecast View
+   * Projected account balances from recurring items, average spending and monthly income
+   */
+  async function renderForecast() {
+    const container = document.getElementById('forecast-content');
+
+    try {
+      const lookbackStart = new Date(Date.now() - CashFlowForecast.LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const [billers, rules, transactions, categories, metadata] = await Promise.all([
+        Storage.getBillerBalances(),
+        Storage.getRecurringTransactionsWithTemplates('active'),
+        Storage.getAllTransactions({ startDate: lookbackStart.toISOString() }),
+        Storage.getAllCategories(),
+        Storage.getMetadata()
+      ]);
+
+      const forecast = CashFlowForecast.project({
+        billers,
+        rules,
+        transactions,
+        monthlyIncome: metadata?.monthlyIncome || 0
+      });
+
+      if (forecast.accounts.length === 0) {
+        container.innerHTML = renderEmptyState(
+          'No Accounts to Forecast',
+          'Balances are projected per biller / account',
+          'Add an account from the dashboard'
+        );
+        return;
+      }
+
+      const currency = metadata?.currency || 'USD';
+      const categoryMap = {};
+      categories.forEach(c => { categoryMap[c.id] = c; });
+
+      const horizonButtons = CashFlowForecast.HORIZONS.map(days => `
+        <button class="toggle-btn ${forecastHorizon === days ? 'active' : ''}" data-days="${days}">${days} days</button>
+      `).join('');
+
+      container.innerHTML = `
+        ${renderForecastWarnings(forecast, currency)}
+
+        <div class="full-width-card">
+          <div class="card-title-section">
+            <h3>Projected Balances</h3>
+            <div class="chart-view-toggle forecast-horizon">${horizonButtons}</div>
+          </div>
+          <div class="chart-container forecast-chart">
+            <canvas id="forecastChart"></canvas>
+          </div>
+          ${renderForecastTable(forecast, currency)}
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Scheduled in the Next ${forecastHorizon} Days</h3>
+          </div>
+          ${renderForecastEvents(forecast, currency)}
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Assumptions</h3>
+          </div>
+          ${renderForecastAssumptions(forecast, categoryMap, currency)}
+        </div>
+      `;
+
+      renderForecastChart(forecast, currency);
+
+      container.querySelectorAll('.forecast-horizon .toggle-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          forecastHorizon = parseInt(btn.dataset.days);
+          renderForecast();
+        });
+      });
+    } catch (error) {
+      console.error('Failed to render forecast:', error);
+      container.innerHTML = renderErrorState('Failed to load forecast');
+    }
+  }
+
+  /**
+   * Warnings for accounts projected to go below zero
+   */
+  function renderForecastWarnings(forecast, currency) {
+    const negative = forecast.accounts.filter(account => account.firstNegative);
+    if (forecast.total.firstNegative) {
+      negative.push({ name: 'All accounts', ...forecast.total });
+    }
+    if (negative.length === 0) return '';
+
+    return `
+      <div class="forecast-warnings">
+        ${negative.map(account => `
+          <div class="forecast-warning">
+            ⚠️ <strong>${Utils.escapeHtml(account.name)}</strong>
+            ${account.firstNegative === forecast.dates[0] ? 'is below zero today' : `is projected to go below zero on ${Utils.formatDate(account.firstNegative)}`}
+            (lowest ${Utils.formatCurrency(account.lowest.balance, currency)} on ${Utils.formatDate(account.lowest.date)})
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Today's and projected balances per account at 30/60/90 days
+   */
+  function renderForecastTable(forecast, currency) {
+    const cell = balance => `<td class="${balance < 0 ? 'negative' : ''}">${Utils.formatCurrency(balance, currency)}</td>`;
+    const row = (name, entry) => `
+      <tr>
+        <td>${Utils.escapeHtml(name)}</td>
+        ${cell(entry.current)}
+        ${entry.checkpoints.map(checkpoint => cell(checkpoint.balance)).join('')}
+      </tr>
+    `;
+
+    return `
+      <table class="report-table forecast-table">
+        <thead>
+          <tr>
+            <th>Account</th>
+            <th>Today</th>
+            ${forecast.total.checkpoints.map(checkpoint => `<th title="${Utils.formatDate(checkpoint.date)}">${checkpoint.days} days</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${forecast.accounts.map(account => row(account.name, account)).join('')}
+        </tbody>
+        <tfoot>
+          ${row('Total', forecast.total)}
+        </tfoot>
+      </table>
+    `;
+  }
+
+  /**
+   * Recurring occurrences inside the selected horizon
+   */
+  function renderForecastEvents(forecast, currency) {
+    const events = forecast.events.filter(event => event.dayIndex <= forecastHorizon);
+    if (events.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No recurring transactions scheduled</p>';
+    }
+
+    const accountNames = {};
+    forecast.accounts.forEach(account => { accountNames[account.billerID] = account.name; });
+
+    return events.map(event => `
+      <div class="transaction-item">
+        <div class="transaction-info">
+          <div class="transaction-merchant">${Utils.escapeHtml(event.name)}</div>
+          <div class="transaction-meta">
+            ${event.overdue ? '<span class="recurring-due overdue">Overdue</span>' : Utils.formatDate(event.date)}
+            ${accountNames[event.accountKey] ? ` &bull; ${Utils.escapeHtml(accountNames[event.accountKey])}` : ''}
+          </div>
+        </div>
+        <div class="transaction-amount ${event.amount > 0 ? 'income' : 'expense'}">
+          ${event.amount > 0 ? '+' : '-'}${Utils.formatCurrency(Math.abs(event.amount), currency)}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * What the projection is based on
+   */
+  function renderForecastAssumptions(forecast, categoryMap, currency) {
+    const { averages } = forecast;
+    const topCategories = averages.categories.slice(0, 5).map(entry => `
+      <li>${Utils.escapeHtml(categoryMap[entry.categoryId]?.categoryType || 'Uncategorized')}: ${Utils.formatCurrency(entry.monthly, currency)} / month</li>
+    `).join('');
+
+    return `
+      <div class="forecast-assumptions">
+        <p>
+          Spending outside recurring items averages <strong>${Utils.formatCurrency(averages.discretionaryMonthly, currency)} / month</strong>
+          (last ${averages.lookbackDays} days).
+        </p>
+        ${topCategories ? `<ul>${topCategories}</ul>` : ''}
+        <p>
+          ${averages.monthlyIncome > 0
+            ? `Monthly income is ${Utils.formatCurrency(averages.monthlyIncome, currency)}; recurring income covers ${Utils.formatCurrency(averages.recurringIncomeMonthly, currency)} of it, the other ${Utils.formatCurrency(averages.extraIncomeMonthly, currency)} is spread evenly over each month.`
+            : 'No monthly income is set on the phone, so only recurring income is projected.'}
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Line chart of the projected balances over the selected horizon
+   */
+  function renderForecastChart(forecast, currency) {
+    const canvas = document.getElementById('forecastChart');
+    if (!canvas) return;
+
+    if (canvas.chart) {
+      canvas.chart.destroy();
+    }
+
+    const length = forecastHorizon + 1;
+    const labels = forecast.dates.slice(0, length)
+      .map(date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }));
+    const dataset = (label, series, color, total) => ({
+      label,
+      data: series.slice(0, length),
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: total ? 3 : 2,
+      borderDash: total ? [] : [4, 3],
+      fill: false,
+      tension: 0.2,
+      pointRadius: 0,
+      pointHoverRadius: 4
+    });
+
+    canvas.chart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          dataset('Total', forecast.total.series, '#6E61EF', true),
+          ...forecast.accounts.map((account, index) =>
+            dataset(account.name, account.series, FORECAST_COLORS[index % FORECAST_COLORS.length], false))
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          legend: {
+            display: true,
+            labels: {
+              color: '#cac4cf',
+              boxWidth: 12
+            }
+          },
+          tooltip: {
+            backgroundColor: 'rgba(43, 41, 48, 0.95)',
+            titleColor: '#e6e1e6',
+            bodyColor: '#e6e1e6',
+            borderColor: '#6E61EF',
+            borderWidth: 1,
+            padding: 12,
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${Utils.formatCurrency(context.parsed.y, currency)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          y: {
+            grid: {
+              color: 'rgba(148, 143, 153, 0.1)',
+              drawBorder: false
+            },
+            ticks: {
+              color: '#cac4cf',
+              callback: function(value) {
+                return Utils.formatCurrency(value, currency);
+              }
+            }
+          },
+          x: {
+            grid: {
+              display: false
+            },
+            ticks: {
+              color: '#cac4cf',
+              autoSkip: true,
+              maxTicksLimit: 8,
+              maxRotation: 0
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Render Reports View
+   * Spending, income and savings over a range of months, compared with the previous month and year
+   */
+  async function renderReports() {
+    const container = document.getElementById('reports-content');
+
+    try {
+      const currentMonth = Utils.getMonthYear(new Date().toISOString());
+      if (!reportCustomRange.startMonth) {
+        reportCustomRange = { startMonth: Utils.addMonths(currentMonth, -5), endMonth: currentMonth };
+      }
+
+      const rangeButtons = Object.entries(Reports.RANGES).map(([key, range]) => `
+        <button class="toggle-btn ${reportRange === key ? 'active' : ''}" data-range="${key}">${range.label}</button>
+      `).join('');
+
+      const controls = `
+        <div class="reports-controls">
+          <div class="chart-view-toggle report-range">${rangeButtons}</div>
+          ${reportRange === 'custom' ? `
+            <div class="report-custom-range">
+              <input type="month" id="report-start" value="${reportCustomRange.startMonth}" max="${currentMonth}">
+              <span>to</span>
+              <input type="month" id="report-end" value="${reportCustomRange.endMonth}" max="${currentMonth}">
+              <button class="btn-text" id="report-apply">Apply</button>
+            </div>
+          ` : ''}
+        </div>
+      `;
+
+      let range;
+      try {
+        range = Reports.resolveRange(reportRange, reportCustomRange);
+      } catch (error) {
+        container.innerHTML = controls + renderErrorState(error.message);
+        bindReportControls(container);
+        return;
+      }
+
+      // A year more than the range, for the year-over-year comparison
+      const [months, categories, metadata] = await Promise.all([
+        Storage.getMonthlyTotals(Utils.addMonths(range.startMonth, -12), range.endMonth),
+        Storage.getAllCategories(),
+        Storage.getMetadata()
+      ]);
+      const report = Reports.build(months, range.startMonth, categories);
+      const currency = metadata?.currency || 'USD';
+      const { totals } = report;
+
+      container.innerHTML = `
+        ${controls}
+
+        <div class="stats-grid report-stats">
+          <div class="stat-card">
+            <div class="stat-label">Income</div>
+            <div class="stat-value">${Utils.formatCurrency(totals.income, currency)}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Expenses</div>
+            <div class="stat-value">${Utils.formatCurrency(totals.expenses, currency)}</div>
+            ${totals.expensesYoyChange !== null ? `<div class="card-subtitle">${formatReportChange(totals.expensesYoyChange)} vs. a year earlier</div>` : ''}
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Net</div>
+            <div class="stat-value ${totals.net < 0 ? 'negative' : ''}">${Utils.formatCurrency(totals.net, currency)}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Savings Rate</div>
+            <div class="stat-value ${totals.savingsRate < 0 ? 'negative' : ''}">${totals.savingsRate === null ? '—' : `${Math.round(totals.savingsRate)}%`}</div>
+          </div>
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-title-section">
+            <h3>Spending by Category</h3>
+          </div>
+          <div class="chart-container report-view-chart">
+            <canvas id="reportCategoryChart"></canvas>
+          </div>
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-title-section">
+            <h3>Income vs. Expenses</h3>
+          </div>
+          <div class="chart-container report-view-chart">
+            <canvas id="reportCashflowChart"></canvas>
+          </div>
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Categories</h3>
+          </div>
+          ${renderReportCategoryTable(report, currency)}
+        </div>
+      `;
+
+      bindReportControls(container);
+      renderReportCategoryChart(report, currency);
+      renderReportCashflowChart(report, currency);
+    } catch (error) {
+      console.error('Failed to render reports:', error);
+      container.innerHTML = renderErrorState('Failed to load reports');
+    }
+  }
+
+  function bindReportControls(container) {
+    container.querySelectorAll('.report-range .toggle-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        reportRange = btn.dataset.range;
+        renderReports();
+      });
+    });
+
+    document.getElementById('report-apply')?.addEventListener('click', () => {
+      reportCustomRange = {
+        startMonth: document.getElementById('report-start').value,
+        endMonth: document.getElementById('report-end').value
+      };
+      renderReports();
+    });
+  }
+
+  /**
+   * Percentage change with its direction; more spending shows as negative
+   */
+  function formatReportChange(percent) {
+    if (percent === null) return '<span class="report-change">—</span>';
+    const rounded = Math.round(percent);
+    const direction = rounded > 0 ? 'up' : rounded < 0 ? 'down' : '';
+    return `<span class="report-change ${direction}">${rounded > 0 ? '+' : ''}${rounded}%</span>`;
+  }
+
+  /**
+   * Per-category totals with month-over-month and year-over-year changes
+   */
+  function renderReportCategoryTable(report, currency) {
+    if (report.categories.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No spending in this period</p>';
+    }
+
+    const lastMonth = report.months[report.months.length - 1].yearMonth;
+    return `
+      <table class="report-table report-view-table">
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Total</th>
+            <th>Per month</th>
+            <th title="${Utils.formatMonthYear(lastMonth)} vs. the month before">Last month</th>
+            <th>Month over month</th>
+            <th>Year over year</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${report.categories.map(row => `
+            <tr>
+              <td>${Utils.escapeHtml(row.name)}</td>
+              <td>${Utils.formatCurrency(row.total, currency)}</td>
+              <td>${Utils.formatCurrency(row.average, currency)}</td>
+              <td>${Utils.formatCurrency(row.lastMonth, currency)}</td>
+              <td>${formatReportChange(row.momChange)}</td>
+              <td>${formatReportChange(row.yoyChange)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function getReportMonthLabels(report) {
+    return report.months.map(month => {
+      const [year, monthNumber] = month.yearMonth.split('-').map(Number);
+      return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+    });
+  }
+
+  const REPORT_CHART_TOOLTIP = {
+    backgroundColor: 'rgba(43, 41, 48, 0.95)',
+    titleColor: '#e6e1e6',
+    bodyColor: '#e6e1e6',
+    borderColor: '#6E61EF',
+    borderWidth: 1,
+    padding: 12
+  };
+
+  /**
+   * Stacked monthly spending of the largest categories, the rest grouped as "Other"
+   */
+  function renderReportCategoryChart(report, currency) {
+    const canvas = document.getElementById('reportCategoryChart');
+    if (!canvas) return;
+
+    if (canvas.chart) {
+      canvas.chart.destroy();
+    }
+
+    const shown = report.categories.slice(0, REPORT_CHART_CATEGORIES);
+    const shownIds = new Set(shown.map(row => String(row.categoryId)));
+    const datasets = shown.map((row, index) => ({
+      label: row.name,
+      data: report.months.map(month => month.byCategory[row.categoryId] || 0),
+      backgroundColor: FORECAST_COLORS[index % FORECAST_COLORS.length]
+    }));
+    if (report.categories.length > shown.length) {
+      datasets.push({
+        label: 'Other',
+        data: report.months.map(month => Object.entries(month.byCategory)
+          .filter(([categoryId]) => !shownIds.has(categoryId))
+          .reduce((sum, [, spent]) => sum + spent, 0)),
+        backgroundColor: '#948f99'
+      });
+    }
+
+    canvas.chart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: { labels: getReportMonthLabels(report), datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#cac4cf', boxWidth: 12 } },
+          tooltip: {
+            ...REPORT_CHART_TOOLTIP,
+            callbacks: {
+              label: context => `${context.dataset.label}: ${Utils.formatCurrency(context.parsed.y, currency)}`
+            }
+          }
+        },
+        scales: {
+          x: { stacked: true, grid: { display: false }, ticks: { color: '#cac4cf' } },
+          y: {
+            stacked: true,
+            grid: { color: 'rgba(148, 143, 153, 0.1)', drawBorder: false },
+            ticks: { color: '#cac4cf', callback: value => Utils.formatCurrency(value, currency) }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Monthly income and expense bars with the savings rate as a line
+   */
+  function renderReportCashflowChart(report, currency) {
+    const canvas = document.getElementById('reportCashflowChart');
+    if (!canvas) return;
+
+    if (canvas.chart) {
+      canvas.chart.destroy();
+    }
+
+    canvas.chart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: getReportMonthLabels(report),
+        datasets: [
+          {
+            label: 'Income',
+            data: report.months.map(month => month.income),
+            backgroundColor: '#59d666',
+            borderRadius: 6,
+            yAxisID: 'y'
+          },
+          {
+            label: 'Expenses',
+            data: report.months.map(month => month.expenses),
+            backgroundColor: '#ff6b6b',
+            borderRadius: 6,
+            yAxisID: 'y'
+          },
+          {
+            type: 'line',
+            label: 'Savings rate',
+            data: report.months.map(month => month.savingsRate),
+            borderColor: '#6E61EF',
+            backgroundColor: '#6E61EF',
+            borderWidth: 2,
+            tension: 0.3,
+            spanGaps: true,
+            yAxisID: 'rate'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#cac4cf', boxWidth: 12 } },
+          tooltip: {
+            ...REPORT_CHART_TOOLTIP,
+            callbacks: {
+              label: context => (context.dataset.yAxisID === 'rate'
+                ? `${context.dataset.label}: ${Math.round(context.parsed.y)}%`
+                : `${context.dataset.label}: ${Utils.formatCurrency(context.parsed.y, currency)}`)
+            }
+          }
+        },
+        scales: {
+          x: { grid: { display: false }, ticks: { color: '#cac4cf' } },
+          y: {
+            beginAtZero: true,
+            grid: { color: 'rgba(148, 143, 153, 0.1)', drawBorder: false },
+            ticks: { color: '#cac4cf', callback: value => Utils.formatCurrency(value, currency) }
+          },
+          rate: {
+            position: 'right',
+            grid: { display: false },
+            ticks: { color: '#cac4cf', callback: value => `${value}%` }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Render Net Worth View
+   * Account balances, savings goals and manually tracked assets and liabilities,
+   * with the month-end snapshots as a chart
+   */
+  async function renderNetWorth() {
+    const container = document.getElementById('networth-content');
+
+    try {
+      // Keep this month's snapshot current before drawing the chart
+      await Storage.recordNetWorthSnapshot();
+
+      const [netWorth, snapshots, metadata] = await Promise.all([
+        Storage.getNetWorth(),
+        Storage.getNetWorthSnapshots(),
+        Storage.getMetadata()
+      ]);
+      const currency = metadata?.currency || 'USD';
+      const money = amount => Utils.formatCurrency(amount, currency);
+      const { totals } = netWorth;
+
+      container.innerHTML = `
+        <div class="stats-grid networth-stats">
+          <div class="stat-card">
+            <div class="stat-label">Net Worth</div>
+            <div class="stat-value ${totals.netWorth < 0 ? 'negative' : ''}">${money(totals.netWorth)}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Assets</div>
+            <div class="stat-value">${money(totals.accounts + totals.goals + totals.assets)}</div>
+            <div class="card-subtitle">Accounts, goals and other assets</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Liabilities</div>
+            <div class="stat-value">${money(totals.liabilities)}</div>
+          </div>
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-title-section">
+            <h3>Net Worth Over Time</h3>
+          </div>
+          ${snapshots.length > 1 ? `
+            <div class="chart-container networth-chart">
+              <canvas id="netWorthChart"></canvas>
+            </div>
+          ` : '<p class="form-hint networth-hint">A snapshot is recorded every month; the chart appears from the second month.</p>'}
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Accounts</h3>
+            <span class="networth-subtotal">${money(totals.accounts)}</span>
+          </div>
+          ${renderNetWorthAccounts(netWorth.accounts, money)}
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Savings Goals</h3>
+            <span class="networth-subtotal">${money(totals.goals)}</span>
+          </div>
+          ${renderNetWorthGoals(netWorth.goals, money)}
+        </div>
+
+        <div class="full-width-card">
+          <div class="card-header">
+            <h3 class="card-title">Assets &amp; Liabilities</h3>
+            <span class="networth-subtotal">${money(totals.assets - totals.liabilities)}</span>
+          </div>
+          ${renderNetWorthItems([...netWorth.assets, ...netWorth.liabilities], money)}
+        </div>
+      `;
+
+      renderNetWorthChart(snapshots, currency);
+    } catch (error) {
+      console.error('Failed to render net worth:', error);
+      container.innerHTML = renderErrorState('Failed to load net worth');
+    }
+  }
+
+  function renderNetWorthAccounts(accounts, money) {
+    if (accounts.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No accounts yet</p>';
+    }
+
+    return accounts.map(account => `
+      <div class="transaction-item">
+        <div class="transaction-info">
+          <div class="transaction-merchant">${Utils.escapeHtml(account.billerName)}</div>
+          <div class="transaction-meta">${account.transactionCount} transaction${account.transactionCount === 1 ? '' : 's'}</div>
+        </div>
+        <div class="transaction-amount ${account.balance < 0 ? 'expense' : 'income'}">${money(account.balance)}</div>
+      </div>
+    `).join('');
+  }
+
+  function renderNetWorthGoals(goals, money) {
+    if (goals.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">Nothing saved in goals yet</p>';
+    }
+
+    return goals.map(goal => `
+      <div class="transaction-item">
+        <div class="transaction-info">
+          <div class="transaction-merchant"><a class="goal-link" href="#goal?id=${goal.id}">${Utils.escapeHtml(goal.goalName)}</a></div>
+          <div class="transaction-meta">of ${money(goal.targetAmount)}</div>
+        </div>
+        <div class="transaction-amount income">${money(goal.currentAmount)}</div>
+      </div>
+    `).join('');
+  }
+
+  function renderNetWorthItems(items, money) {
+    if (items.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">Add a car, a house or a loan with the + button</p>';
+    }
+
+    return items.map(item => {
+      const liability = item.itemType === 'liability';
+      return `
+        <div class="transaction-item">
+          <div class="transaction-info">
+            <div class="transaction-merchant">${Utils.escapeHtml(item.name)}</div>
+            <div class="transaction-meta">${liability ? 'Liability' : 'Asset'}${item.notes ? ` · ${Utils.escapeHtml(item.notes)}` : ''}</div>
+          </div>
+          <div class="transaction-amount ${liability ? 'expense' : 'income'}">${liability ? '-' : ''}${money(item.value)}</div>
+          <div class="row-actions">
+            <button class="action-btn" onclick="CrudUI.showEditNetWorthItemModal('${item.id}')" title="Edit">✏️</button>
+            <button class="action-btn delete" onclick="CrudUI.deleteNetWorthItem('${item.id}')" title="Delete">🗑️</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Month-end net worth as a line, with assets and liabilities as bars
+   */
+  function renderNetWorthChart(snapshots, currency) {
+    const canvas = document.getElementById('netWorthChart');
+    if (!canvas) return;
+
+    if (canvas.chart) {
+      canvas.chart.destroy();
+    }
+
+    canvas.chart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: snapshots.map(snapshot => {
+          const [year, monthNumber] = snapshot.yearMonth.split('-').map(Number);
+          return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        }),
+        datasets: [
+          {
+            type: 'line',
+            label: 'Net worth',
+            data: snapshots.map(snapshot => snapshot.netWorth),
+            borderColor: '#6E61EF',
+            backgroundColor: '#6E61EF',
+            borderWidth: 2,
+            tension: 0.3
+          },
+          {
+            label: 'Assets',
+            data: snapshots.map(snapshot => snapshot.accounts + snapshot.goals + snapshot.assets),
+            backgroundColor: 'rgba(89, 214, 102, 0.5)',
+            borderRadius: 6
+          },
+          {
+            label: 'Liabilities',
+            data: snapshots.map(snapshot => -snapshot.liabilities),
+            backgroundColor: 'rgba(255, 107, 107, 0.5)',
+            borderRadius: 6
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#cac4cf', boxWidth: 12 } },
+          tooltip: {
+            ...REPORT_CHART_TOOLTIP,
+            callbacks: {
+              // Liabilities are drawn below zero but read as amounts owed
+              label: context => `${context.dataset.label}: ${Utils.formatCurrency(context.dataset.label === 'Liabilities' ? -context.parsed.y : context.parsed.y, currency)}`
+            }
+          }
+        },
+        scales: {
+          x: { stacked: true, grid: { display: false }, ticks: { color: '#cac4cf' } },
+          y: {
+            grid: { color: 'rgba(148, 143, 153, 0.1)', drawBorder: false },
+            ticks: { color: '#cac4cf', callback: value => Utils.formatCurrency(value, currency) }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Render Rules View
+   * Categorization rules in the order they are checked
+   */
+  async function renderRules() {
+    const container = document.getElementById('rules-content');
+
+    try {
+      const [{ rules, applyToSynced }, categories, billers] = await Promise.all([
+        Storage.getCategorizationRules(),
+        Storage.getAllCategories(),
+        Storage.getAllBillers()
+      ]);
+
+      const settings = `
+        <div class="full-width-card rules-settings">
+          <label class="checkbox-option">
+            <input type="checkbox" id="rules-apply-synced" ${applyToSynced ? 'checked' : ''}>
+            <span class="checkbox-indicator"></span>
+            <span class="checkbox-text">Also apply rules to new transactions from Android</span>
+          </label>
+          <p class="form-hint">
+            Rules fill in the category and biller of transactions you add and import.
+            The first matching rule that sets a field wins, so order matters.
+          </p>
+        </div>
+      `;
+
+      if (rules.length === 0) {
+        container.innerHTML = settings + renderEmptyState(
+          'No Rules',
+          'Rules such as "merchant contains UBER → Transport" categorize transactions for you',
+          'Use the + button to add one'
+        );
+      } else {
+        const categoryMap = buildCategoryDisplayMap(categories);
+        const billerNames = {};
+        billers.forEach(b => { billerNames[b.billerID] = b.billerName; });
+
+        container.innerHTML = `
+          ${settings}
+          <div class="full-width-card">
+            <div class="card-header">
+              <h3 class="card-title">Rules <span class="recurring-count">${rules.length}</span></h3>
+            </div>
+            ${rules.map((rule, index) => renderRuleItem(rule, index, rules.length, categoryMap, billerNames)).join('')}
+          </div>
+        `;
+      }
+
+      document.getElementById('rules-apply-synced')?.addEventListener('change', (e) => {
+        CrudUI.setApplyRulesToSynced(e.target.checked);
+      });
+    } catch (error) {
+      console.error('Failed to render rules:', error);
+      container.innerHTML = renderErrorState('Failed to load rules');
+    }
+  }
+
+  /**
+   * Render a single categorization rule row
+   */
+  function renderRuleItem(rule, index, count, categoryMap, billerNames) {
+    const category = rule.categoryId ? categoryMap[rule.categoryId] : null;
+    const actions = [
+      category ? `${category.icon} ${Utils.escapeHtml(category.name)}` : '',
+      rule.categoryId && !category ? '<span class="rule-missing">Missing category</span>' : '',
+      rule.billerID ? (billerNames[rule.billerID] ? Utils.escapeHtml(billerNames[rule.billerID]) : '<span class="rule-missing">Missing biller</span>') : ''
+    ].filter(Boolean).join(' &bull; ');
+
+    return `
+      <div class="transaction-item rule-item ${rule.enabled ? '' : 'disabled'}">
+        <span class="rule-priority">${index + 1}</span>
+        <div class="transaction-info">
+          <div class="transaction-merchant">${Utils.escapeHtml(rule.name)}</div>
+          <div class="transaction-meta">
+            ${Utils.escapeHtml(CategorizationRules.describe(rule))} &rarr; ${actions}
+          </div>
+        </div>
+        <div class="row-actions">
+          <button class="action-btn" onclick="CrudUI.moveRule('${rule.id}', -1)" title="Check earlier" ${index === 0 ? 'disabled' : ''}>⬆️</button>
+          <button class="action-btn" onclick="CrudUI.moveRule('${rule.id}', 1)" title="Check later" ${index === count - 1 ? 'disabled' : ''}>⬇️</button>
+          <button class="action-btn" onclick="CrudUI.toggleRule('${rule.id}')" title="${rule.enabled ? 'Turn off' : 'Turn on'}">${rule.enabled ? '⏸️' : '▶️'}</button>
+          <button class="action-btn" onclick="CrudUI.showEditRuleModal('${rule.id}')" title="Edit">✏️</button>
+          <button class="action-btn delete" onclick="CrudUI.deleteRule('${rule.id}')" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render Trash View
+   * Soft-deleted records, with restore and purge actions
+   */
+  async function renderTrash() {
+    const container = document.getElementById('trash-content');
+
+    try {
+      const [trash, categories, goals, metadata] = await Promise.all([
+        Storage.getTrash(),
+        Storage.getAllCategories(),
+        Storage.getAllSavingsGoals(),
+        Storage.getMetadata()
+      ]);
+
+      const total = Object.values(trash).reduce((sum, items) => sum + items.length, 0);
+      if (total === 0) {
+        container.innerHTML = renderEmptyState(
+          'Trash is Empty',
+          'Deleted transactions, categories and goals appear here',
+          `They are removed for good ${Storage.TRASH_RETENTION_DAYS} days after the deletion has synced with your phone`
+        );
+        return;
+      }
+
+      const currency = metadata?.currency || 'USD';
+      const categoryMap = buildCategoryDisplayMap(categories);
+      const goalNames = {};
+      goals.forEach(g => { goalNames[g.id] = g.goalName; });
+
+      const describe = {
+        transactions: t => ({
+          icon: getTransactionCategoryDisplay(t, categoryMap, '💰').icon,
+          name: t.merchantName,
+          meta: `${Utils.formatDate(t.transactionDate)} &bull; ${t.transactionType === 'expense' ? '-' : '+'}${Utils.formatCurrency(t.transactionAmount, currency)}`
+        }),
+        categories: c => ({
+          icon: Utils.getCategoryIcon(c.iconName),
+          name: c.categoryType,
+          meta: `Budget ${Utils.formatCurrency(c.budgetAmount || 0, currency)}`
+        }),
+        savingsGoals: g => ({
+          icon: '🎯',
+          name: g.goalName,
+          meta: `${Utils.formatCurrency(g.currentAmount || 0, currency)} of ${Utils.formatCurrency(g.targetAmount || 0, currency)}`
+        }),
+        goalTransactions: gt => ({
+          icon: gt.transactionType === 'withdrawal' ? '➖' : '➕',
+          name: `${gt.transactionType === 'withdrawal' ? 'Withdrawal from' : 'Contribution to'} ${goalNames[gt.goalId] || 'a deleted goal'}`,
+          meta: `${Utils.formatDate(gt.transactionDate)} &bull; ${Utils.formatCurrency(gt.amount, currency)}`
+        })
+      };
+
+      const sections = [
+        { storeName: 'transactions', title: 'Transactions', keyField: 'transactionID' },
+        { storeName: 'categories', title: 'Categories', keyField: 'id' },
+        { storeName: 'savingsGoals', title: 'Goals', keyField: 'id' },
+        { storeName: 'goalTransactions', title: 'Goal Contributions', keyField: 'id' }
+      ].map(section => {
+        const items = trash[section.storeName];
+        if (items.length === 0) return '';
+
+        return `
+          <div class="full-width-card">
+            <div class="card-header">
+              <h3 class="card-title">${section.title} <span class="recurring-count">${items.length}</span></h3>
+            </div>
+            ${items.map(item => {
+              const info = describe[section.storeName](item.record);
+              const id = item.record[section.keyField];
+              const idArg = typeof id === 'number' ? id : `'${id}'`;
+              return `
+                <div class="transaction-item trash-item">
+                  <div class="transaction-info">
+                    <div class="transaction-merchant">
+                      <span class="category-icon">${info.icon}</span>
+                      ${Utils.escapeHtml(info.name || 'Untitled')}
+                    </div>
+                    <div class="transaction-meta">
+                      ${info.meta} &bull; Deleted ${Utils.formatRelativeDate(new Date(item.deletedAt).toISOString())}
+                      ${item.acknowledged ? '' : ' &bull; <span class="trash-unsynced" title="The phone has not received this deletion yet">not synced</span>'}
+                    </div>
+                  </div>
+                  <div class="trash-actions">
+                    <button class="btn-text" onclick="CrudUI.restoreFromTrash('${section.storeName}', ${idArg})">Restore</button>
+                    <button class="btn-text danger" onclick="CrudUI.purgeFromTrash('${section.storeName}', ${idArg}, ${item.acknowledged})">Purge</button>
+                  </div>
+                </div>
+              `;
+            }).join('')}
+          </div>
+        `;
+      }).join('');
+
+      container.innerHTML = `
+        <p class="trash-hint">
+          Deleted items are removed for good ${Storage.TRASH_RETENTION_DAYS} days after the deletion has synced with your phone.
+        </p>
+        ${sections}
+      `;
+    } catch (error) {
+      console.error('Failed to render trash:', error);
+      container.innerHTML = renderErrorState('Failed to load trash');
+    }
+  }
+
+  /**
+   * Render transactions list
+   */
+  function renderTransactionsList(transactions, categories, currency) {
+    if (transactions.length === 0) {
+      return '<p style="text-align: center; color: var(--text-secondary); padding: 20px;">No transactions</p>';
+    }
+
+    const categoryMap = buildCategoryDisplayMap(categories);
+    return transactions.map(t => renderTransactionItem(t, categoryMap, currency)).join('');
+  }
+
+  /**
+   * Render a transaction row
+   * Rows in day groups omit the date (it is in the group header) and get edit/delete actions.
+   * @param {Object} options - { actions }
+   */
+  function renderTransactionItem(t, categoryMap, currency, { actions = false } = {}) {
+    const category = getTransactionCategoryDisplay(t, categoryMap, '💰');
+    const amountClass = Utils.isTransfer(t) ? 'transfer' : t.transactionType === 'expense' ? 'expense' : 'income';
+    const amountPrefix = t.transactionType === 'expense' ? '-' : '+';
+    const meta = actions
+      ? Utils.escapeHtml(category.name)
+      : `${Utils.formatRelativeDate(t.transactionDate)} &bull; ${Utils.escapeHtml(category.name)}`;
+
+    return `
+      <div class="transaction-item">
+        ${actions ? `
+          <label class="transaction-select" title="Select">
+            <input type="checkbox" ${selectedTransactionIds.has(t.transactionID) ? 'checked' : ''}
+              onchange="UI.toggleTransactionSelection('${t.transactionID}', this.checked)">
+          </label>
+        ` : ''}
+        <div class="transaction-info">
+          <div class="transaction-merchant">
+            <span class="category-icon">${category.icon}</span>
+            ${Utils.escapeHtml(t.merchantName)}
+          </div>
+          <div class="transaction-meta">
+            ${meta}${t.reviewed ? ' <span class="transaction-reviewed" title="Reviewed">✓ Reviewed</span>' : ''}
+          </div>
+          ${t.notes ? `<div class="transaction-notes">${Utils.escapeHtml(t.notes)}</div>` : ''}
+        </div>
+        <div class="transaction-amount ${amountClass}">
+          ${amountPrefix}${Utils.formatCurrency(t.transactionAmount, currency)}
+        </div>
+        ${actions ? `
+          <div class="row-actions">
+            <button class="action-btn" onclick="CrudUI.showEditTransactionModal('${t.transactionID}')" title="Edit">✏️</button>
+            <button class="action-btn delete" onclick="CrudUI.deleteTransaction('${t.transactionID}')" title="Delete">🗑️</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
    * Render goals list
    */
   function renderGoalsList(goals, currency) {
@@ -1224,7 +3403,7 @@ const UI = (() => {
       return `
         <div class="transaction-item">
           <div class="transaction-info">
-            <div class="transaction-merchant">${Utils.escapeHtml(goal.goalName)}</div>
+            <a class="transaction-merchant goal-link" href="#goal?id=${goal.id}">${Utils.escapeHtml(goal.goalName)}</a>
             <div class="transaction-meta">${percentage.toFixed(0)}% complete</div>
           </div>
           <div style="text-align: right;">
@@ -1252,6 +3431,59 @@ const UI = (() => {
     ).join('');
 
     select.innerHTML = `<option value="">All Categories</option>${options}`;
+    select.value = currentFilters.categoryId ? String(currentFilters.categoryId) : '';
+  }
+
+  /**
+   * Saved filter with exactly the current filters, if any
+   */
+  function findActiveSavedFilter(savedFilters) {
+    const type = currentFilters.type && currentFilters.type !== 'all' ? currentFilters.type : null;
+    const categoryId = currentFilters.categoryId ? parseInt(currentFilters.categoryId) : null;
+    const query = (currentFilters.query || '').trim();
+
+    return savedFilters.find(f =>
+      (f.transactionType || null) === type &&
+      (f.categoryId || null) === categoryId &&
+      (f.query || '') === query
+    ) || null;
+  }
+
+  /**
+   * Fill the saved filter dropdown and select the one matching the current filters
+   */
+  function updateSavedFilterSelect(savedFilters) {
+    const select = document.getElementById('saved-filter-select');
+    if (!select) return;
+
+    const options = savedFilters.map(f =>
+      `<option value="${f.id}">${f.pinned ? '📌 ' : ''}${Utils.escapeHtml(f.name)}</option>`
+    ).join('');
+    select.innerHTML = `<option value="">Saved filters</option>${options}`;
+
+    const active = findActiveSavedFilter(savedFilters);
+    select.value = active ? active.id : '';
+
+    const saveButton = document.getElementById('save-filter-btn');
+    if (saveButton) {
+      saveButton.textContent = active ? 'Edit filter' : 'Save filter';
+    }
+    const deleteButton = document.getElementById('delete-filter-btn');
+    if (deleteButton) {
+      deleteButton.style.display = active ? '' : 'none';
+    }
+  }
+
+  /**
+   * Show the terms of the search query that could not be understood
+   */
+  function renderQueryErrors() {
+    const element = document.getElementById('transaction-query-errors');
+    if (!element) return;
+
+    const errors = TransactionQuery.parse(currentFilters.query).errors;
+    element.textContent = errors.join(' · ');
+    element.style.display = errors.length > 0 ? '' : 'none';
   }
 
   /**
@@ -1337,8 +3569,24 @@ const UI = (() => {
   return {
     renderDashboard,
     renderTransactions,
+    loadMoreTransactions,
+    setSelectionMode,
+    isSelectionMode,
+    toggleTransactionSelection,
+    selectAllLoadedTransactions,
+    getSelectedTransactionIds,
     renderCategories,
     renderGoals,
+    renderGoalDetail,
+    setSelectedGoal,
+    getSelectedGoal,
+    renderRecurring,
+    renderPlanning,
+    renderForecast,
+    renderReports,
+    renderNetWorth,
+    renderRules,
+    renderTrash,
     updateSyncStatus,
     setFilters,
     getFilters
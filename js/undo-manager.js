@@ -0,0 +1,176 @@
+/**
+ * Undo Manager
+ * Undo/redo history for user edits (creates, updates, soft deletes, goal contributions)
+ *
+ * Edits run through UndoManager.run, which captures the state of every record
+ * written before and after (see Storage.captureChanges). Undo writes the earlier
+ * states back through Storage.restoreRecords, which queues them for sync so the
+ * phone converges; a record created by the edit is soft deleted.
+ *
+ * The history is cleared when a sync, another tab or a backup restore brings in other changes,
+ * since undoing past them would overwrite them.
+ * For the same reason an edit made while a sync or an automatic goal allocation
+ * writes is not added to the history.
+ */
+const UndoManager = (() => {
+  const MAX_HISTORY = 50;
+  const NOTIFICATION_MS = 6000;
+
+  // Changes from a sync, another tab or a restore, after which older entries are stale
+  // (sync paths that dispatch data-updated without a type count as well)
+  const EXTERNAL_UPDATE_TYPES = [
+    'sync-completed', 'realtime-sync', 'cross-tab-sync', 'cross-tab-change', 'backup-restored', 'backup-merged'
+  ];
+
+  // Entries: { label, changes: [{ storeName, key, before, after }] }
+  const undoStack = [];
+  const redoStack = [];
+  let busy = false;
+
+  /**
+   * Run an edit and add it to the history
+   * @param {string|Function} label - Notification text, or result -> text
+   * @param {Function} operation - Async function doing the edit
+   * @param {Object} options - { notify: show the Undo notification (default true) }
+   * @returns {Promise<*>} The operation's result
+   */
+  async function run(label, operation, { notify = true } = {}) {
+    const { result, changes } = await Storage.captureChanges(operation);
+    if (changes.length === 0) return result;
+
+    const entry = {
+      label: typeof label === 'function' ? label(result) : label,
+      changes
+    };
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY) {
+      undoStack.shift();
+    }
+    redoStack.length = 0;
+
+    if (notify) {
+      Utils.showNotification(entry.label, 'success', NOTIFICATION_MS, { label: 'Undo', onClick: undo });
+    }
+    return result;
+  }
+
+  /**
+   * Records to write back for one side of an entry, by store
+   * A record that did not exist before is soft deleted rather than removed,
+   * so the deletion reaches the phone.
+   */
+  function getStates(entry, side) {
+    const recordsByStore = {};
+    entry.changes.forEach(change => {
+      let record = change[side];
+      if (!record) {
+        const existing = side === 'before' ? change.after : change.before;
+        if (!existing) return;
+        record = { ...existing, deleted: change.storeName === 'goalTransactions' ? 1 : true };
+      }
+      (recordsByStore[change.storeName] = recordsByStore[change.storeName] || []).push(record);
+    });
+    return recordsByStore;
+  }
+
+  /**
+   * Undo the latest edit
+   * @returns {Promise<boolean>} False when there was nothing to undo
+   */
+  async function undo() {
+    if (busy || undoStack.length === 0) return false;
+
+    busy = true;
+    const entry = undoStack.pop();
+    try {
+      await Storage.restoreRecords(getStates(entry, 'before'));
+      redoStack.push(entry);
+      Utils.showNotification(`Undone: ${entry.label}`, 'info', NOTIFICATION_MS, { label: 'Redo', onClick: redo });
+      return true;
+    } catch (error) {
+      console.error('❌ Undo failed:', error);
+      undoStack.push(entry);
+      Utils.showNotification(error.message || 'Failed to undo', 'error');
+      return false;
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Redo the latest undone edit
+   * @returns {Promise<boolean>} False when there was nothing to redo
+   */
+  async function redo() {
+    if (busy || redoStack.length === 0) return false;
+
+    busy = true;
+    const entry = redoStack.pop();
+    try {
+      await Storage.restoreRecords(getStates(entry, 'after'));
+      undoStack.push(entry);
+      Utils.showNotification(`Redone: ${entry.label}`, 'info', NOTIFICATION_MS, { label: 'Undo', onClick: undo });
+      return true;
+    } catch (error) {
+      console.error('❌ Redo failed:', error);
+      redoStack.push(entry);
+      Utils.showNotification(error.message || 'Failed to redo', 'error');
+      return false;
+    } finally {
+      busy = false;
+    }
+  }
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+  }
+
+  /**
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo
+   * Left to the browser in text fields and while a dialog is open.
+   */
+  function handleKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    if (document.querySelector('.modal-overlay')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.metaKey)) {
+      e.preventDefault();
+      redo();
+    }
+  }
+
+  document.addEventListener('keydown', handleKeydown);
+
+  window.addEventListener('data-updated', (e) => {
+    const type = e.detail?.type;
+    if (!type || EXTERNAL_UPDATE_TYPES.includes(type)) {
+      clear();
+    }
+  });
+
+  // Public API
+  return {
+    run,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    clear
+  };
+})();
@@ -155,6 +155,28 @@ const Utils = (() => {
     return `${year}-${month}`;
   }
 
+  /**
+   * Shift a month-year string by a number of months
+   * @param {string} yearMonth - Month-year (YYYY-MM)
+   * @param {number} delta - Months to add (negative to go back)
+   * @returns {string} Shifted month-year (YYYY-MM)
+   */
+  function addMonths(yearMonth, delta) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    const date = new Date(year, month - 1 + delta, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format a month-year string for display
+   * @param {string} yearMonth - Month-year (YYYY-MM)
+   * @returns {string} e.g. "December 2024"
+   */
+  function formatMonthYear(yearMonth) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+
   /**
    * Debounce function for search inputs
    * @param {Function} fn - Function to debounce
@@ -169,20 +191,37 @@ const Utils = (() => {
     };
   }
 
+  // Hides the current notification; replaced when a new one is shown
+  let notificationTimer = null;
+
   /**
    * Show notification toast
    * @param {string} message - Message to display
    * @param {string} type - Type: 'success', 'error', 'info'
    * @param {number} duration - Duration in milliseconds
+   * @param {Object} action - Optional button { label, onClick }, e.g. Undo
    */
-  function showNotification(message, type = 'info', duration = 3000) {
+  function showNotification(message, type = 'info', duration = 3000, action = null) {
     const notification = document.getElementById('notification');
     if (!notification) return;
 
     notification.textContent = message;
     notification.className = `notification ${type} active`;
 
-    setTimeout(() => {
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'notification-action';
+      button.textContent = action.label;
+      button.onclick = () => {
+        notification.classList.remove('active');
+        action.onClick();
+      };
+      notification.appendChild(button);
+      notification.classList.add('has-action');
+    }
+
+    clearTimeout(notificationTimer);
+    notificationTimer = setTimeout(() => {
       notification.classList.remove('active');
     }, duration);
   }
@@ -212,12 +251,19 @@ const Utils = (() => {
   /**
    * Format days until as readable string
    * @param {string} targetDateStr - ISO 8601 date string
+   * @param {Object} options - { due: word it as a due date, e.g. "Due in 5 days", "Overdue by 3 days" }
    * @returns {string} Formatted string
    */
-  function formatDaysUntil(targetDateStr) {
+  function formatDaysUntil(targetDateStr, { due = false } = {}) {
     const days = daysUntil(targetDateStr);
 
     if (days === null) return '';
+    if (due) {
+      if (days === 0) return 'Due today';
+      if (days === 1) return 'Due tomorrow';
+      if (days > 1) return `Due in ${days} days`;
+      return `Overdue by ${Math.abs(days)} day${days === -1 ? '' : 's'}`;
+    }
     if (days === 0) return 'Today';
     if (days === 1) return 'Tomorrow';
     if (days === -1) return 'Yesterday';
@@ -320,6 +366,71 @@ const Utils = (() => {
     return iconMap[iconName] || '💰';
   }
 
+  /**
+   * Check if a transaction is one leg of a transfer between billers
+   * Transfers move money between accounts and count as neither income nor expense
+   * @param {Object} transaction - Transaction record
+   * @returns {boolean} True if the transaction belongs to a transfer
+   */
+  function isTransfer(transaction) {
+    return Boolean(transaction && transaction.transferId);
+  }
+
+  /**
+   * Check if a transaction is linked to a biller
+   * Matches on billerID; records synced from Android without one fall back to billerName
+   * @param {Object} transaction - Transaction record
+   * @param {Object} biller - Biller record
+   * @returns {boolean} True if the transaction belongs to the biller
+   */
+  function belongsToBiller(transaction, biller) {
+    if (transaction.billerID) return transaction.billerID === biller.billerID;
+    return Boolean(transaction.billerName) && transaction.billerName === biller.billerName;
+  }
+
+  /**
+   * Get the category splits of a transaction
+   * Transactions without splits count entirely towards their transactionCategory
+   * @param {Object} transaction - Transaction record
+   * @returns {Array<{categoryId: number, amount: number}>} Splits with positive amounts
+   */
+  function getTransactionSplits(transaction) {
+    if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+      return transaction.splits;
+    }
+    return [{
+      categoryId: transaction.transactionCategory,
+      amount: Math.abs(transaction.transactionAmount)
+    }];
+  }
+
+  /**
+   * Check if a transaction is split across several categories
+   * @param {Object} transaction - Transaction record
+   * @returns {boolean} True if the transaction has category splits
+   */
+  function isSplit(transaction) {
+    return Array.isArray(transaction.splits) && transaction.splits.length > 1;
+  }
+
+  /**
+   * Offer content to the user as a file download
+   * @param {string} fileName - Suggested file name
+   * @param {string|Blob} content - File content
+   * @param {string} mimeType - MIME type when content is a string
+   */
+  function downloadFile(fileName, content, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   // Public API
   return {
     formatCurrency,
@@ -327,6 +438,8 @@ const Utils = (() => {
     formatRelativeDate,
     getMonthYear,
     getCurrentMonthYear,
+    addMonths,
+    formatMonthYear,
     debounce,
     showNotification,
     daysUntil,
@@ -335,6 +448,11 @@ const Utils = (() => {
     escapeHtml,
     groupBy,
     sortBy,
-    getCategoryIcon
+    getCategoryIcon,
+    isTransfer,
+    belongsToBiller,
+    getTransactionSplits,
+    isSplit,
+    downloadFile
   };
 })();
@@ -1,16 +1,49 @@
-const CACHE_NAME = 'budgettact-v1.5.0';
+const CACHE_NAME = 'budgettact-v1.13.2';
+
+// Bill reminders read IndexedDB directly, so they also work while the app is closed
+importScripts(
+  'https://unpkg.com/dexie@3/dist/dexie.min.js',
+  './js/recurring-schedule.js',
+  './js/bill-reminders.js'
+);
 const urlsToCache = [
   './',
   './index.html',
   './manifest.json',
   './css/styles.css',
-  './js/app.js',
+  './js/utils.js',
+  './js/pairing-manager.js',
+  './js/hash-service.js',
+  './js/recurring-schedule.js',
+  './js/transaction-query.js',
+  './js/cash-flow-forecast.js',
+  './js/reports.js',
+  './js/goal-progress.js',
+  './js/categorization-rules.js',
+  './js/category-suggester.js',
   './js/storage.js',
+  './js/statement-import.js',
+  './js/export.js',
+  './js/backup.js',
+  './js/sync-status-manager.js',
+  './js/incremental-sync-manager.js',
+  './js/turn-config.js',
+  './js/webrtc.js',
+  './js/bidirectional-sync.js',
+  './js/cross-tab-sync.js',
+  './js/auto-sync-on-crud.js',
+  './js/auto-sync-on-load.js',
   './js/sync.js',
   './js/qr-generator.js',
-  './js/webrtc.js',
+  './js/undo-manager.js',
+  './js/budget-alerts.js',
+  './js/bill-reminders.js',
+  './js/goal-allocation.js',
+  './js/modals.js',
+  './js/crud-ui.js',
+  './js/conflict-notification.js',
   './js/ui.js',
-  './js/utils.js',
+  './js/app.js',
   './assets/icons/icon-192.png',
   './assets/icons/icon-512.png',
   'https://unpkg.com/dexie@3/dist/dexie.min.js'
@@ -48,42 +81,44 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - the app's own files come from the network first, so a deploy
+// shows up without a cache bump; the cache covers offline use. Libraries from
+// CDNs are versioned and served from the cache first.
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-
-        // Clone the request
-        const fetchRequest = event.request.clone();
-
-        return fetch(fetchRequest).then((response) => {
-          // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
+  if (event.request.method !== 'GET') return;
 
-          // Clone the response
-          const responseToCache = response.clone();
+  const sameOrigin = new URL(event.request.url).origin === self.location.origin;
+  event.respondWith(sameOrigin ? networkFirst(event.request) : cacheFirst(event.request));
+});
 
-          // Cache the new response
-          caches.open(CACHE_NAME)
-            .then((cache) => {
-              cache.put(event.request, responseToCache);
-            });
+function cacheResponse(request, response) {
+  // Only complete responses are cached
+  if (response && response.status === 200 && (response.type === 'basic' || response.type === 'cors')) {
+    const responseToCache = response.clone();
+    caches.open(CACHE_NAME).then((cache) => cache.put(request, responseToCache));
+  }
+  return response;
+}
 
-          return response;
-        }).catch(() => {
-          // Network failed, try to return a cached fallback
-          return caches.match('/index.html');
-        });
-      })
-  );
-});
+async function networkFirst(request) {
+  try {
+    return cacheResponse(request, await fetch(request));
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    // Offline page loads fall back to the app shell, relative to the app's scope
+    if (request.mode === 'navigate') {
+      return caches.match(new URL('./index.html', self.registration.scope).href);
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  return cacheResponse(request, await fetch(request));
+}
 
 // Listen for messages from the app
 self.addEventListener('message', (event) => {
@@ -91,3 +126,96 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 });
+
+/**
+ * Open the app's database without declaring a schema
+ * The app owns the schema; Dexie picks up the existing tables.
+ */
+async function openDatabase() {
+  const db = new Dexie('BudgetTactDB');
+  await db.open();
+  return db;
+}
+
+/**
+ * Show reminders for bills coming due, from the data in IndexedDB
+ */
+async function checkBillReminders() {
+  let db;
+  try {
+    db = await openDatabase();
+    await BillReminders.check(db, (reminder, currency) => {
+      const { title } = BillReminders.formatReminder(reminder, currency);
+      return self.registration.showNotification(title, BillReminders.getNotificationOptions(reminder, currency));
+    });
+  } catch (error) {
+    // No database yet (nothing synced) or no permission
+    console.log('Service Worker: Bill reminder check skipped:', error.message);
+  } finally {
+    if (db) db.close();
+  }
+}
+
+// Periodic background sync (installed app) - check reminders while the app is closed
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BillReminders.PERIODIC_SYNC_TAG) {
+    event.waitUntil(checkBillReminders());
+  }
+});
+
+/**
+ * Snooze a bill reminder
+ */
+async function snoozeBillReminder(key) {
+  const db = await openDatabase();
+  try {
+    await BillReminders.snooze(db, key);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Record a bill as paid: the app creates the transaction and advances the schedule
+ * An open window is asked through a message; otherwise the app opens with the request in the URL.
+ */
+async function markBillPaid(data) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = clients[0];
+  if (client) {
+    client.postMessage({ type: 'MARK_RECURRING_PAID', ruleId: data.ruleId, dueDate: data.dueDate });
+    return client.focus();
+  }
+  const params = new URLSearchParams({ paid: data.ruleId, due: data.dueDate });
+  return self.clients.openWindow(`./#recurring?${params}`);
+}
+
+// Notification clicks (budget alerts, bill reminders) - focus the app, opening it if needed
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+
+  if (data.type === 'bill-reminder' && event.action === 'snooze') {
+    event.waitUntil(snoozeBillReminder(data.key));
+    return;
+  }
+  if (data.type === 'bill-reminder' && event.action === 'paid') {
+    event.waitUntil(markBillPaid(data));
+    return;
+  }
+
+  event.waitUntil(openApp(data.url || './'));
+});
+
+// navigate() rejects on windows this worker doesn't control, so an open window
+// is asked to switch view itself
+async function openApp(url) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = clients[0];
+  if (client) {
+    client.postMessage({ type: 'OPEN_VIEW', hash: new URL(url, self.registration.scope).hash });
+    // The window already switches view; a second window would only duplicate the app
+    return client.focus().catch((error) => console.warn('Could not focus app window:', error));
+  }
+  return self.clients.openWindow(url);
+}